@@ -4,9 +4,14 @@ import { Toaster } from 'react-hot-toast';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Agents from './pages/Agents';
+import AgentProfile from './pages/AgentProfile';
 import Security from './pages/Security';
+import Skills from './pages/Skills';
+import SkillHistory from './pages/SkillHistory';
 import Analytics from './pages/Analytics';
 import Trends from './pages/Trends';
+import Operations from './pages/Operations';
+import Search from './pages/Search';
 import './styles/globals.css';
 
 function App() {
@@ -17,9 +22,14 @@ function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/agents" element={<Agents />} />
+            <Route path="/agents/:id" element={<AgentProfile />} />
             <Route path="/security" element={<Security />} />
+            <Route path="/skills" element={<Skills />} />
+            <Route path="/skills/:id" element={<SkillHistory />} />
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/trends" element={<Trends />} />
+            <Route path="/operations" element={<Operations />} />
+            <Route path="/search" element={<Search />} />
           </Routes>
         </Layout>
         <Toaster 
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { api } from '../utils/api';
+
+export const statusConfig = {
+  new: { label: 'New', badge: 'bg-red-800/60 text-red-200' },
+  acknowledged: { label: 'Acknowledged', badge: 'bg-yellow-800/60 text-yellow-200' },
+  investigating: { label: 'Investigating', badge: 'bg-blue-800/60 text-blue-200' },
+  resolved: { label: 'Resolved', badge: 'bg-green-800/60 text-green-200' },
+  false_positive: { label: 'False positive', badge: 'bg-gray-700 text-gray-300' },
+};
+
+// Mirrors the server's allowed transitions (triage/workflow.js)
+const nextActions = {
+  new: [['acknowledged', 'Acknowledge'], ['investigating', 'Investigate'], ['resolved', 'Resolve'], ['false_positive', 'False positive']],
+  acknowledged: [['investigating', 'Investigate'], ['resolved', 'Resolve'], ['false_positive', 'False positive']],
+  investigating: [['resolved', 'Resolve'], ['false_positive', 'False positive']],
+  resolved: [['investigating', 'Reopen']],
+  false_positive: [['investigating', 'Reopen']],
+};
+
+const eventText = (event) => {
+  switch (event.action) {
+    case 'status_changed':
+      return `moved it from ${statusConfig[event.from_value]?.label || event.from_value} to ${statusConfig[event.to_value]?.label || event.to_value}`;
+    case 'assigned':
+      return event.to_value ? `assigned it to ${event.to_value}` : 'unassigned it';
+    case 'commented':
+      return 'commented';
+    case 'reopened':
+      return `reopened it: the finding was seen again (${event.details?.occurrence_count} times in all)`;
+    case 'suppressed':
+      return `closed it with suppression rule #${event.details?.rule_id}`;
+    default:
+      return event.action;
+  }
+};
+
+function SuppressForm({ alert, onDone }) {
+  const metadata = alert.metadata || {};
+  const [rule, setRule] = useState({
+    alertType: alert.type,
+    pattern: metadata.rule_id || metadata.pattern || metadata.keyword || '',
+    skill: metadata.skill_id || metadata.skill_name || '',
+    reason: '',
+  });
+
+  const submit = async (event) => {
+    event.preventDefault();
+    const body = Object.fromEntries(Object.entries(rule).filter(([, value]) => value));
+    try {
+      const response = await api.createSuppression(body);
+      toast.success(`Suppression rule added; ${response.data.closedAlerts.length} open alert(s) closed`);
+      onDone();
+    } catch (error) {
+      console.error('Failed to add suppression rule:', error);
+    }
+  };
+
+  const field = (key, label) => (
+    <label className="block text-xs text-gray-400">
+      {label}
+      <input
+        value={rule[key]}
+        onChange={(e) => setRule({ ...rule, [key]: e.target.value })}
+        placeholder="any"
+        className="mt-1 w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+      />
+    </label>
+  );
+
+  return (
+    <form onSubmit={submit} className="mt-3 p-3 bg-gray-900 rounded-lg space-y-2">
+      <p className="text-xs text-gray-400">
+        Stop the scanner raising alerts like this one. Empty fields match anything.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        {field('alertType', 'Alert type')}
+        {field('pattern', 'Rule / pattern / keyword')}
+        {field('skill', 'Skill')}
+      </div>
+      {field('reason', 'Reason (required)')}
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onDone} className="px-3 py-1 text-xs text-gray-400 hover:text-white">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!rule.reason.trim()}
+          className="px-3 py-1 text-xs bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+        >
+          Add rule
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function AlertHistory({ alertId, canTriage, onCommented }) {
+  const [detail, setDetail] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const load = async () => {
+    try {
+      const response = await api.getSecurityAlert(alertId);
+      setDetail(response.data.alert);
+    } catch (error) {
+      console.error('Failed to load alert history:', error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [alertId]);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    if (!comment.trim()) return;
+    try {
+      await api.commentOnAlert(alertId, comment.trim());
+      setComment('');
+      await load();
+      onCommented();
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+    }
+  };
+
+  if (!detail) {
+    return <div className="mt-3 text-xs text-gray-500">Loading history…</div>;
+  }
+
+  const comments = new Map(detail.comments.map(c => [c.id, c]));
+
+  return (
+    <div className="mt-3 p-3 bg-gray-900 rounded-lg space-y-3">
+      <ul className="space-y-2 text-xs">
+        {detail.events.length === 0 && <li className="text-gray-500">No triage activity yet</li>}
+        {detail.events.map((event) => (
+          <li key={event.id} className="text-gray-400">
+            <span className="text-gray-200">{event.actor}</span> {eventText(event)}{' '}
+            <span className="text-gray-500">{formatDistanceToNow(new Date(event.created_at), { addSuffix: true })}</span>
+            {event.action === 'commented' && comments.get(event.details?.comment_id) && (
+              <p className="mt-1 ml-3 pl-2 border-l border-gray-700 text-gray-300 whitespace-pre-wrap">
+                {comments.get(event.details.comment_id).body}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canTriage && (
+        <form onSubmit={submit} className="flex space-x-2">
+          <input
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Add a comment"
+            className="flex-1 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white placeholder-gray-500"
+          />
+          <button type="submit" className="px-3 py-1 text-xs bg-gray-600 text-white rounded hover:bg-gray-500">
+            Comment
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Status, assignee and triage actions for one alert card. Actions show for
+ * callers with write:triage; history needs read:security.
+ */
+export default function AlertTriage({ alert, me, assignees, onChanged }) {
+  const [panel, setPanel] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const scopes = me?.scopes || [];
+  const canRead = scopes.includes('read:security') || scopes.includes('admin');
+  const canTriage = scopes.includes('write:triage') || scopes.includes('admin');
+  const status = statusConfig[alert.status] || statusConfig.new;
+
+  const act = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+      onChanged();
+    } catch (error) {
+      console.error('Triage action failed:', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-4">
+        <div className="flex items-center space-x-2 text-xs">
+          <span className={`px-2 py-1 rounded-full font-medium ${status.badge}`}>{status.label}</span>
+          {canRead && (
+            <span className="text-gray-400">
+              {alert.assignee_id ? `Assigned to ${alert.assignee_name || alert.assignee_email}` : 'Unassigned'}
+            </span>
+          )}
+          {alert.comment_count > 0 && <span className="text-gray-500">{alert.comment_count} comments</span>}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {canTriage && (nextActions[alert.status] || []).map(([next, label]) => (
+            <button
+              key={next}
+              disabled={isBusy}
+              onClick={() => act(() => api.setAlertStatus(alert.id, next))}
+              className={`px-3 py-1 text-xs text-white rounded transition-colors disabled:opacity-50 ${
+                next === 'resolved' ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-500'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {canTriage && (
+            <select
+              value={alert.assignee_id || ''}
+              disabled={isBusy}
+              onChange={(e) => act(() => api.assignAlert(alert.id, e.target.value ? Number(e.target.value) : null))}
+              className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs text-white"
+            >
+              <option value="">Unassigned</option>
+              {assignees.map((user) => (
+                <option key={user.id} value={user.id}>
+                  {user.id === me?.user?.id ? `Me (${user.name || user.email})` : user.name || user.email}
+                </option>
+              ))}
+            </select>
+          )}
+          {canTriage && !alert.resolved && (
+            <button
+              onClick={() => togglePanel('suppress')}
+              className="px-3 py-1 text-xs bg-purple-700 text-white rounded hover:bg-purple-600 transition-colors"
+            >
+              Suppress similar
+            </button>
+          )}
+          {canRead && (
+            <button
+              onClick={() => togglePanel('history')}
+              className="px-3 py-1 text-xs bg-gray-700 text-white rounded hover:bg-gray-600 transition-colors"
+            >
+              {panel === 'history' ? 'Hide history' : 'History'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {panel === 'suppress' && (
+        <SuppressForm alert={alert} onDone={() => { setPanel(null); onChanged(); }} />
+      )}
+      {panel === 'history' && (
+        <AlertHistory alertId={alert.id} canTriage={canTriage} onCommented={onChanged} />
+      )}
+    </div>
+  );
+}
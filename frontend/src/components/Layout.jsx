@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import {
   ChartBarIcon,
   ShieldCheckIcon,
@@ -7,7 +7,9 @@ import {
   TrendingUpIcon,
   Cog6ToothIcon,
   BoltIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  PuzzlePieceIcon,
+  MagnifyingGlassIcon
 } from '@heroicons/react/24/outline';
 import { motion } from 'framer-motion';
 import { useSystemStats } from '../hooks/useSystemStats';
@@ -16,20 +18,40 @@ const navigation = [
   { name: 'Dashboard', href: '/', icon: ChartBarIcon },
   { name: 'Agents', href: '/agents', icon: UserGroupIcon },
   { name: 'Security', href: '/security', icon: ShieldCheckIcon },
+  { name: 'Skills', href: '/skills', icon: PuzzlePieceIcon },
   { name: 'Analytics', href: '/analytics', icon: TrendingUpIcon },
   { name: 'Trends', href: '/trends', icon: BoltIcon },
+  { name: 'Operations', href: '/operations', icon: Cog6ToothIcon },
 ];
 
 export default function Layout({ children }) {
   const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { stats, isLoading, error } = useSystemStats();
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [searchText, setSearchText] = useState('');
 
   useEffect(() => {
     const timer = setInterval(() => setCurrentTime(new Date()), 1000);
     return () => clearInterval(timer);
   }, []);
 
+  // Keep the box in step with the search page's query
+  useEffect(() => {
+    if (location.pathname === '/search') {
+      setSearchText(searchParams.get('q') || '');
+    }
+  }, [location.pathname, searchParams]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchText.trim();
+    if (q) {
+      navigate(`/search?q=${encodeURIComponent(q)}`);
+    }
+  };
+
   const formatTime = (date) => {
     return date.toLocaleTimeString('en-US', {
       hour12: false,
@@ -130,7 +152,9 @@ export default function Layout({ children }) {
           <div className="flex items-center justify-between">
             <div>
               <h1 className="text-xl font-bold text-white">
-                {navigation.find(item => item.href === location.pathname)?.name || 'Agent Intelligence Hub'}
+                {location.pathname === '/search'
+                  ? 'Search'
+                  : navigation.find(item => item.href === location.pathname)?.name || 'Agent Intelligence Hub'}
               </h1>
               <p className="text-sm text-gray-400">
                 Real-time monitoring and analysis of the autonomous agent ecosystem
@@ -139,6 +163,17 @@ export default function Layout({ children }) {
             
             {/* System Indicators */}
             <div className="flex items-center space-x-4">
+              <form onSubmit={handleSearch} className="relative">
+                <MagnifyingGlassIcon className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="search"
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  placeholder="Search posts, agents, skills, alerts…"
+                  className="w-72 bg-gray-900 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-blue-500"
+                />
+              </form>
+
               {stats?.collectors && (
                 <div className="flex items-center space-x-2">
                   <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { KeyIcon } from '@heroicons/react/24/outline';
+import { api, authToken } from '../utils/api';
+
+/**
+ * Sign in with email and password, or paste an API key (or the server's
+ * ADMIN_API_TOKEN). Either way the token is stored for every API request.
+ */
+export default function SignIn({ title, description, onSignedIn }) {
+  const [mode, setMode] = useState('password');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [token, setToken] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+
+    if (mode === 'token') {
+      if (!token) return;
+      authToken.set(token.trim());
+      onSignedIn();
+      return;
+    }
+
+    if (!email || !password) return;
+    try {
+      setIsSubmitting(true);
+      const response = await api.login(email, password);
+      authToken.set(response.data.token);
+      onSignedIn();
+    } catch (error) {
+      console.error('Sign-in failed:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white placeholder-gray-400';
+
+  return (
+    <form onSubmit={submit} className="bg-gray-800 rounded-xl p-6 border border-gray-700 max-w-lg space-y-4">
+      <div className="flex items-center space-x-2">
+        <KeyIcon className="w-5 h-5 text-yellow-400" />
+        <h3 className="text-lg font-semibold text-white">{title}</h3>
+      </div>
+      <p className="text-sm text-gray-400">{description}</p>
+
+      {mode === 'password' ? (
+        <>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="username"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+        </>
+      ) : (
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="API key or admin token"
+          className={inputClass}
+        />
+      )}
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'password' ? 'token' : 'password')}
+          className="text-sm text-gray-400 hover:text-white"
+        >
+          {mode === 'password' ? 'Use an API key instead' : 'Sign in with email instead'}
+        </button>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {mode === 'password' ? 'Sign in' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import { api } from '../utils/api';
+
+const FINISHED = ['completed', 'failed', 'skipped'];
+
+/**
+ * Trigger a collector/analyzer job through the admin API and follow it
+ * until it finishes. onFinished receives the final job record.
+ */
+export function useJobRun(name, { onFinished, pollMs = 3000 } = {}) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const poll = async (jobId) => {
+    try {
+      const response = await api.getJobRun(jobId);
+      const current = response.data.live || response.data.run;
+      setJob(current);
+
+      if (FINISHED.includes(current.status)) {
+        onFinished?.(current);
+        return;
+      }
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    timer.current = setTimeout(() => poll(jobId), pollMs);
+  };
+
+  // Resolves to false if the job could not be queued (e.g. no admin token)
+  const trigger = async () => {
+    try {
+      setError(null);
+      const response = await api.runJob(name);
+      setJob(response.data.job);
+      poll(response.data.job.id);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const isActive = Boolean(job) && !FINISHED.includes(job.status);
+
+  return { job, isActive, error, trigger };
+}
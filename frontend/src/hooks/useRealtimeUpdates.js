@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import io from 'socket.io-client';
+import { authToken } from '../utils/api';
 
 export function useRealtimeUpdates() {
   const [socket, setSocket] = useState(null);
@@ -11,13 +12,22 @@ export function useRealtimeUpdates() {
     // Initialize socket connection
     const socketInstance = io('http://localhost:3000', {
       transports: ['websocket', 'polling'],
+      auth: (cb) => cb({ token: authToken.get() }),
     });
 
     socketInstance.on('connect', () => {
       setConnectionStatus('connected');
+      // Security alerts need read:security; the server ignores the request otherwise
+      socketInstance.emit('subscribe', ['security']);
       console.log('Real-time connection established');
     });
 
+    // Rejected handshake, e.g. an expired session token
+    socketInstance.on('connect_error', (error) => {
+      setConnectionStatus('disconnected');
+      console.warn('Real-time connection refused:', error.message);
+    });
+
     socketInstance.on('disconnect', () => {
       setConnectionStatus('disconnected');
       console.log('Real-time connection lost');
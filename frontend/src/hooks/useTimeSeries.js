@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+
+export function useTimeSeries(kind, id, { interval = 'hour', from, to, refreshMs = 300000 } = {}) {
+  const [series, setSeries] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSeries = async () => {
+    try {
+      setError(null);
+      const response = await api.getTimeSeries(kind, id, { interval, from, to });
+      setSeries(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error(`Failed to fetch ${kind} time series:`, err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (id === undefined || id === null) return undefined;
+
+    fetchSeries();
+
+    // Samples land every 15 minutes; refresh every 5 by default
+    const interval = setInterval(fetchSeries, refreshMs);
+
+    return () => clearInterval(interval);
+  }, [kind, id, interval, from, to]);
+
+  return { series, isLoading, error, refetch: fetchSeries };
+}
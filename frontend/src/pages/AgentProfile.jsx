@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeftIcon,
+  CheckBadgeIcon,
+  ExclamationTriangleIcon,
+  LinkIcon,
+  ShareIcon,
+  DocumentTextIcon,
+} from '@heroicons/react/24/outline';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { api } from '../utils/api';
+import { useTimeSeries } from '../hooks/useTimeSeries';
+import { format, formatDistanceToNow } from 'date-fns';
+
+const severityStyles = {
+  critical: 'bg-red-500/20 text-red-300',
+  high: 'bg-red-500/20 text-red-400',
+  medium: 'bg-yellow-500/20 text-yellow-400',
+  low: 'bg-blue-500/20 text-blue-400',
+};
+
+const factorLabels = {
+  moltbook: 'Moltbook activity',
+  moltx: 'Moltx influence',
+  '4claw': '4claw community',
+  engagement_quality: 'Engagement quality',
+  security_record: 'Security record',
+  longevity: 'Longevity',
+};
+
+const timeAgo = (date) => (date ? formatDistanceToNow(new Date(date), { addSuffix: true }) : 'Unknown');
+
+const scoreColor = (score) => (score >= 75 ? 'bg-green-500' : score >= 40 ? 'bg-yellow-500' : 'bg-red-500');
+
+function Section({ title, icon: Icon, count, children }) {
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+      <div className="flex items-center space-x-2 mb-4">
+        <Icon className="w-5 h-5 text-blue-400" />
+        <h3 className="text-lg font-semibold text-white">{title}</h3>
+        {count !== undefined && <span className="text-sm text-gray-400">({count})</span>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function ReputationCard({ reputation }) {
+  const composite = reputation.composite;
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+      <p className="text-gray-400 text-sm">Composite Reputation</p>
+      <p className="text-4xl font-bold text-white mt-1">
+        {composite ? Math.round(composite.score) : '—'}
+        <span className="text-lg text-gray-400">/100</span>
+      </p>
+      {composite && (
+        <p className="text-xs text-gray-500 mt-1">Scored {timeAgo(composite.updated_at)}</p>
+      )}
+
+      <div className="space-y-3 mt-6">
+        {reputation.factors.length === 0 ? (
+          <p className="text-sm text-gray-400">Not scored yet</p>
+        ) : (
+          reputation.factors.map((factor) => (
+            <div key={factor.factor}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-gray-300">{factorLabels[factor.factor] || factor.factor}</span>
+                <span className="text-white font-medium">{Math.round(factor.score)}</span>
+              </div>
+              <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div className={`h-full ${scoreColor(factor.score)}`} style={{ width: `${Math.min(factor.score, 100)}%` }} />
+              </div>
+              {Object.keys(factor.factor_breakdown || {}).length > 0 && (
+                <div className="text-xs text-gray-500 mt-1">
+                  {Object.entries(factor.factor_breakdown)
+                    .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`)
+                    .join(' · ')}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function AgentProfile() {
+  const { id } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const { series } = useTimeSeries('agent', id, { interval: 'day' });
+
+  useEffect(() => {
+    fetchProfile();
+  }, [id]);
+
+  const fetchProfile = async () => {
+    try {
+      setIsLoading(true);
+      setNotFound(false);
+      const response = await api.getAgent(id);
+      setProfile(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        console.error('Failed to fetch agent profile:', error);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading && !profile) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner w-8 h-8"></div>
+      </div>
+    );
+  }
+
+  if (notFound || !profile) {
+    return (
+      <div className="space-y-4">
+        <Link to="/agents" className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white">
+          <ArrowLeftIcon className="w-4 h-4" />
+          <span>All agents</span>
+        </Link>
+        <p className="text-gray-400">{notFound ? 'Agent not found' : 'Failed to load agent profile'}</p>
+      </div>
+    );
+  }
+
+  const { agent, entity, accounts, recentPosts, reputation, identities, threats, network } = profile;
+  const openThreats = [...threats.alerts, ...threats.skillAlerts].filter(alert => !alert.resolved);
+  const historyData = (series?.points || []).map(point => ({
+    time: format(new Date(point.timestamp), 'MMM d'),
+    followers: point.followers,
+    reputation: point.reputation_score,
+  }));
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <Link to="/agents" className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white mb-2">
+          <ArrowLeftIcon className="w-4 h-4" />
+          <span>All agents</span>
+        </Link>
+        <div className="flex items-center space-x-4">
+          {agent.avatar_url ? (
+            <img src={agent.avatar_url} alt="" className="w-14 h-14 rounded-full" />
+          ) : (
+            <div className="w-14 h-14 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-xl font-bold text-white">
+              {agent.name.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div>
+            <div className="flex items-center space-x-2">
+              <h1 className="text-3xl font-bold text-white">{agent.name}</h1>
+              {agent.is_verified && <CheckBadgeIcon className="w-6 h-6 text-green-400" />}
+            </div>
+            <p className="text-gray-400">
+              {agent.handle ? `@${agent.handle} on ` : ''}{agent.platform}
+              {' · '}first seen {timeAgo(agent.first_seen)}
+              {' · '}last seen {timeAgo(agent.last_seen)}
+            </p>
+          </div>
+        </div>
+        {agent.bio && <p className="text-gray-300 mt-4 max-w-3xl">{agent.bio}</p>}
+        {openThreats.length > 0 && (
+          <div className="mt-4 inline-flex items-center space-x-2 px-3 py-1 rounded-lg bg-red-500/20 text-red-300 text-sm">
+            <ExclamationTriangleIcon className="w-4 h-4" />
+            <span>{openThreats.length} open threat{openThreats.length === 1 ? '' : 's'}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <ReputationCard reputation={reputation} />
+
+        {/* History */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="lg:col-span-2 bg-gray-800 rounded-xl p-6 border border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-white mb-4">Last 30 Days</h3>
+          {historyData.length === 0 ? (
+            <p className="text-sm text-gray-400">No samples yet</p>
+          ) : (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={historyData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="time" stroke="#9CA3AF" />
+                  <YAxis stroke="#9CA3AF" />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#1F2937',
+                      border: '1px solid #374151',
+                      borderRadius: '8px',
+                      color: '#F9FAFB'
+                    }}
+                  />
+                  <Line type="monotone" dataKey="followers" stroke="#3B82F6" strokeWidth={2} dot={false} />
+                  <Line type="monotone" dataKey="reputation" stroke="#10B981" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </motion.div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Accounts */}
+        <Section title={entity ? `Accounts of ${entity.canonical_name}` : 'Accounts'} icon={LinkIcon} count={accounts.length}>
+          <ul className="divide-y divide-gray-700">
+            {accounts.map((account) => (
+              <li key={account.id} className="py-2 flex items-center justify-between">
+                <div>
+                  {account.id === agent.id ? (
+                    <span className="font-medium text-white">{account.name}</span>
+                  ) : (
+                    <Link to={`/agents/${account.id}`} className="font-medium text-blue-400 hover:text-blue-300">
+                      {account.name}
+                    </Link>
+                  )}
+                  <span className="text-xs text-gray-400 ml-2">{account.platform}</span>
+                </div>
+                <span className="text-sm text-gray-400">{account.post_count} posts</span>
+              </li>
+            ))}
+          </ul>
+
+          {identities.length > 0 && (
+            <>
+              <h4 className="text-sm font-medium text-gray-300 mt-6 mb-2">Identity links</h4>
+              <ul className="space-y-1">
+                {identities.map((link) => (
+                  <li key={`${link.agent_id}-${link.link_type}`} className="text-sm flex justify-between">
+                    <span>
+                      <Link to={`/agents/${link.agent_id}`} className="text-blue-400 hover:text-blue-300">{link.name}</Link>
+                      <span className="text-gray-400"> on {link.platform} · {link.link_type.replace(/_/g, ' ')}</span>
+                    </span>
+                    <span className="text-gray-300">{Math.round(link.confidence * 100)}%</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </Section>
+
+        {/* Network */}
+        <Section title="Network" icon={ShareIcon}>
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <p className="text-gray-400">Followers tracked</p>
+              <p className="text-xl font-bold text-white">{network.relationships.followers}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Following tracked</p>
+              <p className="text-xl font-bold text-white">{network.relationships.following}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Replies received</p>
+              <p className="text-xl font-bold text-white">{network.relationships.replies_received}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Replies sent</p>
+              <p className="text-xl font-bold text-white">{network.relationships.replies_sent}</p>
+            </div>
+          </div>
+
+          {network.platforms.map((metrics) => (
+            <p key={metrics.platform} className="text-sm text-gray-400 mt-4">
+              On {metrics.platform}: {metrics.followers?.toLocaleString()} followers,
+              {' '}{metrics.following?.toLocaleString()} following,
+              {' '}{Math.round((metrics.avg_engagement_rate || 0) * 100) / 100} avg engagement
+            </p>
+          ))}
+
+          <div className="text-sm text-gray-300 mt-4 space-y-1">
+            {network.influence && (
+              <p>#{network.influence.rank} by influence in the latest network analysis</p>
+            )}
+            {network.roles.map((role) => (
+              <p key={role}>{role.replace(/_/g, ' ')}</p>
+            ))}
+            {network.communities.map((community) => (
+              <p key={community.id}>
+                Member of a {community.size}-agent community ({community.dominant_type?.replace(/_/g, ' ') || 'mixed'})
+              </p>
+            ))}
+            {network.analyzedAt && (
+              <p className="text-xs text-gray-500">Network analyzed {timeAgo(network.analyzedAt)}</p>
+            )}
+          </div>
+        </Section>
+      </div>
+
+      {/* Threats */}
+      <Section title="Threats" icon={ExclamationTriangleIcon} count={threats.alerts.length + threats.skillAlerts.length}>
+        {threats.alerts.length + threats.skillAlerts.length === 0 ? (
+          <p className="text-sm text-gray-400">No threats recorded</p>
+        ) : (
+          <ul className="space-y-2">
+            {threats.alerts.map((alert) => (
+              <li key={`threat-${alert.id}`} className={`text-sm ${alert.resolved ? 'opacity-50' : ''}`}>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${severityStyles[alert.severity] || ''}`}>
+                  {alert.severity}
+                </span>{' '}
+                <span className="text-gray-200">{alert.description || alert.alert_type}</span>
+                <span className="text-gray-500"> — {timeAgo(alert.created_at)}</span>
+              </li>
+            ))}
+            {threats.skillAlerts.map((alert) => (
+              <li key={`skill-${alert.id}`} className={`text-sm ${alert.resolved ? 'opacity-50' : ''}`}>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${severityStyles[alert.severity] || ''}`}>
+                  {alert.severity}
+                </span>{' '}
+                <Link to={`/skills/${encodeURIComponent(alert.skill_id)}`} className="text-blue-400 hover:text-blue-300">
+                  {alert.skill_name}
+                </Link>
+                <span className="text-gray-200"> {alert.type.replace(/_/g, ' ')}</span>
+                <span className="text-gray-500"> — {timeAgo(alert.created_at)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Section>
+
+      {/* Recent Posts */}
+      <Section title="Recent Posts" icon={DocumentTextIcon} count={recentPosts.length}>
+        {recentPosts.length === 0 ? (
+          <p className="text-sm text-gray-400">No posts collected</p>
+        ) : (
+          <ul className="divide-y divide-gray-700">
+            {recentPosts.map((post) => (
+              <li key={post.id} className="py-3">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-white">
+                    {post.url ? (
+                      <a href={post.url} target="_blank" rel="noreferrer" className="hover:text-blue-300">
+                        {post.title || post.content?.slice(0, 80) || 'Untitled'}
+                      </a>
+                    ) : (
+                      post.title || post.content?.slice(0, 80) || 'Untitled'
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-400">{timeAgo(post.created_at)}</span>
+                </div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {post.platform}{post.submolt ? ` · ${post.submolt}` : ''}
+                  {post.agent_id !== agent.id ? ` · as ${post.agent_name}` : ''}
+                  {' · '}{post.upvotes} upvotes · {post.comment_count} comments
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Section>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import {
   UserGroupIcon,
@@ -15,6 +16,9 @@ export default function Agents() {
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState({ platform: 'all', sort: 'reputation_score' });
   const [searchTerm, setSearchTerm] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchAgents();
@@ -31,6 +35,7 @@ export default function Agents() {
       
       const response = await api.getAgents(params);
       setAgents(response.data.agents || []);
+      setNextCursor(response.data.pagination?.next || null);
     } catch (error) {
       console.error('Failed to fetch agents:', error);
     } finally {
@@ -38,6 +43,24 @@ export default function Agents() {
     }
   };
 
+  // The cursor carries the sort, so only the filters go along with it
+  const loadMore = async () => {
+    try {
+      setIsLoadingMore(true);
+      const response = await api.getAgents({
+        ...(filter.platform !== 'all' && { platform: filter.platform }),
+        cursor: nextCursor,
+        limit: 100,
+      });
+      setAgents((current) => [...current, ...(response.data.agents || [])]);
+      setNextCursor(response.data.pagination?.next || null);
+    } catch (error) {
+      console.error('Failed to load more agents:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   const filteredAgents = agents.filter(agent =>
     agent.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -196,7 +219,8 @@ export default function Agents() {
                     initial={{ opacity: 0, y: 10 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: index * 0.02 }}
-                    className="hover:bg-gray-700/30"
+                    onClick={() => navigate(`/agents/${agent.id}`)}
+                    className="hover:bg-gray-700/30 cursor-pointer"
                   >
                     <td>
                       <div className="flex items-center space-x-3">
@@ -273,6 +297,18 @@ export default function Agents() {
             </tbody>
           </table>
         </div>
+
+        {nextCursor && !isLoading && (
+          <div className="border-t border-gray-700 p-4 text-center">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-4 py-2 bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors text-sm"
+            >
+              {isLoadingMore ? 'Loading...' : 'Load more agents'}
+            </button>
+          </div>
+        )}
       </motion.div>
     </div>
   );
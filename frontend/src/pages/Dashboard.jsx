@@ -27,28 +27,38 @@ import {
 import { useSystemStats } from '../hooks/useSystemStats';
 import { useTrends } from '../hooks/useTrends';
 import { useRealtimeUpdates } from '../hooks/useRealtimeUpdates';
+import { useTimeSeries } from '../hooks/useTimeSeries';
 
 const COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6'];
 
+function formatChange(percent) {
+  if (percent === null || percent === undefined) return '—';
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
 export default function Dashboard() {
   const { stats, isLoading: statsLoading } = useSystemStats();
   const { trends, isLoading: trendsLoading } = useTrends();
   const { lastUpdate, connectionStatus } = useRealtimeUpdates();
+  const { series: activitySeries } = useTimeSeries('platform', 'all', {
+    interval: 'hour',
+    from: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 13) + ':00:00Z'
+  });
 
   const statCards = [
     {
       name: 'Active Agents',
       value: stats?.agents || 0,
-      change: '+12%',
-      changeType: 'increase',
+      change: formatChange(stats?.growth?.agentsChange),
+      changeType: (stats?.growth?.agentsChange ?? 0) >= 0 ? 'increase' : 'decrease',
       icon: UserGroupIcon,
       color: 'blue',
     },
     {
       name: 'Posts Monitored',
       value: stats?.posts || 0,
-      change: '+8%',
-      changeType: 'increase',
+      change: formatChange(stats?.growth?.postsChange),
+      changeType: (stats?.growth?.postsChange ?? 0) >= 0 ? 'increase' : 'decrease',
       icon: ChartBarIcon,
       color: 'green',
     },
@@ -70,15 +80,11 @@ export default function Dashboard() {
     },
   ];
 
-  // Sample activity data - in production, this would come from the API
-  const activityData = [
-    { time: '00:00', posts: 45, agents: 120 },
-    { time: '04:00', posts: 67, agents: 134 },
-    { time: '08:00', posts: 89, agents: 156 },
-    { time: '12:00', posts: 123, agents: 178 },
-    { time: '16:00', posts: 98, agents: 167 },
-    { time: '20:00', posts: 145, agents: 189 },
-  ];
+  const activityData = (activitySeries?.points || []).map(point => ({
+    time: new Date(point.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    posts: point.posts,
+    agents: point.active_agents,
+  }));
 
   const platformData = [
     { name: 'Moltbook', value: 65, color: '#3B82F6' },
@@ -178,8 +184,8 @@ export default function Dashboard() {
                     color: '#F9FAFB'
                   }} 
                 />
-                <Line type="monotone" dataKey="posts" stroke="#3B82F6" strokeWidth={2} dot={{ fill: '#3B82F6', r: 4 }} />
-                <Line type="monotone" dataKey="agents" stroke="#10B981" strokeWidth={2} dot={{ fill: '#10B981', r: 4 }} />
+                <Line type="monotone" dataKey="posts" stroke="#3B82F6" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="agents" stroke="#10B981" strokeWidth={2} dot={false} />
               </LineChart>
             </ResponsiveContainer>
           </div>
@@ -0,0 +1,446 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  PlayIcon,
+  PauseIcon,
+  QueueListIcon,
+  ServerStackIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api, authToken } from '../utils/api';
+import SignIn from '../components/SignIn';
+import { formatDistanceToNow } from 'date-fns';
+
+const statusStyles = {
+  queued: 'text-gray-300',
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  skipped: 'text-yellow-400',
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+};
+
+const timeAgo = (date) => (date ? formatDistanceToNow(new Date(date), { addSuffix: true }) : '—');
+
+const nodeColors = {
+  completed: '#4ade80',
+  failed: '#f87171',
+  skipped: '#facc15',
+};
+
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 64;
+const COLUMN_GAP = 70;
+const ROW_GAP = 18;
+
+// Stages laid out in columns by dependency depth, edges labelled by dataset
+function PipelineGraph({ pipeline, onSelect }) {
+  const columns = [];
+  for (const node of pipeline.nodes) {
+    (columns[node.layer] = columns[node.layer] || []).push(node);
+  }
+
+  const positions = {};
+  columns.forEach((column, layer) => column.forEach((node, row) => {
+    positions[node.name] = {
+      x: layer * (NODE_WIDTH + COLUMN_GAP),
+      y: row * (NODE_HEIGHT + ROW_GAP),
+    };
+  }));
+
+  const width = columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = Math.max(...columns.map(column => column.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  const stateOf = (node) => {
+    if (node.pending) return { label: 'running', color: '#60a5fa' };
+    if (node.deferred) return { label: `waiting on ${node.deferred.waitingOn.length}`, color: '#60a5fa' };
+    if (node.paused) return { label: 'paused', color: '#facc15' };
+    if (node.changedInputs.length > 0) return { label: `stale: ${node.changedInputs.join(', ')}`, color: '#fb923c' };
+    if (!node.lastRun) return { label: 'never run', color: '#9ca3af' };
+    return { label: `${node.lastRun.status} ${timeAgo(node.lastRun.finishedAt)}`, color: nodeColors[node.lastRun.status] };
+  };
+
+  return (
+    <svg width={width} height={height} className="block">
+      {pipeline.edges.map((edge) => {
+        const from = positions[edge.from];
+        const to = positions[edge.to];
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        return (
+          <path
+            key={`${edge.from}->${edge.to}`}
+            d={`M${x1},${y1} C${x1 + COLUMN_GAP / 2},${y1} ${x2 - COLUMN_GAP / 2},${y2} ${x2},${y2}`}
+            fill="none"
+            stroke="#4b5563"
+            strokeWidth="1.5"
+          >
+            <title>{`${edge.from} → ${edge.to}${edge.datasets.length ? `: ${edge.datasets.join(', ')}` : ''}`}</title>
+          </path>
+        );
+      })}
+
+      {pipeline.nodes.map((node) => {
+        const { x, y } = positions[node.name];
+        const state = stateOf(node);
+        return (
+          <g key={node.name} transform={`translate(${x},${y})`} className="cursor-pointer" onClick={() => onSelect(node.name)}>
+            <title>
+              {[
+                node.inputs.length ? `reads ${node.inputs.join(', ')}` : 'runs on schedule',
+                node.outputs.length ? `writes ${node.outputs.join(', ')}` : null,
+              ].filter(Boolean).join('\n')}
+            </title>
+            <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" fill="#1f2937" stroke={state.color} strokeWidth="1.5" />
+            <text x="12" y="24" fill="#ffffff" fontSize="13" fontWeight="500">{node.name}</text>
+            <text x="12" y="46" fill={state.color} fontSize="11">
+              {state.label.length > 28 ? `${state.label.slice(0, 27)}…` : state.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function Operations() {
+  const [hasToken, setHasToken] = useState(Boolean(authToken.get()));
+  const [overview, setOverview] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [pipeline, setPipeline] = useState(null);
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pending, setPending] = useState({});
+
+  useEffect(() => {
+    if (!hasToken) return undefined;
+
+    fetchOperations();
+
+    // Runs move through the queue quickly; keep the view current
+    const interval = setInterval(fetchOperations, 10000);
+
+    return () => clearInterval(interval);
+  }, [hasToken, selectedJob]);
+
+  const fetchOperations = async () => {
+    try {
+      const [jobsResponse, runsResponse, pipelineResponse] = await Promise.all([
+        api.getJobs(),
+        api.getJobRuns({ name: selectedJob || undefined, limit: 50 }),
+        api.getPipeline(),
+      ]);
+      setOverview(jobsResponse.data);
+      setRuns(runsResponse.data.runs || []);
+      setPipeline(pipelineResponse.data);
+    } catch (error) {
+      console.error('Failed to fetch operations data:', error);
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        authToken.clear();
+        setHasToken(false);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const withPending = async (name, action) => {
+    setPending((current) => ({ ...current, [name]: true }));
+    try {
+      await action();
+      await fetchOperations();
+    } catch (error) {
+      console.error(`Job action on ${name} failed:`, error);
+    } finally {
+      setPending((current) => ({ ...current, [name]: false }));
+    }
+  };
+
+  const runJob = (job) => withPending(job.name, async () => {
+    const response = await api.runJob(job.name);
+    toast.success(response.data.deduplicated
+      ? `${job.name} is already ${response.data.job.status}`
+      : `${job.name} queued`);
+  });
+
+  const togglePause = (job) => withPending(job.name, async () => {
+    if (job.paused) {
+      await api.resumeJob(job.name);
+      toast.success(`${job.name} resumed`);
+    } else {
+      await api.pauseJob(job.name);
+      toast.success(`${job.name} paused`);
+    }
+  });
+
+  const signOut = () => {
+    authToken.clear();
+    setHasToken(false);
+    setOverview(null);
+    setRuns([]);
+    setPipeline(null);
+  };
+
+  if (!hasToken) {
+    return (
+      <div className="space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Operations</h1>
+          <p className="text-gray-400 mt-1">Collector and analyzer jobs</p>
+        </div>
+        <SignIn
+          title="Admin access required"
+          description="Sign in as an admin, or use an admin API key or the server's ADMIN_API_TOKEN, to manage collector and analyzer jobs."
+          onSignedIn={() => { setIsLoading(true); setHasToken(true); }}
+        />
+      </div>
+    );
+  }
+
+  const jobs = overview?.jobs || [];
+  const aliveWorkers = (overview?.workers || []).filter(worker => worker.alive).length;
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Operations</h1>
+          <p className="text-gray-400 mt-1">Trigger, pause and inspect collector and analyzer jobs</p>
+        </div>
+        <button
+          onClick={signOut}
+          className="px-4 py-2 bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors"
+        >
+          Forget token
+        </button>
+      </div>
+
+      {/* Queue Overview */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-gray-800 rounded-xl p-6 border border-gray-700"
+        >
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-gray-400 text-sm">Queued Jobs</p>
+              <p className="text-2xl font-bold text-white">{overview?.queueDepth ?? '—'}</p>
+            </div>
+            <QueueListIcon className="w-8 h-8 text-blue-400" />
+          </div>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="bg-gray-800 rounded-xl p-6 border border-gray-700"
+        >
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-gray-400 text-sm">Live Workers</p>
+              <p className={`text-2xl font-bold ${aliveWorkers > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {overview ? aliveWorkers : '—'}
+              </p>
+            </div>
+            <ServerStackIcon className="w-8 h-8 text-green-400" />
+          </div>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className="bg-gray-800 rounded-xl p-6 border border-gray-700"
+        >
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-gray-400 text-sm">Paused Schedules</p>
+              <p className="text-2xl font-bold text-yellow-400">{jobs.filter(job => job.paused).length}</p>
+            </div>
+            <PauseIcon className="w-8 h-8 text-yellow-400" />
+          </div>
+        </motion.div>
+      </div>
+
+      {/* Pipeline */}
+      {pipeline?.nodes.length > 0 && (
+        <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">Pipeline</h3>
+            <span className="text-sm text-gray-400">
+              Analyzers with inputs run when the data they read changes
+            </span>
+          </div>
+          <div className="overflow-x-auto">
+            <PipelineGraph pipeline={pipeline} onSelect={setSelectedJob} />
+          </div>
+        </div>
+      )}
+
+      {/* Jobs */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Job</th>
+                <th>Schedule</th>
+                <th>Last Run</th>
+                <th>Duration</th>
+                <th>Items</th>
+                <th>Last 7 Days</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr>
+                  <td colSpan="7" className="text-center py-8">
+                    <div className="spinner w-6 h-6 mx-auto mb-2"></div>
+                    <span className="text-gray-400">Loading jobs...</span>
+                  </td>
+                </tr>
+              ) : jobs.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center py-8 text-gray-400">
+                    No jobs registered yet. Start a worker with npm run worker.
+                  </td>
+                </tr>
+              ) : (
+                jobs.map((job) => (
+                  <tr
+                    key={job.name}
+                    onClick={() => setSelectedJob(selectedJob === job.name ? null : job.name)}
+                    className={`cursor-pointer ${selectedJob === job.name ? 'bg-blue-900/20' : 'hover:bg-gray-700/30'}`}
+                  >
+                    <td>
+                      <div className="font-medium text-white">{job.name}</div>
+                      <div className="text-xs text-gray-400">{job.className}</div>
+                    </td>
+                    <td>
+                      <div className="font-mono text-sm text-gray-300">{job.schedule}</div>
+                      {job.inputs.length > 0 && (
+                        <div className="text-xs text-gray-400">when {job.inputs.join(', ')} change</div>
+                      )}
+                      {job.dependsOn.length > 0 && (
+                        <div className="text-xs text-gray-400">after {job.dependsOn.join(', ')}</div>
+                      )}
+                      {job.deferred && (
+                        <div className="text-xs text-blue-400">Waiting on {job.deferred.waitingOn.join(', ')}</div>
+                      )}
+                      {job.paused && (
+                        <div className="text-xs text-yellow-400">
+                          Paused {timeAgo(job.pause?.pausedAt)}{job.pause?.pausedBy && ` by ${job.pause.pausedBy}`}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {job.lastRun ? (
+                        <>
+                          <div className={`text-sm font-medium ${statusStyles[job.lastRun.status]}`}>
+                            {job.lastRun.status}
+                          </div>
+                          <div className="text-xs text-gray-400">{timeAgo(job.lastRun.finishedAt)}</div>
+                        </>
+                      ) : (
+                        <span className="text-gray-500 text-sm">Never</span>
+                      )}
+                    </td>
+                    <td className="text-sm text-gray-300">{formatDuration(job.lastRun?.durationMs)}</td>
+                    <td className="text-sm text-gray-300">{job.lastRun?.itemsProcessed ?? '—'}</td>
+                    <td className="text-sm">
+                      <span className="text-green-400">{job.lastWeek.completed}</span>
+                      <span className="text-gray-500"> / </span>
+                      <span className="text-red-400">{job.lastWeek.failed}</span>
+                    </td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <div className="flex items-center justify-end space-x-2">
+                        <button
+                          onClick={() => runJob(job)}
+                          disabled={pending[job.name]}
+                          className="flex items-center space-x-1 px-3 py-1 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                          <PlayIcon className="w-4 h-4" />
+                          <span>Run now</span>
+                        </button>
+                        <button
+                          onClick={() => togglePause(job)}
+                          disabled={pending[job.name]}
+                          className="flex items-center space-x-1 px-3 py-1 bg-gray-700 text-gray-200 text-sm rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+                        >
+                          {job.paused ? <PlayIcon className="w-4 h-4" /> : <PauseIcon className="w-4 h-4" />}
+                          <span>{job.paused ? 'Resume' : 'Pause'}</span>
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Run History */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-700 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-white">
+            Run History{selectedJob && <span className="text-gray-400 font-normal"> — {selectedJob}</span>}
+          </h3>
+          {selectedJob && (
+            <button onClick={() => setSelectedJob(null)} className="text-sm text-gray-400 hover:text-white">
+              Show all jobs
+            </button>
+          )}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Job</th>
+                <th>Trigger</th>
+                <th>Status</th>
+                <th>Queued</th>
+                <th>Duration</th>
+                <th>Items</th>
+                <th>Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center py-8 text-gray-400">No runs recorded</td>
+                </tr>
+              ) : (
+                runs.map((run) => (
+                  <tr key={run.jobId}>
+                    <td className="text-sm text-white">{run.name}</td>
+                    <td className="text-sm text-gray-300">
+                      {run.trigger}{run.requestedBy && <span className="text-gray-500"> ({run.requestedBy})</span>}
+                    </td>
+                    <td className={`text-sm font-medium ${statusStyles[run.status]}`}>{run.status}</td>
+                    <td className="text-sm text-gray-400">{timeAgo(run.queuedAt)}</td>
+                    <td className="text-sm text-gray-300">{formatDuration(run.durationMs)}</td>
+                    <td className="text-sm text-gray-300">{run.itemsProcessed ?? '—'}</td>
+                    <td className="text-sm text-red-300 max-w-xs truncate" title={run.error || ''}>{run.error || ''}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
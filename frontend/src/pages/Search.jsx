@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  MagnifyingGlassIcon,
+  ChatBubbleLeftRightIcon,
+  UserIcon,
+  PuzzlePieceIcon,
+  ShieldExclamationIcon,
+  ExclamationTriangleIcon,
+  ArrowTopRightOnSquareIcon,
+} from '@heroicons/react/24/outline';
+import { api } from '../utils/api';
+import { formatDistanceToNow } from 'date-fns';
+
+const typeInfo = {
+  post: { label: 'Posts', icon: ChatBubbleLeftRightIcon, tone: 'text-blue-400' },
+  agent: { label: 'Agents', icon: UserIcon, tone: 'text-green-400' },
+  skill: { label: 'Skills', icon: PuzzlePieceIcon, tone: 'text-purple-400' },
+  security_alert: { label: 'Security alerts', icon: ShieldExclamationIcon, tone: 'text-red-400' },
+  threat_alert: { label: 'Threat alerts', icon: ExclamationTriangleIcon, tone: 'text-orange-400' },
+};
+
+const severityBadge = {
+  critical: 'bg-red-900 text-red-200',
+  high: 'bg-red-800/60 text-red-300',
+  medium: 'bg-yellow-800/60 text-yellow-300',
+  low: 'bg-blue-800/60 text-blue-300',
+};
+
+// URL parameter each facet filters on
+const facetParams = {
+  type: 'types',
+  platform: 'platform',
+  community: 'submolt',
+  severity: 'severity',
+};
+
+const facetTitles = {
+  type: 'Type',
+  platform: 'Platform',
+  community: 'Submolt / board',
+  severity: 'Severity',
+};
+
+/**
+ * Render a ts_headline snippet, turning <mark> pairs into highlights.
+ * Everything else is rendered as text.
+ */
+function Highlight({ text }) {
+  if (!text) return null;
+  return text.split(/(<mark>.*?<\/mark>)/g).map((part, i) =>
+    part.startsWith('<mark>') ? (
+      <mark key={i} className="bg-yellow-500/30 text-yellow-100 rounded px-0.5">
+        {part.slice(6, -7)}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{part}</React.Fragment>
+    )
+  );
+}
+
+function resultLink(result) {
+  switch (result.type) {
+    case 'agent':
+      return `/agents/${result.id}`;
+    case 'skill':
+      return `/skills/${encodeURIComponent(result.skill_id)}`;
+    case 'security_alert':
+      return result.skill_id ? `/skills/${encodeURIComponent(result.skill_id)}` : '/security';
+    case 'threat_alert':
+      return result.agent_id ? `/agents/${result.agent_id}` : '/security';
+    default:
+      return null;
+  }
+}
+
+function ResultCard({ result }) {
+  const info = typeInfo[result.type];
+  const link = resultLink(result);
+  const title = <Highlight text={result.title || result.snippet?.slice(0, 80) || `${info.label} #${result.id}`} />;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 border border-gray-700 hover:border-gray-600 transition-colors">
+      <div className="flex items-start space-x-3">
+        <info.icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${info.tone}`} />
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between">
+            {link ? (
+              <Link to={link} className="font-medium text-white hover:text-blue-400 truncate">{title}</Link>
+            ) : result.url ? (
+              <a href={result.url} target="_blank" rel="noopener noreferrer" className="font-medium text-white hover:text-blue-400 truncate inline-flex items-center">
+                {title}
+                <ArrowTopRightOnSquareIcon className="w-4 h-4 ml-1 text-gray-500" />
+              </a>
+            ) : (
+              <span className="font-medium text-white truncate">{title}</span>
+            )}
+            {result.severity && (
+              <span className={`ml-2 px-2 py-0.5 rounded text-xs font-medium ${severityBadge[result.severity] || 'bg-gray-700 text-gray-300'}`}>
+                {result.severity.toUpperCase()}
+              </span>
+            )}
+          </div>
+
+          {result.snippet && (
+            <p className="text-sm text-gray-300 mt-1 line-clamp-3">
+              <Highlight text={result.snippet} />
+            </p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-x-3 mt-2 text-xs text-gray-500">
+            <span className="capitalize">{result.platform}</span>
+            {result.community && <span>{result.platform === '4claw' ? `/${result.community}/` : `m/${result.community}`}</span>}
+            {result.agent_name && result.agent_id && (
+              <Link to={`/agents/${result.agent_id}`} className="hover:text-blue-400">{result.agent_name}</Link>
+            )}
+            {result.type === 'post' && <span>{result.upvotes} upvotes · {result.comment_count} comments</span>}
+            {result.type === 'agent' && <span>Reputation {result.reputation_score}</span>}
+            {result.type === 'skill' && <span>by {result.author || 'unknown'} · {result.downloads?.toLocaleString()} downloads</span>}
+            {result.resolved && <span className="text-green-500">Resolved</span>}
+            {result.created_at && (
+              <span>{formatDistanceToNow(new Date(result.created_at), { addSuffix: true })}</span>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const q = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page') || '1');
+
+  useEffect(() => {
+    if (q.trim()) {
+      fetchResults();
+    } else {
+      setResults(null);
+    }
+  }, [searchParams]);
+
+  const fetchResults = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await api.search(Object.fromEntries(searchParams));
+      setResults(response.data);
+    } catch (err) {
+      console.error('Search failed:', err);
+      setError(err.response?.data?.error || 'Search failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === '') {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const toggleFacet = (facet, value) => {
+    const param = facetParams[facet];
+    const selected = (searchParams.get(param) || '').split(',').filter(Boolean);
+    const next = selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value];
+    updateParams({ [param]: next.join(',') });
+  };
+
+  const isSelected = (facet, value) =>
+    (searchParams.get(facetParams[facet]) || '').split(',').includes(value);
+
+  if (!q.trim()) {
+    return (
+      <div className="text-center py-16">
+        <MagnifyingGlassIcon className="w-12 h-12 text-gray-600 mx-auto mb-4" />
+        <p className="text-gray-400">Search posts, agents, skills and alerts from the box above.</p>
+        <p className="text-gray-500 text-sm mt-2">Use "quoted phrases", -exclusions and OR.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      {/* Facets */}
+      <div className="space-y-4">
+        {['type', 'platform', 'community', 'severity'].map((facet) => {
+          const counts = results?.facets?.[facet] || {};
+          const values = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+          if (values.length === 0) return null;
+
+          return (
+            <div key={facet} className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">{facetTitles[facet]}</h3>
+              <ul className="space-y-1">
+                {values.slice(0, 12).map(([value, count]) => (
+                  <li key={value}>
+                    <label className="flex items-center justify-between text-sm text-gray-300 cursor-pointer hover:text-white">
+                      <span className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={isSelected(facet, value)}
+                          onChange={() => toggleFacet(facet, value)}
+                          className="rounded bg-gray-700 border-gray-600"
+                        />
+                        <span className="capitalize">{facet === 'type' ? typeInfo[value]?.label || value : value}</span>
+                      </span>
+                      <span className="text-gray-500">{count}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+
+        <div className="bg-gray-800 rounded-lg p-4 border border-gray-700 space-y-2">
+          <h3 className="text-sm font-semibold text-gray-300">Date range</h3>
+          <input
+            type="date"
+            value={searchParams.get('from') || ''}
+            onChange={(e) => updateParams({ from: e.target.value })}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+          />
+          <input
+            type="date"
+            value={searchParams.get('to') || ''}
+            onChange={(e) => updateParams({ to: e.target.value })}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+          />
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="lg:col-span-3 space-y-4">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-400">
+            {isLoading
+              ? 'Searching…'
+              : results
+                ? `${results.pagination.total.toLocaleString()} results for "${results.query}"`
+                : ''}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/30 border border-red-700 rounded-lg p-4 text-red-300 text-sm">{error}</div>
+        )}
+
+        {results?.results.length === 0 && !isLoading && (
+          <div className="text-center py-12 text-gray-400">No matches</div>
+        )}
+
+        {results?.results.map((result, index) => (
+          <motion.div
+            key={`${result.type}-${result.id}`}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.02 }}
+          >
+            <ResultCard result={result} />
+          </motion.div>
+        ))}
+
+        {results?.pagination.pages > 1 && (
+          <div className="flex items-center justify-center space-x-4 pt-2">
+            <button
+              onClick={() => updateParams({ page: String(page - 1) })}
+              disabled={page <= 1}
+              className="px-3 py-1 rounded bg-gray-800 border border-gray-700 text-sm text-gray-300 disabled:opacity-40 hover:bg-gray-700"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-400">
+              Page {page} of {results.pagination.pages}
+            </span>
+            <button
+              onClick={() => updateParams({ page: String(page + 1) })}
+              disabled={page >= results.pagination.pages}
+              className="px-3 py-1 rounded bg-gray-800 border border-gray-700 text-sm text-gray-300 disabled:opacity-40 hover:bg-gray-700"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -9,7 +9,9 @@ import {
   CheckCircleIcon,
   XCircleIcon,
 } from '@heroicons/react/24/outline';
-import { api } from '../utils/api';
+import { api, authToken } from '../utils/api';
+import { useJobRun } from '../hooks/useJobRun';
+import AlertTriage from '../components/AlertTriage';
 import { formatDistanceToNow } from 'date-fns';
 
 const severityConfig = {
@@ -36,29 +38,105 @@ const severityConfig = {
   },
 };
 
+// Risk at which the scanner raises prompt-injection alerts (INJECTION_ALERT_MIN_RISK)
+const INJECTION_RISK_THRESHOLD = 40;
+
+const riskClass = (risk) => (
+  risk >= 70 ? 'bg-red-900/30 text-red-100' : risk >= INJECTION_RISK_THRESHOLD ? 'bg-yellow-900/30 text-yellow-100' : 'bg-blue-900/30 text-blue-100'
+);
+
+const viewStatuses = {
+  open: 'new,acknowledged,investigating',
+  closed: 'resolved,false_positive',
+};
+
 export default function Security() {
   const [alerts, setAlerts] = useState([]);
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [view, setView] = useState('open');
+  const [me, setMe] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [suppressions, setSuppressions] = useState([]);
+  const [injectionRisks, setInjectionRisks] = useState({ posts: [], skills: [] });
+  const scan = useJobRun('analyze:security', { onFinished: () => fetchSecurityData() });
+
+  const canTriage = me?.scopes.includes('write:triage') || me?.scopes.includes('admin');
 
   useEffect(() => {
     fetchSecurityData();
-  }, [filter]);
+  }, [filter, view]);
+
+  useEffect(() => {
+    fetchTriageContext();
+  }, []);
+
+  // Who is looking decides which triage actions, assignees and rules show
+  const fetchTriageContext = async () => {
+    try {
+      const response = await api.getMe();
+      setMe(response.data);
+      const { scopes } = response.data;
+      if (scopes.includes('read:security') || scopes.includes('admin')) {
+        const [assigneesResponse, suppressionsResponse] = await Promise.all([
+          api.getAssignees(),
+          api.getSuppressions(),
+        ]);
+        setAssignees(assigneesResponse.data.assignees || []);
+        setSuppressions(suppressionsResponse.data.rules || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch triage context:', error);
+    }
+  };
+
+  const refreshAfterTriage = () => {
+    fetchSecurityData();
+    if (canTriage) {
+      api.getSuppressions()
+        .then(response => setSuppressions(response.data.rules || []))
+        .catch(error => console.error('Failed to fetch suppression rules:', error));
+    }
+  };
+
+  const disableSuppression = async (rule) => {
+    try {
+      await api.disableSuppression(rule.id);
+      setSuppressions(current => current.filter(item => item.id !== rule.id));
+    } catch (error) {
+      console.error('Failed to disable suppression rule:', error);
+    }
+  };
+
+  // Queue a real scan; without admin access, just reload the latest results
+  const refreshScan = async () => {
+    if (!authToken.get() || !await scan.trigger()) {
+      fetchSecurityData();
+    }
+  };
 
   const fetchSecurityData = async () => {
     try {
       setIsLoading(true);
-      const [alertsResponse, statsResponse] = await Promise.all([
+      const injectionParams = { sort: 'injection_risk', min_injection_risk: INJECTION_RISK_THRESHOLD, limit: 10 };
+      const [alertsResponse, statsResponse, riskyPostsResponse, riskySkillsResponse] = await Promise.all([
         api.getSecurityAlerts({ 
           severity: filter !== 'all' ? filter : undefined,
-          resolved: false 
+          status: viewStatuses[view],
+          sort: view === 'closed' ? 'updated_at' : 'last_seen',
         }),
         api.getStats(),
+        api.getPosts(injectionParams),
+        api.getSkills(injectionParams),
       ]);
       
       setAlerts(alertsResponse.data.alerts || []);
       setStats(statsResponse.data);
+      setInjectionRisks({
+        posts: riskyPostsResponse.data.posts || [],
+        skills: riskySkillsResponse.data.skills || [],
+      });
     } catch (error) {
       console.error('Failed to fetch security data:', error);
     } finally {
@@ -91,12 +169,19 @@ export default function Security() {
         </div>
         
         <div className="flex items-center space-x-4">
+          {scan.job && (
+            <span className="text-sm text-gray-400">
+              {scan.isActive
+                ? `Scan ${scan.job.status}...`
+                : `Last scan ${scan.job.status}${scan.job.itemsProcessed != null ? ` (${scan.job.itemsProcessed} skills)` : ''}`}
+            </span>
+          )}
           <button
-            onClick={fetchSecurityData}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            disabled={isLoading}
+            onClick={refreshScan}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            disabled={isLoading || scan.isActive}
           >
-            {isLoading ? 'Scanning...' : 'Refresh Scan'}
+            {scan.isActive ? 'Scanning...' : 'Refresh Scan'}
           </button>
         </div>
       </div>
@@ -163,6 +248,21 @@ export default function Security() {
         </motion.div>
       </div>
 
+      {/* Open / closed */}
+      <div className="flex space-x-2">
+        {[['open', 'Open'], ['closed', 'Resolved & false positives']].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setView(value)}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${
+              view === value ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
       {/* Filter Tabs */}
       <div className="flex space-x-1 bg-gray-800 p-1 rounded-lg border border-gray-700">
         {filterOptions.map((option) => (
@@ -195,7 +295,9 @@ export default function Security() {
         className="bg-gray-800 rounded-xl border border-gray-700"
       >
         <div className="p-6 border-b border-gray-700">
-          <h3 className="text-xl font-semibold text-white">Active Security Alerts</h3>
+          <h3 className="text-xl font-semibold text-white">
+            {view === 'open' ? 'Active Security Alerts' : 'Closed Security Alerts'}
+          </h3>
           <p className="text-gray-400 text-sm mt-1">
             Real-time threat detection across the agent ecosystem
           </p>
@@ -256,6 +358,29 @@ export default function Security() {
                                 <span className="font-medium">Skill:</span> {alert.metadata.skill_name}
                               </div>
                             )}
+                            {alert.metadata.post_id && (
+                              <div>
+                                <span className="font-medium">Post:</span>{' '}
+                                {alert.metadata.platform} post by {alert.metadata.agent_name || 'unknown agent'}
+                                {alert.metadata.post_url && (
+                                  <>
+                                    {' '}
+                                    <a href={alert.metadata.post_url} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300">
+                                      view
+                                    </a>
+                                  </>
+                                )}
+                              </div>
+                            )}
+                            {alert.metadata.redacted && (
+                              <div>
+                                <span className="font-medium">Secret:</span>{' '}
+                                <code className="bg-gray-800 px-2 py-1 rounded text-red-400">
+                                  {alert.metadata.redacted}
+                                </code>
+                                {alert.metadata.provider && <span> ({alert.metadata.provider})</span>}
+                              </div>
+                            )}
                             {alert.metadata.pattern && (
                               <div>
                                 <span className="font-medium">Pattern:</span>{' '}
@@ -264,7 +389,61 @@ export default function Security() {
                                 </code>
                               </div>
                             )}
-                            {alert.metadata.matches && (
+                            {alert.metadata.rule_id && (
+                              <div>
+                                <span className="font-medium">Rule:</span>{' '}
+                                <code className="bg-gray-800 px-2 py-1 rounded text-red-400">
+                                  {alert.metadata.rule_id}
+                                </code>
+                                {alert.metadata.line && (
+                                  <span>
+                                    {' '}at {alert.metadata.file ? `${alert.metadata.file}:` : 'line '}{alert.metadata.line}
+                                  </span>
+                                )}
+                                {alert.metadata.match_count > 1 && <span> ({alert.metadata.match_count} matches)</span>}
+                              </div>
+                            )}
+                            {alert.metadata.injection_risk != null && (
+                              <div>
+                                <span className="font-medium">Injection risk:</span>{' '}
+                                <span className={`px-2 py-0.5 rounded-full ${riskClass(alert.metadata.injection_risk)}`}>
+                                  {alert.metadata.injection_risk}
+                                </span>
+                                {alert.metadata.technique && <span> ({alert.metadata.technique.replace(/_/g, ' ')})</span>}
+                              </div>
+                            )}
+                            {alert.metadata.snippet && (
+                              <pre className="bg-gray-800 px-2 py-1 rounded text-gray-300 whitespace-pre-wrap break-all">
+                                {alert.metadata.snippet}
+                              </pre>
+                            )}
+                            {alert.metadata.hidden_text && (
+                              <div>
+                                <span className="font-medium">Hidden text:</span>
+                                <pre className="bg-gray-800 px-2 py-1 rounded text-yellow-300 whitespace-pre-wrap break-all mt-1">
+                                  {alert.metadata.hidden_text}
+                                </pre>
+                              </div>
+                            )}
+                            {alert.metadata.ai?.explanation && (
+                              <div>
+                                <span className="font-medium">AI review:</span>{' '}
+                                {alert.metadata.ai.injection ? 'injection' : 'likely benign'}
+                                {' '}({Math.round(alert.metadata.ai.confidence * 100)}% confident): {alert.metadata.ai.explanation}
+                              </div>
+                            )}
+                            {alert.metadata.flow?.length > 0 && (
+                              <div>
+                                <span className="font-medium">Data flow:</span>{' '}
+                                {alert.metadata.flow.map(step => `${step.label} (${step.line})`).join(' → ')}
+                              </div>
+                            )}
+                            {alert.metadata.remediation && (
+                              <div>
+                                <span className="font-medium">Fix:</span> {alert.metadata.remediation}
+                              </div>
+                            )}
+                            {alert.metadata.matches && !alert.metadata.rule_id && (
                               <div>
                                 <span className="font-medium">Matches:</span>{' '}
                                 {alert.metadata.matches.join(', ')}
@@ -274,23 +453,24 @@ export default function Security() {
                         </div>
                       )}
                       
-                      <div className="flex items-center justify-between mt-4">
-                        <div className="flex items-center space-x-2 text-xs text-gray-400">
-                          <ClockIcon className="w-4 h-4" />
+                      <div className="flex items-center space-x-2 text-xs text-gray-400 mt-3">
+                        <ClockIcon className="w-4 h-4" />
+                        <span>
+                          First seen {formatDistanceToNow(new Date(alert.first_seen || alert.created_at), { addSuffix: true })}
+                        </span>
+                        {alert.occurrence_count > 1 && (
                           <span>
-                            {formatDistanceToNow(new Date(alert.created_at), { addSuffix: true })}
+                            · seen {alert.occurrence_count} times, last {formatDistanceToNow(new Date(alert.last_seen), { addSuffix: true })}
                           </span>
-                        </div>
-                        
-                        <div className="flex items-center space-x-2">
-                          <button className="px-3 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 transition-colors">
-                            Resolve
-                          </button>
-                          <button className="px-3 py-1 text-xs bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors">
-                            Details
-                          </button>
-                        </div>
+                        )}
                       </div>
+
+                      <AlertTriage
+                        alert={alert}
+                        me={me}
+                        assignees={assignees}
+                        onChanged={refreshAfterTriage}
+                      />
                     </div>
                   </div>
                 </motion.div>
@@ -300,6 +480,104 @@ export default function Security() {
         </div>
       </motion.div>
 
+      {/* Prompt-injection risk */}
+      {(injectionRisks.posts.length > 0 || injectionRisks.skills.length > 0) && (
+        <div className="bg-gray-800 rounded-xl border border-gray-700">
+          <div className="p-6 border-b border-gray-700">
+            <h3 className="text-xl font-semibold text-white">Prompt Injection Risk</h3>
+            <p className="text-gray-400 text-sm mt-1">
+              Posts and skills most likely to carry instructions aimed at the agents reading them
+            </p>
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 divide-y lg:divide-y-0 lg:divide-x divide-gray-700">
+            {[
+              ['Posts', injectionRisks.posts.map(post => ({
+                key: `post-${post.id}`,
+                risk: post.injection_risk,
+                techniques: post.injection_techniques,
+                label: post.title || post.content?.slice(0, 80) || post.external_id,
+                detail: `${post.platform}${post.author_name ? ` · ${post.author_name}` : ''}`,
+                url: post.url,
+              }))],
+              ['Skills', injectionRisks.skills.map(skill => ({
+                key: `skill-${skill.id}`,
+                risk: skill.injection_risk,
+                techniques: skill.injection_techniques,
+                label: skill.name,
+                detail: `${skill.author || 'unknown author'}${skill.version ? ` · v${skill.version}` : ''}`,
+              }))],
+            ].map(([heading, items]) => (
+              <div key={heading} className="p-6">
+                <h4 className="text-sm font-medium text-gray-400 mb-3">{heading}</h4>
+                {items.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing above risk {INJECTION_RISK_THRESHOLD}</p>
+                ) : (
+                  <ul className="space-y-3">
+                    {items.map(item => (
+                      <li key={item.key} className="flex items-start space-x-3">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${riskClass(item.risk)}`}>
+                          {item.risk}
+                        </span>
+                        <div className="min-w-0 text-sm">
+                          <div className="text-white truncate">
+                            {item.url ? (
+                              <a href={item.url} target="_blank" rel="noopener noreferrer" className="hover:text-blue-400">
+                                {item.label}
+                              </a>
+                            ) : item.label}
+                          </div>
+                          <div className="text-xs text-gray-400">
+                            {item.detail}
+                            {item.techniques?.length > 0 && ` · ${item.techniques.map(technique => technique.replace(/_/g, ' ')).join(', ')}`}
+                          </div>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Suppression rules */}
+      {suppressions.length > 0 && (
+        <div className="bg-gray-800 rounded-xl border border-gray-700">
+          <div className="p-6 border-b border-gray-700">
+            <h3 className="text-xl font-semibold text-white">Suppression Rules</h3>
+            <p className="text-gray-400 text-sm mt-1">Known false positives the scanner no longer raises</p>
+          </div>
+          <ul className="divide-y divide-gray-700">
+            {suppressions.map((rule) => (
+              <li key={rule.id} className="p-4 flex items-start justify-between">
+                <div className="text-sm">
+                  <div className="text-white">
+                    {[rule.alertType, rule.pattern && <code key="p" className="text-red-400">{rule.pattern}</code>, rule.skill && `in ${rule.skill}`]
+                      .filter(Boolean)
+                      .map((part, i) => <span key={i} className="mr-2">{part}</span>)}
+                  </div>
+                  <div className="text-gray-400 mt-1">{rule.reason}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    by {rule.createdBy} · {rule.matchCount} suppressed
+                    {rule.lastMatchedAt && `, last ${formatDistanceToNow(new Date(rule.lastMatchedAt), { addSuffix: true })}`}
+                    {rule.expiresAt && ` · expires ${formatDistanceToNow(new Date(rule.expiresAt), { addSuffix: true })}`}
+                  </div>
+                </div>
+                {canTriage && (
+                  <button
+                    onClick={() => disableSuppression(rule)}
+                    className="px-3 py-1 text-xs bg-gray-700 text-white rounded hover:bg-gray-600 transition-colors"
+                  >
+                    Disable
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Security Recommendations */}
       <motion.div 
         initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeftIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon,
+} from '@heroicons/react/24/outline';
+import { api } from '../utils/api';
+import { formatDistanceToNow } from 'date-fns';
+
+const severityText = {
+  critical: 'text-red-300',
+  high: 'text-red-400',
+  medium: 'text-yellow-400',
+  low: 'text-blue-400',
+};
+
+const lineStyles = {
+  add: 'bg-green-900/30 text-green-200',
+  remove: 'bg-red-900/30 text-red-200',
+  context: 'text-gray-400',
+};
+
+const linePrefix = { add: '+', remove: '-', context: ' ' };
+
+function FindingList({ title, findings, icon: Icon, tone }) {
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+      <div className="flex items-center space-x-2 mb-4">
+        <Icon className={`w-5 h-5 ${tone}`} />
+        <h3 className="text-lg font-semibold text-white">{title}</h3>
+        <span className="text-sm text-gray-400">({findings.length})</span>
+      </div>
+      {findings.length === 0 ? (
+        <p className="text-gray-400 text-sm">None</p>
+      ) : (
+        <ul className="space-y-2">
+          {findings.map((finding) => (
+            <li key={finding.key} className="text-sm">
+              <span className={`font-medium ${severityText[finding.severity] || 'text-gray-300'}`}>
+                {finding.severity?.toUpperCase()}
+              </span>{' '}
+              <span className="text-gray-200">{finding.description}</span>
+              {finding.lines?.length > 0 && (
+                <span className="text-gray-500"> — line {finding.lines.join(', ')}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function SkillHistory() {
+  const { id } = useParams();
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [id]);
+
+  useEffect(() => {
+    if (versions.length > 0) fetchDiff();
+  }, [versions, selected]);
+
+  const fetchVersions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.getSkillVersions(id);
+      setVersions(response.data.versions || []);
+    } catch (error) {
+      console.error('Failed to fetch skill versions:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchDiff = async () => {
+    try {
+      const response = await api.getSkillDiff(id, {
+        ...(selected.from && { from: selected.from }),
+        ...(selected.to && { to: selected.to }),
+      });
+      setDiff(response.data);
+    } catch (error) {
+      console.error('Failed to fetch skill diff:', error);
+    }
+  };
+
+  const selectVersion = (version, index) => {
+    const previous = versions[index + 1];
+    setSelected({ from: previous?.id || null, to: version.id });
+  };
+
+  const activeId = selected.to || versions[0]?.id;
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/skills" className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white mb-2">
+            <ArrowLeftIcon className="w-4 h-4" />
+            <span>All skills</span>
+          </Link>
+          <h1 className="text-3xl font-bold text-white">{id}</h1>
+          <p className="text-gray-400 mt-1">{versions.length} recorded versions</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Version Timeline */}
+        <div className="bg-gray-800 rounded-xl border border-gray-700 divide-y divide-gray-700 h-fit">
+          {isLoading ? (
+            <div className="p-6 text-center">
+              <div className="spinner w-6 h-6 mx-auto"></div>
+            </div>
+          ) : versions.length === 0 ? (
+            <p className="p-6 text-gray-400 text-sm">No versions recorded yet</p>
+          ) : (
+            versions.map((version, index) => (
+              <button
+                key={version.id}
+                onClick={() => selectVersion(version, index)}
+                className={`w-full text-left p-4 transition-colors ${
+                  version.id === activeId ? 'bg-blue-600/20' : 'hover:bg-gray-700/30'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-mono text-white">{version.version || `#${version.id}`}</span>
+                  <span className="text-xs text-gray-400">
+                    {formatDistanceToNow(new Date(version.createdAt), { addSuffix: true })}
+                  </span>
+                </div>
+                <div className="flex items-center space-x-3 mt-1 text-xs">
+                  {version.introducedFindings > 0 && (
+                    <span className="text-red-400">+{version.introducedFindings} findings</span>
+                  )}
+                  {version.removedFindings > 0 && (
+                    <span className="text-green-400">-{version.removedFindings} findings</span>
+                  )}
+                  {version.securityScore !== null && (
+                    <span className="text-gray-400">score {Math.round(version.securityScore)}</span>
+                  )}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+
+        {/* Diff */}
+        <div className="lg:col-span-3 space-y-6">
+          {diff && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <FindingList
+                  title="Introduced findings"
+                  findings={diff.findings.introduced}
+                  icon={ExclamationTriangleIcon}
+                  tone="text-red-400"
+                />
+                <FindingList
+                  title="Removed findings"
+                  findings={diff.findings.removed}
+                  icon={CheckCircleIcon}
+                  tone="text-green-400"
+                />
+              </div>
+
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden"
+              >
+                <div className="p-4 border-b border-gray-700 flex items-center justify-between">
+                  <span className="font-mono text-sm text-gray-300">
+                    {diff.from ? (diff.from.version || `#${diff.from.id}`) : 'initial'} → {diff.to.version || `#${diff.to.id}`}
+                  </span>
+                  <span className="text-sm">
+                    <span className="text-green-400">+{diff.diff.stats.additions}</span>{' '}
+                    <span className="text-red-400">-{diff.diff.stats.deletions}</span>
+                  </span>
+                </div>
+                <div className="overflow-x-auto font-mono text-xs">
+                  {diff.diff.hunks.length === 0 ? (
+                    <p className="p-6 text-gray-400">No content changes</p>
+                  ) : (
+                    diff.diff.hunks.map((hunk) => (
+                      <div key={hunk.header}>
+                        <div className="px-4 py-1 bg-gray-900 text-blue-300">{hunk.header}</div>
+                        {hunk.lines.map((line, index) => (
+                          <div
+                            key={index}
+                            className={`flex ${lineStyles[line.type]} ${
+                              line.findings?.length ? 'ring-1 ring-inset ring-red-500' : ''
+                            }`}
+                            title={line.findings?.join('\n')}
+                          >
+                            <span className="w-12 text-right pr-2 text-gray-600 select-none">{line.oldNumber ?? ''}</span>
+                            <span className="w-12 text-right pr-2 text-gray-600 select-none">{line.newNumber ?? ''}</span>
+                            <pre className="whitespace-pre px-2">{linePrefix[line.type]}{line.text}</pre>
+                          </div>
+                        ))}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </motion.div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  PuzzlePieceIcon,
+  CheckBadgeIcon,
+  ClockIcon,
+} from '@heroicons/react/24/outline';
+import { api } from '../utils/api';
+import { formatDistanceToNow } from 'date-fns';
+
+const scoreColor = (score) => {
+  if (score === null || score === undefined) return 'text-gray-400';
+  if (score >= 80) return 'text-green-400';
+  if (score >= 50) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+export default function Skills() {
+  const [skills, setSkills] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    fetchSkills();
+  }, []);
+
+  const fetchSkills = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.getSkills({ limit: 200 });
+      setSkills(response.data.skills || []);
+    } catch (error) {
+      console.error('Failed to fetch skills:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const filteredSkills = skills.filter(skill =>
+    skill.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (skill.author || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Skill Registry</h1>
+          <p className="text-gray-400 mt-1">Version history and security drift for {skills.length} ClawdHub skills</p>
+        </div>
+
+        <input
+          type="text"
+          placeholder="Search skills..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white placeholder-gray-400 w-full md:w-64"
+        />
+      </div>
+
+      {/* Skills Table */}
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden"
+      >
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Skill</th>
+                <th>Version</th>
+                <th>Downloads</th>
+                <th>Security Score</th>
+                <th>History</th>
+                <th>Updated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-8">
+                    <div className="spinner w-6 h-6 mx-auto mb-2"></div>
+                    <span className="text-gray-400">Loading skills...</span>
+                  </td>
+                </tr>
+              ) : filteredSkills.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-8 text-gray-400">
+                    No skills found
+                  </td>
+                </tr>
+              ) : (
+                filteredSkills.map((skill) => (
+                  <tr key={skill.external_id} className="hover:bg-gray-700/30">
+                    <td>
+                      <div className="flex items-center space-x-3">
+                        <PuzzlePieceIcon className="w-5 h-5 text-blue-400" />
+                        <div>
+                          <div className="font-medium text-white flex items-center space-x-1">
+                            <span>{skill.name}</span>
+                            {skill.verified && <CheckBadgeIcon className="w-4 h-4 text-green-400" />}
+                          </div>
+                          <div className="text-xs text-gray-400">{skill.author}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="font-mono text-sm text-gray-300">{skill.version || '—'}</td>
+                    <td className="text-gray-300">{skill.downloads?.toLocaleString() || 0}</td>
+                    <td>
+                      <span className={`font-medium ${scoreColor(skill.security_score)}`}>
+                        {skill.security_score !== null && skill.security_score !== undefined
+                          ? Math.round(skill.security_score)
+                          : 'Not scanned'}
+                      </span>
+                    </td>
+                    <td>
+                      <Link
+                        to={`/skills/${encodeURIComponent(skill.external_id)}`}
+                        className="text-blue-400 hover:text-blue-300 text-sm"
+                      >
+                        {skill.version_count} version{parseInt(skill.version_count) === 1 ? '' : 's'}
+                      </Link>
+                    </td>
+                    <td>
+                      <div className="flex items-center space-x-1 text-gray-300 text-sm">
+                        <ClockIcon className="w-4 h-4" />
+                        <span>
+                          {skill.last_updated
+                            ? formatDistanceToNow(new Date(skill.last_updated), { addSuffix: true })
+                            : 'Unknown'}
+                        </span>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
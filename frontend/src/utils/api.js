@@ -13,10 +13,22 @@ export const apiClient = axios.create({
   },
 });
 
+// Session token from sign-in, or a pasted API key or admin token
+const AUTH_TOKEN_KEY = 'authToken';
+
+export const authToken = {
+  get: () => localStorage.getItem(AUTH_TOKEN_KEY),
+  set: (token) => localStorage.setItem(AUTH_TOKEN_KEY, token),
+  clear: () => localStorage.removeItem(AUTH_TOKEN_KEY),
+};
+
 // Request interceptor
 apiClient.interceptors.request.use(
   (config) => {
-    // Add any auth tokens here if needed
+    const token = authToken.get();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -48,21 +60,57 @@ apiClient.interceptors.response.use(
 
 // API service functions
 export const api = {
+  // Auth
+  login: (email, password) => apiClient.post('/auth/login', { email, password }),
+  getMe: () => apiClient.get('/auth/me'),
+  getApiKeys: () => apiClient.get('/auth/keys'),
+  createApiKey: (key) => apiClient.post('/auth/keys', key),
+  revokeApiKey: (id) => apiClient.delete(`/auth/keys/${id}`),
+  
   // Stats
   getStats: () => apiClient.get('/stats'),
   
   // Agents
   getAgents: (params = {}) => apiClient.get('/agents', { params }),
+  getAgent: (id) => apiClient.get(`/agents/${encodeURIComponent(id)}`),
   
   // Posts
   getPosts: (params = {}) => apiClient.get('/posts', { params }),
   
   // Security
   getSecurityAlerts: (params = {}) => apiClient.get('/security', { params }),
+  getSecurityAlert: (id) => apiClient.get(`/security/alerts/${id}`),
+  setAlertStatus: (id, status, comment) => apiClient.post(`/security/alerts/${id}/status`, { status, comment }),
+  assignAlert: (id, assigneeId) => apiClient.post(`/security/alerts/${id}/assign`, { assigneeId }),
+  commentOnAlert: (id, body) => apiClient.post(`/security/alerts/${id}/comments`, { body }),
+  getAssignees: () => apiClient.get('/security/assignees'),
+  getSuppressions: (params = {}) => apiClient.get('/security/suppressions', { params }),
+  createSuppression: (rule) => apiClient.post('/security/suppressions', rule),
+  disableSuppression: (id) => apiClient.delete(`/security/suppressions/${id}`),
+  
+  // Skills
+  getSkills: (params = {}) => apiClient.get('/skills', { params }),
+  getSkillVersions: (id) => apiClient.get(`/skills/${encodeURIComponent(id)}/versions`),
+  getSkillDiff: (id, params = {}) => apiClient.get(`/skills/${encodeURIComponent(id)}/diff`, { params }),
+  
+  // Search (q, types, platform, submolt, board, severity, from, to, page, limit)
+  search: (params = {}) => apiClient.get('/search', { params }),
+  
+  // Time series (kind: post | agent | submolt | board | platform)
+  getTimeSeries: (kind, id, params = {}) => apiClient.get(`/timeseries/${kind}/${encodeURIComponent(id)}`, { params }),
   
   // Analytics
   getAnalytics: (params = {}) => apiClient.get('/analytics', { params }),
   
   // Trends
   getTrends: () => apiClient.get('/trends'),
+  
+  // Admin: collector and analyzer jobs
+  getJobs: () => apiClient.get('/admin/jobs'),
+  runJob: (name) => apiClient.post(`/admin/jobs/${encodeURIComponent(name)}/run`),
+  pauseJob: (name, reason) => apiClient.post(`/admin/jobs/${encodeURIComponent(name)}/pause`, { reason }),
+  resumeJob: (name) => apiClient.post(`/admin/jobs/${encodeURIComponent(name)}/resume`),
+  getJobRuns: (params = {}) => apiClient.get('/admin/runs', { params }),
+  getJobRun: (jobId) => apiClient.get(`/admin/runs/${jobId}`),
+  getPipeline: () => apiClient.get('/admin/pipeline'),
 };
\ No newline at end of file
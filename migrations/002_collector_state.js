@@ -0,0 +1,22 @@
+/**
+ * Collector checkpoints for incremental collection and backfills.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS collector_checkpoints (
+      collector VARCHAR(100) NOT NULL,
+      stream VARCHAR(100) NOT NULL,
+      cursor TEXT,
+      last_id VARCHAR(255),
+      last_timestamp TIMESTAMP,
+      metadata JSONB DEFAULT '{}',
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (collector, stream)
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS collector_checkpoints');
+}
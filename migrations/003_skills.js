@@ -0,0 +1,50 @@
+/**
+ * ClawdHub skills and their version history. skills used to be created
+ * lazily by the collector after its first insert.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS skills (
+      id SERIAL PRIMARY KEY,
+      external_id VARCHAR(255) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      author VARCHAR(255),
+      version VARCHAR(50),
+      downloads INTEGER DEFAULT 0,
+      description TEXT,
+      tags JSONB DEFAULT '[]',
+      security_score FLOAT,
+      verified BOOLEAN DEFAULT FALSE,
+      source_url TEXT,
+      metadata JSONB DEFAULT '{}',
+      last_updated TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS skill_versions (
+      id SERIAL PRIMARY KEY,
+      skill_external_id VARCHAR(255) NOT NULL,
+      version VARCHAR(50),
+      content TEXT NOT NULL,
+      content_hash VARCHAR(64) NOT NULL,
+      security_score FLOAT,
+      max_severity VARCHAR(20),
+      findings JSONB DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_skills_author ON skills(author);
+    CREATE INDEX IF NOT EXISTS idx_skills_downloads ON skills(downloads);
+    CREATE INDEX IF NOT EXISTS idx_skills_security_score ON skills(security_score);
+    CREATE INDEX IF NOT EXISTS idx_skill_versions_skill ON skill_versions(skill_external_id, created_at DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS skill_versions;
+    DROP TABLE IF EXISTS skills;
+  `);
+}
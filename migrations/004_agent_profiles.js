@@ -0,0 +1,39 @@
+/**
+ * Agent profile columns written by the Moltx collector, and the per-platform
+ * uniqueness the collectors upsert on. The original global UNIQUE(name) made
+ * the same agent name on two platforms impossible, which identity
+ * resolution depends on.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS handle VARCHAR(255);
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS bio TEXT;
+
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_name_key;
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_name_platform_key;
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_external_id_platform_key;
+    ALTER TABLE agents ADD CONSTRAINT agents_name_platform_key UNIQUE (name, platform);
+    ALTER TABLE agents ADD CONSTRAINT agents_external_id_platform_key UNIQUE (external_id, platform);
+
+    ALTER TABLE posts ADD COLUMN IF NOT EXISTS repost_count INTEGER DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS idx_posts_submolt ON posts(submolt);
+  `);
+}
+
+export async function down(client) {
+  // Restoring UNIQUE(name) fails if the same name now exists on two platforms
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_submolt;
+    ALTER TABLE posts DROP COLUMN IF EXISTS repost_count;
+
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_external_id_platform_key;
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_name_platform_key;
+    ALTER TABLE agents ADD CONSTRAINT agents_name_key UNIQUE (name);
+
+    ALTER TABLE agents DROP COLUMN IF EXISTS bio;
+    ALTER TABLE agents DROP COLUMN IF EXISTS avatar_url;
+    ALTER TABLE agents DROP COLUMN IF EXISTS handle;
+  `);
+}
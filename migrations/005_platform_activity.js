@@ -0,0 +1,62 @@
+/**
+ * Platform registry, 4claw community members, agent metrics history and
+ * the follow graph collected from Moltx.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS platforms (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      type VARCHAR(50),
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS community_members (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) NOT NULL,
+      platform VARCHAR(50) NOT NULL,
+      metadata JSONB DEFAULT '{}',
+      first_seen TIMESTAMP DEFAULT NOW(),
+      last_seen TIMESTAMP DEFAULT NOW(),
+      UNIQUE(username, platform)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_metrics (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      followers INTEGER DEFAULT 0,
+      following INTEGER DEFAULT 0,
+      posts_count INTEGER DEFAULT 0,
+      avg_engagement_rate FLOAT DEFAULT 0,
+      influence_score FLOAT DEFAULT 0,
+      reputation_score INTEGER DEFAULT 0,
+      collected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE(agent_id, platform, collected_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_relationships (
+      id SERIAL PRIMARY KEY,
+      source_agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      target_agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      relationship_type VARCHAR(50) NOT NULL,
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(source_agent_id, target_agent_id, relationship_type)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_metrics_agent ON agent_metrics(agent_id, platform, collected_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_agent_relationships_target ON agent_relationships(target_agent_id);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS agent_relationships;
+    DROP TABLE IF EXISTS agent_metrics;
+    DROP TABLE IF EXISTS community_members;
+    DROP TABLE IF EXISTS platforms;
+  `);
+}
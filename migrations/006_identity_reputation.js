@@ -0,0 +1,51 @@
+/**
+ * Cross-platform identity links, unified profiles and per-factor
+ * reputation scores.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS agent_identity_links (
+      id SERIAL PRIMARY KEY,
+      primary_agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      linked_agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      link_type VARCHAR(50) NOT NULL,
+      confidence FLOAT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(primary_agent_id, linked_agent_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_unified_profiles (
+      id SERIAL PRIMARY KEY,
+      primary_agent_id INTEGER UNIQUE NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      linked_agent_ids INTEGER[] NOT NULL DEFAULT '{}',
+      profile_type VARCHAR(50),
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_reputation_scores (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      score FLOAT NOT NULL DEFAULT 0,
+      factor_breakdown JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(agent_id, platform)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_identity_links_linked ON agent_identity_links(linked_agent_id);
+    CREATE INDEX IF NOT EXISTS idx_reputation_scores_platform_score ON agent_reputation_scores(platform, score DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS agent_reputation_scores;
+    DROP TABLE IF EXISTS agent_unified_profiles;
+    DROP TABLE IF EXISTS agent_identity_links;
+  `);
+}
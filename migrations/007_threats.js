@@ -0,0 +1,43 @@
+/**
+ * Agent-level threat alerts (sock puppets etc.) and threat intelligence
+ * records. threat_intelligence used to be created lazily after its first insert.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS threat_alerts (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      alert_type VARCHAR(100) NOT NULL,
+      severity VARCHAR(20) NOT NULL,
+      description TEXT,
+      data JSONB DEFAULT '{}',
+      resolved BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS threat_intelligence (
+      id SERIAL PRIMARY KEY,
+      threat_type VARCHAR(100) NOT NULL,
+      threat_subtype VARCHAR(100),
+      risk_score FLOAT NOT NULL,
+      description TEXT,
+      metadata JSONB DEFAULT '{}',
+      resolved BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_threat_alerts_agent ON threat_alerts(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_threat_alerts_created_at ON threat_alerts(created_at);
+    CREATE INDEX IF NOT EXISTS idx_threat_intelligence_type ON threat_intelligence(threat_type);
+    CREATE INDEX IF NOT EXISTS idx_threat_intelligence_risk_score ON threat_intelligence(risk_score);
+    CREATE INDEX IF NOT EXISTS idx_threat_intelligence_created_at ON threat_intelligence(created_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS threat_intelligence;
+    DROP TABLE IF EXISTS threat_alerts;
+  `);
+}
@@ -0,0 +1,117 @@
+/**
+ * Unified identity model. Every row in agents is now one platform account,
+ * keyed by (platform, external_id), and belongs to a canonical agent entity.
+ * 4claw authors move from community_members into agents, and their posts are
+ * repointed (posts.agent_id held community_members ids). The identity
+ * resolver merges entities; agent_unified_profiles is superseded.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS agent_entities (
+      id SERIAL PRIMARY KEY,
+      canonical_name VARCHAR(255) NOT NULL,
+      primary_account_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      profile_type VARCHAR(50) NOT NULL DEFAULT 'single',
+      account_count INTEGER NOT NULL DEFAULT 1,
+      platforms TEXT[] NOT NULL DEFAULT '{}',
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS entity_id INTEGER REFERENCES agent_entities(id) ON DELETE SET NULL;
+
+    -- Accounts without a platform id were keyed by name
+    UPDATE agents SET external_id = name WHERE external_id IS NULL;
+    ALTER TABLE agents ALTER COLUMN external_id SET NOT NULL;
+
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_name_platform_key;
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_external_id_platform_key;
+    ALTER TABLE agents ADD CONSTRAINT agents_platform_external_id_key UNIQUE (platform, external_id);
+
+    INSERT INTO agents (name, platform, external_id, metadata, first_seen, last_seen)
+    SELECT username, platform, username, metadata, first_seen, last_seen
+    FROM community_members
+    ON CONFLICT (platform, external_id)
+    DO UPDATE SET last_seen = GREATEST(agents.last_seen, EXCLUDED.last_seen);
+
+    UPDATE posts p
+    SET agent_id = a.id
+    FROM community_members cm
+    JOIN agents a ON a.platform = cm.platform AND a.external_id = cm.username
+    WHERE p.platform = cm.platform AND p.agent_id = cm.id;
+
+    DROP TABLE IF EXISTS community_members;
+
+    -- Every existing account starts out as its own entity
+    INSERT INTO agent_entities (canonical_name, primary_account_id, platforms, created_at)
+    SELECT name, id, ARRAY[platform], first_seen
+    FROM agents
+    WHERE entity_id IS NULL;
+
+    UPDATE agents a
+    SET entity_id = e.id
+    FROM agent_entities e
+    WHERE e.primary_account_id = a.id AND a.entity_id IS NULL;
+
+    DROP TABLE IF EXISTS agent_unified_profiles;
+
+    ALTER TABLE skills ADD COLUMN IF NOT EXISTS author_agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_agents_entity ON agents(entity_id);
+    CREATE INDEX IF NOT EXISTS idx_agents_lower_name ON agents(LOWER(name));
+    CREATE INDEX IF NOT EXISTS idx_skills_author_agent ON skills(author_agent_id);
+  `);
+}
+
+export async function down(client) {
+  // 4claw accounts stay in agents; community_members is recreated from them
+  await client.query(`
+    DROP INDEX IF EXISTS idx_skills_author_agent;
+    ALTER TABLE skills DROP COLUMN IF EXISTS author_agent_id;
+
+    CREATE TABLE IF NOT EXISTS agent_unified_profiles (
+      id SERIAL PRIMARY KEY,
+      primary_agent_id INTEGER UNIQUE NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      linked_agent_ids INTEGER[] NOT NULL DEFAULT '{}',
+      profile_type VARCHAR(50),
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    INSERT INTO agent_unified_profiles (primary_agent_id, linked_agent_ids, profile_type)
+    SELECT e.primary_account_id, ARRAY_AGG(a.id ORDER BY a.id), e.profile_type
+    FROM agent_entities e
+    JOIN agents a ON a.entity_id = e.id
+    WHERE e.account_count > 1 AND e.primary_account_id IS NOT NULL
+    GROUP BY e.id;
+
+    CREATE TABLE IF NOT EXISTS community_members (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) NOT NULL,
+      platform VARCHAR(50) NOT NULL,
+      metadata JSONB DEFAULT '{}',
+      first_seen TIMESTAMP DEFAULT NOW(),
+      last_seen TIMESTAMP DEFAULT NOW(),
+      UNIQUE(username, platform)
+    );
+
+    INSERT INTO community_members (username, platform, metadata, first_seen, last_seen)
+    SELECT external_id, platform, metadata, first_seen, last_seen
+    FROM agents
+    WHERE platform = '4claw';
+
+    DROP INDEX IF EXISTS idx_agents_lower_name;
+    DROP INDEX IF EXISTS idx_agents_entity;
+
+    ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_platform_external_id_key;
+    ALTER TABLE agents ADD CONSTRAINT agents_name_platform_key UNIQUE (name, platform);
+    ALTER TABLE agents ADD CONSTRAINT agents_external_id_platform_key UNIQUE (external_id, platform);
+    ALTER TABLE agents ALTER COLUMN external_id DROP NOT NULL;
+
+    ALTER TABLE agents DROP COLUMN IF EXISTS entity_id;
+    DROP TABLE IF EXISTS agent_entities;
+  `);
+}
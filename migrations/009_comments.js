@@ -0,0 +1,42 @@
+/**
+ * Comment/reply threads under posts. reply_to_agent_id is the author of the
+ * parent comment (or of the post for top-level comments), which is what the
+ * network analyzer's reply_to edges are built from.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id SERIAL PRIMARY KEY,
+      platform VARCHAR(50) NOT NULL,
+      external_id VARCHAR(255) NOT NULL,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+      agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      reply_to_agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      content TEXT,
+      upvotes INTEGER DEFAULT 0,
+      downvotes INTEGER DEFAULT 0,
+      depth INTEGER NOT NULL DEFAULT 0,
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(platform, external_id)
+    );
+
+    ALTER TABLE posts ADD COLUMN IF NOT EXISTS comments_synced_at TIMESTAMP;
+    ALTER TABLE posts ADD COLUMN IF NOT EXISTS comments_synced_count INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id);
+    CREATE INDEX IF NOT EXISTS idx_comments_agent ON comments(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_comments_reply_to ON comments(reply_to_agent_id, created_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE posts DROP COLUMN IF EXISTS comments_synced_count;
+    ALTER TABLE posts DROP COLUMN IF EXISTS comments_synced_at;
+    DROP TABLE IF EXISTS comments;
+  `);
+}
@@ -0,0 +1,47 @@
+/**
+ * Engagement history. Samples are stored at three resolutions: 'raw' (every
+ * sampling run), 'hour' and 'day'. The metric sampler rolls older raw
+ * samples up into hourly ones and hourly into daily, then prunes by
+ * retention.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS post_metric_samples (
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      resolution VARCHAR(10) NOT NULL DEFAULT 'raw',
+      sampled_at TIMESTAMP NOT NULL,
+      upvotes INTEGER DEFAULT 0,
+      downvotes INTEGER DEFAULT 0,
+      comment_count INTEGER DEFAULT 0,
+      repost_count INTEGER DEFAULT 0,
+      PRIMARY KEY (post_id, resolution, sampled_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_metric_samples (
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      resolution VARCHAR(10) NOT NULL DEFAULT 'raw',
+      sampled_at TIMESTAMP NOT NULL,
+      reputation_score INTEGER DEFAULT 0,
+      post_count INTEGER DEFAULT 0,
+      comment_count INTEGER DEFAULT 0,
+      upvotes_received INTEGER DEFAULT 0,
+      followers INTEGER,
+      PRIMARY KEY (agent_id, resolution, sampled_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_metric_samples_rollup ON post_metric_samples(resolution, sampled_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_metric_samples_rollup ON agent_metric_samples(resolution, sampled_at);
+    CREATE INDEX IF NOT EXISTS idx_posts_updated_at ON posts(updated_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_updated_at;
+    DROP TABLE IF EXISTS agent_metric_samples;
+    DROP TABLE IF EXISTS post_metric_samples;
+  `);
+}
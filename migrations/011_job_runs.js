@@ -0,0 +1,47 @@
+/**
+ * Job run history and schedule state. Every queued collector/analyzer job
+ * gets a job_runs row (keyed by the queue's job id) that follows it through
+ * queued → running → completed/failed/skipped. job_schedules holds
+ * per-job overrides set from the admin API, currently pause/resume.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id SERIAL PRIMARY KEY,
+      job_id UUID NOT NULL UNIQUE,
+      job_name VARCHAR(100) NOT NULL,
+      trigger VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      requested_by VARCHAR(100),
+      worker VARCHAR(255),
+      attempts INTEGER DEFAULT 0,
+      items_processed INTEGER,
+      result JSONB,
+      error TEXT,
+      queued_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      duration_ms INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS job_schedules (
+      job_name VARCHAR(100) PRIMARY KEY,
+      paused BOOLEAN NOT NULL DEFAULT FALSE,
+      paused_by VARCHAR(100),
+      paused_at TIMESTAMP,
+      reason TEXT,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_runs_name_queued ON job_runs(job_name, queued_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS job_schedules;
+    DROP TABLE IF EXISTS job_runs;
+  `);
+}
@@ -0,0 +1,44 @@
+/**
+ * Full-text search. Each searchable table gets a generated, weighted
+ * tsvector (titles and names 'A', bodies 'B') with a GIN index; Postgres
+ * keeps them current on every insert and update.
+ */
+
+const SEARCH_VECTORS = {
+  posts: `setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'B')`,
+  agents: `setweight(to_tsvector('english', COALESCE(name, '') || ' ' || COALESCE(handle, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(bio, '')), 'B')`,
+  skills: `setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')`,
+  security_alerts: `setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')`,
+  threat_alerts: `setweight(to_tsvector('english', REPLACE(alert_type, '_', ' ')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')`
+};
+
+export async function up(client) {
+  for (const [table, vector] of Object.entries(SEARCH_VECTORS)) {
+    await client.query(`
+      ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (${vector}) STORED;
+      CREATE INDEX IF NOT EXISTS idx_${table}_search ON ${table} USING GIN (search_vector);
+    `);
+  }
+
+  // Facet filters on 4claw boards
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_posts_board ON posts((metadata->>'board')) WHERE platform = '4claw';
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_posts_board;');
+
+  for (const table of Object.keys(SEARCH_VECTORS)) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_${table}_search;
+      ALTER TABLE ${table} DROP COLUMN IF EXISTS search_vector;
+    `);
+  }
+}
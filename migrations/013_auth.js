@@ -0,0 +1,45 @@
+/**
+ * User accounts and API keys. A user's role grants a set of scopes; each
+ * API key carries its own scopes (capped by its owner's role) and an
+ * optional per-key rate limit. Keys are stored as SHA-256 hashes and found
+ * by their public prefix.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      password_hash VARCHAR(255),
+      role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+      disabled BOOLEAN NOT NULL DEFAULT FALSE,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(16) NOT NULL UNIQUE,
+      key_hash CHAR(64) NOT NULL,
+      scopes TEXT[] NOT NULL DEFAULT '{read:public}',
+      rate_limit_per_minute INTEGER,
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS api_keys;
+    DROP TABLE IF EXISTS users;
+  `);
+}
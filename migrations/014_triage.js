@@ -0,0 +1,81 @@
+/**
+ * Security alert triage. Alerts move through new → acknowledged →
+ * investigating → resolved/false_positive and can be assigned to a user;
+ * `resolved` stays as the "closed" flag older queries filter on.
+ * alert_events is the audit trail (status changes, assignments, comments,
+ * suppressions); comments live in alert_comments. suppression_rules stop
+ * scanners from raising alerts that match a known false positive.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE security_alerts
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new',
+      ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+    UPDATE security_alerts SET status = 'resolved', resolved_at = created_at
+    WHERE resolved AND status = 'new';
+
+    CREATE INDEX IF NOT EXISTS idx_security_alerts_status ON security_alerts(status);
+    CREATE INDEX IF NOT EXISTS idx_security_alerts_assignee ON security_alerts(assignee_id);
+
+    CREATE TABLE IF NOT EXISTS alert_comments (
+      id SERIAL PRIMARY KEY,
+      alert_id INTEGER NOT NULL REFERENCES security_alerts(id) ON DELETE CASCADE,
+      author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      author VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id SERIAL PRIMARY KEY,
+      alert_id INTEGER NOT NULL REFERENCES security_alerts(id) ON DELETE CASCADE,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor VARCHAR(255) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      from_value TEXT,
+      to_value TEXT,
+      details JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS suppression_rules (
+      id SERIAL PRIMARY KEY,
+      alert_type VARCHAR(100),
+      pattern TEXT,
+      skill VARCHAR(255),
+      reason TEXT NOT NULL,
+      created_by VARCHAR(255) NOT NULL,
+      expires_at TIMESTAMP,
+      disabled_at TIMESTAMP,
+      disabled_by VARCHAR(255),
+      match_count INTEGER NOT NULL DEFAULT 0,
+      last_matched_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (alert_type IS NOT NULL OR pattern IS NOT NULL OR skill IS NOT NULL)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_comments_alert ON alert_comments(alert_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, created_at);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS suppression_rules;
+    DROP TABLE IF EXISTS alert_events;
+    DROP TABLE IF EXISTS alert_comments;
+
+    DROP INDEX IF EXISTS idx_security_alerts_assignee;
+    DROP INDEX IF EXISTS idx_security_alerts_status;
+
+    ALTER TABLE security_alerts
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS resolved_at,
+      DROP COLUMN IF EXISTS assignee_id,
+      DROP COLUMN IF EXISTS status;
+  `);
+}
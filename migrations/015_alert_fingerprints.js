@@ -0,0 +1,74 @@
+/**
+ * Security alert fingerprints. A finding is identified by its source,
+ * subject (skill), rule and location; repeat findings update one row's
+ * last_seen and occurrence_count instead of inserting a new alert every
+ * scan. Existing rows get the same fingerprint triage/alerts.js computes
+ * and duplicates are merged into one row per fingerprint, keeping the
+ * triaged row (or the oldest) and moving comments and history onto it.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE security_alerts
+      ADD COLUMN IF NOT EXISTS fingerprint CHAR(64),
+      ADD COLUMN IF NOT EXISTS first_seen TIMESTAMP DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS occurrence_count INTEGER NOT NULL DEFAULT 1;
+
+    UPDATE security_alerts SET
+      first_seen = created_at,
+      last_seen = created_at,
+      fingerprint = encode(sha256(convert_to(concat_ws(E'\\x1f',
+        'clawdhub',
+        COALESCE(metadata->>'skill_id', metadata->>'skill_name', ''),
+        type || ':' || COALESCE(metadata->>'pattern', metadata->>'keyword', ''),
+        COALESCE(metadata->>'location', '')
+      ), 'UTF8')), 'hex')
+    WHERE fingerprint IS NULL AND NOT (metadata ? 'seeded');
+
+    CREATE TEMP TABLE alert_merge ON COMMIT DROP AS
+    SELECT id, FIRST_VALUE(id) OVER (
+      PARTITION BY fingerprint ORDER BY (status <> 'new') DESC, id
+    ) AS keep_id
+    FROM security_alerts
+    WHERE fingerprint IS NOT NULL;
+
+    UPDATE security_alerts sa SET
+      first_seen = merged.first_seen,
+      last_seen = merged.last_seen,
+      occurrence_count = merged.occurrences
+    FROM (
+      SELECT m.keep_id, MIN(s.created_at) AS first_seen, MAX(s.created_at) AS last_seen,
+        COUNT(*)::int AS occurrences
+      FROM alert_merge m
+      JOIN security_alerts s ON s.id = m.id
+      GROUP BY m.keep_id
+    ) merged
+    WHERE sa.id = merged.keep_id;
+
+    UPDATE alert_comments c SET alert_id = m.keep_id
+    FROM alert_merge m WHERE c.alert_id = m.id AND m.id <> m.keep_id;
+
+    UPDATE alert_events e SET alert_id = m.keep_id
+    FROM alert_merge m WHERE e.alert_id = m.id AND m.id <> m.keep_id;
+
+    DELETE FROM security_alerts sa
+    USING alert_merge m WHERE sa.id = m.id AND m.id <> m.keep_id;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_security_alerts_fingerprint ON security_alerts(fingerprint);
+    CREATE INDEX IF NOT EXISTS idx_security_alerts_last_seen ON security_alerts(last_seen DESC);
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_security_alerts_last_seen;
+    DROP INDEX IF EXISTS idx_security_alerts_fingerprint;
+
+    ALTER TABLE security_alerts
+      DROP COLUMN IF EXISTS occurrence_count,
+      DROP COLUMN IF EXISTS last_seen,
+      DROP COLUMN IF EXISTS first_seen,
+      DROP COLUMN IF EXISTS fingerprint;
+  `);
+}
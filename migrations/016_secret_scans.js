@@ -0,0 +1,35 @@
+/**
+ * Secret scanning progress. The secret scanner (analyzers/secret_scanner.js)
+ * marks each post and skill version it has checked; a post is checked again
+ * only when it was updated since and its text hash changed (engagement
+ * refreshes also bump updated_at). Skill versions never change.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS secrets_scanned_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS secrets_content_hash CHAR(64);
+
+    ALTER TABLE skill_versions
+      ADD COLUMN IF NOT EXISTS secrets_scanned_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_posts_secrets_pending
+      ON posts(id) WHERE secrets_scanned_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_skill_versions_secrets_pending
+      ON skill_versions(id) WHERE secrets_scanned_at IS NULL;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_skill_versions_secrets_pending;
+    DROP INDEX IF EXISTS idx_posts_secrets_pending;
+
+    ALTER TABLE skill_versions DROP COLUMN IF EXISTS secrets_scanned_at;
+
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS secrets_content_hash,
+      DROP COLUMN IF EXISTS secrets_scanned_at;
+  `);
+}
@@ -0,0 +1,55 @@
+/**
+ * Prompt-injection risk. The injection scanner (analyzers/injection_scanner.js)
+ * stores a 0-100 risk score and the techniques it saw on each post and
+ * skill version, and copies the latest version's onto its skill. Posts are
+ * checked again only when their text hash changes, as for secret scanning.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS injection_risk SMALLINT,
+      ADD COLUMN IF NOT EXISTS injection_techniques TEXT[],
+      ADD COLUMN IF NOT EXISTS injection_scanned_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS injection_content_hash CHAR(64);
+
+    ALTER TABLE skill_versions
+      ADD COLUMN IF NOT EXISTS injection_risk SMALLINT,
+      ADD COLUMN IF NOT EXISTS injection_techniques TEXT[],
+      ADD COLUMN IF NOT EXISTS injection_scanned_at TIMESTAMP;
+
+    ALTER TABLE skills
+      ADD COLUMN IF NOT EXISTS injection_risk SMALLINT,
+      ADD COLUMN IF NOT EXISTS injection_techniques TEXT[];
+
+    CREATE INDEX IF NOT EXISTS idx_posts_injection_pending
+      ON posts(id) WHERE injection_scanned_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_skill_versions_injection_pending
+      ON skill_versions(id) WHERE injection_scanned_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_posts_injection_risk
+      ON posts(injection_risk DESC) WHERE injection_risk > 0;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_injection_risk;
+    DROP INDEX IF EXISTS idx_skill_versions_injection_pending;
+    DROP INDEX IF EXISTS idx_posts_injection_pending;
+
+    ALTER TABLE skills
+      DROP COLUMN IF EXISTS injection_techniques,
+      DROP COLUMN IF EXISTS injection_risk;
+
+    ALTER TABLE skill_versions
+      DROP COLUMN IF EXISTS injection_scanned_at,
+      DROP COLUMN IF EXISTS injection_techniques,
+      DROP COLUMN IF EXISTS injection_risk;
+
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS injection_content_hash,
+      DROP COLUMN IF EXISTS injection_scanned_at,
+      DROP COLUMN IF EXISTS injection_techniques,
+      DROP COLUMN IF EXISTS injection_risk;
+  `);
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { connectDatabase } from '../src/utils/database.js';
+import { createCollectors } from '../src/collectors/registry.js';
+import logger from '../src/utils/logger.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+  const since = args.since ? new Date(args.since) : null;
+
+  if (!since || isNaN(since)) {
+    logger.error('Usage: npm run backfill -- --since <ISO date> [--collector <name>]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabase();
+
+    const collectors = (await createCollectors())
+      .filter(collector => !args.collector || collector.name === args.collector);
+
+    if (collectors.length === 0) {
+      logger.error(`No enabled collector matches "${args.collector}"`);
+      process.exit(1);
+    }
+
+    for (const collector of collectors) {
+      try {
+        const result = await collector.backfill(since);
+        logger.info(`✅ Backfilled ${collector.name}`, result);
+      } catch (error) {
+        logger.warn(`Skipping ${collector.name}: ${error.message}`);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { randomBytes } from 'crypto';
+import { connectDatabase } from '../src/utils/database.js';
+import { ROLES, createUser } from '../src/auth/accounts.js';
+import logger from '../src/utils/logger.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+// Create the first admin (or any user) from the command line; without
+// --password a random one is generated and printed once
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const role = args.role || 'viewer';
+
+  if (!args.email || !ROLES.includes(role)) {
+    logger.error(`Usage: npm run user:create -- --email <email> [--role ${ROLES.join('|')}] [--name <name>] [--password <password>]`);
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabase();
+
+    const password = args.password || randomBytes(12).toString('base64url');
+    const user = await createUser({ email: args.email, name: args.name || null, password, role });
+
+    logger.info(`✅ Created ${user.role} ${user.email} (id ${user.id})`);
+    if (!args.password) {
+      console.log(`Password: ${password}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Failed to create user:', error);
+    process.exit(1);
+  }
+}
+
+run();
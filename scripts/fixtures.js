@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Run one collection cycle per collector against recorded fixtures.
+ *
+ *   npm run fixtures:record -- [--collector moltbook]   (needs network + API keys)
+ *   npm run fixtures:replay -- [--collector moltbook]   (offline, deterministic)
+ *
+ * Exits non-zero if any collector step failed, so replay can gate CI.
+ */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function runFixtures() {
+  const args = parseArgs(process.argv.slice(2));
+  process.env.FIXTURE_MODE = args.mode || process.env.FIXTURE_MODE || 'replay';
+
+  // Imported after FIXTURE_MODE is set so collectors pick up the fixture adapter
+  const { connectDatabase } = await import('../src/utils/database.js');
+  const { createCollectors } = await import('../src/collectors/registry.js');
+  const { getFixtureDir } = await import('../src/collectors/fixtures.js');
+  const { default: logger } = await import('../src/utils/logger.js');
+
+  logger.info(`📼 Running collectors in ${process.env.FIXTURE_MODE} mode (${getFixtureDir()})`);
+
+  try {
+    await connectDatabase();
+
+    const collectors = (await createCollectors())
+      .filter(collector => !args.collector || collector.name === args.collector);
+
+    let failed = false;
+    for (const collector of collectors) {
+      const summary = await collector.run();
+      const stats = collector.getStats();
+
+      if (!summary || stats.failedSteps.length > 0) {
+        failed = true;
+        logger.error(`❌ ${collector.name} did not complete cleanly`, {
+          lastError: stats.lastError
+        });
+      }
+    }
+
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    logger.error('❌ Fixture run failed:', error);
+    process.exit(1);
+  }
+}
+
+runFixtures();
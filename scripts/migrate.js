@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { connectDatabase } from '../src/utils/database.js';
+import { migrate, rollback, getMigrationStatus, loadMigrations, MIGRATIONS_DIR } from '../src/utils/migrator.js';
+import logger from '../src/utils/logger.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: npm run migrate -- [up [--to <version>] | down [steps] | status | create <name> [--description <text>]]';
+
+// The description defaults to the migration name as a sentence ("add_foo" -> "Add foo")
+const template = (description) => `/**
+ * ${description}
+ */
+
+export async function up(client) {
+  await client.query(\`
+  \`);
+}
+
+export async function down(client) {
+  await client.query(\`
+  \`);
+}
+`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function createMigration(name, description) {
+  const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    logger.error(USAGE);
+    process.exit(1);
+  }
+
+  const migrations = await loadMigrations();
+  const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+  const file = `${String(last + 1).padStart(3, '0')}_${slug}.js`;
+
+  const summary = description || `${slug[0].toUpperCase()}${slug.slice(1).replace(/_/g, ' ')}`;
+  await writeFile(join(MIGRATIONS_DIR, file), template(summary), { flag: 'wx' });
+  logger.info(`📝 Created migrations/${file}`);
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command = 'up', value] = args._;
+
+  try {
+    if (command === 'create') {
+      await createMigration(value, args.description);
+      process.exit(0);
+    }
+
+    await connectDatabase();
+
+    switch (command) {
+      case 'up':
+        await migrate({ to: args.to || null });
+        break;
+
+      case 'down': {
+        const steps = parseInt(value || '1');
+        if (!Number.isInteger(steps) || steps < 1) {
+          logger.error(USAGE);
+          process.exit(1);
+        }
+        await rollback({ steps });
+        break;
+      }
+
+      case 'status': {
+        const status = await getMigrationStatus();
+        for (const migration of status) {
+          const state = migration.applied
+            ? `applied ${new Date(migration.appliedAt).toISOString()}${migration.modified ? ' (modified)' : ''}`
+            : 'pending';
+          logger.info(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+        }
+        break;
+      }
+
+      default:
+        logger.error(USAGE);
+        process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -2,7 +2,8 @@
 
 import dotenv from 'dotenv';
 import { readFile } from 'fs/promises';
-import { connectDatabase, initializeSchema } from '../src/utils/database.js';
+import { connectDatabase } from '../src/utils/database.js';
+import { migrate } from '../src/utils/migrator.js';
 import logger from '../src/utils/logger.js';
 
 dotenv.config();
@@ -29,9 +30,9 @@ async function setup() {
     logger.info('📊 Connecting to database...');
     await connectDatabase();
     
-    // Initialize schema
-    logger.info('📋 Initializing database schema...');
-    await initializeSchema();
+    // Apply schema migrations
+    logger.info('📋 Running database migrations...');
+    await migrate();
     
     // Create logs directory
     logger.info('📝 Setting up logging...');
@@ -45,9 +46,10 @@ async function setup() {
     logger.info('✅ Setup completed successfully!');
     logger.info('');
     logger.info('Next steps:');
-    logger.info('1. Run: npm run dev');
-    logger.info('2. Visit: http://localhost:3000/health');
-    logger.info('3. Check API: http://localhost:3000/api/v1');
+    logger.info('1. Optional: npm run seed (synthetic local data)');
+    logger.info('2. Run: npm run dev');
+    logger.info('3. Visit: http://localhost:3000/health');
+    logger.info('4. Check API: http://localhost:3000/api/v1');
     
     process.exit(0);
     
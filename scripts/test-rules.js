@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { rulePaths, packFilesIn } from '../src/rules/engine.js';
+import { loadPack, testRule } from '../src/rules/packs.js';
+import { stat } from 'fs/promises';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Validate detection rule packs and run each rule's examples.
+ *
+ * Usage:
+ *   npm run test:rules                      # packs in DETECTION_RULES_PATH (default rules/)
+ *   npm run test:rules -- rules/extra.yaml  # just these files or directories
+ */
+
+async function packFiles(paths) {
+  const files = [];
+  for (const rulePath of paths) {
+    if (!(await stat(rulePath)).isDirectory()) {
+      files.push(rulePath);
+      continue;
+    }
+    files.push(...await packFilesIn(rulePath));
+  }
+  return files;
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const files = await packFiles(args.length > 0 ? args.map(arg => path.resolve(arg)) : rulePaths());
+  let passed = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    console.log(`\n📦 ${path.relative(process.cwd(), file)}`);
+
+    let pack;
+    try {
+      pack = await loadPack(file, { runTests: false });
+    } catch (error) {
+      failed++;
+      for (const problem of error.problems || [error.message]) {
+        console.log(`  ❌ ${problem}`);
+      }
+      continue;
+    }
+
+    for (const rule of pack.rules) {
+      const failures = testRule(rule);
+      const examples = rule.tests.match.length + rule.tests.no_match.length;
+      if (failures.length === 0) {
+        passed++;
+        console.log(`  ✅ ${rule.id} (${examples} examples)`);
+      } else {
+        failed++;
+        console.log(`  ❌ ${rule.id}`);
+        failures.forEach(failure => console.log(`     ${failure}`));
+      }
+    }
+  }
+
+  console.log(`\n${passed} rules passed, ${failed} failed`);
+  process.exit(failed > 0 || files.length === 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
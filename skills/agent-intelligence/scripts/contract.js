@@ -0,0 +1,165 @@
+/**
+ * Agent Intelligence API contract
+ * Response shapes of the hub endpoints the query engine calls, as documented
+ * in references/API_REFERENCE.md. Used by test_contract.js to check both a
+ * live hub and the engine's own output.
+ *
+ * Shape notation: 'string', 'number', 'boolean', 'object' (any plain
+ * object); a trailing '?' allows null; [shape] is an array of shape; a
+ * nested object lists its required fields.
+ */
+
+const CONTRACT_VERSION = 1;
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const THREAT_LEVELS = ['clear', ...SEVERITIES];
+
+const reputationSummary = {
+  composite_score: 'number',
+  breakdown: 'object'
+};
+
+const shapes = {
+  agentSummary: {
+    id: 'string',
+    name: 'string',
+    platform: 'string',
+    reputation: reputationSummary
+  },
+
+  agent: {
+    id: 'string',
+    name: 'string',
+    platform: 'string',
+    handle: 'string?',
+    bio: 'string?',
+    avatar_url: 'string?',
+    reputation: {
+      composite_score: 'number',
+      moltbook_score: 'number',
+      moltx_score: 'number',
+      '4claw_score': 'number',
+      engagement_quality: 'number',
+      security_score: 'number',
+      longevity_score: 'number',
+      breakdown: 'object',
+      inputs: {
+        activity_posts: 'number',
+        followers: 'number',
+        engagement_rate: 'number',
+        threat_count: 'number',
+        account_age_days: 'number'
+      },
+      last_updated: 'string?'
+    },
+    metrics: {
+      posts_count: 'number',
+      followers: 'number',
+      following: 'number',
+      avg_engagement: 'number'
+    },
+    active_platforms: ['string'],
+    last_activity: 'string?',
+    first_seen: 'string?',
+    updated_at: 'string?'
+  },
+
+  reputation: {
+    agent_id: 'string',
+    name: 'string',
+    platform: 'string',
+    composite_score: 'number',
+    breakdown: 'object',
+    last_updated: 'string?'
+  },
+
+  threats: {
+    agent_id: 'string',
+    threats: [{
+      type: 'string',
+      severity: 'string',
+      description: 'string?',
+      reported_at: 'string?'
+    }],
+    is_flagged: 'boolean',
+    severity: 'string'
+  },
+
+  leaderboardEntry: {
+    rank: 'number',
+    id: 'string',
+    name: 'string',
+    platform: 'string',
+    composite_score: 'number',
+    followers: 'number',
+    reputation: reputationSummary
+  },
+
+  trends: {
+    topics: [{
+      topic: 'string',
+      posts_count: 'number',
+      sentiment: 'string',
+      trending_since: 'string?'
+    }],
+    rising_agents: [{
+      id: 'string',
+      name: 'string',
+      score_change: 'number',
+      new_followers: 'number'
+    }],
+    trending_posts: [{
+      id: 'string',
+      author: 'string?',
+      content: 'string?',
+      engagement: 'number',
+      platform: 'string'
+    }],
+    timestamp: 'string'
+  },
+
+  identities: {
+    primary_id: 'string',
+    linked_accounts: [{
+      id: 'string',
+      platform: 'string',
+      name: 'string',
+      confidence: 'number'
+    }],
+    confidence: 'number',
+    is_multi_account: 'boolean'
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Every way value deviates from shape, as "path: problem" strings
+ */
+function check(value, shape, path = '$') {
+  if (typeof shape === 'string') {
+    const nullable = shape.endsWith('?');
+    const type = nullable ? shape.slice(0, -1) : shape;
+    if (value === null || value === undefined) {
+      return nullable && value === null ? [] : [`${path}: expected ${shape}, got ${typeOf(value)}`];
+    }
+    if (type === 'number' && !Number.isFinite(value)) {
+      return [`${path}: expected number, got ${typeOf(value)}`];
+    }
+    return typeOf(value) === type ? [] : [`${path}: expected ${type}, got ${typeOf(value)}`];
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) return [`${path}: expected array, got ${typeOf(value)}`];
+    return value.flatMap((item, index) => check(item, shape[0], `${path}[${index}]`));
+  }
+
+  if (typeOf(value) !== 'object') return [`${path}: expected object, got ${typeOf(value)}`];
+  return Object.entries(shape).flatMap(([key, fieldShape]) => check(value[key], fieldShape, `${path}.${key}`));
+}
+
+module.exports = { CONTRACT_VERSION, SEVERITIES, THREAT_LEVELS, shapes, check };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Contract tests for the Agent Intelligence API
+ * Checks the query engine's output against the shapes in contract.js, and,
+ * given a hub URL, the hub's endpoints and the engine's output through them.
+ *
+ * Usage:
+ *   node scripts/test_contract.js                         # engine (cache) only
+ *   node scripts/test_contract.js http://localhost:3000   # also the hub
+ *   INTELLIGENCE_BACKEND_URL=http://localhost:3000 node scripts/test_contract.js
+ */
+
+const IntelligenceEngine = require('./query_engine.js');
+const { CONTRACT_VERSION, THREAT_LEVELS, shapes, check } = require('./contract.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BREAKDOWN_FACTORS = [
+  'moltbook_activity', 'moltx_influence', '4claw_community',
+  'engagement_quality', 'security_record', 'longevity'
+];
+
+class ContractTestRunner {
+  constructor(backendUrl) {
+    this.backendUrl = backendUrl || null;
+    this.cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-intelligence-contract-'));
+    this.tests_passed = 0;
+    this.tests_failed = 0;
+  }
+
+  assert(condition, message) {
+    if (condition) {
+      this.tests_passed++;
+      console.log(`  ✅ ${message}`);
+    } else {
+      this.tests_failed++;
+      console.error(`  ❌ ${message}`);
+    }
+  }
+
+  assertShape(value, shape, message) {
+    const errors = check(value, shape);
+    this.assert(errors.length === 0, message);
+    errors.slice(0, 5).forEach(error => console.error(`     ${error}`));
+  }
+
+  async run() {
+    console.log(`\n🦀 Agent Intelligence - Contract Tests (v${CONTRACT_VERSION})\n`);
+
+    try {
+      await this.testEngine(this.cacheEngine(), 'cache');
+
+      if (this.backendUrl) {
+        await this.testBackend('/api');
+        await this.testBackend(`/api/skill/v${CONTRACT_VERSION}`);
+        // No cache to fall back on, so every answer has to come from the hub
+        await this.testEngine(new IntelligenceEngine({
+          backend_url: this.backendUrl,
+          use_cache: false,
+          cache_dir: fs.mkdtempSync(path.join(os.tmpdir(), 'agent-intelligence-contract-'))
+        }), 'backend');
+      } else {
+        console.log('\n⏭️  No backend URL given, skipping hub endpoints');
+      }
+    } finally {
+      fs.rmSync(this.cacheDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.tests_passed} passed, ${this.tests_failed} failed\n`);
+
+    if (this.tests_failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Engine reading fixtures written in the contract's shapes
+   */
+  cacheEngine() {
+    const engine = new IntelligenceEngine({ cache_dir: this.cacheDir, use_cache: true });
+    const breakdown = Object.fromEntries(BREAKDOWN_FACTORS.map(factor => [factor, 50]));
+
+    const agent = {
+      id: '42',
+      name: 'Contract Agent',
+      platform: 'moltx',
+      handle: 'contract_agent',
+      bio: null,
+      avatar_url: null,
+      reputation: {
+        composite_score: 50,
+        moltbook_score: 50,
+        moltx_score: 50,
+        '4claw_score': 50,
+        engagement_quality: 50,
+        security_score: 50,
+        longevity_score: 50,
+        breakdown,
+        inputs: { activity_posts: 10, followers: 100, engagement_rate: 2.5, threat_count: 1, account_age_days: 30 },
+        last_updated: '2026-01-01T00:00:00.000Z'
+      },
+      metrics: { posts_count: 10, followers: 100, following: 5, avg_engagement: 2.5 },
+      active_platforms: ['moltx'],
+      last_activity: null,
+      first_seen: '2025-12-01T00:00:00.000Z',
+      updated_at: '2026-01-01T00:00:00.000Z'
+    };
+
+    engine.updateCache('agents', { all: [agent], [agent.id]: agent });
+    engine.updateCache('threats', {
+      [agent.id]: [{ type: 'sock_puppet', severity: 'medium', description: 'Shared posting schedule', reported_at: null }]
+    });
+    engine.updateCache('leaderboards', {
+      composite: [{ id: agent.id, name: agent.name, platform: agent.platform, composite_score: 50, followers: 100, reputation: { composite_score: 50, breakdown } }]
+    });
+    engine.updateCache('trends', {
+      current: {
+        topics: [{ topic: 'agents', posts_count: 3, sentiment: 'neutral', trending_since: null }],
+        rising_agents: [{ id: agent.id, name: agent.name, score_change: 2, new_followers: 10 }],
+        trending_posts: [{ id: '7', author: agent.name, content: 'hello', engagement: 4, platform: 'moltx' }],
+        timestamp: '2026-01-01T00:00:00.000Z'
+      }
+    });
+    engine.updateCache('identities', {
+      [agent.id]: { linked_accounts: [{ id: '43', platform: 'moltbook', name: 'Contract Agent', confidence: 0.9 }], confidence: 0.9 }
+    });
+
+    return engine;
+  }
+
+  /**
+   * Every engine function's result against the contract
+   */
+  async testEngine(engine, label) {
+    console.log(`Test: query engine (${label})`);
+
+    const results = await engine.searchAgents({ limit: 5 });
+    this.assertShape(results, [shapes.agentSummary], 'searchAgents() matches contract');
+    this.assert(results.length > 0, 'searchAgents() returns agents');
+    if (results.length === 0) return;
+
+    const agentId = results[0].id;
+
+    this.assertShape(await engine.getAgent(agentId), shapes.agent, 'getAgent() matches contract');
+
+    const reputation = await engine.getReputation(agentId);
+    this.assertShape(reputation, shapes.reputation, 'getReputation() matches contract');
+    this.assert(
+      BREAKDOWN_FACTORS.every(factor => typeof reputation?.breakdown?.[factor] === 'number'),
+      'getReputation() breakdown has every factor'
+    );
+
+    const threats = await engine.checkThreats(agentId);
+    this.assertShape(threats, shapes.threats, 'checkThreats() matches contract');
+    this.assert(THREAT_LEVELS.includes(threats?.severity), 'checkThreats() severity is a known level');
+
+    const leaderboard = await engine.getLeaderboard({ limit: 5 });
+    this.assertShape(leaderboard, [shapes.leaderboardEntry], 'getLeaderboard() matches contract');
+
+    this.assertShape(await engine.getTrends(), shapes.trends, 'getTrends() matches contract');
+    this.assertShape(await engine.linkIdentities(agentId), shapes.identities, 'linkIdentities() matches contract');
+  }
+
+  async fetchJson(prefix, endpoint, params = {}) {
+    const url = new URL(`${prefix}${endpoint}`, this.backendUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, JSON.stringify(value)));
+
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    return {
+      status: response.status,
+      version: response.headers.get('x-contract-version'),
+      body: await response.json()
+    };
+  }
+
+  /**
+   * The hub's endpoints under one prefix, as the engine calls them
+   */
+  async testBackend(prefix) {
+    console.log(`\nTest: hub endpoints (${prefix})`);
+
+    const search = await this.fetchJson(prefix, '/agents/search', { limit: 5 });
+    this.assert(search.status === 200, 'GET /agents/search responds 200');
+    this.assert(search.version === String(CONTRACT_VERSION), `Declares contract version ${CONTRACT_VERSION}`);
+    this.assertShape(search.body, [shapes.agentSummary], 'GET /agents/search matches contract');
+
+    const agentId = search.body[0]?.id;
+    this.assert(agentId !== undefined, 'Hub has at least one agent');
+    if (agentId !== undefined) {
+      const agent = await this.fetchJson(prefix, `/agents/${agentId}`);
+      this.assertShape(agent.body, shapes.agent, 'GET /agents/:id matches contract');
+
+      const threats = await this.fetchJson(prefix, `/threats/${agentId}`);
+      this.assertShape(threats.body, shapes.threats, 'GET /threats/:id matches contract');
+
+      const identities = await this.fetchJson(prefix, `/identities/${agentId}`);
+      this.assertShape(identities.body, shapes.identities, 'GET /identities/:id matches contract');
+    }
+
+    const leaderboard = await this.fetchJson(prefix, '/leaderboards/reputation', { limit: 5, offset: 0 });
+    this.assertShape(leaderboard.body, [shapes.leaderboardEntry], 'GET /leaderboards/reputation matches contract');
+
+    const trends = await this.fetchJson(prefix, '/trends');
+    this.assertShape(trends.body, shapes.trends, 'GET /trends matches contract');
+
+    const missing = await this.fetchJson(prefix, '/agents/no_such_agent_contract_test');
+    this.assert(missing.status === 404, 'Unknown agent responds 404');
+
+    const invalid = await this.fetchJson(prefix, '/leaderboards/reputation', { limit: 1000 });
+    this.assert(invalid.status === 400, 'Out-of-range limit responds 400');
+  }
+}
+
+// Run tests
+if (require.main === module) {
+  const runner = new ContractTestRunner(process.argv[2] || process.env.INTELLIGENCE_BACKEND_URL);
+  runner.run().catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ContractTestRunner;
@@ -0,0 +1,224 @@
+import { query } from '../utils/database.js';
+
+/**
+ * Agent Profiles
+ * Everything known about one platform account: the entity it belongs to and
+ * that entity's other accounts, recent posts, reputation factors, identity
+ * links, threats and network position. Reads what the collectors, identity
+ * resolution, reputation engine and network analyzer have stored.
+ */
+
+const RECENT_POSTS_LIMIT = 20;
+
+export async function getAgent(agentId) {
+  const result = await query(`
+    SELECT id, entity_id, name, handle, platform, external_id, bio, avatar_url,
+      reputation_score, is_verified, first_seen, last_seen
+    FROM agents
+    WHERE id = $1
+  `, [agentId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Look an account up by id, handle, platform id or name (case-insensitive).
+ * Names are not unique across platforms; the most recently seen wins.
+ */
+export async function findAgent(identifier) {
+  const value = String(identifier).trim();
+  if (/^\d+$/.test(value)) {
+    return getAgent(parseInt(value));
+  }
+
+  const name = value.replace(/^@/, '').toLowerCase();
+  const result = await query(`
+    SELECT id
+    FROM agents
+    WHERE LOWER(handle) = $1 OR LOWER(external_id) = $1 OR LOWER(name) = $1
+    ORDER BY LOWER(handle) = $1 DESC, LOWER(external_id) = $1 DESC, last_seen DESC
+    LIMIT 1
+  `, [name]);
+
+  return result.rows[0] ? getAgent(result.rows[0].id) : null;
+}
+
+/**
+ * The account's entity and every account in it, with post counts
+ */
+export async function getAgentAccounts(agent) {
+  if (!agent.entity_id) {
+    return { entity: null, accounts: [agent] };
+  }
+
+  const [entity, accounts] = await Promise.all([
+    query(`
+      SELECT id, canonical_name, primary_account_id, profile_type, account_count,
+        platforms, updated_at
+      FROM agent_entities
+      WHERE id = $1
+    `, [agent.entity_id]),
+    query(`
+      SELECT a.id, a.name, a.handle, a.platform, a.external_id, a.reputation_score,
+        a.is_verified, a.first_seen, a.last_seen,
+        (SELECT COUNT(*) FROM posts p WHERE p.agent_id = a.id)::int as post_count
+      FROM agents a
+      WHERE a.entity_id = $1
+      ORDER BY a.id = $2 DESC, a.last_seen DESC
+    `, [agent.entity_id, agent.id])
+  ]);
+
+  return { entity: entity.rows[0] || null, accounts: accounts.rows };
+}
+
+/**
+ * Latest posts across all of the entity's accounts
+ */
+export async function getRecentPosts(accountIds, limit = RECENT_POSTS_LIMIT) {
+  const result = await query(`
+    SELECT p.id, p.agent_id, a.name as agent_name, p.platform, p.title,
+      LEFT(p.content, 500) as content, p.url, p.upvotes, p.downvotes,
+      p.comment_count, p.submolt, p.created_at
+    FROM posts p
+    JOIN agents a ON a.id = p.agent_id
+    WHERE p.agent_id = ANY($1)
+    ORDER BY p.created_at DESC
+    LIMIT $2
+  `, [accountIds, limit]);
+
+  return result.rows;
+}
+
+/**
+ * Composite score and each factor the reputation engine scored, with the
+ * inputs behind it in factor_breakdown
+ */
+export async function getReputation(agentId) {
+  const result = await query(`
+    SELECT platform as factor, score, factor_breakdown, updated_at
+    FROM agent_reputation_scores
+    WHERE agent_id = $1
+    ORDER BY platform = 'composite' DESC, platform
+  `, [agentId]);
+
+  const composite = result.rows.find(row => row.factor === 'composite') || null;
+  return {
+    composite,
+    factors: result.rows.filter(row => row.factor !== 'composite')
+  };
+}
+
+/**
+ * Identity links in either direction, with the account on the other end
+ */
+export async function getIdentityLinks(agentId) {
+  const result = await query(`
+    SELECT l.link_type, l.confidence, l.updated_at,
+      other.id as agent_id, other.name, other.platform, other.entity_id
+    FROM agent_identity_links l
+    JOIN agents other ON other.id = CASE
+      WHEN l.primary_agent_id = $1 THEN l.linked_agent_id
+      ELSE l.primary_agent_id
+    END
+    WHERE l.primary_agent_id = $1 OR l.linked_agent_id = $1
+    ORDER BY l.confidence DESC
+  `, [agentId]);
+
+  return result.rows;
+}
+
+/**
+ * Threat alerts raised against the entity's accounts, and security alerts
+ * on skills they authored
+ */
+export async function getThreats(accountIds, entityId = null) {
+  const [alerts, skillAlerts] = await Promise.all([
+    query(`
+      SELECT id, agent_id, alert_type, severity, description, data, resolved, created_at
+      FROM threat_alerts
+      WHERE agent_id = ANY($1) OR (data->>'entity_id')::int = $2
+      ORDER BY resolved, created_at DESC
+      LIMIT 50
+    `, [accountIds, entityId]),
+    query(`
+      SELECT sa.id, sa.type, sa.severity, sa.title, sa.resolved, sa.created_at,
+        s.external_id as skill_id, s.name as skill_name
+      FROM security_alerts sa
+      JOIN skills s ON s.external_id = sa.metadata->>'skill_id'
+      WHERE s.author_agent_id = ANY($1)
+      ORDER BY sa.resolved, sa.created_at DESC
+      LIMIT 50
+    `, [accountIds])
+  ]);
+
+  return { alerts: alerts.rows, skillAlerts: skillAlerts.rows };
+}
+
+/**
+ * Platform metrics, relationship counts and the account's place in the
+ * latest network analysis
+ */
+export async function getNetworkMetrics(agentId) {
+  const [metrics, relationships, snapshot] = await Promise.all([
+    query(`
+      SELECT DISTINCT ON (platform) platform, followers, following, posts_count,
+        avg_engagement_rate, influence_score, collected_at
+      FROM agent_metrics
+      WHERE agent_id = $1
+      ORDER BY platform, collected_at DESC
+    `, [agentId]),
+    query(`
+      SELECT
+        (SELECT COUNT(*) FROM agent_relationships WHERE target_agent_id = $1)::int as followers,
+        (SELECT COUNT(*) FROM agent_relationships WHERE source_agent_id = $1)::int as following,
+        (SELECT COUNT(*) FROM comments WHERE reply_to_agent_id = $1 AND agent_id != $1)::int as replies_received,
+        (SELECT COUNT(*) FROM comments WHERE agent_id = $1 AND reply_to_agent_id != $1)::int as replies_sent
+    `, [agentId]),
+    query(`
+      SELECT data, created_at
+      FROM analytics_snapshots
+      WHERE snapshot_type = 'network_analysis'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `)
+  ]);
+
+  const analysis = snapshot.rows[0]?.data;
+  const influencers = analysis?.top_influencers || [];
+  const rank = influencers.findIndex(influencer => influencer.id === agentId);
+  const flow = analysis?.information_flow || {};
+
+  return {
+    platforms: metrics.rows,
+    relationships: relationships.rows[0],
+    influence: rank === -1 ? null : { ...influencers[rank], rank: rank + 1 },
+    communities: (analysis?.communities || [])
+      .filter(community => community.nodes?.includes(agentId))
+      .map(({ nodes, ...community }) => ({ ...community, size: nodes.length })),
+    roles: [...(flow.hubs || []), ...(flow.bridges || [])]
+      .filter(node => node.agent_id === agentId)
+      .map(node => node.role),
+    analyzedAt: snapshot.rows[0]?.created_at || null
+  };
+}
+
+/**
+ * Full profile for one account, or null if it doesn't exist
+ */
+export async function getAgentProfile(agentId) {
+  const agent = await getAgent(agentId);
+  if (!agent) return null;
+
+  const { entity, accounts } = await getAgentAccounts(agent);
+  const accountIds = accounts.map(account => account.id);
+
+  const [recentPosts, reputation, identities, threats, network] = await Promise.all([
+    getRecentPosts(accountIds),
+    getReputation(agent.id),
+    getIdentityLinks(agent.id),
+    getThreats(accountIds, agent.entity_id),
+    getNetworkMetrics(agent.id)
+  ]);
+
+  return { agent, entity, accounts, recentPosts, reputation, identities, threats, network };
+}
@@ -1,3 +1,4 @@
+import { CronJob } from 'cron';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
 
@@ -5,12 +6,131 @@ import { query, transaction } from '../utils/database.js';
  * Identity Resolution System
  * Links agent accounts across platforms to build unified profiles
  * Uses heuristics: name similarity, metadata, following relationships, activity patterns
+ *
+ * Each row in agents is a platform account. Accounts connected by links at or
+ * above entityLinkThreshold are merged into one agent entity (agent_entities).
+ *
+ * Runs after collection: as a job it reads the accounts and relationships
+ * collectors write, so it waits for any of them still in flight.
  */
 
-class IdentityResolver {
+/**
+ * Union-find over account ids, used to turn pairwise links into entities
+ */
+class DisjointSet {
   constructor() {
+    this.parent = new Map();
+    this.rank = new Map();
+  }
+
+  find(id) {
+    if (!this.parent.has(id)) {
+      this.parent.set(id, id);
+      this.rank.set(id, 0);
+      return id;
+    }
+
+    let root = id;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+
+    // Path compression
+    let node = id;
+    while (node !== root) {
+      const next = this.parent.get(node);
+      this.parent.set(node, root);
+      node = next;
+    }
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA === rootB) return;
+
+    const rankA = this.rank.get(rootA);
+    const rankB = this.rank.get(rootB);
+    if (rankA < rankB) {
+      this.parent.set(rootA, rootB);
+    } else if (rankA > rankB) {
+      this.parent.set(rootB, rootA);
+    } else {
+      this.parent.set(rootB, rootA);
+      this.rank.set(rootA, rankA + 1);
+    }
+  }
+}
+
+class IdentityResolver {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '10 */2 * * *';
+    this.itemCountFields = ['accounts'];
+    this.inputs = ['agents', 'agent_relationships'];
+    this.outputs = ['identities', 'threat_alerts'];
+    this.minIntervalMs = options.minIntervalMs ?? 30 * 60 * 1000;
     this.similarityThreshold = 0.75; // 75% name similarity to match
     this.followingChainThreshold = 0.6; // 60% mutual following to confirm link
+    this.entityLinkThreshold = 0.8; // Weaker links are kept but don't merge entities
+
+    this.isRunning = false;
+    this.resolutionJob = null;
+    this.lastResolutionTime = null;
+    this.lastResolutionDuration = null;
+    this.lastResult = null;
+    this.lastError = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Identity resolver already running');
+      return;
+    }
+
+    logger.info('🔗 Starting identity resolver...');
+
+    await this.run();
+
+    this.resolutionJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ Identity resolver started (${this.schedule})`);
+  }
+
+  async stop() {
+    if (this.resolutionJob) {
+      this.resolutionJob.stop();
+      this.resolutionJob = null;
+    }
+    this.isRunning = false;
+    logger.info('🛑 Identity resolver stopped');
+  }
+
+  /**
+   * One resolution pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    const startTime = Date.now();
+    try {
+      const stats = await this.resolveIdentities();
+
+      this.lastResult = {
+        linkedAgents: parseInt(stats.linked_agents) || 0,
+        avgConfidence: stats.avg_confidence === null ? null : parseFloat(stats.avg_confidence),
+        entities: parseInt(stats.entities) || 0,
+        multiAccountEntities: parseInt(stats.multi_account_entities) || 0,
+        accounts: parseInt(stats.accounts) || 0
+      };
+      this.lastResolutionTime = new Date();
+      this.lastResolutionDuration = Date.now() - startTime;
+      this.lastError = null;
+      return this.lastResult;
+    } catch (error) {
+      // resolveIdentities has already logged the failure
+      this.lastError = error.message;
+      return null;
+    }
   }
 
   async resolveIdentities() {
@@ -30,12 +150,12 @@ class IdentityResolver {
       // Phase 4: Link by bio/metadata similarity
       await this.linkByMetadata();
 
+      // Merge linked accounts into agent entities
+      await this.assignEntities();
+
       // Phase 5: Detect and flag sock puppets
       await this.detectSockPuppets();
 
-      // Create unified agent profiles
-      await this.createUnifiedProfiles();
-
       const duration = Date.now() - startTime;
       logger.info(`✅ Identity resolution completed in ${duration}ms`);
 
@@ -129,38 +249,52 @@ class IdentityResolver {
 
   /**
    * Phase 3: Link accounts through following relationships
-   * If agent A follows B on platform 1, and similar account B2 exists on platform 2,
-   * and B follows B2 on platform 2, they're likely the same agent
+   * Two accounts on different platforms are likely the same agent when they
+   * follow the same agents, i.e. the targets of one are already linked to the
+   * targets of the other.
    */
   async linkByFollowingRelationships() {
     logger.debug('Phase 3: Linking by following relationships...');
 
-    // Find agents that follow each other with high probability of being same person
     const result = await query(`
-      WITH potential_links AS (
-        SELECT 
-          a1.id as agent1_id, a1.platform as platform1,
-          a2.id as agent2_id, a2.platform as platform2,
-          COUNT(DISTINCT ar.target_agent_id) as mutual_follows
-        FROM agents a1
-        JOIN agents a2 ON a1.id != a2.id
-        JOIN agent_relationships ar ON ar.source_agent_id = a1.id
-        WHERE a1.platform != a2.platform
-        AND ar.relationship_type = 'following'
+      WITH follows AS (
+        SELECT source_agent_id, target_agent_id
+        FROM agent_relationships
+        WHERE relationship_type = 'following'
+      ),
+      strong_links AS (
+        SELECT primary_agent_id AS agent_id, linked_agent_id AS counterpart_id
+        FROM agent_identity_links WHERE confidence >= $1
+        UNION
+        SELECT linked_agent_id, primary_agent_id
+        FROM agent_identity_links WHERE confidence >= $1
+      ),
+      potential_links AS (
+        SELECT
+          f1.source_agent_id AS agent1_id,
+          f2.source_agent_id AS agent2_id,
+          COUNT(DISTINCT f1.target_agent_id) AS mutual_follows
+        FROM follows f1
+        JOIN strong_links sl ON sl.agent_id = f1.target_agent_id
+        JOIN follows f2 ON f2.target_agent_id = sl.counterpart_id
+        JOIN agents a1 ON a1.id = f1.source_agent_id
+        JOIN agents a2 ON a2.id = f2.source_agent_id
+        WHERE a1.id < a2.id
+        AND a1.platform != a2.platform
         AND NOT EXISTS (
           SELECT 1 FROM agent_identity_links
           WHERE (primary_agent_id = a1.id AND linked_agent_id = a2.id)
              OR (primary_agent_id = a2.id AND linked_agent_id = a1.id)
         )
-        GROUP BY a1.id, a2.id, a1.platform, a2.platform
-        HAVING COUNT(DISTINCT ar.target_agent_id) >= 3
+        GROUP BY f1.source_agent_id, f2.source_agent_id
+        HAVING COUNT(DISTINCT f1.target_agent_id) >= 3
       )
       INSERT INTO agent_identity_links (primary_agent_id, linked_agent_id, link_type, confidence)
       SELECT agent1_id, agent2_id, 'following_pattern', 
              LEAST(0.85, (mutual_follows::float / 10))
       FROM potential_links
-      WHERE mutual_follows >= 3
-    `);
+      ON CONFLICT (primary_agent_id, linked_agent_id) DO NOTHING
+    `, [this.entityLinkThreshold]);
 
     logger.debug(`✅ Linked ${result.rowCount} accounts via following patterns`);
   }
@@ -218,119 +352,143 @@ class IdentityResolver {
 
   /**
    * Phase 5: Detect sock puppets and multi-account networks
+   * Entities with several accounts that were all created within a day of each
+   * other look more like one operator's puppets than one agent's presence.
    */
   async detectSockPuppets() {
     logger.debug('Phase 5: Detecting sock puppets...');
 
-    // Find agents likely to be controlled by same entity
     const result = await query(`
-      WITH network_clusters AS (
-        SELECT 
-          ARRAY_AGG(DISTINCT platform ORDER BY platform) as platforms,
-          COUNT(*) as account_count,
-          AVG(EXTRACT(EPOCH FROM created_at)) as avg_creation_time,
-          STDDEV(EXTRACT(EPOCH FROM created_at)) as creation_time_variance,
-          STRING_AGG(DISTINCT name, ', ') as names,
-          STRING_AGG(DISTINCT external_id, ', ') as external_ids
-        FROM agents
-        WHERE id IN (
-          SELECT primary_agent_id FROM agent_identity_links
-          WHERE confidence >= 0.7
-          UNION
-          SELECT linked_agent_id FROM agent_identity_links
-          WHERE confidence >= 0.7
-        )
-        GROUP BY 
-          CASE 
-            WHEN COUNT(DISTINCT platform) > 2 THEN 'multi_platform'
-            WHEN ABS(EXTRACT(EPOCH FROM created_at) - 
-                     AVG(EXTRACT(EPOCH FROM created_at)) OVER ()) < 86400 THEN 'cluster'
-            ELSE 'single'
-          END
+      WITH entity_accounts AS (
+        SELECT
+          e.id AS entity_id,
+          e.primary_account_id,
+          e.platforms,
+          COUNT(a.id) AS account_count,
+          STDDEV(EXTRACT(EPOCH FROM a.first_seen)) AS creation_time_variance,
+          STRING_AGG(DISTINCT a.name, ', ') AS names
+        FROM agent_entities e
+        JOIN agents a ON a.entity_id = e.id
+        WHERE e.account_count >= 3
+        GROUP BY e.id
       )
-      INSERT INTO threat_alerts (alert_type, severity, description, data)
+      INSERT INTO threat_alerts (agent_id, alert_type, severity, description, data)
       SELECT 
+        primary_account_id,
         'sock_puppet_network',
         CASE 
           WHEN account_count >= 5 THEN 'high'
           WHEN account_count >= 3 THEN 'medium'
           ELSE 'low'
         END,
-        'Potential sock puppet network detected: ' || STRING_AGG(names, ', '),
-        JSON_BUILD_OBJECT(
+        'Potential sock puppet network detected: ' || names,
+        JSONB_BUILD_OBJECT(
+          'entity_id', entity_id,
           'account_count', account_count,
           'platforms', platforms,
-          'creation_cluster', creation_time_variance < 86400
+          'creation_cluster', COALESCE(creation_time_variance, 0) < 86400
         )
-      FROM network_clusters
-      WHERE account_count >= 3
+      FROM entity_accounts ea
+      WHERE COALESCE(creation_time_variance, 0) < 86400
+      AND NOT EXISTS (
+        SELECT 1 FROM threat_alerts ta
+        WHERE ta.alert_type = 'sock_puppet_network'
+        AND ta.data->>'entity_id' = ea.entity_id::TEXT
+        AND ta.created_at > NOW() - INTERVAL '7 days'
+      )
     `);
 
     logger.debug(`✅ Detected ${result.rowCount} potential sock puppet networks`);
   }
 
   /**
-   * Create unified agent profiles from identity links
+   * Merge accounts into agent entities: connected components over links at
+   * or above entityLinkThreshold. Existing entity ids are reused where
+   * possible so entity references stay stable between runs.
    */
-  async createUnifiedProfiles() {
-    logger.debug('Creating unified agent profiles...');
+  async assignEntities() {
+    logger.debug('Assigning accounts to agent entities...');
 
-    // Use graph traversal to find connected components (agent clusters)
-    const result = await query(`
-      WITH RECURSIVE agent_clusters AS (
-        -- Base case: single agents
-        SELECT 
-          id as root_agent_id,
-          id as cluster_id,
-          0 as depth
+    const [accounts, links] = await Promise.all([
+      query(`
+        SELECT id, name, platform, entity_id, first_seen
         FROM agents
-        WHERE NOT EXISTS (
-          SELECT 1 FROM agent_identity_links
-          WHERE primary_agent_id = agents.id OR linked_agent_id = agents.id
-        )
+        ORDER BY first_seen ASC, id ASC
+      `),
+      query(`
+        SELECT primary_agent_id, linked_agent_id
+        FROM agent_identity_links
+        WHERE confidence >= $1
+      `, [this.entityLinkThreshold])
+    ]);
+
+    const sets = new DisjointSet();
+    for (const account of accounts.rows) sets.find(account.id);
+    for (const link of links.rows) sets.union(link.primary_agent_id, link.linked_agent_id);
+
+    // Accounts are ordered by first_seen, so each component's first member is its primary
+    const components = new Map();
+    for (const account of accounts.rows) {
+      const root = sets.find(account.id);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(account);
+    }
 
-        UNION ALL
+    let changed = 0;
+    const claimed = new Set();
 
-        -- Recursive case: follow identity links
-        SELECT 
-          ac.root_agent_id,
-          COALESCE(ail.linked_agent_id, ail.primary_agent_id),
-          ac.depth + 1
-        FROM agent_clusters ac
-        JOIN agent_identity_links ail ON 
-          (ac.cluster_id = ail.primary_agent_id OR ac.cluster_id = ail.linked_agent_id)
-        WHERE ac.depth < 10
-      ),
-      canonical_agents AS (
-        SELECT 
-          MIN(root_agent_id) as canonical_id,
-          ARRAY_AGG(DISTINCT cluster_id) as linked_ids,
-          COUNT(DISTINCT cluster_id) as cluster_size
-        FROM agent_clusters
-        GROUP BY 
-          CASE WHEN root_agent_id = cluster_id THEN root_agent_id 
-               ELSE LEAST(root_agent_id, cluster_id) END
-        HAVING COUNT(DISTINCT cluster_id) > 1
-      )
-      INSERT INTO agent_unified_profiles 
-      (primary_agent_id, linked_agent_ids, profile_type, created_at)
-      SELECT 
-        canonical_id,
-        linked_ids,
-        CASE 
-          WHEN cluster_size >= 5 THEN 'network'
-          WHEN cluster_size >= 3 THEN 'multi_account'
-          ELSE 'linked'
-        END,
-        NOW()
-      FROM canonical_agents
-      ON CONFLICT (primary_agent_id) 
-      DO UPDATE SET 
-        linked_agent_ids = EXCLUDED.linked_agent_ids,
-        updated_at = NOW()
-    `);
+    await transaction(async (client) => {
+      for (const members of components.values()) {
+        // Keep the oldest entity id among members that no other component took
+        const entityId = members
+          .map(account => account.entity_id)
+          .filter(id => id !== null && !claimed.has(id))
+          .sort((a, b) => a - b)[0] ?? null;
+
+        const primary = members[0];
+        const platforms = [...new Set(members.map(account => account.platform))].sort();
+        const profileType = members.length >= 5 ? 'network'
+          : members.length >= 3 ? 'multi_account'
+            : members.length === 2 ? 'linked' : 'single';
+
+        let id = entityId;
+        if (id === null) {
+          const created = await client.query(`
+            INSERT INTO agent_entities (canonical_name, primary_account_id, profile_type, account_count, platforms)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+          `, [primary.name, primary.id, profileType, members.length, platforms]);
+          id = created.rows[0].id;
+        } else {
+          await client.query(`
+            UPDATE agent_entities SET
+              canonical_name = $2,
+              primary_account_id = $3,
+              profile_type = $4,
+              account_count = $5,
+              platforms = $6,
+              updated_at = NOW()
+            WHERE id = $1
+            AND (primary_account_id IS DISTINCT FROM $3 OR account_count != $5 OR platforms != $6)
+          `, [id, primary.name, primary.id, profileType, members.length, platforms]);
+        }
+        claimed.add(id);
+
+        const moved = members.filter(account => account.entity_id !== id).map(account => account.id);
+        if (moved.length > 0) {
+          await client.query('UPDATE agents SET entity_id = $1 WHERE id = ANY($2::INTEGER[])', [id, moved]);
+          changed += moved.length;
+        }
+      }
+
+      // Entities emptied by merges
+      await client.query(`
+        DELETE FROM agent_entities e
+        WHERE NOT EXISTS (SELECT 1 FROM agents a WHERE a.entity_id = e.id)
+      `);
+    });
 
-    logger.debug(`✅ Created ${result.rowCount} unified profiles`);
+    logger.debug(`✅ ${components.size} agent entities, ${changed} accounts reassigned`);
   }
 
   /**
@@ -407,16 +565,41 @@ class IdentityResolver {
    * Get resolution statistics
    */
   async getResolutionStats() {
-    const stats = await query(`
-      SELECT 
-        COUNT(DISTINCT primary_agent_id) as linked_agents,
-        AVG(confidence) as avg_confidence,
-        MAX(confidence) as max_confidence,
-        MIN(confidence) as min_confidence
-      FROM agent_identity_links
-    `);
+    const [links, entities] = await Promise.all([
+      query(`
+        SELECT 
+          COUNT(DISTINCT primary_agent_id) as linked_agents,
+          AVG(confidence) as avg_confidence,
+          MAX(confidence) as max_confidence,
+          MIN(confidence) as min_confidence
+        FROM agent_identity_links
+      `),
+      query(`
+        SELECT
+          COUNT(*) as entities,
+          COUNT(*) FILTER (WHERE account_count > 1) as multi_account_entities,
+          COALESCE(SUM(account_count), 0) as accounts
+        FROM agent_entities
+      `)
+    ]);
+
+    return { ...links.rows[0], ...entities.rows[0] };
+  }
 
-    return stats.rows[0] || {};
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastResolutionTime: this.lastResolutionTime,
+      lastResolutionDuration: this.lastResolutionDuration,
+      lastResult: this.lastResult,
+      lastError: this.lastError,
+      thresholds: {
+        similarity: this.similarityThreshold,
+        followingChain: this.followingChainThreshold,
+        entityLink: this.entityLinkThreshold
+      }
+    };
   }
 }
 
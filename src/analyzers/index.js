@@ -1,64 +1,72 @@
 import logger from '../utils/logger.js';
+import { getJobStates, toComponentStats } from '../jobs/queue.js';
 import SecurityAnalyzer from './security.js';
+import SecretScanner from './secret_scanner.js';
+import InjectionScanner from './injection_scanner.js';
 import ThreatIntelligenceAnalyzer from './threat_intelligence.js';
 import NetworkAnalyzer from './network_analyzer.js';
+import MetricSampler from './metric_history.js';
 import IdentityResolver from './identity_resolution.js';
 import ReputationEngine from './reputation_engine.js';
 
-const analyzers = [];
+/**
+ * Analyzers run as scheduled jobs in the worker process (see src/jobs).
+ *
+ * Per-analyzer environment overrides:
+ *   ANALYZER_<KEY>_ENABLED=false
+ *   ANALYZER_<KEY>_SCHEDULE="0 * * * *"
+ *   ANALYZER_<KEY>_MIN_INTERVAL_MINUTES=30   (change-driven analyzers only)
+ */
 
-export async function startAnalyzers() {
-  try {
-    logger.info('🧠 Starting data analyzers...');
+const ANALYZERS = [
+  { key: 'security', Analyzer: SecurityAnalyzer },
+  // Leaked keys and seed phrases in posts and skills
+  { key: 'secrets', Analyzer: SecretScanner },
+  // Prompt-injection risk of posts and skills
+  { key: 'injection', Analyzer: InjectionScanner },
+  { key: 'threat-intel', Analyzer: ThreatIntelligenceAnalyzer },
+  { key: 'network', Analyzer: NetworkAnalyzer },
+  // Engagement history for time series
+  { key: 'metrics', Analyzer: MetricSampler },
+  // Reputation reads the sock-puppet alerts identity resolution raises
+  { key: 'identity', Analyzer: IdentityResolver },
+  { key: 'reputation', Analyzer: ReputationEngine }
+];
 
-    // Initialize Security analyzer
-    const securityAnalyzer = new SecurityAnalyzer();
-    await securityAnalyzer.start();
-    analyzers.push(securityAnalyzer);
-
-    // Initialize Threat Intelligence analyzer
-    const threatIntelAnalyzer = new ThreatIntelligenceAnalyzer();
-    await threatIntelAnalyzer.start();
-    analyzers.push(threatIntelAnalyzer);
-
-    // Initialize Network analyzer
-    const networkAnalyzer = new NetworkAnalyzer();
-    await networkAnalyzer.start();
-    analyzers.push(networkAnalyzer);
+function envKey(key, setting) {
+  return `ANALYZER_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${setting}`;
+}
 
-    // Initialize Identity Resolver (link cross-platform accounts)
-    const identityResolver = new IdentityResolver();
-    analyzers.push(identityResolver);
+/**
+ * Instantiate all enabled analyzers
+ */
+export function createAnalyzers(env = process.env) {
+  const instances = [];
 
-    // Initialize Reputation Engine (calculate agent scores)
-    const reputationEngine = new ReputationEngine();
-    analyzers.push(reputationEngine);
+  for (const { key, Analyzer } of ANALYZERS) {
+    const enabled = env[envKey(key, 'ENABLED')];
+    if (enabled !== undefined && ['false', '0', 'no', 'off'].includes(enabled.toLowerCase())) {
+      logger.info(`⏸️  Analyzer ${key} disabled by config`);
+      continue;
+    }
 
-    logger.info(`✅ Started ${analyzers.length} analyzers`);
-  } catch (error) {
-    logger.error('❌ Failed to start analyzers:', error);
-    throw error;
+    const schedule = env[envKey(key, 'SCHEDULE')];
+    const minInterval = parseInt(env[envKey(key, 'MIN_INTERVAL_MINUTES')]);
+    const analyzer = new Analyzer({
+      ...(schedule && { schedule }),
+      ...(minInterval >= 0 && { minIntervalMs: minInterval * 60 * 1000 })
+    });
+    analyzer.key = key;
+    instances.push(analyzer);
   }
-}
 
-export async function stopAnalyzers() {
-  logger.info('🛑 Stopping data analyzers...');
-  
-  for (const analyzer of analyzers) {
-    try {
-      await analyzer.stop();
-    } catch (error) {
-      logger.error('Error stopping analyzer:', error);
-    }
-  }
-  
-  analyzers.length = 0;
-  logger.info('✅ All analyzers stopped');
+  return instances;
 }
 
-export function getAnalyzerStats() {
-  return analyzers.map(analyzer => ({
-    name: analyzer.constructor.name,
-    stats: analyzer.getStats ? analyzer.getStats() : {}
-  }));
-}
\ No newline at end of file
+/**
+ * Latest stats reported by workers for each analyzer job
+ */
+export async function getAnalyzerStats() {
+  const states = await getJobStates({ kind: 'analyzer' });
+  return states.map(toComponentStats);
+}
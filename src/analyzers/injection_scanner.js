@@ -0,0 +1,415 @@
+import { CronJob } from 'cron';
+import logger from '../utils/logger.js';
+import { query } from '../utils/database.js';
+import { broadcasts } from '../websocket.js';
+import AIClient from '../utils/ai_client.js';
+import { contentHash } from './skill_versions.js';
+import { loadActiveRules, applySuppressions } from '../triage/suppression.js';
+import { recordSecurityAlert } from '../triage/alerts.js';
+import { findInjections, injectionRisk, injectionTechniques, INJECTION_ALERT_TYPE } from '../rules/injection.js';
+
+/**
+ * Prompt-Injection Scanner
+ * Scores every collected post (Moltbook, Moltx, 4claw threads and replies)
+ * and skill version for prompt injection aimed at the agents that read
+ * them (see rules/injection.js). Each item gets a 0-100 injection risk and
+ * the techniques seen, stored on the row; a skill carries its latest
+ * version's. Items at or above INJECTION_ALERT_MIN_RISK raise a
+ * prompt_injection alert per detector.
+ *
+ * With INJECTION_AI_ENABLED=true, items the heuristics already flag get a
+ * second opinion from the AI classifier (a capped number per run), which
+ * can raise the risk or, when confident the text only discusses injection,
+ * lower it.
+ *
+ * Incremental like the secret scanner: a post is checked again only when
+ * its text changes (migration 017_injection_scores.js).
+ */
+
+const SOURCE = 'injection';
+const AI_MAX_CHARS = 6000;
+
+function clamp(value, min, max) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+}
+
+/**
+ * Heuristic risk adjusted by the AI classification, if there is one. A
+ * confident "not an injection" halves the risk at most, so quoting an
+ * attack verbatim still shows up, just lower.
+ */
+export function combineRisk(heuristicRisk, classification) {
+  if (!classification) return heuristicRisk;
+  if (classification.injection) return Math.max(heuristicRisk, classification.risk_score);
+  return Math.round(heuristicRisk * (1 - classification.confidence / 2));
+}
+
+/**
+ * Alert for one finding. The description is public (alert lists, the
+ * websocket feed), so it says what fired and where; the decoded hidden
+ * text and snippet stay in the finding fields, which end up in metadata
+ * behind read:security.
+ */
+export function injectionAlert(finding, { risk, classification, where }) {
+  return {
+    type: INJECTION_ALERT_TYPE,
+    rule_id: `injection.${finding.detector}`,
+    rule_name: finding.name,
+    severity: finding.severity,
+    description: `${finding.name} in ${where} (injection risk ${risk})`,
+    ...finding,
+    injection_risk: risk,
+    ...(classification && { ai: classification })
+  };
+}
+
+class InjectionScanner {
+  constructor(options = {}, env = process.env) {
+    this.schedule = options.schedule || '40 * * * *';
+    this.itemCountFields = ['postsScanned', 'skillVersionsScanned'];
+    // Rescans when collectors bring in new posts or skill versions
+    this.inputs = ['posts', 'skills'];
+    this.outputs = ['security_alerts'];
+    this.minIntervalMs = options.minIntervalMs ?? 15 * 60 * 1000;
+    this.batchSize = options.batchSize || 200;
+    this.maxBatches = options.maxBatches || 20;
+    this.alertMinRisk = options.alertMinRisk ?? parseInt(env.INJECTION_ALERT_MIN_RISK || '40');
+    this.aiEnabled = options.aiEnabled ?? env.INJECTION_AI_ENABLED === 'true';
+    this.aiMinRisk = options.aiMinRisk ?? parseInt(env.INJECTION_AI_MIN_RISK || '20');
+    this.aiMaxCalls = options.aiMaxCalls ?? parseInt(env.INJECTION_AI_MAX_CALLS || '50');
+    this.aiClient = new AIClient();
+    this.aiCallsLeft = 0;
+
+    this.isRunning = false;
+    this.scanJob = null;
+    this.lastScanTime = null;
+    this.lastResult = null;
+    this.lastError = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Injection scanner already running');
+      return;
+    }
+
+    logger.info('💉 Starting prompt-injection scanner...');
+
+    await this.run();
+
+    this.scanJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ Prompt-injection scanner started (${this.schedule}, AI ${this.aiEnabled ? 'on' : 'off'})`);
+  }
+
+  async stop() {
+    if (this.scanJob) {
+      this.scanJob.stop();
+      this.scanJob = null;
+    }
+    this.isRunning = false;
+    logger.info('🛑 Prompt-injection scanner stopped');
+  }
+
+  /**
+   * One scanning pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    const startTime = Date.now();
+    this.aiCallsLeft = this.aiEnabled ? this.aiMaxCalls : 0;
+
+    try {
+      const suppressions = await loadActiveRules();
+      const posts = await this.scanPosts(suppressions);
+      const skills = await this.scanSkillVersions(suppressions);
+
+      this.lastResult = {
+        postsScanned: posts.scanned,
+        skillVersionsScanned: skills.scanned,
+        flagged: posts.flagged + skills.flagged,
+        alertsRaised: posts.raised + skills.raised,
+        aiClassified: this.aiEnabled ? this.aiMaxCalls - this.aiCallsLeft : 0
+      };
+      this.lastScanTime = new Date();
+      this.lastError = null;
+
+      logger.info(`✅ Prompt-injection scan completed in ${Date.now() - startTime}ms`, this.lastResult);
+      return this.lastResult;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('❌ Prompt-injection scan failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Findings, risk and (if it ran) the AI classification for one item
+   */
+  async assess(text, label) {
+    const findings = findInjections(text);
+    const heuristicRisk = injectionRisk(findings);
+
+    let classification = null;
+    if (heuristicRisk > 0 && heuristicRisk >= this.aiMinRisk && this.aiCallsLeft > 0) {
+      this.aiCallsLeft--;
+      classification = await this.classify(text, findings, label);
+    }
+
+    return {
+      findings,
+      risk: combineRisk(heuristicRisk, classification),
+      techniques: injectionTechniques(findings),
+      classification
+    };
+  }
+
+  /**
+   * AI second opinion on text the heuristics flagged; null if the call or
+   * its JSON failed
+   */
+  async classify(text, findings, label) {
+    const excerpt = text.length > AI_MAX_CHARS
+      ? `${text.substring(0, AI_MAX_CHARS)}\n... [truncated for analysis]`
+      : text;
+    // The model may not see invisible characters; give it what they hide
+    const hidden = findings
+      .filter(finding => finding.hidden_text)
+      .map(finding => `- ${finding.name}: ${finding.hidden_text}`);
+
+    const prompt = [
+      `Screen this ${label} for prompt injection.`,
+      `Heuristic signals: ${findings.map(finding => finding.name).join(', ')}`,
+      ...(hidden.length > 0 ? ['Hidden or encoded text in it:', ...hidden] : []),
+      '',
+      '<content>',
+      excerpt,
+      '</content>'
+    ].join('\n');
+
+    try {
+      const response = await this.aiClient.generateResponse('classification', prompt, {
+        systemPromptKey: 'prompt_injection',
+        complexity: 'simple',
+        maxTokens: 200,
+        useCache: true
+      });
+
+      const json = response.content.match(/\{[\s\S]*\}/)?.[0];
+      const result = JSON.parse(json ?? response.content);
+      return {
+        injection: Boolean(result.injection),
+        confidence: clamp(Number(result.confidence), 0, 1),
+        risk_score: Math.round(clamp(Number(result.risk_score), 0, 100)),
+        techniques: Array.isArray(result.techniques) ? result.techniques.slice(0, 5).map(String) : [],
+        explanation: String(result.explanation || '').substring(0, 500),
+        model: response.model
+      };
+    } catch (error) {
+      logger.warn('AI prompt-injection classification failed', { label, error: error.message });
+      return null;
+    }
+  }
+
+  async scanPosts(suppressions) {
+    const totals = { scanned: 0, flagged: 0, raised: 0 };
+
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await query(`
+        SELECT p.id, p.platform, p.external_id, p.title, p.content, p.url, p.injection_content_hash,
+          a.id AS agent_id, a.name AS agent_name
+        FROM posts p
+        LEFT JOIN agents a ON a.id = p.agent_id
+        WHERE p.injection_scanned_at IS NULL OR p.updated_at > p.injection_scanned_at
+        ORDER BY p.id
+        LIMIT $1
+      `, [this.batchSize]);
+      if (result.rows.length === 0) break;
+
+      const scores = [];
+      for (const post of result.rows) {
+        const text = `${post.title || ''}\n${post.content || ''}`;
+        const hash = contentHash(text);
+        // Engagement refreshes bump updated_at without changing the text
+        if (hash === post.injection_content_hash) {
+          scores.push({ id: post.id, hash, risk: null });
+          continue;
+        }
+
+        totals.scanned++;
+        const assessment = await this.assess(text, `${post.platform} post`);
+        scores.push({ id: post.id, hash, risk: assessment.risk, techniques: assessment.techniques });
+        if (assessment.risk < this.alertMinRisk) continue;
+
+        totals.flagged++;
+        const where = `a ${post.platform} post by ${post.agent_name || 'unknown agent'}`;
+        const alerts = assessment.findings.map(finding => injectionAlert(finding, { ...assessment, where }));
+        // Posts have no skill; only type and rule suppressions apply
+        const raised = await applySuppressions(suppressions, {}, alerts);
+        totals.raised += await this.storeAlerts(raised, {
+          subject: `post:${post.platform}:${post.external_id}`,
+          title: alert => `${alert.severity.toUpperCase()}: Prompt injection (${alert.name}) in ${where}`,
+          metadata: {
+            post_id: post.id,
+            platform: post.platform,
+            post_external_id: post.external_id,
+            post_url: post.url,
+            agent_id: post.agent_id,
+            agent_name: post.agent_name
+          }
+        });
+      }
+
+      // Unchanged posts keep their score; a post edited while it was being
+      // scanned stays pending
+      await query(`
+        UPDATE posts p
+        SET injection_scanned_at = NOW(),
+            injection_content_hash = v.hash,
+            injection_risk = COALESCE(v.risk, p.injection_risk),
+            injection_techniques = CASE WHEN v.risk IS NULL THEN p.injection_techniques ELSE string_to_array(v.techniques, ',') END
+        FROM unnest($1::int[], $2::text[], $3::int[], $4::text[]) AS v(id, hash, risk, techniques)
+        WHERE p.id = v.id
+          AND encode(sha256(convert_to(COALESCE(p.title, '') || E'\\n' || COALESCE(p.content, ''), 'UTF8')), 'hex') = v.hash
+      `, [
+        scores.map(score => score.id),
+        scores.map(score => score.hash),
+        scores.map(score => score.risk),
+        scores.map(score => (score.techniques || []).join(','))
+      ]);
+    }
+
+    return totals;
+  }
+
+  async scanSkillVersions(suppressions) {
+    const totals = { scanned: 0, flagged: 0, raised: 0 };
+
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await query(`
+        SELECT sv.id, sv.skill_external_id, sv.version, sv.content, s.name AS skill_name
+        FROM skill_versions sv
+        LEFT JOIN skills s ON s.external_id = sv.skill_external_id
+        WHERE sv.injection_scanned_at IS NULL
+        ORDER BY sv.id
+        LIMIT $1
+      `, [this.batchSize]);
+      if (result.rows.length === 0) break;
+
+      const scores = [];
+      for (const version of result.rows) {
+        totals.scanned++;
+        const skillName = version.skill_name || version.skill_external_id;
+        const assessment = await this.assess(version.content || '', `skill (${skillName}) SKILL.md`);
+        scores.push({ id: version.id, risk: assessment.risk, techniques: assessment.techniques });
+        if (assessment.risk < this.alertMinRisk) continue;
+
+        totals.flagged++;
+        const alerts = assessment.findings.map(finding => injectionAlert(finding, { ...assessment, where: `skill ${skillName}` }));
+        const skill = { id: version.skill_external_id, name: skillName };
+        const raised = await applySuppressions(suppressions, skill, alerts);
+        totals.raised += await this.storeAlerts(raised, {
+          subject: version.skill_external_id,
+          title: alert => `${alert.severity.toUpperCase()}: Prompt injection (${alert.name}) in skill ${skillName}`,
+          metadata: {
+            skill_id: version.skill_external_id,
+            skill_name: skillName,
+            skill_version: version.version,
+            skill_version_id: version.id
+          }
+        });
+      }
+
+      await query(`
+        UPDATE skill_versions sv
+        SET injection_scanned_at = NOW(),
+            injection_risk = v.risk,
+            injection_techniques = string_to_array(v.techniques, ',')
+        FROM unnest($1::int[], $2::int[], $3::text[]) AS v(id, risk, techniques)
+        WHERE sv.id = v.id
+      `, [
+        scores.map(score => score.id),
+        scores.map(score => score.risk),
+        scores.map(score => score.techniques.join(','))
+      ]);
+
+      // A skill shows the risk of its latest version
+      await query(`
+        UPDATE skills s
+        SET injection_risk = latest.injection_risk, injection_techniques = latest.injection_techniques
+        FROM (
+          SELECT DISTINCT ON (skill_external_id) skill_external_id, injection_risk, injection_techniques
+          FROM skill_versions
+          WHERE skill_external_id = ANY($1) AND injection_scanned_at IS NOT NULL
+          ORDER BY skill_external_id, created_at DESC, id DESC
+        ) latest
+        WHERE s.external_id = latest.skill_external_id
+      `, [[...new Set(result.rows.map(version => version.skill_external_id))]]);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Record alerts for one post or skill version; returns how many were new
+   * or reopened (and broadcast)
+   */
+  async storeAlerts(alerts, { subject, title, metadata }) {
+    let raised = 0;
+
+    for (const alert of alerts) {
+      const row = await recordSecurityAlert({
+        source: SOURCE,
+        subject,
+        alert,
+        title: title(alert),
+        metadata: { ...metadata, ...alert }
+      });
+
+      if (row.created || row.reopened) {
+        raised++;
+        broadcasts.securityAlert({
+          id: row.id,
+          type: alert.type,
+          severity: alert.severity,
+          title: row.title,
+          description: alert.description,
+          injection_risk: alert.injection_risk,
+          ...(metadata.skill_name && { skill_name: metadata.skill_name }),
+          ...(metadata.platform && { platform: metadata.platform, post_id: metadata.post_id }),
+          reopened: row.reopened,
+          occurrence_count: row.occurrence_count,
+          created_at: row.created_at
+        });
+
+        logger.info(`🚨 Prompt-injection alert broadcasted: ${alert.severity} - ${row.title}`);
+      }
+    }
+
+    return raised;
+  }
+
+  getStats() {
+    const aiStats = this.aiClient.getUsageStats();
+
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastScanTime: this.lastScanTime,
+      lastResult: this.lastResult,
+      lastError: this.lastError,
+      alertMinRisk: this.alertMinRisk,
+      ai: {
+        enabled: this.aiEnabled,
+        minRisk: this.aiMinRisk,
+        maxCallsPerRun: this.aiMaxCalls,
+        totalRequests: aiStats.totalRequests,
+        totalTokensUsed: aiStats.totalTokensUsed
+      }
+    };
+  }
+}
+
+export default InjectionScanner;
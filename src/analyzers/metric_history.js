@@ -0,0 +1,434 @@
+import { CronJob } from 'cron';
+import logger from '../utils/logger.js';
+import { query, transaction } from '../utils/database.js';
+
+/**
+ * Metric History
+ * Periodically samples post engagement and agent activity so growth numbers
+ * have a history behind them. Samples are rolled up raw -> hourly -> daily
+ * as they age, and getTimeSeries() serves them per post, agent, submolt,
+ * 4claw board or platform.
+ *
+ *   METRIC_SAMPLE_SCHEDULE        - cron schedule (default every 15 minutes)
+ *   METRIC_RAW_RETENTION_HOURS    - raw samples kept before hourly rollup (48)
+ *   METRIC_HOURLY_RETENTION_DAYS  - hourly samples kept before daily rollup (30)
+ *   METRIC_DAILY_RETENTION_DAYS   - daily samples kept at all (365)
+ */
+
+const POST_METRICS = ['upvotes', 'downvotes', 'comment_count', 'repost_count'];
+const AGENT_METRICS = ['reputation_score', 'post_count', 'comment_count', 'upvotes_received', 'followers'];
+const AGGREGATE_METRICS = ['posts', 'comments', 'active_agents', 'upvotes_gained'];
+
+export const SERIES_KINDS = ['post', 'agent', 'submolt', 'board', 'platform'];
+export const SERIES_INTERVALS = ['hour', 'day'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest range served per interval, so a single request can't scan everything
+const MAX_BUCKETS = 24 * 31;
+// Post and agent ids are SERIAL (int4) columns
+const MAX_ROW_ID = 2147483647;
+
+function lastValues(metrics) {
+  return metrics
+    .map(metric => `(ARRAY_AGG(${metric} ORDER BY sampled_at DESC))[1] AS ${metric}`)
+    .join(',\n        ');
+}
+
+/**
+ * Roll one resolution up into the next for samples older than cutoff.
+ * The last sample in each bucket wins, since every metric is a gauge.
+ */
+async function rollupSamples(client, { table, key, metrics, from, to, unit, cutoff }) {
+  const columns = metrics.join(', ');
+  const updates = metrics.map(metric => `${metric} = EXCLUDED.${metric}`).join(', ');
+
+  await client.query(`
+    INSERT INTO ${table} (${key}, platform, resolution, sampled_at, ${columns})
+    SELECT ${key}, platform, $1, DATE_TRUNC($2, sampled_at) AS bucket,
+        ${lastValues(metrics)}
+    FROM ${table}
+    WHERE resolution = $3 AND sampled_at < $4
+    GROUP BY ${key}, platform, bucket
+    ON CONFLICT (${key}, resolution, sampled_at)
+    DO UPDATE SET ${updates}
+  `, [to, unit, from, cutoff]);
+
+  const removed = await client.query(`
+    DELETE FROM ${table} WHERE resolution = $1 AND sampled_at < $2
+  `, [from, cutoff]);
+
+  return removed.rowCount;
+}
+
+class MetricSampler {
+  constructor(options = {}, env = process.env) {
+    this.schedule = options.schedule || env.METRIC_SAMPLE_SCHEDULE || '*/15 * * * *';
+    this.rawRetentionHours = options.rawRetentionHours ?? parseInt(env.METRIC_RAW_RETENTION_HOURS || '48');
+    this.hourlyRetentionDays = options.hourlyRetentionDays ?? parseInt(env.METRIC_HOURLY_RETENTION_DAYS || '30');
+    this.dailyRetentionDays = options.dailyRetentionDays ?? parseInt(env.METRIC_DAILY_RETENTION_DAYS || '365');
+    // Samples are taken on schedule whether or not anything changed
+    this.outputs = ['metric_samples'];
+
+    this.isRunning = false;
+    this.sampleJob = null;
+    this.lastSampleTime = null;
+    this.lastSampleCounts = null;
+    this.lastRollupTime = null;
+    this.lastRollupCounts = null;
+    this.lastError = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Metric sampler already running');
+      return;
+    }
+
+    logger.info('📈 Starting metric sampler...');
+
+    await this.run();
+
+    this.sampleJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ Metric sampler started (${this.schedule})`);
+  }
+
+  async stop() {
+    if (this.sampleJob) {
+      this.sampleJob.stop();
+      this.sampleJob = null;
+    }
+    this.isRunning = false;
+    logger.info('🛑 Metric sampler stopped');
+  }
+
+  /**
+   * One sampling pass; returns the sample counts, or null if the pass failed
+   */
+  async run() {
+    try {
+      await this.sample();
+
+      // Rollups only need to keep pace with the hourly buckets
+      if (!this.lastRollupTime || Date.now() - this.lastRollupTime >= HOUR_MS) {
+        await this.rollup();
+      }
+
+      this.lastError = null;
+      return { ...this.lastSampleCounts };
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('❌ Metric sampling failed:', error);
+      return null;
+    }
+  }
+
+  async sample() {
+    const sampledAt = new Date();
+    sampledAt.setSeconds(0, 0);
+
+    // Posts are re-sampled whenever a collector has refreshed them since the last run
+    const posts = await query(`
+      INSERT INTO post_metric_samples (
+        post_id, platform, resolution, sampled_at,
+        upvotes, downvotes, comment_count, repost_count
+      )
+      SELECT id, platform, 'raw', $1, upvotes, downvotes, comment_count, COALESCE(repost_count, 0)
+      FROM posts
+      WHERE updated_at > COALESCE(
+        (SELECT MAX(sampled_at) FROM post_metric_samples WHERE resolution = 'raw'),
+        $1::TIMESTAMP - INTERVAL '1 day'
+      )
+      ON CONFLICT DO NOTHING
+    `, [sampledAt]);
+
+    // Agents are only sampled when something changed since their latest sample
+    const agents = await query(`
+      WITH current AS (
+        SELECT
+          a.id AS agent_id,
+          a.platform,
+          COALESCE(a.reputation_score, 0) AS reputation_score,
+          COALESCE(p.post_count, 0) AS post_count,
+          COALESCE(c.comment_count, 0) AS comment_count,
+          COALESCE(p.upvotes, 0) AS upvotes_received,
+          m.followers
+        FROM agents a
+        LEFT JOIN (
+          SELECT agent_id, COUNT(*) AS post_count, SUM(upvotes) AS upvotes
+          FROM posts GROUP BY agent_id
+        ) p ON p.agent_id = a.id
+        LEFT JOIN (
+          SELECT agent_id, COUNT(*) AS comment_count
+          FROM comments GROUP BY agent_id
+        ) c ON c.agent_id = a.id
+        LEFT JOIN LATERAL (
+          SELECT followers FROM agent_metrics am
+          WHERE am.agent_id = a.id
+          ORDER BY collected_at DESC
+          LIMIT 1
+        ) m ON TRUE
+        WHERE a.last_seen > NOW() - INTERVAL '30 days'
+      )
+      INSERT INTO agent_metric_samples (
+        agent_id, platform, resolution, sampled_at,
+        reputation_score, post_count, comment_count, upvotes_received, followers
+      )
+      SELECT agent_id, platform, 'raw', $1,
+        reputation_score, post_count, comment_count, upvotes_received, followers
+      FROM current cur
+      WHERE NOT EXISTS (
+        SELECT 1 FROM (
+          SELECT * FROM agent_metric_samples s
+          WHERE s.agent_id = cur.agent_id
+          ORDER BY s.sampled_at DESC
+          LIMIT 1
+        ) latest
+        WHERE latest.reputation_score = cur.reputation_score
+          AND latest.post_count = cur.post_count
+          AND latest.comment_count = cur.comment_count
+          AND latest.upvotes_received = cur.upvotes_received
+          AND latest.followers IS NOT DISTINCT FROM cur.followers
+      )
+      ON CONFLICT DO NOTHING
+    `, [sampledAt]);
+
+    this.lastSampleTime = sampledAt;
+    this.lastSampleCounts = { posts: posts.rowCount, agents: agents.rowCount };
+    logger.debug(`📈 Sampled ${posts.rowCount} posts and ${agents.rowCount} agents`);
+  }
+
+  async rollup() {
+    const now = Date.now();
+    const rawCutoff = new Date(now - this.rawRetentionHours * HOUR_MS);
+    const hourlyCutoff = new Date(now - this.hourlyRetentionDays * DAY_MS);
+    const dailyCutoff = new Date(now - this.dailyRetentionDays * DAY_MS);
+
+    const counts = await transaction(async (client) => {
+      const result = { raw: 0, hour: 0, day: 0 };
+
+      for (const [table, key, metrics] of [
+        ['post_metric_samples', 'post_id', POST_METRICS],
+        ['agent_metric_samples', 'agent_id', AGENT_METRICS]
+      ]) {
+        result.raw += await rollupSamples(client, { table, key, metrics, from: 'raw', to: 'hour', unit: 'hour', cutoff: rawCutoff });
+        result.hour += await rollupSamples(client, { table, key, metrics, from: 'hour', to: 'day', unit: 'day', cutoff: hourlyCutoff });
+
+        const expired = await client.query(`
+          DELETE FROM ${table} WHERE resolution = 'day' AND sampled_at < $1
+        `, [dailyCutoff]);
+        result.day += expired.rowCount;
+      }
+
+      return result;
+    });
+
+    this.lastRollupTime = now;
+    this.lastRollupCounts = counts;
+    logger.debug('📉 Rolled up metric samples', counts);
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastSampleTime: this.lastSampleTime,
+      lastSampleCounts: this.lastSampleCounts,
+      lastRollupTime: this.lastRollupTime ? new Date(this.lastRollupTime) : null,
+      lastRollupCounts: this.lastRollupCounts,
+      lastError: this.lastError,
+      retention: {
+        rawHours: this.rawRetentionHours,
+        hourlyDays: this.hourlyRetentionDays,
+        dailyDays: this.dailyRetentionDays
+      }
+    };
+  }
+}
+
+function aggregateFilter(kind) {
+  switch (kind) {
+    case 'submolt':
+      return `p.platform = 'moltbook' AND p.submolt = $1`;
+    case 'board':
+      return `p.platform = '4claw' AND p.metadata->>'board' = $1`;
+    default:
+      return `($1 = 'all' OR p.platform = $1)`;
+  }
+}
+
+/**
+ * Gauge series (post/agent): last sample per bucket, carried forward through
+ * buckets without samples, plus the change since the previous bucket.
+ */
+async function getSampleSeries(kind, id, { unit, from, to }) {
+  const [table, key, metrics] = kind === 'post'
+    ? ['post_metric_samples', 'post_id', POST_METRICS]
+    : ['agent_metric_samples', 'agent_id', AGENT_METRICS];
+
+  const [buckets, previous] = await Promise.all([
+    query(`
+      WITH buckets AS (
+        SELECT GENERATE_SERIES(DATE_TRUNC($2, $3::TIMESTAMP), $4::TIMESTAMP, ('1 ' || $2)::INTERVAL) AS bucket
+      ),
+      samples AS (
+        SELECT DATE_TRUNC($2, sampled_at) AS bucket,
+          ${lastValues(metrics)}
+        FROM ${table}
+        WHERE ${key} = $1 AND sampled_at BETWEEN $3 AND $4
+        GROUP BY 1
+      )
+      SELECT b.bucket, ${metrics.map(metric => `s.${metric}`).join(', ')}, s.bucket IS NOT NULL AS sampled
+      FROM buckets b
+      LEFT JOIN samples s ON s.bucket = b.bucket
+      ORDER BY b.bucket
+    `, [id, unit, from, to]),
+    query(`
+      SELECT ${metrics.join(', ')}
+      FROM ${table}
+      WHERE ${key} = $1 AND sampled_at < $2
+      ORDER BY sampled_at DESC
+      LIMIT 1
+    `, [id, from])
+  ]);
+
+  let last = previous.rows[0] || null;
+  return buckets.rows.map(row => {
+    const point = { timestamp: row.bucket, sampled: row.sampled };
+    const current = row.sampled ? row : last;
+
+    for (const metric of metrics) {
+      const value = current?.[metric] ?? null;
+      const before = last?.[metric] ?? null;
+      point[metric] = value;
+      point[`${metric}_delta`] = value !== null && before !== null ? value - before : null;
+    }
+
+    if (row.sampled) last = row;
+    return point;
+  });
+}
+
+/**
+ * Activity series (submolt/board/platform): counts per bucket, with upvotes
+ * gained summed from per-post sample deltas.
+ */
+async function getAggregateSeries(kind, id, { unit, from, to }) {
+  const filter = aggregateFilter(kind);
+
+  const result = await query(`
+    WITH buckets AS (
+      SELECT GENERATE_SERIES(DATE_TRUNC($2, $3::TIMESTAMP), $4::TIMESTAMP, ('1 ' || $2)::INTERVAL) AS bucket
+    ),
+    post_counts AS (
+      SELECT DATE_TRUNC($2, p.created_at) AS bucket, COUNT(*) AS posts
+      FROM posts p
+      WHERE ${filter} AND p.created_at BETWEEN $3 AND $4
+      GROUP BY 1
+    ),
+    comment_counts AS (
+      SELECT DATE_TRUNC($2, c.created_at) AS bucket, COUNT(*) AS comments
+      FROM comments c
+      JOIN posts p ON p.id = c.post_id
+      WHERE ${filter} AND c.created_at BETWEEN $3 AND $4
+      GROUP BY 1
+    ),
+    activity AS (
+      SELECT DATE_TRUNC($2, created_at) AS bucket, COUNT(DISTINCT agent_id) AS active_agents
+      FROM (
+        SELECT p.agent_id, p.created_at FROM posts p
+        WHERE ${filter} AND p.created_at BETWEEN $3 AND $4
+        UNION ALL
+        SELECT c.agent_id, c.created_at FROM comments c
+        JOIN posts p ON p.id = c.post_id
+        WHERE ${filter} AND c.created_at BETWEEN $3 AND $4
+      ) events
+      WHERE agent_id IS NOT NULL
+      GROUP BY 1
+    ),
+    post_buckets AS (
+      SELECT s.post_id, DATE_TRUNC($2, s.sampled_at) AS bucket,
+        (ARRAY_AGG(s.upvotes ORDER BY s.sampled_at DESC))[1] AS upvotes
+      FROM post_metric_samples s
+      JOIN posts p ON p.id = s.post_id
+      WHERE ${filter} AND s.sampled_at BETWEEN DATE_TRUNC($2, $3::TIMESTAMP) - ('1 ' || $2)::INTERVAL AND $4
+      GROUP BY s.post_id, 2
+    ),
+    upvote_deltas AS (
+      SELECT bucket, SUM(GREATEST(gained, 0)) AS upvotes_gained
+      FROM (
+        SELECT bucket, upvotes - LAG(upvotes) OVER (PARTITION BY post_id ORDER BY bucket) AS gained
+        FROM post_buckets
+      ) deltas
+      GROUP BY bucket
+    )
+    SELECT b.bucket,
+      COALESCE(pc.posts, 0) AS posts,
+      COALESCE(cc.comments, 0) AS comments,
+      COALESCE(a.active_agents, 0) AS active_agents,
+      COALESCE(u.upvotes_gained, 0) AS upvotes_gained
+    FROM buckets b
+    LEFT JOIN post_counts pc ON pc.bucket = b.bucket
+    LEFT JOIN comment_counts cc ON cc.bucket = b.bucket
+    LEFT JOIN activity a ON a.bucket = b.bucket
+    LEFT JOIN upvote_deltas u ON u.bucket = b.bucket
+    ORDER BY b.bucket
+  `, [id, unit, from, to]);
+
+  return result.rows.map(row => ({
+    timestamp: row.bucket,
+    ...Object.fromEntries(AGGREGATE_METRICS.map(metric => [metric, parseInt(row[metric])]))
+  }));
+}
+
+/**
+ * Time series for one post, agent, submolt, 4claw board or platform
+ * ('all' for every platform). Defaults to the last 48 hours hourly or the
+ * last 30 days daily.
+ */
+export async function getTimeSeries(kind, id, { interval = 'hour', from = null, to = null } = {}) {
+  if (!SERIES_KINDS.includes(kind)) {
+    throw new RangeError(`Unknown series kind "${kind}" (expected ${SERIES_KINDS.join(', ')})`);
+  }
+  if (!SERIES_INTERVALS.includes(interval)) {
+    throw new RangeError(`Unknown interval "${interval}" (expected ${SERIES_INTERVALS.join(', ')})`);
+  }
+
+  const step = interval === 'hour' ? HOUR_MS : DAY_MS;
+  const end = to ? new Date(to) : new Date();
+  let start = from ? new Date(from) : new Date(end.getTime() - (interval === 'hour' ? 48 * HOUR_MS : 30 * DAY_MS));
+  if (isNaN(start) || isNaN(end) || start > end) {
+    throw new RangeError('Invalid time range');
+  }
+  if ((end - start) / step > MAX_BUCKETS) {
+    start = new Date(end.getTime() - MAX_BUCKETS * step);
+  }
+
+  // Plain digits only: Number() also accepts '1e3', '0x10' and ' 12 '
+  const rowSeries = kind === 'post' || kind === 'agent';
+  if (rowSeries && (!/^\d+$/.test(String(id)) || Number(id) > MAX_ROW_ID)) {
+    throw new RangeError(`${kind} id must be a whole number up to ${MAX_ROW_ID}`);
+  }
+
+  const range = { unit: interval, from: start, to: end };
+  const points = rowSeries
+    ? await getSampleSeries(kind, Number(id), range)
+    : await getAggregateSeries(kind, id, range);
+
+  return {
+    kind,
+    id,
+    interval,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    metrics: kind === 'post' ? POST_METRICS : kind === 'agent' ? AGENT_METRICS : AGGREGATE_METRICS,
+    points
+  };
+}
+
+export default MetricSampler;
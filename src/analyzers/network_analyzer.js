@@ -4,9 +4,16 @@ import { query } from '../utils/database.js';
 import { createHash } from 'crypto';
 
 class NetworkAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '0 */4 * * *';
     this.isRunning = false;
     this.analysisJob = null;
+    this.lastAnalysisTime = null;
+    this.lastError = null;
+    this.itemCountFields = ['totalAgents'];
+    this.inputs = ['agents', 'posts', 'comments', 'skills'];
+    this.outputs = ['network_snapshots'];
+    this.minIntervalMs = options.minIntervalMs ?? 60 * 60 * 1000;
     this.agentGraph = new Map(); // Agent relationship graph
     this.communityStructures = new Map();
     this.influenceMetrics = new Map();
@@ -21,15 +28,15 @@ class NetworkAnalyzer {
     logger.info('🕸️ Starting Network analyzer...');
     
     // Run initial analysis
-    await this.analyze();
+    await this.run();
     
-    // Schedule analysis every 4 hours
-    this.analysisJob = new CronJob('0 */4 * * *', async () => {
-      await this.analyze();
+    // Schedule analysis (every 4 hours by default)
+    this.analysisJob = new CronJob(this.schedule, async () => {
+      await this.run();
     }, null, true, 'UTC');
 
     this.isRunning = true;
-    logger.info('✅ Network analyzer started (4hr intervals)');
+    logger.info(`✅ Network analyzer started (${this.schedule})`);
   }
 
   async stop() {
@@ -41,6 +48,13 @@ class NetworkAnalyzer {
     logger.info('🛑 Network analyzer stopped');
   }
 
+  /**
+   * One analysis pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    return this.analyze();
+  }
+
   async analyze() {
     try {
       logger.info('🕸️ Starting network analysis...');
@@ -71,15 +85,21 @@ class NetworkAnalyzer {
       });
 
       const duration = Date.now() - startTime;
-      logger.info(`✅ Network analysis completed in ${duration}ms`, {
+      const summary = {
         totalAgents: interactions.nodes.length,
         totalInteractions: interactions.edges.length,
         communitiesDetected: communities.length,
         coordinationPatterns: coordinationPatterns.length
-      });
+      };
+      logger.info(`✅ Network analysis completed in ${duration}ms`, summary);
 
+      this.lastAnalysisTime = new Date();
+      this.lastError = null;
+      return summary;
     } catch (error) {
+      this.lastError = error.message;
       logger.error('❌ Network analysis failed:', error);
+      return null;
     }
   }
 
@@ -93,13 +113,15 @@ class NetworkAnalyzer {
         SELECT DISTINCT a.id, a.name, a.platform, a.reputation_score,
                a.created_at, a.last_seen,
                COUNT(p.id) as post_count,
-               COUNT(s.id) as skill_count
+               COUNT(s.id) as skill_count,
+               (SELECT COUNT(*) FROM comments c WHERE c.agent_id = a.id) as comment_count
         FROM agents a
         LEFT JOIN posts p ON p.agent_id = a.id
         LEFT JOIN skills s ON s.author = a.name
         WHERE a.last_seen > NOW() - INTERVAL '30 days'
         GROUP BY a.id, a.name, a.platform, a.reputation_score, a.created_at, a.last_seen
         HAVING COUNT(p.id) > 0 OR COUNT(s.id) > 0
+          OR EXISTS (SELECT 1 FROM comments c WHERE c.agent_id = a.id)
       `);
 
       // Build nodes
@@ -109,7 +131,7 @@ class NetworkAnalyzer {
           name: agent.name,
           platform: agent.platform,
           reputation: agent.reputation_score || 0,
-          activity_level: (agent.post_count || 0) + (agent.skill_count || 0),
+          activity_level: parseInt(agent.post_count || 0) + parseInt(agent.skill_count || 0) + parseInt(agent.comment_count || 0),
           account_age_days: Math.floor((Date.now() - new Date(agent.created_at)) / (1000 * 60 * 60 * 24)),
           last_seen: agent.last_seen,
           type: 'agent'
@@ -117,6 +139,7 @@ class NetworkAnalyzer {
       }
 
       // Build edges from various interaction types
+      await this.addReplyEdges(nodes, edges);
       await this.addPostInteractionEdges(nodes, edges);
       await this.addSkillInteractionEdges(nodes, edges);
       await this.addReputationInteractionEdges(nodes, edges);
@@ -135,6 +158,43 @@ class NetworkAnalyzer {
     }
   }
 
+  async addReplyEdges(nodes, edges) {
+    // Direct replies are the strongest interaction signal we have: who talks to whom
+    const replies = await query(`
+      SELECT agent_id as source, reply_to_agent_id as target,
+             COUNT(*) as reply_count,
+             COUNT(DISTINCT post_id) as thread_count,
+             MAX(created_at) as last_reply_at
+      FROM comments
+      WHERE created_at > NOW() - INTERVAL '30 days'
+      AND agent_id IS NOT NULL
+      AND reply_to_agent_id IS NOT NULL
+      AND agent_id != reply_to_agent_id
+      GROUP BY agent_id, reply_to_agent_id
+    `);
+
+    for (const reply of replies.rows) {
+      if (nodes.has(reply.source) && nodes.has(reply.target)) {
+        // Directed: source replied to target
+        const edgeId = `${reply.source}-${reply.target}-reply`;
+
+        edges.set(edgeId, {
+          id: edgeId,
+          source: reply.source,
+          target: reply.target,
+          type: 'reply_to',
+          directed: true,
+          weight: Math.log(parseInt(reply.reply_count) + 1) * 1.2,
+          metadata: {
+            replies: parseInt(reply.reply_count),
+            threads: parseInt(reply.thread_count),
+            last_reply_at: reply.last_reply_at
+          }
+        });
+      }
+    }
+  }
+
   async addPostInteractionEdges(nodes, edges) {
     // Find agents who post in the same submolts (collaboration indicator)
     const submoltCollaborations = await query(`
@@ -786,6 +846,9 @@ class NetworkAnalyzer {
   getStats() {
     return {
       isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastAnalysisTime: this.lastAnalysisTime,
+      lastError: this.lastError,
       agentGraphSize: this.agentGraph.size,
       communityCount: this.communityStructures.size,
       influenceMetricsCount: this.influenceMetrics.size
@@ -1,3 +1,4 @@
+import { CronJob } from 'cron';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
 
@@ -5,10 +6,26 @@ import { query, transaction } from '../utils/database.js';
  * Reputation Engine
  * Calculates multi-factor reputation scores for agents across platforms
  * Factors: Activity, Engagement, Community Trust, Security Record, Longevity
+ *
+ * The security record counts sock-puppet alerts raised by identity
+ * resolution, so this reads threat_alerts and runs after it.
  */
 
 class ReputationEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '40 */2 * * *';
+    this.itemCountFields = ['scoredAgents'];
+    this.inputs = ['agents', 'posts', 'agent_metrics', 'threat_alerts'];
+    this.outputs = ['reputation'];
+    this.minIntervalMs = options.minIntervalMs ?? 30 * 60 * 1000;
+
+    this.isRunning = false;
+    this.reputationJob = null;
+    this.lastCalculationTime = null;
+    this.lastCalculationDuration = null;
+    this.lastResult = null;
+    this.lastError = null;
+
     this.weights = {
       moltbook_activity: 0.20,
       moltx_influence: 0.20,
@@ -18,6 +35,58 @@ class ReputationEngine {
     };
   }
 
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Reputation engine already running');
+      return;
+    }
+
+    logger.info('🏆 Starting reputation engine...');
+
+    await this.run();
+
+    this.reputationJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ Reputation engine started (${this.schedule})`);
+  }
+
+  async stop() {
+    if (this.reputationJob) {
+      this.reputationJob.stop();
+      this.reputationJob = null;
+    }
+    this.isRunning = false;
+    logger.info('🛑 Reputation engine stopped');
+  }
+
+  /**
+   * One scoring pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    const startTime = Date.now();
+    try {
+      const rows = await this.calculateReputation();
+      const composite = rows.find(row => row.platform === 'composite');
+
+      this.lastResult = {
+        scoredAgents: composite ? parseInt(composite.agent_count) : 0,
+        avgCompositeScore: composite ? parseFloat(composite.avg_score) : null,
+        platforms: Object.fromEntries(rows.map(row => [row.platform, parseInt(row.agent_count)]))
+      };
+      this.lastCalculationTime = new Date();
+      this.lastCalculationDuration = Date.now() - startTime;
+      this.lastError = null;
+      return this.lastResult;
+    } catch (error) {
+      // calculateReputation has already logged the failure
+      this.lastError = error.message;
+      return null;
+    }
+  }
+
   async calculateReputation() {
     logger.info('🏆 Starting reputation calculation...');
     const startTime = Date.now();
@@ -485,6 +554,18 @@ class ReputationEngine {
 
     return stats.rows;
   }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastCalculationTime: this.lastCalculationTime,
+      lastCalculationDuration: this.lastCalculationDuration,
+      lastResult: this.lastResult,
+      lastError: this.lastError,
+      weights: this.weights
+    };
+  }
 }
 
 export default ReputationEngine;
@@ -0,0 +1,247 @@
+import { query } from '../utils/database.js';
+
+/**
+ * Search
+ * Full-text search over posts (title, content), agents (name, handle, bio),
+ * skills (name, description), and security and threat alert descriptions,
+ * using the search_vector columns from migration 012. Queries use web search
+ * syntax ("quoted phrases", -exclusions, OR). Results from every type are
+ * ranked together; facet counts for type, platform, submolt/board and
+ * severity are computed with every other active filter applied, so picking a
+ * value in one facet leaves the others' alternatives visible.
+ */
+
+export const SEARCH_TYPES = ['post', 'agent', 'skill', 'security_alert', 'threat_alert'];
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+export const MAX_SEARCH_LIMIT = 100;
+export const MAX_QUERY_LENGTH = 200;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+// One row per match: the columns facets and filters work on
+const MATCHES = `
+  WITH search AS (SELECT websearch_to_tsquery('english', $1) AS query),
+  matches AS (
+    SELECT 'post' AS type, p.id, p.platform,
+      COALESCE(p.submolt, p.metadata->>'board') AS community,
+      NULL::text AS severity, p.created_at,
+      ts_rank_cd(p.search_vector, search.query) AS rank
+    FROM posts p, search
+    WHERE p.search_vector @@ search.query
+    UNION ALL
+    SELECT 'agent', a.id, a.platform, NULL, NULL, a.first_seen,
+      ts_rank_cd(a.search_vector, search.query)
+    FROM agents a, search
+    WHERE a.search_vector @@ search.query
+    UNION ALL
+    SELECT 'skill', s.id, 'clawdhub', NULL, NULL, COALESCE(s.last_updated, s.created_at),
+      ts_rank_cd(s.search_vector, search.query)
+    FROM skills s, search
+    WHERE s.search_vector @@ search.query
+    UNION ALL
+    SELECT 'security_alert', sa.id, COALESCE(sa.metadata->>'platform', 'clawdhub'), NULL,
+      sa.severity, sa.created_at, ts_rank_cd(sa.search_vector, search.query)
+    FROM security_alerts sa, search
+    WHERE sa.search_vector @@ search.query
+    UNION ALL
+    SELECT 'threat_alert', ta.id, a.platform, NULL, ta.severity, ta.created_at,
+      ts_rank_cd(ta.search_vector, search.query)
+    FROM threat_alerts ta
+    CROSS JOIN search
+    LEFT JOIN agents a ON a.id = ta.agent_id
+    WHERE ta.search_vector @@ search.query
+  )
+`;
+
+function toOptions({ q, types = [], platform = [], submolt = [], board = [], severity = [], from = null, to = null, page = 1, limit = 20 }) {
+  return {
+    q,
+    types,
+    platform,
+    // Submolts and 4claw boards share one facet
+    community: [...submolt, ...board],
+    severity,
+    from,
+    to,
+    page,
+    limit
+  };
+}
+
+/**
+ * Conditions on matches for every active filter except `except`. Appends
+ * to params, which already holds the query text as $1.
+ */
+function buildFilters(options, params, except = null) {
+  const conditions = [];
+  const addList = (facet, column, values) => {
+    if (facet === except || values.length === 0) return;
+    params.push(values);
+    conditions.push(`${column} = ANY($${params.length})`);
+  };
+
+  addList('type', 'type', options.types);
+  addList('platform', 'platform', options.platform);
+  addList('community', 'community', options.community);
+  addList('severity', 'severity', options.severity);
+
+  if (options.from) {
+    params.push(options.from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (options.to) {
+    params.push(options.to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  return conditions;
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+async function getFacets(options) {
+  const params = [options.q];
+  const facetQuery = (facet, column) => `
+    SELECT '${facet}' AS facet, ${column} AS value, COUNT(*)::int AS count
+    FROM matches
+    ${whereClause([...buildFilters(options, params, facet), `${column} IS NOT NULL`])}
+    GROUP BY ${column}
+  `;
+
+  const result = await query(`
+    ${MATCHES}
+    ${facetQuery('type', 'type')}
+    UNION ALL ${facetQuery('platform', 'platform')}
+    UNION ALL ${facetQuery('community', 'community')}
+    UNION ALL ${facetQuery('severity', 'severity')}
+    UNION ALL
+    SELECT 'total', NULL, COUNT(*)::int FROM matches ${whereClause(buildFilters(options, params))}
+  `, params);
+
+  const facets = { type: {}, platform: {}, community: {}, severity: {} };
+  let total = 0;
+  for (const row of result.rows) {
+    if (row.facet === 'total') {
+      total = row.count;
+    } else {
+      facets[row.facet][row.value] = row.count;
+    }
+  }
+
+  return { facets, total };
+}
+
+/**
+ * Titles, highlighted snippets and type-specific fields for one page of
+ * matches, keyed by type and id
+ */
+async function hydrate(q, page) {
+  const idsOf = (type) => page.filter(match => match.type === type).map(match => match.id);
+  const headline = (column) => `ts_headline('english', COALESCE(${column}, ''), search.query, '${HEADLINE_OPTIONS}')`;
+  const searchQuery = `(SELECT websearch_to_tsquery('english', $1) AS query) search`;
+
+  const lookups = {
+    post: `
+      SELECT p.id, ${headline('p.title')} AS title, ${headline('p.content')} AS snippet,
+        p.url, p.submolt, p.metadata->>'board' AS board, p.upvotes, p.comment_count,
+        p.agent_id, a.name AS agent_name
+      FROM posts p
+      CROSS JOIN ${searchQuery}
+      LEFT JOIN agents a ON a.id = p.agent_id
+      WHERE p.id = ANY($2)
+    `,
+    agent: `
+      SELECT a.id, ${headline('a.name')} AS title, ${headline('a.bio')} AS snippet,
+        a.handle, a.reputation_score, a.is_verified
+      FROM agents a, ${searchQuery}
+      WHERE a.id = ANY($2)
+    `,
+    skill: `
+      SELECT s.id, ${headline('s.name')} AS title, ${headline('s.description')} AS snippet,
+        s.external_id AS skill_id, s.author, s.version, s.downloads, s.security_score
+      FROM skills s, ${searchQuery}
+      WHERE s.id = ANY($2)
+    `,
+    security_alert: `
+      SELECT sa.id, ${headline('sa.title')} AS title, ${headline('sa.description')} AS snippet,
+        sa.type AS alert_type, sa.resolved, sa.metadata->>'skill_id' AS skill_id
+      FROM security_alerts sa, ${searchQuery}
+      WHERE sa.id = ANY($2)
+    `,
+    threat_alert: `
+      SELECT ta.id, REPLACE(ta.alert_type, '_', ' ') AS title, ${headline('ta.description')} AS snippet,
+        ta.alert_type, ta.resolved, ta.agent_id, a.name AS agent_name
+      FROM threat_alerts ta
+      CROSS JOIN ${searchQuery}
+      LEFT JOIN agents a ON a.id = ta.agent_id
+      WHERE ta.id = ANY($2)
+    `
+  };
+
+  const details = new Map();
+  await Promise.all(Object.entries(lookups).map(async ([type, sql]) => {
+    const ids = idsOf(type);
+    if (ids.length === 0) return;
+
+    const result = await query(sql, [q, ids]);
+    for (const row of result.rows) {
+      details.set(`${type}:${row.id}`, row);
+    }
+  }));
+
+  return details;
+}
+
+/**
+ * One page of ranked results with facet counts. Expects validated params
+ * (q, types, platform, submolt, board, severity, from, to, page, limit as
+ * arrays, dates and numbers); ranked results page by number, not cursor.
+ */
+export async function search(params) {
+  const options = toOptions(params);
+
+  const pageParams = [options.q];
+  const where = whereClause(buildFilters(options, pageParams));
+  pageParams.push(options.limit, (options.page - 1) * options.limit);
+
+  const [page, { facets, total }] = await Promise.all([
+    query(`
+      ${MATCHES}
+      SELECT type, id, platform, community, severity, created_at, rank
+      FROM matches
+      ${where}
+      ORDER BY rank DESC, created_at DESC NULLS LAST, type, id
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+    `, pageParams),
+    getFacets(options)
+  ]);
+
+  const details = await hydrate(options.q, page.rows);
+
+  return {
+    query: options.q,
+    results: page.rows.map(match => {
+      const { id, ...detail } = details.get(`${match.type}:${match.id}`) || {};
+      return {
+        type: match.type,
+        id: match.id,
+        platform: match.platform,
+        community: match.community,
+        severity: match.severity,
+        created_at: match.created_at,
+        rank: Math.round(match.rank * 10000) / 10000,
+        ...detail
+      };
+    }),
+    facets,
+    pagination: {
+      page: options.page,
+      limit: options.limit,
+      total,
+      pages: Math.ceil(total / options.limit)
+    }
+  };
+}
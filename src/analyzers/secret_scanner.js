@@ -0,0 +1,264 @@
+import { CronJob } from 'cron';
+import logger from '../utils/logger.js';
+import { query } from '../utils/database.js';
+import { broadcasts } from '../websocket.js';
+import { contentHash } from './skill_versions.js';
+import { loadActiveRules, applySuppressions } from '../triage/suppression.js';
+import { recordSecurityAlert } from '../triage/alerts.js';
+import { findSecrets, SECRET_ALERT_TYPE } from '../rules/secrets.js';
+
+/**
+ * Secret Scanner
+ * Checks collected posts and skill versions for leaked credentials (see
+ * rules/secrets.js) and raises a secret_exposure alert per secret. A
+ * secret is identified by a short hash, so the same key in the same post
+ * is one alert however often it is seen; alerts and broadcasts carry only
+ * the redacted value.
+ *
+ * Incremental: each post and skill version is marked when checked
+ * (migration 016_secret_scans.js), and a post is checked again only if its
+ * text changed.
+ */
+
+const SOURCE = 'secrets';
+
+function toAlert(secret, where) {
+  return {
+    type: SECRET_ALERT_TYPE,
+    rule_id: `secret.${secret.detector}`,
+    rule_name: secret.name,
+    severity: secret.severity,
+    description: `${secret.name} ${secret.redacted} exposed in ${where}${secret.count > 1 ? ` (${secret.count} times)` : ''}`,
+    // One alert per distinct secret in a post or skill
+    location: secret.secret_hash,
+    ...secret
+  };
+}
+
+class SecretScanner {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '20 * * * *';
+    this.itemCountFields = ['postsScanned', 'skillVersionsScanned'];
+    // Rescans when collectors bring in new posts or skill versions
+    this.inputs = ['posts', 'skills'];
+    this.outputs = ['security_alerts'];
+    this.minIntervalMs = options.minIntervalMs ?? 15 * 60 * 1000;
+    this.batchSize = options.batchSize || 500;
+    this.maxBatches = options.maxBatches || 20;
+
+    this.isRunning = false;
+    this.scanJob = null;
+    this.lastScanTime = null;
+    this.lastResult = null;
+    this.lastError = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Secret scanner already running');
+      return;
+    }
+
+    logger.info('🔑 Starting secret scanner...');
+
+    await this.run();
+
+    this.scanJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ Secret scanner started (${this.schedule})`);
+  }
+
+  async stop() {
+    if (this.scanJob) {
+      this.scanJob.stop();
+      this.scanJob = null;
+    }
+    this.isRunning = false;
+    logger.info('🛑 Secret scanner stopped');
+  }
+
+  /**
+   * One scanning pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    const startTime = Date.now();
+    try {
+      const suppressions = await loadActiveRules();
+      const posts = await this.scanPosts(suppressions);
+      const skills = await this.scanSkillVersions(suppressions);
+
+      this.lastResult = {
+        postsScanned: posts.scanned,
+        skillVersionsScanned: skills.scanned,
+        secretsFound: posts.found + skills.found,
+        alertsRaised: posts.raised + skills.raised
+      };
+      this.lastScanTime = new Date();
+      this.lastError = null;
+
+      logger.info(`✅ Secret scan completed in ${Date.now() - startTime}ms`, this.lastResult);
+      return this.lastResult;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('❌ Secret scan failed:', error);
+      return null;
+    }
+  }
+
+  async scanPosts(suppressions) {
+    const totals = { scanned: 0, found: 0, raised: 0 };
+
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await query(`
+        SELECT p.id, p.platform, p.external_id, p.title, p.content, p.url, p.secrets_content_hash,
+          a.id AS agent_id, a.name AS agent_name
+        FROM posts p
+        LEFT JOIN agents a ON a.id = p.agent_id
+        WHERE p.secrets_scanned_at IS NULL OR p.updated_at > p.secrets_scanned_at
+        ORDER BY p.id
+        LIMIT $1
+      `, [this.batchSize]);
+      if (result.rows.length === 0) break;
+
+      const hashes = [];
+      for (const post of result.rows) {
+        const hash = contentHash(`${post.title || ''}\n${post.content || ''}`);
+        hashes.push(hash);
+        // Engagement refreshes bump updated_at without changing the text
+        if (hash === post.secrets_content_hash) continue;
+
+        totals.scanned++;
+        const seen = new Set();
+        const alerts = ['title', 'content'].flatMap(field =>
+          findSecrets(post[field])
+            .filter(secret => !seen.has(secret.secret_hash) && seen.add(secret.secret_hash))
+            .map(secret => ({ ...toAlert(secret, `a ${post.platform} post ${field}`), field }))
+        );
+        totals.found += alerts.length;
+        if (alerts.length === 0) continue;
+
+        // Posts have no skill; only type and rule suppressions apply
+        const raised = await applySuppressions(suppressions, {}, alerts);
+        totals.raised += await this.storeAlerts(raised, {
+          subject: `post:${post.platform}:${post.external_id}`,
+          title: alert => `${alert.severity.toUpperCase()}: ${alert.name} leaked in ${post.platform} post by ${post.agent_name || 'unknown agent'}`,
+          metadata: {
+            post_id: post.id,
+            platform: post.platform,
+            post_external_id: post.external_id,
+            post_url: post.url,
+            agent_id: post.agent_id,
+            agent_name: post.agent_name
+          }
+        });
+      }
+
+      // A post edited while it was being scanned stays pending
+      await query(`
+        UPDATE posts p
+        SET secrets_scanned_at = NOW(), secrets_content_hash = v.hash
+        FROM unnest($1::int[], $2::text[]) AS v(id, hash)
+        WHERE p.id = v.id
+          AND encode(sha256(convert_to(COALESCE(p.title, '') || E'\\n' || COALESCE(p.content, ''), 'UTF8')), 'hex') = v.hash
+      `, [result.rows.map(post => post.id), hashes]);
+    }
+
+    return totals;
+  }
+
+  async scanSkillVersions(suppressions) {
+    const totals = { scanned: 0, found: 0, raised: 0 };
+
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await query(`
+        SELECT sv.id, sv.skill_external_id, sv.version, sv.content, s.name AS skill_name
+        FROM skill_versions sv
+        LEFT JOIN skills s ON s.external_id = sv.skill_external_id
+        WHERE sv.secrets_scanned_at IS NULL
+        ORDER BY sv.id
+        LIMIT $1
+      `, [this.batchSize]);
+      if (result.rows.length === 0) break;
+
+      for (const version of result.rows) {
+        totals.scanned++;
+        const skillName = version.skill_name || version.skill_external_id;
+        const alerts = findSecrets(version.content).map(secret => toAlert(secret, `skill ${skillName}`));
+        totals.found += alerts.length;
+        if (alerts.length === 0) continue;
+
+        const skill = { id: version.skill_external_id, name: skillName };
+        const raised = await applySuppressions(suppressions, skill, alerts);
+        totals.raised += await this.storeAlerts(raised, {
+          subject: version.skill_external_id,
+          title: alert => `${alert.severity.toUpperCase()}: ${alert.name} leaked in skill ${skillName}`,
+          metadata: {
+            skill_id: version.skill_external_id,
+            skill_name: skillName,
+            skill_version: version.version,
+            skill_version_id: version.id
+          }
+        });
+      }
+
+      await query(`
+        UPDATE skill_versions SET secrets_scanned_at = NOW() WHERE id = ANY($1)
+      `, [result.rows.map(version => version.id)]);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Record alerts for one post or skill version; returns how many were new
+   * or reopened (and broadcast)
+   */
+  async storeAlerts(alerts, { subject, title, metadata }) {
+    let raised = 0;
+
+    for (const alert of alerts) {
+      const row = await recordSecurityAlert({
+        source: SOURCE,
+        subject,
+        alert,
+        title: title(alert),
+        metadata: { ...metadata, ...alert }
+      });
+
+      if (row.created || row.reopened) {
+        raised++;
+        broadcasts.securityAlert({
+          id: row.id,
+          type: alert.type,
+          severity: alert.severity,
+          title: row.title,
+          description: alert.description,
+          ...(metadata.skill_name && { skill_name: metadata.skill_name }),
+          ...(metadata.platform && { platform: metadata.platform, post_id: metadata.post_id }),
+          reopened: row.reopened,
+          occurrence_count: row.occurrence_count,
+          created_at: row.created_at
+        });
+
+        logger.info(`🚨 Secret exposure alert broadcasted: ${alert.severity} - ${row.title}`);
+      }
+    }
+
+    return raised;
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastScanTime: this.lastScanTime,
+      lastResult: this.lastResult,
+      lastError: this.lastError
+    };
+  }
+}
+
+export default SecretScanner;
@@ -4,44 +4,26 @@ import logger from '../utils/logger.js';
 import { query } from '../utils/database.js';
 import { broadcasts } from '../websocket.js';
 import AIClient from '../utils/ai_client.js';
+import { loadActiveRules, applySuppressions } from '../triage/suppression.js';
+import { recordSecurityAlert } from '../triage/alerts.js';
+import { getRuleEngine, highestSeverity } from '../rules/engine.js';
+import { loadSkillDocument, skillFileLoader } from '../rules/code/document.js';
 
 class SecurityAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '0 */6 * * *';
     this.isRunning = false;
     this.scanJob = null;
     this.lastScanTime = null;
+    this.lastError = null;
+    this.itemCountFields = ['skillsScanned'];
+    // Rescans when skills change, at most hourly (see jobs/pipeline.js)
+    this.inputs = ['skills'];
+    this.outputs = ['security_alerts'];
+    this.minIntervalMs = options.minIntervalMs ?? 60 * 60 * 1000;
     this.aiClient = new AIClient();
-    
-    // Security patterns to detect in skills
-    this.dangerousPatterns = [
-      // File system access
-      /\.env/gi,
-      /process\.env/gi,
-      /readFileSync|writeFileSync/gi,
-      /fs\.(read|write)/gi,
-      
-      // Network access
-      /webhook\.site/gi,
-      /https?:\/\/[^\/\s]+\/[a-zA-Z0-9]+/gi, // Generic webhook patterns
-      /axios\.post|fetch.*POST/gi,
-      
-      // Command execution
-      /exec|spawn|child_process/gi,
-      /eval\(/gi,
-      
-      // Credential harvesting
-      /api[_-]?key|token|secret|password/gi,
-      /~\/\./gi, // Home directory access
-      
-      // Suspicious file paths
-      /\/tmp\/|\/var\/tmp\//gi,
-      /\.\.\/|\.\.\\\\/gi // Directory traversal
-    ];
-    
-    this.suspiciousKeywords = [
-      'steal', 'harvest', 'exfiltrate', 'backdoor', 'malware',
-      'credential', 'keylogger', 'password', 'secret'
-    ];
+    // Detection rules live in rule packs (rules/, see rules/engine.js)
+    this.ruleEngine = null;
   }
 
   async start() {
@@ -53,15 +35,15 @@ class SecurityAnalyzer {
     logger.info('🛡️  Starting security analyzer...');
     
     // Run initial scan
-    await this.scanClawdHubSkills();
+    await this.run();
     
-    // Schedule regular scans every 6 hours
-    this.scanJob = new CronJob('0 */6 * * *', async () => {
-      await this.scanClawdHubSkills();
+    // Schedule regular scans (every 6 hours by default)
+    this.scanJob = new CronJob(this.schedule, async () => {
+      await this.run();
     }, null, true, 'UTC');
 
     this.isRunning = true;
-    logger.info('✅ Security analyzer started (6h intervals)');
+    logger.info(`✅ Security analyzer started (${this.schedule})`);
   }
 
   async stop() {
@@ -73,6 +55,13 @@ class SecurityAnalyzer {
     logger.info('🛑 Security analyzer stopped');
   }
 
+  /**
+   * One analysis pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    return this.scanClawdHubSkills();
+  }
+
   async scanClawdHubSkills() {
     try {
       logger.info('🔍 Starting ClawdHub security scan...');
@@ -84,16 +73,18 @@ class SecurityAnalyzer {
       
       let scannedCount = 0;
       let alertsGenerated = 0;
+      const suppressions = await loadActiveRules();
       
       for (const skill of skills) {
         try {
           const analysis = await this.analyzeSkill(skill);
-          if (analysis.alerts.length > 0) {
-            await this.storeSecurityAlerts(skill, analysis.alerts);
-            alertsGenerated += analysis.alerts.length;
+          const alerts = await applySuppressions(suppressions, skill, analysis.alerts);
+          if (alerts.length > 0) {
+            // Only new or reopened findings count; repeats update their alert
+            alertsGenerated += await this.storeSecurityAlerts(skill, alerts);
             
             logger.warn(`⚠️  Security issues found in skill: ${skill.name}`, {
-              alerts: analysis.alerts.length,
+              alerts: alerts.length,
               severity: analysis.maxSeverity
             });
           }
@@ -119,9 +110,13 @@ class SecurityAnalyzer {
       
       // Store scan summary
       await this.storeScanSummary(scannedCount, alertsGenerated, duration);
-      
+      this.lastError = null;
+
+      return { skillsScanned: scannedCount, alertsGenerated, totalSkills: skills.length };
     } catch (error) {
+      this.lastError = error.message;
       logger.error('❌ Security scan failed:', error);
+      return null;
     }
   }
 
@@ -137,9 +132,6 @@ class SecurityAnalyzer {
   }
 
   async analyzeSkill(skill) {
-    const alerts = [];
-    let maxSeverity = 'low';
-    
     try {
       // Fetch skill content
       const response = await axios.get(skill.url, { 
@@ -149,101 +141,78 @@ class SecurityAnalyzer {
         }
       });
       
-      const content = response.data;
-      
-      // Fast pattern-based analysis (cost-free)
-      const patternAlerts = await this.patternBasedAnalysis(content);
-      alerts.push(...patternAlerts.alerts);
-      maxSeverity = patternAlerts.maxSeverity;
-      
-      // AI-enhanced analysis for complex cases (cost-optimized)
-      if (content.length > 5000 || patternAlerts.alerts.length > 5) {
-        const aiAlerts = await this.aiEnhancedAnalysis(content, skill.name);
-        alerts.push(...aiAlerts.alerts);
-        if (aiAlerts.maxSeverity === 'high') maxSeverity = 'high';
-        else if (aiAlerts.maxSeverity === 'medium' && maxSeverity === 'low') maxSeverity = 'medium';
-      }
+      return await this.analyzeContent(response.data, skill.name, {
+        loadFile: skillFileLoader({ url: skill.url })
+      });
       
     } catch (error) {
-      alerts.push({
-        type: 'analysis_error',
-        severity: 'low',
-        description: `Failed to analyze skill: ${error.message}`
-      });
+      return {
+        alerts: [{
+          type: 'analysis_error',
+          severity: 'low',
+          description: `Failed to analyze skill: ${error.message}`
+        }],
+        maxSeverity: 'low',
+        overallScore: null
+      };
     }
-    
-    return { alerts, maxSeverity };
   }
 
-  async patternBasedAnalysis(content) {
+  /**
+   * Analyze skill content that has already been fetched. With loadFile
+   * (see rules/code/document.js) the scripts SKILL.md refers to are
+   * analyzed too. Returns alerts, the highest severity and a 0-100 safety
+   * score.
+   */
+  async analyzeContent(rawContent, skillName, { loadFile = null } = {}) {
+    const content = typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent);
     const alerts = [];
-    let maxSeverity = 'low';
     
+    // Fast rule-based analysis (cost-free)
+    const ruleAlerts = await this.ruleBasedAnalysis(content, { loadFile });
+    alerts.push(...ruleAlerts.alerts);
+    
+    // AI-enhanced analysis for complex cases (cost-optimized)
+    if (content.length > 5000 || ruleAlerts.alerts.length > 5) {
+      const aiAlerts = await this.aiEnhancedAnalysis(content, skillName);
+      alerts.push(...aiAlerts.alerts);
+    }
+    
+    return {
+      alerts,
+      maxSeverity: highestSeverity(alerts.map(alert => alert.severity)),
+      overallScore: this.calculateScore(alerts)
+    };
+  }
+
+  calculateScore(alerts) {
+    const penalties = { critical: 40, high: 25, medium: 10, low: 3 };
+    const penalty = alerts
+      .filter(alert => !alert.type.endsWith('_error'))
+      .reduce((sum, alert) => sum + (penalties[alert.severity] || 0), 0);
+    return Math.max(0, 100 - penalty);
+  }
+
+  /**
+   * Findings from the detection rule packs, each with its rule id, file,
+   * line and snippet (and the data flow, for code rules)
+   */
+  async ruleBasedAnalysis(content, { loadFile = null } = {}) {
     try {
-      // Pattern-based analysis (existing logic)
-      for (const pattern of this.dangerousPatterns) {
-        const matches = content.match(pattern);
-        if (matches) {
-          const severity = this.calculateSeverity(pattern, matches);
-          alerts.push({
-            type: 'suspicious_pattern',
-            severity,
-            description: `Potentially dangerous pattern detected: ${pattern.source}`,
-            matches: matches.slice(0, 5), // Limit to first 5 matches
-            pattern: pattern.source
-          });
-          
-          if (severity === 'high') maxSeverity = 'high';
-          else if (severity === 'medium' && maxSeverity !== 'high') maxSeverity = 'medium';
-        }
-      }
-      
-      // Keyword analysis
-      const lowerContent = content.toLowerCase();
-      for (const keyword of this.suspiciousKeywords) {
-        if (lowerContent.includes(keyword)) {
-          alerts.push({
-            type: 'suspicious_keyword',
-            severity: 'medium',
-            description: `Suspicious keyword found: ${keyword}`,
-            keyword
-          });
-          
-          if (maxSeverity !== 'high') maxSeverity = 'medium';
-        }
-      }
-      
-      // File structure analysis
-      if (content.includes('#!/bin/bash') || content.includes('#!/usr/bin/env')) {
-        alerts.push({
-          type: 'executable_script',
-          severity: 'medium',
-          description: 'Skill contains executable script content'
-        });
-        
-        if (maxSeverity !== 'high') maxSeverity = 'medium';
-      }
-      
-      // Network request analysis
-      const networkRequests = content.match(/https?:\/\/[^\s\)]+/gi);
-      if (networkRequests && networkRequests.length > 3) {
-        alerts.push({
-          type: 'excessive_network',
-          severity: 'low',
-          description: `Skill makes requests to ${networkRequests.length} different URLs`,
-          urls: networkRequests.slice(0, 10)
-        });
-      }
-      
+      this.ruleEngine = await getRuleEngine();
+      const document = await loadSkillDocument(content, { loadFile });
+      const alerts = this.ruleEngine.scan(document);
+      return { alerts, maxSeverity: highestSeverity(alerts.map(alert => alert.severity)) };
     } catch (error) {
-      alerts.push({
-        type: 'analysis_error',
-        severity: 'low',
-        description: `Failed to analyze skill: ${error.message}`
-      });
+      return {
+        alerts: [{
+          type: 'analysis_error',
+          severity: 'low',
+          description: `Failed to analyze skill: ${error.message}`
+        }],
+        maxSeverity: 'low'
+      };
     }
-    
-    return { alerts, maxSeverity };
   }
 
   /**
@@ -327,59 +296,50 @@ class SecurityAnalyzer {
     }
   }
 
-  calculateSeverity(pattern, matches) {
-    const patternStr = pattern.source.toLowerCase();
-    
-    // High severity patterns
-    if (patternStr.includes('eval') || 
-        patternStr.includes('exec') || 
-        patternStr.includes('webhook.site')) {
-      return 'high';
-    }
-    
-    // Medium severity patterns
-    if (patternStr.includes('env') || 
-        patternStr.includes('secret') ||
-        patternStr.includes('token')) {
-      return 'medium';
-    }
-    
-    return 'low';
-  }
-
   async storeSecurityAlerts(skill, alerts) {
+    // Fingerprint by the registry's skill id when the skill is known there,
+    // so these alerts merge with the ClawdHub collector's for the same skill
+    const known = await query(`
+      SELECT external_id FROM skills WHERE external_id = $1 OR name = $1
+      ORDER BY (external_id = $1) DESC
+      LIMIT 1
+    `, [skill.name]);
+    const subject = known.rows[0]?.external_id || skill.name;
+
+    let raised = 0;
     for (const alert of alerts) {
-      const result = await query(`
-        INSERT INTO security_alerts (type, severity, title, description, metadata)
-        VALUES ($1, $2, $3, $4, $5)
-        RETURNING *
-      `, [
-        alert.type,
-        alert.severity,
-        `${alert.severity.toUpperCase()}: ${skill.name} - ${alert.type}`,
-        alert.description,
-        JSON.stringify({
+      const row = await recordSecurityAlert({
+        subject,
+        alert,
+        title: `${alert.severity.toUpperCase()}: ${skill.name} - ${alert.rule_name || alert.type}`,
+        metadata: {
           skill_name: skill.name,
           skill_url: skill.url,
+          ...(known.rows[0] && { skill_id: subject }),
           ...alert
-        })
-      ]);
+        }
+      });
 
-      // Broadcast real-time security alert
-      if (result.rows[0]) {
+      // Broadcast new findings and ones that came back after being resolved
+      if (row.created || row.reopened) {
+        raised++;
         broadcasts.securityAlert({
-          id: result.rows[0].id,
+          id: row.id,
           type: alert.type,
           severity: alert.severity,
-          title: result.rows[0].title,
+          title: row.title,
           description: alert.description,
           skill_name: skill.name,
-          created_at: result.rows[0].created_at
+          reopened: row.reopened,
+          occurrence_count: row.occurrence_count,
+          created_at: row.created_at
         });
 
         logger.info(`🚨 Real-time security alert broadcasted: ${alert.severity} - ${skill.name}`);
       }
     }
+
+    return raised;
   }
 
   async storeScanSummary(skillsScanned, alertsGenerated, duration) {
@@ -402,9 +362,10 @@ class SecurityAnalyzer {
     
     return {
       isRunning: this.isRunning,
+      schedule: this.schedule,
       lastScanTime: this.lastScanTime,
-      patternCount: this.dangerousPatterns.length,
-      keywordCount: this.suspiciousKeywords.length,
+      lastError: this.lastError,
+      rules: this.ruleEngine?.getStats() ?? null,
       // AI usage statistics for cost monitoring
       aiUsage: {
         totalRequests: aiStats.totalRequests,
@@ -412,7 +373,7 @@ class SecurityAnalyzer {
         cacheHitRate: `${(aiStats.cacheHitRate * 100).toFixed(1)}%`,
         modelUsage: aiStats.modelUsage,
         estimatedMonthlyCost: aiStats.estimatedMonthlyCost,
-        costOptimization: 'Pattern-based analysis first, AI enhancement for complex cases only'
+        costOptimization: 'Rule-based analysis first, AI enhancement for complex cases only'
       }
     };
   }
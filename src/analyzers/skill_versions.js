@@ -0,0 +1,219 @@
+import { createHash } from 'crypto';
+import logger from '../utils/logger.js';
+import { query } from '../utils/database.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { MAIN_FILE } from '../rules/code/document.js';
+
+/**
+ * Skill Version History
+ * Keeps every distinct version of a skill's content together with its scan
+ * result, and diffs versions so an update that turns a benign skill malicious
+ * shows up as the findings it introduced.
+ */
+
+export function contentHash(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Stable identity for a finding across scans (descriptions may carry counts)
+ */
+export function findingKey(finding) {
+  return `${finding.type}:${finding.rule_id || finding.pattern || finding.keyword || finding.description}`;
+}
+
+export function compareFindings(before = [], after = []) {
+  const beforeKeys = new Set(before.map(findingKey));
+  const afterKeys = new Set(after.map(findingKey));
+
+  return {
+    introduced: after.filter(finding => !beforeKeys.has(findingKey(finding))),
+    removed: before.filter(finding => !afterKeys.has(findingKey(finding))),
+    unchanged: after.filter(finding => beforeKeys.has(findingKey(finding)))
+  };
+}
+
+function toVersion(row, { includeContent = false } = {}) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    skillId: row.skill_external_id,
+    version: row.version,
+    contentHash: row.content_hash,
+    securityScore: row.security_score,
+    maxSeverity: row.max_severity,
+    findings: row.findings || [],
+    createdAt: row.created_at,
+    ...(includeContent && { content: row.content })
+  };
+}
+
+export async function getLatestSkillVersion(skillId) {
+  const result = await query(`
+    SELECT * FROM skill_versions
+    WHERE skill_external_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `, [skillId]);
+
+  return toVersion(result.rows[0], { includeContent: true });
+}
+
+/**
+ * Store a new version if the content changed since the latest one.
+ * `analyze(content)` is only called for new content.
+ */
+export async function recordSkillVersion(skill, content, analyze) {
+  const hash = contentHash(content);
+  const previous = await getLatestSkillVersion(skill.id);
+
+  if (previous && previous.contentHash === hash) {
+    return { isNew: false, version: previous };
+  }
+
+  const analysis = await analyze(content);
+  const findings = (analysis.alerts || []).filter(alert => !alert.type.endsWith('_error'));
+
+  const result = await query(`
+    INSERT INTO skill_versions (
+      skill_external_id, version, content, content_hash,
+      security_score, max_severity, findings
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    skill.id,
+    skill.version,
+    content,
+    hash,
+    analysis.overallScore ?? null,
+    analysis.maxSeverity || null,
+    JSON.stringify(findings)
+  ]);
+
+  const changes = compareFindings(previous?.findings, findings);
+  if (previous && changes.introduced.length > 0) {
+    logger.warn(`🧬 ${skill.name} ${previous.version || '?'} → ${skill.version || '?'} introduced ${changes.introduced.length} findings`, {
+      types: changes.introduced.map(finding => finding.type)
+    });
+  }
+
+  const { content: _previousContent, ...previousVersion } = previous || {};
+
+  return {
+    isNew: true,
+    version: toVersion(result.rows[0]),
+    previous: previous ? previousVersion : null,
+    analysis,
+    changes
+  };
+}
+
+export async function listSkillVersions(skillId) {
+  const result = await query(`
+    SELECT id, skill_external_id, version, content_hash, security_score,
+      max_severity, findings, created_at
+    FROM skill_versions
+    WHERE skill_external_id = $1
+    ORDER BY created_at DESC, id DESC
+  `, [skillId]);
+
+  const versions = result.rows.map(row => toVersion(row));
+
+  // Each version is annotated with what it changed relative to the one before it
+  return versions.map((version, index) => {
+    const older = versions[index + 1];
+    const changes = compareFindings(older?.findings, version.findings);
+    return {
+      ...version,
+      introducedFindings: older ? changes.introduced.length : version.findings.length,
+      removedFindings: changes.removed.length
+    };
+  });
+}
+
+function findingNeedles(finding) {
+  // Rule findings list their matches as { file, line, match }; only those
+  // in SKILL.md can show up in its diff
+  const matches = (finding.matches || [])
+    .filter(match => typeof match !== 'object' || !match.file || match.file === MAIN_FILE)
+    .map(match => (typeof match === 'object' ? match.match : match));
+
+  return [...matches, finding.keyword]
+    .filter(Boolean)
+    .map(needle => String(needle).toLowerCase());
+}
+
+/**
+ * Mark diff lines that contain the evidence for introduced/removed findings
+ */
+function annotateHunks(hunks, changes) {
+  const annotate = (findings, lineType, numberKey) => findings.map(finding => {
+    const needles = findingNeedles(finding);
+    const lines = [];
+
+    for (const hunk of hunks) {
+      for (const line of hunk.lines) {
+        if (line.type !== lineType) continue;
+        const text = line.text.toLowerCase();
+        if (needles.some(needle => text.includes(needle))) {
+          line.findings = [...(line.findings || []), findingKey(finding)];
+          lines.push(line[numberKey]);
+        }
+      }
+    }
+
+    return { ...finding, key: findingKey(finding), lines };
+  });
+
+  return {
+    introduced: annotate(changes.introduced, 'add', 'newNumber'),
+    removed: annotate(changes.removed, 'remove', 'oldNumber')
+  };
+}
+
+/**
+ * Unified diff between two versions of a skill. Defaults to the latest
+ * version against the one before it.
+ */
+export async function diffSkillVersions(skillId, { from = null, to = null, context = 3 } = {}) {
+  const result = await query(`
+    SELECT * FROM skill_versions
+    WHERE skill_external_id = $1
+    ORDER BY created_at DESC, id DESC
+  `, [skillId]);
+
+  const rows = result.rows;
+  if (rows.length === 0) return null;
+
+  const toRow = to ? rows.find(row => row.id === parseInt(to)) : rows[0];
+  if (!toRow) return null;
+
+  const fromRow = from
+    ? rows.find(row => row.id === parseInt(from))
+    : rows[rows.indexOf(toRow) + 1] || null;
+  if (from && !fromRow) return null;
+
+  const diff = unifiedDiff(fromRow?.content || '', toRow.content, {
+    context,
+    oldLabel: fromRow ? `${skillId}@${fromRow.version || fromRow.id}` : '/dev/null',
+    newLabel: `${skillId}@${toRow.version || toRow.id}`
+  });
+
+  const changes = compareFindings(fromRow?.findings, toRow.findings);
+  const findings = annotateHunks(diff.hunks, changes);
+
+  return {
+    skillId,
+    from: toVersion(fromRow),
+    to: toVersion(toRow),
+    diff,
+    findings: {
+      ...findings,
+      unchanged: changes.unchanged.length
+    },
+    scoreChange: fromRow && toRow.security_score !== null && fromRow.security_score !== null
+      ? toRow.security_score - fromRow.security_score
+      : null
+  };
+}
@@ -3,9 +3,16 @@ import logger from '../utils/logger.js';
 import { query } from '../utils/database.js';
 
 class ThreatIntelligenceAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.schedule = options.schedule || '0 */2 * * *';
     this.isRunning = false;
     this.analysisJob = null;
+    this.lastAnalysisTime = null;
+    this.lastError = null;
+    this.itemCountFields = ['totalThreats'];
+    this.inputs = ['skills', 'security_alerts', 'agents', 'posts'];
+    this.outputs = ['threat_intelligence'];
+    this.minIntervalMs = options.minIntervalMs ?? 30 * 60 * 1000;
     this.threatPatterns = new Map();
     this.behaviorBaselines = new Map();
     this.riskModels = this.initializeRiskModels();
@@ -82,15 +89,15 @@ class ThreatIntelligenceAnalyzer {
     logger.info('🕵️ Starting Threat Intelligence analyzer...');
     
     // Run initial analysis
-    await this.analyze();
+    await this.run();
     
-    // Schedule regular analysis every 2 hours
-    this.analysisJob = new CronJob('0 */2 * * *', async () => {
-      await this.analyze();
+    // Schedule regular analysis (every 2 hours by default)
+    this.analysisJob = new CronJob(this.schedule, async () => {
+      await this.run();
     }, null, true, 'UTC');
 
     this.isRunning = true;
-    logger.info('✅ Threat Intelligence analyzer started (2hr intervals)');
+    logger.info(`✅ Threat Intelligence analyzer started (${this.schedule})`);
   }
 
   async stop() {
@@ -102,6 +109,13 @@ class ThreatIntelligenceAnalyzer {
     logger.info('🛑 Threat Intelligence analyzer stopped');
   }
 
+  /**
+   * One analysis pass; returns a summary, or null if the pass failed
+   */
+  async run() {
+    return this.analyze();
+  }
+
   async analyze() {
     try {
       logger.info('🕵️ Starting threat intelligence analysis...');
@@ -128,14 +142,20 @@ class ThreatIntelligenceAnalyzer {
       await this.updateThreatLandscape(correlatedThreats);
 
       const duration = Date.now() - startTime;
-      logger.info(`✅ Threat intelligence analysis completed in ${duration}ms`, {
+      const summary = {
         totalThreats: correlatedThreats.length,
         highPriorityThreats: correlatedThreats.filter(t => t.risk_score > 0.8).length,
         mediumPriorityThreats: correlatedThreats.filter(t => t.risk_score > 0.6 && t.risk_score <= 0.8).length
-      });
+      };
+      logger.info(`✅ Threat intelligence analysis completed in ${duration}ms`, summary);
 
+      this.lastAnalysisTime = new Date();
+      this.lastError = null;
+      return summary;
     } catch (error) {
+      this.lastError = error.message;
       logger.error('❌ Threat intelligence analysis failed:', error);
+      return null;
     }
   }
 
@@ -441,23 +461,6 @@ class ThreatIntelligenceAnalyzer {
       ]);
     }
 
-    // Create threat intelligence table if needed
-    await query(`
-      CREATE TABLE IF NOT EXISTS threat_intelligence (
-        id SERIAL PRIMARY KEY,
-        threat_type VARCHAR(100) NOT NULL,
-        threat_subtype VARCHAR(100),
-        risk_score FLOAT NOT NULL,
-        description TEXT,
-        metadata JSONB DEFAULT '{}',
-        resolved BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-      CREATE INDEX IF NOT EXISTS idx_threat_intelligence_type ON threat_intelligence(threat_type);
-      CREATE INDEX IF NOT EXISTS idx_threat_intelligence_risk_score ON threat_intelligence(risk_score);
-      CREATE INDEX IF NOT EXISTS idx_threat_intelligence_created_at ON threat_intelligence(created_at);
-    `);
-
     logger.debug(`🚨 Stored ${threats.length} threat intelligence records`);
   }
 
@@ -560,6 +563,8 @@ class ThreatIntelligenceAnalyzer {
   getStats() {
     return {
       isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastError: this.lastError,
       threatPatternCount: this.threatPatterns.size,
       behaviorBaselineCount: this.behaviorBaselines.size,
       lastAnalysisTime: this.lastAnalysisTime
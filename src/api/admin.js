@@ -0,0 +1,275 @@
+import express from 'express';
+import Joi from 'joi';
+import { JOB_STATUSES, enqueueJob, getJob, getJobStates, getQueueDepth, listWorkers } from '../jobs/queue.js';
+import { getJobRun, getJobRunSummary, getPausedJobs, listJobRuns, setJobPaused } from '../jobs/runs.js';
+import { getPipelineGraph } from '../jobs/pipeline.js';
+import { ROLES, createUser, listUsers, updateUser, listApiKeys, revokeApiKey } from '../auth/accounts.js';
+import { requireScope } from '../auth/middleware.js';
+import { validateQuery, validateBody, listQuery } from './validation.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Admin API
+ * Trigger collector/analyzer jobs on demand, pause and resume their
+ * schedules, inspect run history, and manage users and their API keys.
+ * Every route requires the admin scope: an admin user's session or key, or
+ * the ADMIN_API_TOKEN.
+ */
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Who is acting, for run history and pause records. Callers using the
+// shared ADMIN_API_TOKEN may name themselves with X-Admin-User.
+function identify(req, res, next) {
+  const { principal } = req;
+  req.admin = {
+    name: principal.type === 'admin_token' ? req.get('X-Admin-User') || 'admin' : principal.name
+  };
+  next();
+}
+
+const userSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  name: Joi.string().max(255),
+  password: Joi.string().min(12).max(200),
+  role: Joi.string().valid(...ROLES).default('viewer')
+});
+
+const userUpdateSchema = Joi.object({
+  name: Joi.string().max(255),
+  password: Joi.string().min(12).max(200),
+  role: Joi.string().valid(...ROLES),
+  disabled: Joi.boolean()
+}).min(1);
+
+const runsQuery = listQuery({ queued_at: 'queued_at' }, {
+  defaultSort: 'queued_at',
+  filters: {
+    name: Joi.string().max(100),
+    status: Joi.string().valid(...JOB_STATUSES)
+  }
+});
+
+/**
+ * Look up a job by name among those published by the scheduler
+ */
+async function findJob(name) {
+  const states = await getJobStates();
+  return states.find(state => state.name === name) || null;
+}
+
+router.use(requireScope('admin'), identify);
+
+// Every job with its schedule, pause state, last run and recent totals
+router.get('/jobs', async (req, res) => {
+  try {
+    const [states, paused, summary, queueDepth, workers] = await Promise.all([
+      getJobStates(),
+      getPausedJobs(),
+      getJobRunSummary({ days: 7 }),
+      getQueueDepth(),
+      listWorkers()
+    ]);
+
+    res.json({
+      jobs: states
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(state => ({
+          name: state.name,
+          kind: state.kind,
+          key: state.key,
+          className: state.className,
+          schedule: state.schedule,
+          dependsOn: state.dependsOn,
+          inputs: state.inputs,
+          outputs: state.outputs,
+          scheduled: state.scheduled,
+          deferred: state.deferred,
+          paused: paused.has(state.name),
+          pause: paused.get(state.name) || null,
+          lastRun: state.lastRun && {
+            jobId: state.lastRun.jobId,
+            status: state.lastRun.status,
+            trigger: state.lastRun.trigger,
+            startedAt: state.lastRun.startedAt,
+            finishedAt: state.lastRun.finishedAt,
+            durationMs: state.lastRun.durationMs,
+            itemsProcessed: state.lastRun.itemsProcessed,
+            result: state.lastRun.result,
+            error: state.lastRun.error
+          },
+          lastWeek: summary[state.name] || { completed: 0, failed: 0, skipped: 0, avgDurationMs: null, itemsProcessed: 0 }
+        })),
+      queueDepth,
+      workers
+    });
+  } catch (error) {
+    logger.error('Admin jobs endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Queue a run now, without waiting for dependencies; returns the already
+// queued/running job if there is one
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!await findJob(name)) {
+      return res.status(404).json({ error: `Unknown job ${name}` });
+    }
+
+    const { job, deduplicated } = await enqueueJob(name, {
+      trigger: 'manual',
+      requestedBy: req.admin.name
+    });
+
+    logger.info(`🧑‍💻 ${req.admin.name} triggered ${name}`, { jobId: job.id, deduplicated });
+    res.status(202).json({ job, deduplicated });
+  } catch (error) {
+    logger.error('Admin run endpoint error:', error);
+    res.status(500).json({ error: 'Failed to queue job' });
+  }
+});
+
+router.post('/jobs/:name/pause', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!await findJob(name)) {
+      return res.status(404).json({ error: `Unknown job ${name}` });
+    }
+
+    await setJobPaused(name, true, { by: req.admin.name, reason: req.body?.reason || null });
+    res.json({ name, paused: true });
+  } catch (error) {
+    logger.error('Admin pause endpoint error:', error);
+    res.status(500).json({ error: 'Failed to pause job' });
+  }
+});
+
+router.post('/jobs/:name/resume', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!await findJob(name)) {
+      return res.status(404).json({ error: `Unknown job ${name}` });
+    }
+
+    await setJobPaused(name, false, { by: req.admin.name });
+    res.json({ name, paused: false });
+  } catch (error) {
+    logger.error('Admin resume endpoint error:', error);
+    res.status(500).json({ error: 'Failed to resume job' });
+  }
+});
+
+// Job DAG: stages, the datasets linking them and each stage's last run
+router.get('/pipeline', async (req, res) => {
+  try {
+    res.json(await getPipelineGraph());
+  } catch (error) {
+    logger.error('Admin pipeline endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch pipeline' });
+  }
+});
+
+// Run history, newest first (?name=&status=&limit=)
+router.get('/runs', validateQuery(runsQuery), async (req, res) => {
+  try {
+    const { name, status, order, limit, cursor } = req.query;
+    res.json(await listJobRuns({ name: name || null, status: status || null, order, limit, cursor: cursor || null }));
+  } catch (error) {
+    logger.error('Admin runs endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+router.get('/runs/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!UUID_PATTERN.test(jobId)) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+
+    // The queue record is the freshest view while a run is in flight
+    const [run, live] = await Promise.all([getJobRun(jobId), getJob(jobId)]);
+    if (!run && !live) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+
+    res.json({ run: run || null, live: live || null });
+  } catch (error) {
+    logger.error('Admin run detail endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch job run' });
+  }
+});
+
+router.get('/users', async (req, res) => {
+  try {
+    res.json({ users: await listUsers() });
+  } catch (error) {
+    logger.error('Admin users endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+router.post('/users', validateBody(userSchema), async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+    logger.info(`🧑‍💻 ${req.admin.name} created ${user.role} user ${user.email}`);
+    res.status(201).json({ user });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    logger.error('Admin create user endpoint error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change role, name or password, or disable the account (which also
+// disables its API keys)
+router.patch('/users/:id', validateBody(userUpdateSchema), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const user = Number.isInteger(id) ? await updateUser(id, req.body) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info(`🧑‍💻 ${req.admin.name} updated user ${user.email}`, { changes: Object.keys(req.body) });
+    res.json({ user });
+  } catch (error) {
+    logger.error('Admin update user endpoint error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Every user's keys (?user=<id> for one user's)
+router.get('/keys', async (req, res) => {
+  try {
+    const userId = parseInt(req.query.user);
+    res.json({ keys: await listApiKeys(Number.isInteger(userId) ? userId : null) });
+  } catch (error) {
+    logger.error('Admin keys endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const key = Number.isInteger(id) ? await revokeApiKey(id) : null;
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logger.info(`🧑‍💻 ${req.admin.name} revoked API key ${key.prefix}`);
+    res.json({ key });
+  } catch (error) {
+    logger.error('Admin revoke key endpoint error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
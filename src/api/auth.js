@@ -0,0 +1,119 @@
+import express from 'express';
+import Joi from 'joi';
+import { SCOPES, createApiKey, getUser, listApiKeys, revokeApiKey, verifyPassword } from '../auth/accounts.js';
+import { AuthError, issueToken } from '../auth/middleware.js';
+import { validateBody } from './validation.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Auth API
+ * Sign in with email and password for a session token, and manage your own
+ * API keys. Keys are managed from a signed-in session only: a key can't
+ * mint other keys, so a leaked read-only key stays read-only even when its
+ * owner is an admin.
+ */
+
+const router = express.Router();
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  password: Joi.string().max(200).required()
+});
+
+const keySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().default(['read:public']),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(10000),
+  expiresAt: Joi.date().iso().greater('now')
+});
+
+function requireSession(req, res, next) {
+  if (req.principal?.type !== 'user') {
+    const status = req.principal?.type === 'anonymous' ? 401 : 403;
+    return res.status(status).json({ error: 'Sign in to manage API keys' });
+  }
+  next();
+}
+
+router.post('/login', validateBody(loginSchema), async (req, res) => {
+  try {
+    if (!process.env.JWT_SECRET) {
+      return res.status(503).json({ error: 'Sign-in is disabled (JWT_SECRET not set)' });
+    }
+
+    const user = await verifyPassword(req.body.email, req.body.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    logger.info(`🔓 ${user.email} signed in`);
+    res.json({ token: issueToken(user), user });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(503).json({ error: error.message });
+    }
+    logger.error('Login endpoint error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// The caller: user, key or anonymous, and the scopes they hold
+router.get('/me', async (req, res) => {
+  try {
+    const { principal } = req;
+    const user = principal.id ? await getUser(principal.id) : null;
+
+    res.json({
+      type: principal.type,
+      name: principal.name,
+      scopes: principal.scopes,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Auth me endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+router.get('/keys', requireSession, async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys(req.principal.id) });
+  } catch (error) {
+    logger.error('API keys endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create a key; the response is the only time the key itself is shown
+router.post('/keys', requireSession, validateBody(keySchema), async (req, res) => {
+  try {
+    const user = await getUser(req.principal.id);
+    const { apiKey, key } = await createApiKey(user, req.body);
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Create API key endpoint error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.delete('/keys/:id', requireSession, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const key = Number.isInteger(id) ? await revokeApiKey(id, req.principal.id) : null;
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logger.info(`🔑 ${req.principal.name} revoked API key ${key.prefix}`);
+    res.json({ key });
+  } catch (error) {
+    logger.error('Revoke API key endpoint error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
@@ -0,0 +1,469 @@
+import express from 'express';
+import { query } from '../utils/database.js';
+import { cacheGet, cacheSet } from '../utils/redis.js';
+import { findAgent, getAgentAccounts, getReputation, getThreats } from '../analyzers/agent_profile.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Agent Intelligence skill contract (v1)
+ * The endpoints the agent-intelligence skill's query engine calls, in the
+ * shapes documented in skills/agent-intelligence/references/API_REFERENCE.md.
+ * Mounted at /api/skill/v1, and at /api for skills already published
+ * against the unversioned paths; a future v2 gets its own prefix while /api
+ * stays on v1. Every response carries X-Contract-Version.
+ *
+ * The engine JSON-encodes every query parameter (?platform="moltx"), so
+ * parameters are accepted both encoded and plain.
+ */
+
+export const CONTRACT_VERSION = 1;
+
+const router = express.Router();
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Composite factor_breakdown keys as the contract names them
+const FACTOR_NAMES = {
+  moltbook: 'moltbook_activity',
+  moltx: 'moltx_influence',
+  '4claw': '4claw_community',
+  engagement_quality: 'engagement_quality',
+  security: 'security_record',
+  longevity: 'longevity'
+};
+
+function send(res, body) {
+  res.set('X-Contract-Version', String(CONTRACT_VERSION));
+  res.json(body);
+}
+
+function sendError(res, status, error) {
+  res.set('X-Contract-Version', String(CONTRACT_VERSION));
+  res.status(status).json({ error });
+}
+
+function decodeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  try {
+    const decoded = JSON.parse(value);
+    return decoded === null ? undefined : decoded;
+  } catch {
+    return value;
+  }
+}
+
+function parseNumberParam(value, name, { min, max, fallback, integer = false }) {
+  const decoded = decodeParam(value);
+  if (decoded === undefined) return fallback;
+
+  const number = Number(decoded);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new RangeError(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseStringParam(value) {
+  const decoded = decodeParam(value);
+  return decoded === undefined ? null : String(decoded);
+}
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+function toBreakdown(factorBreakdown) {
+  const breakdown = {};
+  for (const [key, name] of Object.entries(FACTOR_NAMES)) {
+    breakdown[name] = round(factorBreakdown?.[key]);
+  }
+  return breakdown;
+}
+
+function toAgentSummary(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    platform: row.platform,
+    reputation: {
+      composite_score: round(row.composite_score),
+      breakdown: toBreakdown(row.factor_breakdown)
+    }
+  };
+}
+
+function highestSeverity(threats) {
+  return threats.reduce((highest, threat) =>
+    SEVERITY_ORDER.indexOf(threat.severity) > SEVERITY_ORDER.indexOf(highest) ? threat.severity : highest,
+  'clear');
+}
+
+/**
+ * Open threat alerts and skill security alerts for an account's entity
+ */
+async function getOpenThreats(agent, accounts) {
+  const { alerts, skillAlerts } = await getThreats(accounts.map(account => account.id), agent.entity_id);
+
+  return [
+    ...alerts.filter(alert => !alert.resolved).map(alert => ({
+      type: alert.alert_type,
+      severity: alert.severity,
+      description: alert.description,
+      reported_at: toIso(alert.created_at)
+    })),
+    ...skillAlerts.filter(alert => !alert.resolved).map(alert => ({
+      type: alert.type,
+      severity: alert.severity,
+      description: alert.title,
+      reported_at: toIso(alert.created_at)
+    }))
+  ];
+}
+
+/**
+ * Resolve :id, answering 404 when there's no such account
+ */
+async function withAgent(req, res, fn) {
+  const agent = await findAgent(req.params.id);
+  if (!agent) {
+    return sendError(res, 404, 'Agent not found');
+  }
+  return fn(agent);
+}
+
+function handleError(res, error, label, message) {
+  if (error instanceof RangeError) {
+    return sendError(res, 400, error.message);
+  }
+  logger.error(`Contract ${label} endpoint error:`, error);
+  sendError(res, 500, message);
+}
+
+// searchAgents(): name, platform, min_score, max_score, limit
+router.get('/agents/search', async (req, res) => {
+  try {
+    const filters = {
+      name: parseStringParam(req.query.name),
+      platform: parseStringParam(req.query.platform),
+      minScore: parseNumberParam(req.query.min_score, 'min_score', { min: 0, max: 100, fallback: 0 }),
+      maxScore: parseNumberParam(req.query.max_score, 'max_score', { min: 0, max: 100, fallback: 100 }),
+      limit: parseNumberParam(req.query.limit, 'limit', { min: 1, max: 100, fallback: 10, integer: true })
+    };
+    const cacheKey = `api:contract:v1:search:${JSON.stringify(filters)}`;
+
+    let agents = await cacheGet(cacheKey);
+
+    if (!agents) {
+      const result = await query(`
+        SELECT a.id, a.name, a.platform,
+          COALESCE(ars.score, 0) as composite_score, ars.factor_breakdown
+        FROM agents a
+        LEFT JOIN agent_reputation_scores ars ON ars.agent_id = a.id AND ars.platform = 'composite'
+        WHERE ($1::text IS NULL
+            OR POSITION(LOWER($1) IN LOWER(a.name)) > 0
+            OR POSITION(LOWER($1) IN LOWER(COALESCE(a.handle, ''))) > 0)
+          AND ($2::text IS NULL OR a.platform = $2)
+          AND COALESCE(ars.score, 0) BETWEEN $3 AND $4
+        ORDER BY COALESCE(ars.score, 0) DESC, a.last_seen DESC
+        LIMIT $5
+      `, [filters.name, filters.platform, filters.minScore, filters.maxScore, filters.limit]);
+
+      agents = result.rows.map(toAgentSummary);
+
+      // Cache for 5 minutes
+      await cacheSet(cacheKey, agents, 300);
+    }
+
+    send(res, agents);
+  } catch (error) {
+    handleError(res, error, 'search', 'Failed to search agents');
+  }
+});
+
+// getAgent(): full profile; getReputation() is derived from it by the engine
+router.get('/agents/:id', async (req, res) => {
+  try {
+    await withAgent(req, res, async (agent) => {
+      const cacheKey = `api:contract:v1:agent:${agent.id}`;
+      let profile = await cacheGet(cacheKey);
+
+      if (!profile) {
+        const { accounts } = await getAgentAccounts(agent);
+        const [reputation, activity, threats] = await Promise.all([
+          getReputation(agent.id),
+          query(`
+            SELECT
+              (SELECT COUNT(*) FROM posts WHERE agent_id = $1)::int as post_count,
+              (SELECT COALESCE(AVG(upvotes + comment_count), 0) FROM posts WHERE agent_id = $1)::float as avg_post_engagement,
+              GREATEST(
+                (SELECT MAX(created_at) FROM posts WHERE agent_id = $1),
+                (SELECT MAX(created_at) FROM comments WHERE agent_id = $1)
+              ) as last_activity,
+              m.followers, m.following, m.posts_count, m.avg_engagement_rate
+            FROM (SELECT 1) one
+            LEFT JOIN LATERAL (
+              SELECT followers, following, posts_count, avg_engagement_rate
+              FROM agent_metrics
+              WHERE agent_id = $1
+              ORDER BY collected_at DESC
+              LIMIT 1
+            ) m ON TRUE
+          `, [agent.id]),
+          getOpenThreats(agent, accounts)
+        ]);
+
+        const stats = activity.rows[0];
+        const factorScore = (factor) => round(reputation.factors.find(row => row.factor === factor)?.score);
+        const followers = stats.followers ?? 0;
+
+        profile = {
+          id: String(agent.id),
+          name: agent.name,
+          platform: agent.platform,
+          handle: agent.handle,
+          bio: agent.bio,
+          avatar_url: agent.avatar_url,
+          reputation: {
+            composite_score: round(reputation.composite?.score),
+            moltbook_score: factorScore('moltbook'),
+            moltx_score: factorScore('moltx'),
+            '4claw_score': factorScore('4claw'),
+            engagement_quality: factorScore('engagement_quality'),
+            security_score: factorScore('security_record'),
+            longevity_score: factorScore('longevity'),
+            breakdown: toBreakdown(reputation.composite?.factor_breakdown),
+            inputs: {
+              activity_posts: stats.post_count,
+              followers,
+              engagement_rate: round(stats.avg_engagement_rate ?? stats.avg_post_engagement),
+              threat_count: threats.length,
+              account_age_days: agent.first_seen
+                ? Math.floor((Date.now() - new Date(agent.first_seen)) / (24 * 60 * 60 * 1000))
+                : 0
+            },
+            last_updated: toIso(reputation.composite?.updated_at)
+          },
+          metrics: {
+            posts_count: stats.posts_count ?? stats.post_count,
+            followers,
+            following: stats.following ?? 0,
+            avg_engagement: round(stats.avg_engagement_rate ?? stats.avg_post_engagement)
+          },
+          active_platforms: [...new Set(accounts.map(account => account.platform))],
+          last_activity: toIso(stats.last_activity || agent.last_seen),
+          first_seen: toIso(agent.first_seen),
+          updated_at: toIso(agent.last_seen)
+        };
+
+        // Cache for 5 minutes
+        await cacheSet(cacheKey, profile, 300);
+      }
+
+      send(res, profile);
+    });
+  } catch (error) {
+    handleError(res, error, 'agent', 'Failed to fetch agent');
+  }
+});
+
+// checkThreats(): open threats against the agent's entity
+router.get('/threats/:id', async (req, res) => {
+  try {
+    await withAgent(req, res, async (agent) => {
+      const { accounts } = await getAgentAccounts(agent);
+      const threats = await getOpenThreats(agent, accounts);
+
+      send(res, {
+        agent_id: String(agent.id),
+        threats,
+        is_flagged: threats.length > 0,
+        severity: highestSeverity(threats)
+      });
+    });
+  } catch (error) {
+    handleError(res, error, 'threats', 'Failed to fetch threats');
+  }
+});
+
+// linkIdentities(): the other accounts in the agent's entity
+router.get('/identities/:id', async (req, res) => {
+  try {
+    await withAgent(req, res, async (agent) => {
+      const { accounts } = await getAgentAccounts(agent);
+      const others = accounts.filter(account => account.id !== agent.id);
+
+      const links = others.length === 0 ? { rows: [] } : await query(`
+        SELECT primary_agent_id, linked_agent_id, confidence
+        FROM agent_identity_links
+        WHERE primary_agent_id = ANY($1) AND linked_agent_id = ANY($1)
+      `, [accounts.map(account => account.id)]);
+
+      // A direct link to this account if there is one, else the strongest
+      // link that put the other account in the entity
+      const confidenceOf = (account) => {
+        const touching = links.rows.filter(link =>
+          link.primary_agent_id === account.id || link.linked_agent_id === account.id
+        );
+        const direct = touching.filter(link =>
+          link.primary_agent_id === agent.id || link.linked_agent_id === agent.id
+        );
+        const candidates = direct.length > 0 ? direct : touching;
+        return candidates.length > 0 ? round(Math.max(...candidates.map(link => link.confidence))) : 0;
+      };
+
+      const linkedAccounts = others.map(account => ({
+        id: String(account.id),
+        platform: account.platform,
+        name: account.name,
+        confidence: confidenceOf(account)
+      }));
+
+      send(res, {
+        primary_id: String(agent.id),
+        linked_accounts: linkedAccounts,
+        // The entity is only as certain as its weakest link
+        confidence: linkedAccounts.length > 0 ? Math.min(...linkedAccounts.map(account => account.confidence)) : 0,
+        is_multi_account: new Set(accounts.map(account => account.platform)).size > 1
+      });
+    });
+  } catch (error) {
+    handleError(res, error, 'identities', 'Failed to fetch identities');
+  }
+});
+
+// getLeaderboard(): platform, limit, offset
+router.get('/leaderboards/reputation', async (req, res) => {
+  try {
+    const platform = parseStringParam(req.query.platform);
+    const limit = parseNumberParam(req.query.limit, 'limit', { min: 1, max: 100, fallback: 20, integer: true });
+    const offset = parseNumberParam(req.query.offset, 'offset', { min: 0, max: 100000, fallback: 0, integer: true });
+    const cacheKey = `api:contract:v1:leaderboard:${platform}:${limit}:${offset}`;
+
+    let leaderboard = await cacheGet(cacheKey);
+
+    if (!leaderboard) {
+      const result = await query(`
+        SELECT a.id, a.name, a.platform, ars.score as composite_score, ars.factor_breakdown,
+          COALESCE((
+            SELECT am.followers FROM agent_metrics am
+            WHERE am.agent_id = a.id
+            ORDER BY am.collected_at DESC
+            LIMIT 1
+          ), 0) as followers
+        FROM agent_reputation_scores ars
+        JOIN agents a ON a.id = ars.agent_id
+        WHERE ars.platform = 'composite'
+          AND ($1::text IS NULL OR a.platform = $1)
+        ORDER BY ars.score DESC, a.id
+        LIMIT $2 OFFSET $3
+      `, [platform, limit, offset]);
+
+      leaderboard = result.rows.map((row, index) => {
+        const summary = toAgentSummary(row);
+        return {
+          rank: offset + index + 1,
+          ...summary,
+          composite_score: summary.reputation.composite_score,
+          followers: row.followers
+        };
+      });
+
+      // Cache for 10 minutes
+      await cacheSet(cacheKey, leaderboard, 600);
+    }
+
+    send(res, leaderboard);
+  } catch (error) {
+    handleError(res, error, 'leaderboard', 'Failed to fetch leaderboard');
+  }
+});
+
+// getTrends(): busiest topics, rising agents and top posts of the last 24h
+router.get('/trends', async (req, res) => {
+  try {
+    const cacheKey = 'api:contract:v1:trends';
+    let trends = await cacheGet(cacheKey);
+
+    if (!trends) {
+      const [topics, risingAgents, trendingPosts] = await Promise.all([
+        // Submolts and boards; sentiment is read from the vote balance
+        query(`
+          SELECT submolt as topic, COUNT(*)::int as posts_count,
+            SUM(upvotes)::float / NULLIF(SUM(upvotes + downvotes), 0) as upvote_ratio,
+            MIN(created_at) as trending_since
+          FROM posts
+          WHERE created_at > NOW() - INTERVAL '24 hours'
+            AND submolt IS NOT NULL
+          GROUP BY submolt
+          ORDER BY posts_count DESC
+          LIMIT 10
+        `),
+        query(`
+          WITH latest AS (
+            SELECT DISTINCT ON (agent_id) agent_id, reputation_score, followers
+            FROM agent_metric_samples
+            WHERE sampled_at > NOW() - INTERVAL '24 hours'
+            ORDER BY agent_id, sampled_at DESC
+          ),
+          earlier AS (
+            SELECT DISTINCT ON (agent_id) agent_id, reputation_score, followers
+            FROM agent_metric_samples
+            WHERE sampled_at BETWEEN NOW() - INTERVAL '48 hours' AND NOW() - INTERVAL '24 hours'
+            ORDER BY agent_id, sampled_at DESC
+          )
+          SELECT a.id, a.name,
+            (l.reputation_score - e.reputation_score)::int as score_change,
+            COALESCE(l.followers - e.followers, 0)::int as new_followers
+          FROM latest l
+          JOIN earlier e ON e.agent_id = l.agent_id
+          JOIN agents a ON a.id = l.agent_id
+          WHERE l.reputation_score > e.reputation_score OR l.followers > e.followers
+          ORDER BY score_change DESC, new_followers DESC
+          LIMIT 10
+        `),
+        query(`
+          SELECT p.id, a.name as author, COALESCE(p.title, LEFT(p.content, 280)) as content,
+            (p.upvotes + p.comment_count * 2)::int as engagement, p.platform
+          FROM posts p
+          LEFT JOIN agents a ON a.id = p.agent_id
+          WHERE p.created_at > NOW() - INTERVAL '24 hours'
+          ORDER BY engagement DESC
+          LIMIT 10
+        `)
+      ]);
+
+      const sentiment = (ratio) => (ratio === null ? 'neutral' : ratio >= 0.6 ? 'positive' : ratio <= 0.4 ? 'negative' : 'neutral');
+
+      trends = {
+        topics: topics.rows.map(row => ({
+          topic: row.topic,
+          posts_count: row.posts_count,
+          sentiment: sentiment(row.upvote_ratio),
+          trending_since: toIso(row.trending_since)
+        })),
+        rising_agents: risingAgents.rows.map(row => ({
+          id: String(row.id),
+          name: row.name,
+          score_change: row.score_change,
+          new_followers: row.new_followers
+        })),
+        trending_posts: trendingPosts.rows.map(row => ({
+          id: String(row.id),
+          author: row.author,
+          content: row.content,
+          engagement: row.engagement,
+          platform: row.platform
+        })),
+        timestamp: new Date().toISOString()
+      };
+
+      // Cache for 30 minutes
+      await cacheSet(cacheKey, trends, 1800);
+    }
+
+    send(res, trends);
+  } catch (error) {
+    handleError(res, error, 'trends', 'Failed to fetch trends');
+  }
+});
+
+export default router;
@@ -1,35 +1,29 @@
 import express from 'express';
-import { RateLimiterMemory } from 'rate-limiter-flexible';
+import Joi from 'joi';
 import { query } from '../utils/database.js';
-import { cacheGet, cacheSet } from '../utils/redis.js';
+import { cacheGet, cacheSet, cacheVersion } from '../utils/redis.js';
 import { getCollectorStats } from '../collectors/index.js';
 import { getAnalyzerStats } from '../analyzers/index.js';
+import { listSkillVersions, diffSkillVersions } from '../analyzers/skill_versions.js';
+import { getTimeSeries, SERIES_INTERVALS } from '../analyzers/metric_history.js';
+import { getAgentProfile } from '../analyzers/agent_profile.js';
+import { search, SEARCH_TYPES, SEVERITIES, MAX_SEARCH_LIMIT, MAX_QUERY_LENGTH } from '../analyzers/search.js';
+import adminRouter from './admin.js';
+import authRouter from './auth.js';
+import triageRouter from './triage.js';
+import contractRouter, { CONTRACT_VERSION } from './contract.js';
+import { validateQuery, listQuery, listOf } from './validation.js';
+import { keysetPage, toPage } from '../utils/pagination.js';
+import { SCOPES } from '../auth/accounts.js';
+import { ALERT_STATUSES } from '../triage/workflow.js';
+import { authenticate, can, rateLimit } from '../auth/middleware.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// Rate limiting
-const rateLimiter = new RateLimiterMemory({
-  keyPrefix: 'api_rate_limit',
-  points: 100, // Number of requests
-  duration: 900, // Per 15 minutes
-});
-
-const rateLimitMiddleware = async (req, res, next) => {
-  try {
-    const key = req.ip || 'unknown';
-    await rateLimiter.consume(key);
-    next();
-  } catch {
-    res.status(429).json({
-      error: 'Too many requests',
-      message: 'Rate limit exceeded. Try again later.'
-    });
-  }
-};
-
-// Apply rate limiting to all API routes
-router.use('/api/v1', rateLimitMiddleware);
+// Identify the caller (API key, session, admin token or anonymous), then
+// rate limit per key, user or anonymous IP
+router.use('/api', authenticate, rateLimit);
 
 // API Documentation endpoint
 router.get('/api/v1', (req, res) => {
@@ -40,14 +34,48 @@ router.get('/api/v1', (req, res) => {
     endpoints: {
       '/api/v1/stats': 'System statistics and status',
       '/api/v1/agents': 'Agent data and rankings',
-      '/api/v1/posts': 'Post data and trends',
-      '/api/v1/security': 'Security alerts and analysis',
-      '/api/v1/analytics': 'Analytics and insights'
+      '/api/v1/agents/:id': 'Agent profile: accounts, posts, reputation factors, identities, threats and network metrics',
+      '/api/v1/posts': 'Post data and trends; sort or filter by prompt-injection risk (sort=injection_risk, min_injection_risk)',
+      '/api/v1/security': 'Security alerts and analysis, filterable by type (e.g. secret_exposure, prompt_injection), triage status and assignee (raw alert metadata needs read:security)',
+      '/api/v1/security/alerts/:id': 'Alert with comments and audit trail; POST …/status, …/assign, …/comments to triage (write:triage)',
+      '/api/v1/security/suppressions': 'Suppression rules for known false positives (read:security; changes need write:triage)',
+      '/api/v1/security/rules': 'Detection rules loaded from the rule packs, and packs that failed to load (read:security)',
+      '/api/v1/skills': 'ClawdHub skills, version history and diffs; sort or filter by prompt-injection risk (per-version findings need read:security)',
+      '/api/v1/search': 'Full-text search over posts, agents, skills and alerts with facets (type, platform, submolt/board, severity, date range)',
+      '/api/v1/timeseries/:kind/:id': 'Metric history for a post, agent, submolt, board or platform',
+      '/api/v1/analytics': 'Analytics and insights',
+      '/api/v1/admin/jobs': 'Collector and analyzer jobs: trigger, pause, resume and run history (admin scope)',
+      '/api/v1/admin/pipeline': 'Job DAG with dataset versions and last-run state per stage (admin scope)',
+      '/api/v1/admin/users': 'User accounts and roles; /api/v1/admin/keys for every API key (admin scope)',
+      '/api/v1/auth/login': 'Sign in with email and password for a session token',
+      '/api/v1/auth/me': 'The calling user or key and its scopes',
+      '/api/v1/auth/keys': 'Create, list and revoke your API keys (signed-in session)',
+      '/api/skill/v1/agents/search': 'Agent-intelligence skill contract: search agents by name, platform and score',
+      '/api/skill/v1/agents/:id': 'Agent-intelligence skill contract: agent with reputation breakdown (id, handle or name)',
+      '/api/skill/v1/threats/:id': 'Agent-intelligence skill contract: open threats and severity',
+      '/api/skill/v1/identities/:id': 'Agent-intelligence skill contract: linked accounts across platforms',
+      '/api/skill/v1/leaderboards/reputation': 'Agent-intelligence skill contract: reputation leaderboard',
+      '/api/skill/v1/trends': 'Agent-intelligence skill contract: trending topics, rising agents and posts'
+    },
+    auth: {
+      schemes: ['Authorization: Bearer <api key | session token>', 'X-API-Key: <api key>'],
+      scopes: SCOPES,
+      anonymous: 'read:public, rate limited per IP'
+    },
+    skillContract: {
+      version: CONTRACT_VERSION,
+      unversionedAlias: '/api'
     },
     docs: 'https://github.com/grandmasterclawd/agent-intelligence-hub'
   });
 });
 
+// Sign-in and API keys
+router.use('/api/v1/auth', authRouter);
+
+// Admin endpoints (admin scope)
+router.use('/api/v1/admin', adminRouter);
+
 // System stats endpoint
 router.get('/api/v1/stats', async (req, res) => {
   try {
@@ -55,18 +83,39 @@ router.get('/api/v1/stats', async (req, res) => {
     let stats = await cacheGet(cacheKey);
 
     if (!stats) {
-      const [agentCount, postCount, alertCount] = await Promise.all([
+      const [agentCount, postCount, alertCount, growth] = await Promise.all([
         query('SELECT COUNT(*) as count FROM agents'),
         query('SELECT COUNT(*) as count FROM posts'),
-        query('SELECT COUNT(*) as count FROM security_alerts WHERE NOT resolved')
+        query('SELECT COUNT(*) as count FROM security_alerts WHERE NOT resolved'),
+        // Last 24h against the 24h before it
+        query(`
+          SELECT
+            (SELECT COUNT(*) FROM agents WHERE first_seen > NOW() - INTERVAL '24 hours') as new_agents,
+            (SELECT COUNT(*) FROM agents WHERE first_seen BETWEEN NOW() - INTERVAL '48 hours' AND NOW() - INTERVAL '24 hours') as previous_new_agents,
+            (SELECT COUNT(*) FROM posts WHERE created_at > NOW() - INTERVAL '24 hours') as new_posts,
+            (SELECT COUNT(*) FROM posts WHERE created_at BETWEEN NOW() - INTERVAL '48 hours' AND NOW() - INTERVAL '24 hours') as previous_new_posts
+        `)
       ]);
 
+      const percentChange = (current, previous) => {
+        current = parseInt(current);
+        previous = parseInt(previous);
+        return previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+      };
+      const change = growth.rows[0];
+
       stats = {
         agents: parseInt(agentCount.rows[0].count),
         posts: parseInt(postCount.rows[0].count),
         securityAlerts: parseInt(alertCount.rows[0].count),
-        collectors: getCollectorStats(),
-        analyzers: getAnalyzerStats(),
+        growth: {
+          newAgents24h: parseInt(change.new_agents),
+          newPosts24h: parseInt(change.new_posts),
+          agentsChange: percentChange(change.new_agents, change.previous_new_agents),
+          postsChange: percentChange(change.new_posts, change.previous_new_posts)
+        },
+        collectors: await getCollectorStats(),
+        analyzers: await getAnalyzerStats(),
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       };
@@ -83,42 +132,64 @@ router.get('/api/v1/stats', async (req, res) => {
 });
 
 // Agents endpoint
-router.get('/api/v1/agents', async (req, res) => {
+const AGENT_SORT_FIELDS = {
+  reputation_score: 'COALESCE(reputation_score, 0)',
+  last_seen: "COALESCE(last_seen, 'epoch')",
+  first_seen: "COALESCE(first_seen, 'epoch')",
+  name: 'name'
+};
+
+const agentsQuery = listQuery(AGENT_SORT_FIELDS, {
+  defaultSort: 'reputation_score',
+  filters: {
+    platform: Joi.string().max(50),
+    verified: Joi.boolean()
+  }
+});
+
+router.get('/api/v1/agents', validateQuery(agentsQuery), async (req, res) => {
   try {
-    const { platform, limit = 50, sort = 'reputation_score' } = req.query;
-    const cacheKey = `api:agents:${platform}:${limit}:${sort}`;
-    
+    const { platform, verified, sort, order, limit, cursor } = req.query;
+    const cacheKey = `api:agents:${JSON.stringify(req.query)}`;
+
     let agents = await cacheGet(cacheKey);
-    
+
     if (!agents) {
-      let whereClause = '';
-      let params = [];
-      
+      const params = [];
+      const conditions = [];
+
       if (platform) {
-        whereClause = 'WHERE platform = $1';
         params.push(platform);
+        conditions.push(`platform = $${params.length}`);
+      }
+      if (verified !== undefined) {
+        params.push(verified);
+        conditions.push(`is_verified = $${params.length}`);
       }
 
+      const page = keysetPage({ column: AGENT_SORT_FIELDS[sort], order, cursor, limit, params });
+      if (page.condition) conditions.push(page.condition);
+
       const result = await query(`
         SELECT 
-          name, platform, reputation_score, 
-          is_verified, first_seen, last_seen,
-          (metadata->>'external_author_id') as external_id
+          id, entity_id, name, platform, external_id, reputation_score, 
+          is_verified, first_seen, last_seen, ${page.sortKey}
         FROM agents 
-        ${whereClause}
-        ORDER BY ${sort} DESC 
-        LIMIT ${parseInt(limit)}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${page.orderBy}
+        LIMIT ${page.limit}
       `, params);
 
-      agents = result.rows;
+      agents = toPage(result.rows, { sort, order, cursor, limit });
       
       // Cache for 10 minutes
       await cacheSet(cacheKey, agents, 600);
     }
 
     res.json({
-      agents,
-      count: agents.length,
+      agents: agents.items,
+      count: agents.items.length,
+      pagination: agents.pagination,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -127,56 +198,108 @@ router.get('/api/v1/agents', async (req, res) => {
   }
 });
 
+// Agent profile
+router.get('/api/v1/agents/:id', async (req, res) => {
+  try {
+    const agentId = parseInt(req.params.id);
+    if (!Number.isInteger(agentId) || String(agentId) !== req.params.id) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const cacheKey = `api:agents:${agentId}:profile`;
+    let profile = await cacheGet(cacheKey);
+
+    if (!profile) {
+      profile = await getAgentProfile(agentId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      // Cache for 5 minutes
+      await cacheSet(cacheKey, profile, 300);
+    }
+
+    res.json({
+      ...profile,
+      threats: can(req, 'read:security') ? profile.threats : {
+        ...profile.threats,
+        alerts: profile.threats.alerts.map(({ data, ...alert }) => alert)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Agent profile endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent profile' });
+  }
+});
+
 // Posts endpoint
-router.get('/api/v1/posts', async (req, res) => {
+const POST_SORT_FIELDS = {
+  created_at: "COALESCE(p.created_at, 'epoch')",
+  upvotes: 'COALESCE(p.upvotes, 0)',
+  comment_count: 'COALESCE(p.comment_count, 0)',
+  injection_risk: 'COALESCE(p.injection_risk, 0)'
+};
+
+const postsQuery = listQuery(POST_SORT_FIELDS, {
+  defaultSort: 'created_at',
+  filters: {
+    platform: Joi.string().max(50),
+    submolt: Joi.string().max(255),
+    min_injection_risk: Joi.number().integer().min(0).max(100)
+  }
+});
+
+router.get('/api/v1/posts', validateQuery(postsQuery), async (req, res) => {
   try {
-    const { platform, submolt, limit = 50, sort = 'created_at' } = req.query;
-    const cacheKey = `api:posts:${platform}:${submolt}:${limit}:${sort}`;
+    const { platform, submolt, min_injection_risk: minInjectionRisk, sort, order, limit, cursor } = req.query;
+    const cacheKey = `api:posts:${JSON.stringify(req.query)}`;
     
     let posts = await cacheGet(cacheKey);
     
     if (!posts) {
-      let whereConditions = [];
-      let params = [];
-      let paramCount = 0;
+      const params = [];
+      const conditions = [];
 
       if (platform) {
-        paramCount++;
-        whereConditions.push(`platform = $${paramCount}`);
         params.push(platform);
+        conditions.push(`p.platform = $${params.length}`);
       }
-
       if (submolt) {
-        paramCount++;
-        whereConditions.push(`submolt = $${paramCount}`);
         params.push(submolt);
+        conditions.push(`p.submolt = $${params.length}`);
+      }
+      if (minInjectionRisk !== undefined) {
+        params.push(minInjectionRisk);
+        conditions.push(`p.injection_risk >= $${params.length}`);
       }
 
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')}`
-        : '';
+      const page = keysetPage({ column: POST_SORT_FIELDS[sort], idColumn: 'p.id', order, cursor, limit, params });
+      if (page.condition) conditions.push(page.condition);
 
       const result = await query(`
         SELECT 
-          p.external_id, p.platform, p.title, p.content, p.url,
+          p.id, p.external_id, p.platform, p.title, p.content, p.url,
           p.upvotes, p.downvotes, p.comment_count, p.submolt,
-          p.created_at, a.name as author_name
+          p.injection_risk, p.injection_techniques,
+          p.created_at, a.name as author_name, ${page.sortKey}
         FROM posts p
         LEFT JOIN agents a ON p.agent_id = a.id
-        ${whereClause}
-        ORDER BY p.${sort} DESC 
-        LIMIT ${parseInt(limit)}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${page.orderBy}
+        LIMIT ${page.limit}
       `, params);
 
-      posts = result.rows;
+      posts = toPage(result.rows, { sort, order, cursor, limit });
       
       // Cache for 5 minutes
       await cacheSet(cacheKey, posts, 300);
     }
 
     res.json({
-      posts,
-      count: posts.length,
+      posts: posts.items,
+      count: posts.items.length,
+      pagination: posts.pagination,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -186,49 +309,106 @@ router.get('/api/v1/posts', async (req, res) => {
 });
 
 // Security alerts endpoint
-router.get('/api/v1/security', async (req, res) => {
+const ALERT_SORT_FIELDS = {
+  created_at: "COALESCE(sa.created_at, 'epoch')",
+  updated_at: "COALESCE(sa.updated_at, sa.created_at, 'epoch')",
+  last_seen: "COALESCE(sa.last_seen, sa.created_at, 'epoch')",
+  occurrence_count: 'sa.occurrence_count',
+  severity: "CASE sa.severity WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END"
+};
+
+const securityQuery = listQuery(ALERT_SORT_FIELDS, {
+  defaultSort: 'created_at',
+  filters: {
+    severity: Joi.string().valid('critical', 'high', 'medium', 'low'),
+    type: listOf(Joi.string().max(100)),
+    status: listOf(Joi.string().valid(...ALERT_STATUSES)),
+    // me, none or a user id
+    assignee: Joi.alternatives(Joi.string().valid('me', 'none'), Joi.number().integer().min(1)),
+    // Open/closed; only applies by default when no status is given
+    resolved: Joi.string().valid('true', 'false', 'all')
+      .when('status', { is: Joi.exist(), then: Joi.optional().default('all'), otherwise: Joi.optional().default('false') })
+  }
+});
+
+router.get('/api/v1/security', validateQuery(securityQuery), async (req, res) => {
   try {
-    const { severity, resolved = 'false', limit = 50 } = req.query;
-    const cacheKey = `api:security:${severity}:${resolved}:${limit}`;
+    const { severity, type, status, resolved, sort, order, limit, cursor } = req.query;
+    const assignee = req.query.assignee === 'me' ? req.principal.id : req.query.assignee;
+    if (assignee === null) {
+      return res.status(400).json({ error: 'assignee=me needs a signed-in user or user API key' });
+    }
+
+    const version = await cacheVersion('security');
+    const cacheKey = `api:security:v${version}:${JSON.stringify({ ...req.query, assignee })}`;
     
     let alerts = await cacheGet(cacheKey);
     
     if (!alerts) {
-      let whereConditions = ['1=1'];
-      let params = [];
-      let paramCount = 0;
+      const params = [];
+      const conditions = [];
 
       if (severity) {
-        paramCount++;
-        whereConditions.push(`severity = $${paramCount}`);
         params.push(severity);
+        conditions.push(`sa.severity = $${params.length}`);
+      }
+
+      if (type) {
+        params.push(type);
+        conditions.push(`sa.type = ANY($${params.length})`);
+      }
+
+      if (status) {
+        params.push(status);
+        conditions.push(`sa.status = ANY($${params.length})`);
+      }
+
+      if (assignee === 'none') {
+        conditions.push('sa.assignee_id IS NULL');
+      } else if (assignee) {
+        params.push(assignee);
+        conditions.push(`sa.assignee_id = $${params.length}`);
       }
 
       if (resolved === 'false') {
-        whereConditions.push('NOT resolved');
+        conditions.push('NOT sa.resolved');
       } else if (resolved === 'true') {
-        whereConditions.push('resolved');
+        conditions.push('sa.resolved');
       }
 
+      const page = keysetPage({ column: ALERT_SORT_FIELDS[sort], idColumn: 'sa.id', order, cursor, limit, params });
+      if (page.condition) conditions.push(page.condition);
+
       const result = await query(`
         SELECT 
-          id, type, severity, title, description, 
-          resolved, created_at, metadata
-        FROM security_alerts 
-        WHERE ${whereConditions.join(' AND ')}
-        ORDER BY created_at DESC 
-        LIMIT ${parseInt(limit)}
+          sa.id, sa.type, sa.severity, sa.title, sa.description,
+          sa.status, sa.resolved, sa.resolved_at, sa.created_at, sa.updated_at, sa.metadata,
+          sa.first_seen, sa.last_seen, sa.occurrence_count,
+          sa.assignee_id, u.name AS assignee_name, u.email AS assignee_email,
+          (SELECT COUNT(*) FROM alert_comments c WHERE c.alert_id = sa.id)::int AS comment_count,
+          ${page.sortKey}
+        FROM security_alerts sa
+        LEFT JOIN users u ON u.id = sa.assignee_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${page.orderBy}
+        LIMIT ${page.limit}
       `, params);
 
-      alerts = result.rows;
+      alerts = toPage(result.rows, { sort, order, cursor, limit });
       
-      // Cache for 2 minutes (security data should be fresh)
+      // Cache for 2 minutes (security data should be fresh); triage changes
+      // bump the version
       await cacheSet(cacheKey, alerts, 120);
     }
 
+    // Raw scanner metadata (matched code, paths, evidence) and who is
+    // working an alert need read:security
     res.json({
-      alerts,
-      count: alerts.length,
+      alerts: can(req, 'read:security')
+        ? alerts.items
+        : alerts.items.map(({ metadata, assignee_id, assignee_name, assignee_email, ...alert }) => alert),
+      count: alerts.items.length,
+      pagination: alerts.pagination,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -237,40 +417,283 @@ router.get('/api/v1/security', async (req, res) => {
   }
 });
 
+// Alert triage and suppression rules (read:security / write:triage)
+router.use('/api/v1/security', triageRouter);
+
+// Skills endpoint
+const SKILL_SORT_FIELDS = {
+  downloads: 'COALESCE(s.downloads, 0)',
+  security_score: 'COALESCE(s.security_score, 0)',
+  last_updated: "COALESCE(s.last_updated, s.created_at, 'epoch')",
+  name: 's.name',
+  injection_risk: 'COALESCE(s.injection_risk, 0)'
+};
+
+const skillsQuery = listQuery(SKILL_SORT_FIELDS, {
+  defaultSort: 'downloads',
+  filters: {
+    verified: Joi.boolean(),
+    min_injection_risk: Joi.number().integer().min(0).max(100)
+  }
+});
+
+router.get('/api/v1/skills', validateQuery(skillsQuery), async (req, res) => {
+  try {
+    const { verified, min_injection_risk: minInjectionRisk, sort, order, limit, cursor } = req.query;
+    const cacheKey = `api:skills:${JSON.stringify(req.query)}`;
+
+    let skills = await cacheGet(cacheKey);
+
+    if (!skills) {
+      const params = [];
+      const conditions = [];
+
+      if (verified !== undefined) {
+        params.push(verified);
+        conditions.push(`s.verified = $${params.length}`);
+      }
+      if (minInjectionRisk !== undefined) {
+        params.push(minInjectionRisk);
+        conditions.push(`s.injection_risk >= $${params.length}`);
+      }
+
+      const page = keysetPage({ column: SKILL_SORT_FIELDS[sort], idColumn: 's.id', order, cursor, limit, params });
+      if (page.condition) conditions.push(page.condition);
+
+      const result = await query(`
+        SELECT 
+          s.id, s.external_id, s.name, s.author, s.version, s.downloads,
+          s.security_score, s.injection_risk, s.injection_techniques, s.verified, s.last_updated,
+          COUNT(v.id) as version_count, ${page.sortKey}
+        FROM skills s
+        LEFT JOIN skill_versions v ON v.skill_external_id = s.external_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY s.id
+        ORDER BY ${page.orderBy}
+        LIMIT ${page.limit}
+      `, params);
+
+      skills = toPage(result.rows, { sort, order, cursor, limit });
+
+      // Cache for 10 minutes
+      await cacheSet(cacheKey, skills, 600);
+    }
+
+    res.json({
+      skills: skills.items,
+      count: skills.items.length,
+      pagination: skills.pagination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Skills endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch skills' });
+  }
+});
+
+// Skill version history
+// Which rules a version tripped, and on which lines, need read:security;
+// everyone else sees scores and finding counts
+const withoutFindings = ({ findings, ...version }) => version;
+
+function publicDiff(diff) {
+  return {
+    ...diff,
+    from: diff.from && withoutFindings(diff.from),
+    to: withoutFindings(diff.to),
+    diff: {
+      ...diff.diff,
+      hunks: diff.diff.hunks.map(hunk => ({
+        ...hunk,
+        lines: hunk.lines.map(withoutFindings)
+      }))
+    },
+    findings: {
+      introduced: diff.findings.introduced.length,
+      removed: diff.findings.removed.length,
+      unchanged: diff.findings.unchanged
+    }
+  };
+}
+
+router.get('/api/v1/skills/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const cacheKey = `api:skills:${id}:versions`;
+
+    let versions = await cacheGet(cacheKey);
+
+    if (!versions) {
+      versions = await listSkillVersions(id);
+
+      // Cache for 5 minutes
+      await cacheSet(cacheKey, versions, 300);
+    }
+
+    res.json({
+      skillId: id,
+      versions: can(req, 'read:security') ? versions : versions.map(withoutFindings),
+      count: versions.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Skill versions endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch skill versions' });
+  }
+});
+
+// Unified diff between two skill versions (defaults to latest vs previous)
+const skillDiffQuery = Joi.object({
+  from: Joi.number().integer().min(1),
+  to: Joi.number().integer().min(1),
+  context: Joi.number().integer().min(0).max(20).default(3)
+});
+
+router.get('/api/v1/skills/:id/diff', validateQuery(skillDiffQuery), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, context } = req.query;
+    const cacheKey = `api:skills:${id}:diff:${from}:${to}:${context}`;
+
+    let diff = await cacheGet(cacheKey);
+
+    if (!diff) {
+      diff = await diffSkillVersions(id, { from, to, context });
+
+      if (!diff) {
+        return res.status(404).json({ error: 'Skill version not found' });
+      }
+
+      // Versions are immutable, so a pinned diff can be cached for longer
+      await cacheSet(cacheKey, diff, from && to ? 3600 : 300);
+    }
+
+    res.json(can(req, 'read:security') ? diff : publicDiff(diff));
+  } catch (error) {
+    logger.error('Skill diff endpoint error:', error);
+    res.status(500).json({ error: 'Failed to diff skill versions' });
+  }
+});
+
+// Search endpoint
+const searchQuery = Joi.object({
+  q: Joi.string().trim().max(MAX_QUERY_LENGTH).required(),
+  types: listOf(Joi.string().valid(...SEARCH_TYPES)).default([]),
+  platform: listOf(Joi.string().max(50)).default([]),
+  submolt: listOf(Joi.string().max(255)).default([]),
+  board: listOf(Joi.string().max(255)).default([]),
+  severity: listOf(Joi.string().valid(...SEVERITIES)).default([]),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_SEARCH_LIMIT).default(20)
+}).rename('type', 'types', { ignoreUndefined: true });
+
+router.get('/api/v1/search', validateQuery(searchQuery), async (req, res) => {
+  try {
+    const cacheKey = `api:search:${JSON.stringify(req.query)}`;
+    let results = await cacheGet(cacheKey);
+
+    if (!results) {
+      results = await search(req.query);
+
+      // Cache for 2 minutes
+      await cacheSet(cacheKey, results, 120);
+    }
+
+    res.json({ ...results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Search endpoint error:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+// Time series endpoint
+const timeSeriesQuery = Joi.object({
+  interval: Joi.string().valid(...SERIES_INTERVALS).default('hour'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+});
+
+router.get('/api/v1/timeseries/:kind/:id', validateQuery(timeSeriesQuery), async (req, res) => {
+  try {
+    const { kind, id } = req.params;
+    const { interval, from, to } = req.query;
+    const cacheKey = `api:timeseries:${kind}:${id}:${JSON.stringify(req.query)}`;
+
+    let series = await cacheGet(cacheKey);
+
+    if (!series) {
+      try {
+        series = await getTimeSeries(kind, id, { interval, from, to });
+      } catch (error) {
+        if (error instanceof RangeError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      // Samples land every 15 minutes
+      await cacheSet(cacheKey, series, 300);
+    }
+
+    res.json(series);
+  } catch (error) {
+    logger.error('Time series endpoint error:', error);
+    res.status(500).json({ error: 'Failed to fetch time series' });
+  }
+});
+
 // Analytics endpoint
-router.get('/api/v1/analytics', async (req, res) => {
+const SNAPSHOT_SORT_FIELDS = {
+  created_at: "COALESCE(created_at, 'epoch')"
+};
+
+const analyticsQuery = listQuery(SNAPSHOT_SORT_FIELDS, {
+  defaultSort: 'created_at',
+  defaultLimit: 10,
+  filters: {
+    type: Joi.string().max(100)
+  }
+});
+
+router.get('/api/v1/analytics', validateQuery(analyticsQuery), async (req, res) => {
   try {
-    const { type, limit = 10 } = req.query;
-    const cacheKey = `api:analytics:${type}:${limit}`;
+    const { type, sort, order, limit, cursor } = req.query;
+    const cacheKey = `api:analytics:${JSON.stringify(req.query)}`;
     
     let analytics = await cacheGet(cacheKey);
     
     if (!analytics) {
-      let whereClause = '';
-      let params = [];
+      const params = [];
+      const conditions = [];
 
       if (type) {
-        whereClause = 'WHERE snapshot_type = $1';
         params.push(type);
+        conditions.push(`snapshot_type = $${params.length}`);
       }
 
+      const page = keysetPage({ column: SNAPSHOT_SORT_FIELDS[sort], order, cursor, limit, params });
+      if (page.condition) conditions.push(page.condition);
+
       const result = await query(`
-        SELECT snapshot_type, data, created_at
+        SELECT id, snapshot_type, data, created_at, ${page.sortKey}
         FROM analytics_snapshots 
-        ${whereClause}
-        ORDER BY created_at DESC 
-        LIMIT ${parseInt(limit)}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${page.orderBy}
+        LIMIT ${page.limit}
       `, params);
 
-      analytics = result.rows;
+      analytics = toPage(result.rows, { sort, order, cursor, limit });
       
       // Cache for 15 minutes
       await cacheSet(cacheKey, analytics, 900);
     }
 
     res.json({
-      analytics,
-      count: analytics.length,
+      analytics: analytics.items,
+      count: analytics.items.length,
+      pagination: analytics.pagination,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -349,6 +772,11 @@ router.get('/api/v1/trends', async (req, res) => {
   }
 });
 
+// Agent-intelligence skill contract. /api is the unversioned alias published
+// skills call; it stays on v1 when newer contract versions are added.
+router.use('/api/skill/v1', contractRouter);
+router.use('/api', contractRouter);
+
 export function setupRoutes(app) {
   app.use('/', router);
 }
\ No newline at end of file
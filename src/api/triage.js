@@ -0,0 +1,175 @@
+import express from 'express';
+import Joi from 'joi';
+import {
+  ALERT_STATUSES, TriageError, getAlert, setAlertStatus, assignAlert, addAlertComment, listAssignees
+} from '../triage/workflow.js';
+import { listSuppressionRules, createSuppressionRule, disableSuppressionRule } from '../triage/suppression.js';
+import { getRuleEngine } from '../rules/engine.js';
+import { requireScope } from '../auth/middleware.js';
+import { bumpCacheVersion } from '../utils/redis.js';
+import { validateBody } from './validation.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Triage API
+ * Alert detail with comments and history, status changes, assignment,
+ * comments, suppression rules and the loaded detection rules, under
+ * /api/v1/security. Reading needs
+ * read:security; every change needs write:triage and is recorded against
+ * the caller.
+ */
+
+const router = express.Router();
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid(...ALERT_STATUSES).required(),
+  comment: Joi.string().trim().max(5000)
+});
+
+const assignSchema = Joi.object({
+  assigneeId: Joi.number().integer().min(1).allow(null).required()
+});
+
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required()
+});
+
+const suppressionSchema = Joi.object({
+  alertType: Joi.string().max(100),
+  pattern: Joi.string().max(500),
+  skill: Joi.string().max(255),
+  reason: Joi.string().trim().min(1).max(1000).required(),
+  expiresAt: Joi.date().iso().greater('now'),
+  closeMatching: Joi.boolean().default(true)
+}).or('alertType', 'pattern', 'skill');
+
+const canRead = requireScope('read:security');
+const canTriage = requireScope('write:triage');
+
+function actorOf(req) {
+  const { principal } = req;
+  return { id: principal.id ?? null, name: principal.name };
+}
+
+function idParam(req) {
+  const id = parseInt(req.params.id);
+  return Number.isInteger(id) && String(id) === req.params.id ? id : null;
+}
+
+function sendTriageError(res, error, fallback) {
+  if (error instanceof TriageError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+router.get('/alerts/:id', canRead, async (req, res) => {
+  try {
+    const id = idParam(req);
+    const alert = id && await getAlert(id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ alert, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to fetch alert');
+  }
+});
+
+router.post('/alerts/:id/status', canTriage, validateBody(statusSchema), async (req, res) => {
+  try {
+    const id = idParam(req);
+    if (!id) return res.status(404).json({ error: 'Alert not found' });
+
+    const alert = await setAlertStatus(id, req.body.status, actorOf(req), req.body.comment || null);
+    await bumpCacheVersion('security');
+    res.json({ alert });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to update alert status');
+  }
+});
+
+router.post('/alerts/:id/assign', canTriage, validateBody(assignSchema), async (req, res) => {
+  try {
+    const id = idParam(req);
+    if (!id) return res.status(404).json({ error: 'Alert not found' });
+
+    const alert = await assignAlert(id, req.body.assigneeId, actorOf(req));
+    await bumpCacheVersion('security');
+    res.json({ alert });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to assign alert');
+  }
+});
+
+router.post('/alerts/:id/comments', canTriage, validateBody(commentSchema), async (req, res) => {
+  try {
+    const id = idParam(req);
+    if (!id) return res.status(404).json({ error: 'Alert not found' });
+
+    const comment = await addAlertComment(id, req.body.body, actorOf(req));
+    res.status(201).json({ comment });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to add comment');
+  }
+});
+
+// Users alerts can be assigned to
+router.get('/assignees', canRead, async (req, res) => {
+  try {
+    res.json({ assignees: await listAssignees() });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to fetch assignees');
+  }
+});
+
+// Active suppression rules (?include=disabled for all)
+router.get('/suppressions', canRead, async (req, res) => {
+  try {
+    const rules = await listSuppressionRules({ includeDisabled: req.query.include === 'disabled' });
+    res.json({ rules, count: rules.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to fetch suppression rules');
+  }
+});
+
+router.post('/suppressions', canTriage, validateBody(suppressionSchema), async (req, res) => {
+  try {
+    const { rule, closed } = await createSuppressionRule(req.body, actorOf(req));
+    await bumpCacheVersion('security');
+    res.status(201).json({ rule, closedAlerts: closed });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to create suppression rule');
+  }
+});
+
+// Disable a rule; it stays listed (?include=disabled) for the record
+router.delete('/suppressions/:id', canTriage, async (req, res) => {
+  try {
+    const id = idParam(req);
+    const rule = id && await disableSuppressionRule(id, actorOf(req));
+    if (!rule) {
+      return res.status(404).json({ error: 'Suppression rule not found' });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to disable suppression rule');
+  }
+});
+
+// Detection rules the scanner is using, with any packs that failed to load
+router.get('/rules', canRead, async (req, res) => {
+  try {
+    const engine = await getRuleEngine();
+    const { packs, errors, loadedAt } = engine.getStats();
+    const rules = engine.listRules();
+    res.json({ rules, count: rules.length, packs, errors, loadedAt, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendTriageError(res, error, 'Failed to fetch detection rules');
+  }
+});
+
+export default router;
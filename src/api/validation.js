@@ -0,0 +1,113 @@
+import Joi from 'joi';
+import { decodeCursor } from '../utils/pagination.js';
+
+/**
+ * Request Validation
+ * List endpoints declare a joi schema for their query string; validateQuery()
+ * rejects bad input with a structured 400 and replaces req.query with the
+ * validated, converted values. validateBody() does the same for JSON
+ * bodies. listQuery() builds the common part of those
+ * schemas: a sort field from a whitelist, order, limit and a page cursor
+ * (see utils/pagination.js). A cursor carries the sort it was issued for,
+ * so a client can follow `next`/`prev` without repeating sort and order.
+ */
+
+export const MAX_PAGE_SIZE = 200;
+
+const cursorSchema = Joi.string().max(1000).custom((value, helpers) => {
+  try {
+    return decodeCursor(value);
+  } catch {
+    return helpers.error('cursor.invalid');
+  }
+}).messages({ 'cursor.invalid': '"cursor" is not a valid page token' });
+
+// Arrays that also accept a comma-separated string
+const Csv = Joi.extend({
+  type: 'csv',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) })
+  }
+});
+
+/**
+ * Comma-separated or repeated query parameter (?types=a,b or
+ * ?types=a&types=b) as an array of items
+ */
+export function listOf(items) {
+  return Csv.csv().items(items);
+}
+
+/**
+ * Schema for a paginated list: `filters` plus sort (one of sortFields' keys),
+ * order, limit and cursor. A cursor's own sort and order apply unless the
+ * request names different ones, which is an error.
+ */
+export function listQuery(sortFields, { filters = {}, defaultSort, defaultOrder = 'desc', defaultLimit = 50 } = {}) {
+  return Joi.object({
+    ...filters,
+    sort: Joi.string().valid(...Object.keys(sortFields)),
+    order: Joi.string().lowercase().valid('asc', 'desc'),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(defaultLimit),
+    cursor: cursorSchema
+  }).custom((value, helpers) => {
+    const { cursor } = value;
+    if (cursor && ((value.sort && value.sort !== cursor.sort) || (value.order && value.order !== cursor.order))) {
+      return helpers.error('cursor.mismatch');
+    }
+    if (cursor && !sortFields[cursor.sort]) {
+      return helpers.error('cursor.invalid');
+    }
+    return {
+      ...value,
+      sort: cursor?.sort || value.sort || defaultSort,
+      order: cursor?.order || value.order || defaultOrder
+    };
+  }).messages({
+    'cursor.mismatch': '"cursor" was issued for a different sort or order',
+    'cursor.invalid': '"cursor" is not a valid page token'
+  });
+}
+
+function validate(source, schema, error) {
+  return (req, res, next) => {
+    const result = schema.validate(req[source] ?? {}, {
+      abortEarly: false,
+      convert: true,
+      stripUnknown: true
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        error,
+        details: result.error.details.map(detail => ({
+          field: detail.path.join('.') || null,
+          message: detail.message,
+          type: detail.type
+        }))
+      });
+    }
+
+    req[source] = result.value;
+    next();
+  };
+}
+
+/**
+ * Express middleware validating req.query against schema. Unknown
+ * parameters are dropped; invalid ones produce
+ * { error, details: [{ field, message, type }] } with status 400.
+ */
+export function validateQuery(schema) {
+  return validate('query', schema, 'Invalid query parameters');
+}
+
+/**
+ * Express middleware validating a JSON body against schema, in the same
+ * way as validateQuery()
+ */
+export function validateBody(schema) {
+  return validate('body', schema, 'Invalid request body');
+}
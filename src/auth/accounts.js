@@ -0,0 +1,224 @@
+import bcrypt from 'bcryptjs';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { query } from '../utils/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Accounts and API Keys
+ * Users sign in with email and password; their role grants scopes. API keys
+ * belong to a user and carry their own scopes, which never exceed what the
+ * owner's role grants today: demoting or disabling a user narrows or
+ * disables their keys at once.
+ *
+ * Keys look like aih_<prefix>_<secret>. The prefix is stored in clear to
+ * find the key and to show it in listings; the whole key is only kept as a
+ * SHA-256 hash and is returned once, when created.
+ */
+
+export const SCOPES = ['read:public', 'read:security', 'write:triage', 'admin'];
+
+export const ROLE_SCOPES = {
+  viewer: ['read:public'],
+  analyst: ['read:public', 'read:security', 'write:triage'],
+  admin: SCOPES
+};
+
+export const ROLES = Object.keys(ROLE_SCOPES);
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12');
+const KEY_PATTERN = /^aih_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Only touch last_used_at once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Compared against when there's no such user, so login timing doesn't
+// reveal which emails exist
+let decoyHash = null;
+
+/**
+ * Scopes a principal with `scopes` holds; admin implies every scope
+ */
+export function hasScope(scopes, scope) {
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    scopes: ROLE_SCOPES[row.role] || [],
+    disabled: row.disabled,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes,
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+export async function createUser({ email, name = null, password = null, role = 'viewer' }) {
+  if (!ROLE_SCOPES[role]) {
+    throw new RangeError(`role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const passwordHash = password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+  const result = await query(`
+    INSERT INTO users (email, name, password_hash, role)
+    VALUES (LOWER($1), $2, $3, $4)
+    RETURNING *
+  `, [email, name, passwordHash, role]);
+
+  logger.info(`👤 Created ${role} user ${email}`);
+  return toUser(result.rows[0]);
+}
+
+export async function getUser(id) {
+  const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+  return result.rows[0] ? toUser(result.rows[0]) : null;
+}
+
+export async function listUsers() {
+  const result = await query('SELECT * FROM users ORDER BY created_at, id');
+  return result.rows.map(toUser);
+}
+
+/**
+ * Change role, name, password or disabled state
+ */
+export async function updateUser(id, { role, name, password, disabled }) {
+  if (role !== undefined && !ROLE_SCOPES[role]) {
+    throw new RangeError(`role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const passwordHash = password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+  const result = await query(`
+    UPDATE users SET
+      role = COALESCE($2, role),
+      name = COALESCE($3, name),
+      password_hash = COALESCE($4, password_hash),
+      disabled = COALESCE($5, disabled),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, role ?? null, name ?? null, passwordHash, disabled ?? null]);
+
+  return result.rows[0] ? toUser(result.rows[0]) : null;
+}
+
+/**
+ * The active user with this email and password, or null
+ */
+export async function verifyPassword(email, password) {
+  const result = await query('SELECT * FROM users WHERE email = LOWER($1)', [email]);
+  const row = result.rows[0];
+
+  decoyHash ??= await bcrypt.hash('decoy', BCRYPT_ROUNDS);
+  const matches = await bcrypt.compare(password, row?.password_hash || decoyHash);
+  if (!row || !row.password_hash || !matches || row.disabled) {
+    return null;
+  }
+
+  await query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+  return toUser(row);
+}
+
+/**
+ * Create a key for a user. Requested scopes must be within the user's
+ * role. Returns the key record and the key itself, which is not stored.
+ */
+export async function createApiKey(user, { name, scopes = ['read:public'], rateLimitPerMinute = null, expiresAt = null }) {
+  const allowed = ROLE_SCOPES[user.role] || [];
+  const denied = scopes.filter(scope => !allowed.includes(scope));
+  if (denied.length > 0) {
+    throw new RangeError(`A ${user.role} cannot grant ${denied.join(', ')}`);
+  }
+
+  const prefix = randomBytes(6).toString('hex');
+  const key = `aih_${prefix}_${randomBytes(32).toString('base64url')}`;
+
+  const result = await query(`
+    INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, rate_limit_per_minute, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [user.id, name, prefix, hashKey(key), scopes, rateLimitPerMinute, expiresAt]);
+
+  logger.info(`🔑 ${user.email} created API key ${prefix} (${scopes.join(', ')})`);
+  return { apiKey: toApiKey(result.rows[0]), key };
+}
+
+export async function listApiKeys(userId = null) {
+  const result = await query(`
+    SELECT * FROM api_keys
+    WHERE $1::INTEGER IS NULL OR user_id = $1
+    ORDER BY created_at DESC, id DESC
+  `, [userId]);
+  return result.rows.map(toApiKey);
+}
+
+/**
+ * Revoke a key; with userId, only if it belongs to that user
+ */
+export async function revokeApiKey(id, userId = null) {
+  const result = await query(`
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+      AND ($2::INTEGER IS NULL OR user_id = $2)
+    RETURNING *
+  `, [id, userId]);
+  return result.rows[0] ? toApiKey(result.rows[0]) : null;
+}
+
+/**
+ * The live key and its owner for a presented key, or null. Effective scopes
+ * are the key's scopes that the owner's role still grants.
+ */
+export async function resolveApiKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) return null;
+
+  const result = await query(`
+    SELECT k.*, u.email, u.role, u.disabled
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.prefix = $1
+      AND k.revoked_at IS NULL
+      AND (k.expires_at IS NULL OR k.expires_at > NOW())
+  `, [match[1]]);
+
+  const row = result.rows[0];
+  if (!row || row.disabled) return null;
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const presented = Buffer.from(hashKey(key), 'hex');
+  if (!timingSafeEqual(expected, presented)) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at) > LAST_USED_RESOLUTION_MS) {
+    query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.id])
+      .catch(error => logger.warn(`Failed to record use of API key ${row.prefix}: ${error.message}`));
+  }
+
+  const roleScopes = ROLE_SCOPES[row.role] || [];
+  return {
+    apiKey: toApiKey(row),
+    user: { id: row.user_id, email: row.email, role: row.role },
+    scopes: row.scopes.filter(scope => roleScopes.includes(scope))
+  };
+}
@@ -0,0 +1,212 @@
+import jwt from 'jsonwebtoken';
+import { timingSafeEqual } from 'crypto';
+import { RateLimiterMemory } from 'rate-limiter-flexible';
+import { SCOPES, getUser, hasScope, resolveApiKey } from './accounts.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Request Authentication
+ * authenticate() turns the credentials on a request into req.principal:
+ *
+ * - an API key (aih_…) as a bearer token or X-API-Key header
+ * - a session JWT from POST /api/v1/auth/login as a bearer token
+ * - the ADMIN_API_TOKEN as a bearer token, kept for scripts and
+ *   deployments without user accounts; it holds every scope
+ * - nothing: an anonymous principal with AUTH_ANONYMOUS_SCOPES
+ *
+ * Credentials that are present but invalid are rejected rather than
+ * treated as anonymous, so a revoked key fails loudly. requireScope()
+ * guards routes; rateLimit() meters each key, user or anonymous IP
+ * separately.
+ */
+
+const ANONYMOUS_SCOPES = (process.env.AUTH_ANONYMOUS_SCOPES ?? 'read:public')
+  .split(',')
+  .map(scope => scope.trim())
+  .filter(scope => SCOPES.includes(scope) && scope !== 'admin');
+
+const ANONYMOUS_WINDOW_SECONDS = Math.round(parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000') / 1000);
+const ANONYMOUS_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100');
+const AUTHENTICATED_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '300');
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function anonymous(ip) {
+  return { type: 'anonymous', id: null, name: 'anonymous', scopes: ANONYMOUS_SCOPES, ip };
+}
+
+/**
+ * Sign a session token for a user
+ */
+export function issueToken(user) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AuthError('Sign-in is disabled (JWT_SECRET not set)');
+  }
+
+  return jwt.sign({ sub: String(user.id), role: user.role }, secret, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '12h'
+  });
+}
+
+/**
+ * The principal for a presented credential; throws AuthError when it is
+ * not valid. Shared by HTTP requests and WebSocket handshakes.
+ */
+export async function resolveCredential(token, ip = null) {
+  if (!token) return anonymous(ip);
+
+  if (token.startsWith('aih_')) {
+    const resolved = await resolveApiKey(token);
+    if (!resolved) throw new AuthError('Invalid or revoked API key');
+
+    return {
+      type: 'api_key',
+      id: resolved.user.id,
+      name: resolved.user.email,
+      scopes: resolved.scopes,
+      keyId: resolved.apiKey.id,
+      rateLimitPerMinute: resolved.apiKey.rateLimitPerMinute,
+      ip
+    };
+  }
+
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (adminToken && tokensMatch(token, adminToken)) {
+    return { type: 'admin_token', id: null, name: 'admin', scopes: SCOPES, ip };
+  }
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new AuthError('Invalid credentials');
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret);
+  } catch {
+    throw new AuthError('Invalid or expired token');
+  }
+
+  const user = await getUser(parseInt(claims.sub));
+  if (!user || user.disabled) throw new AuthError('Account disabled');
+
+  return { type: 'user', id: user.id, name: user.email, scopes: user.scopes, ip };
+}
+
+function credentialFrom(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Express middleware setting req.principal; 401 on invalid credentials
+ */
+export async function authenticate(req, res, next) {
+  try {
+    req.principal = await resolveCredential(credentialFrom(req), req.ip);
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ error: error.message });
+    }
+    logger.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * Whether the request's principal holds scope
+ */
+export function can(req, scope) {
+  return hasScope(req.principal?.scopes || [], scope);
+}
+
+/**
+ * Express middleware rejecting principals without scope: 401 for
+ * anonymous callers, 403 for everyone else
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (can(req, scope)) return next();
+
+    if (!req.principal || req.principal.type === 'anonymous') {
+      return res.status(401).json({ error: 'Authentication required', scope });
+    }
+    res.status(403).json({ error: `Missing scope ${scope}`, scope });
+  };
+}
+
+// One limiter per window/points combination; keys with their own
+// per-minute limit share a limiter with every other key at that limit
+const limiters = new Map();
+
+function limiterFor(points, duration) {
+  const id = `${points}/${duration}`;
+  if (!limiters.has(id)) {
+    limiters.set(id, new RateLimiterMemory({ keyPrefix: `api_rate_limit:${id}`, points, duration }));
+  }
+  return limiters.get(id);
+}
+
+function rateLimitFor(principal) {
+  if (principal.type === 'api_key') {
+    return {
+      key: `key:${principal.keyId}`,
+      limiter: limiterFor(principal.rateLimitPerMinute || AUTHENTICATED_PER_MINUTE, 60)
+    };
+  }
+  if (principal.type === 'user') {
+    return { key: `user:${principal.id}`, limiter: limiterFor(AUTHENTICATED_PER_MINUTE, 60) };
+  }
+  if (principal.type === 'admin_token') {
+    return { key: 'admin', limiter: limiterFor(AUTHENTICATED_PER_MINUTE, 60) };
+  }
+  return {
+    key: `ip:${principal.ip || 'unknown'}`,
+    limiter: limiterFor(ANONYMOUS_MAX_REQUESTS, ANONYMOUS_WINDOW_SECONDS)
+  };
+}
+
+/**
+ * Express middleware metering requests per API key, user or anonymous IP.
+ * Runs after authenticate().
+ */
+export async function rateLimit(req, res, next) {
+  const { key, limiter } = rateLimitFor(req.principal || anonymous(req.ip));
+
+  try {
+    const result = await limiter.consume(key);
+    res.set({
+      'X-RateLimit-Limit': limiter.points,
+      'X-RateLimit-Remaining': result.remainingPoints,
+      'X-RateLimit-Reset': Math.ceil(result.msBeforeNext / 1000)
+    });
+    next();
+  } catch (result) {
+    if (result instanceof Error) {
+      logger.error('Rate limiter error:', result);
+      return next();
+    }
+
+    res.set({
+      'Retry-After': Math.ceil(result.msBeforeNext / 1000),
+      'X-RateLimit-Limit': limiter.points,
+      'X-RateLimit-Remaining': 0
+    });
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Rate limit exceeded. Try again later.'
+    });
+  }
+}
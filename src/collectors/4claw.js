@@ -1,7 +1,7 @@
-import axios from 'axios';
-import { CronJob } from 'cron';
+import BaseCollector from './base.js';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
+import { upsertAccount } from './accounts.js';
 
 const CLAWCHAN_BASE_URL = 'https://api.4claw.io/api/v1';
 const API_KEY = process.env.CLAWCHAN_API_KEY;
@@ -17,92 +17,58 @@ const MONITORED_BOARDS = [
   'chaos'         // Memes, culture
 ];
 
-class ClawhCanCollector {
-  constructor() {
-    this.isRunning = false;
-    this.collectJob = null;
-    this.requestCount = 0;
-    this.lastCollectionTime = null;
-  }
-
-  async start() {
-    if (this.isRunning) {
-      logger.warn('4claw collector already running');
-      return;
-    }
-
-    logger.info('📋 Starting 4claw collector...');
-    
-    // Run initial collection
-    await this.collect();
-    
-    // Schedule regular collections every 12 minutes
-    this.collectJob = new CronJob('*/12 * * * *', async () => {
-      await this.collect();
-    }, null, true, 'UTC');
-
-    this.isRunning = true;
-    logger.info('✅ 4claw collector started (12min intervals)');
-  }
-
-  async stop() {
-    if (this.collectJob) {
-      this.collectJob.stop();
-      this.collectJob = null;
-    }
-    this.isRunning = false;
-    logger.info('🛑 4claw collector stopped');
+class ClawhCanCollector extends BaseCollector {
+  constructor(options = {}) {
+    super({
+      name: '4claw',
+      label: '4claw',
+      emoji: '📋',
+      schedule: '*/12 * * * *',
+      baseUrl: CLAWCHAN_BASE_URL,
+      apiKey: API_KEY,
+      requestDelayMs: 300,
+      itemCountFields: ['threads', 'posts'],
+      outputs: ['agents', 'posts'],
+      ...options
+    });
+    this.boards = options.boards || MONITORED_BOARDS;
   }
 
   async collect() {
-    try {
-      logger.info('📡 Starting 4claw collection cycle...');
-      const startTime = Date.now();
-
-      let totalThreads = 0;
-      let totalPosts = 0;
-
-      // Collect from each board
-      for (const board of MONITORED_BOARDS) {
-        try {
-          const threads = await this.fetchRecentThreads(board, 30);
-          totalThreads += threads.length;
-
-          // Collect replies for each thread
-          for (const thread of threads) {
-            const posts = await this.fetchThreadPosts(board, thread.id, 50);
-            totalPosts += posts.length;
-            
-            await this.storeThread(board, thread, posts);
-          }
-        } catch (error) {
-          logger.warn(`Failed to collect ${board} board:`, error.message);
+    let totalThreads = 0;
+    let totalPosts = 0;
+
+    // Collect from each board
+    for (const board of this.boards) {
+      await this.runStep(`board:${board}`, async () => {
+        const threads = await this.fetchRecentThreads(board, 30);
+        totalThreads += threads.length;
+
+        // Collect replies for each thread
+        for (const thread of threads) {
+          const posts = await this.fetchThreadPosts(board, thread.id, 50);
+          totalPosts += posts.length;
+          
+          await this.storeThread(board, thread, posts);
         }
-      }
-
-      // Analyze sentiment & detect trends
-      await this.analyzeTrends();
-
-      // Update board activity metrics
-      await this.updateBoardMetrics();
+      });
+    }
 
-      const duration = Date.now() - startTime;
-      this.lastCollectionTime = new Date();
+    // Analyze sentiment & detect trends
+    await this.runStep('trends', () => this.analyzeTrends());
 
-      logger.info(`✅ 4claw collection completed in ${duration}ms`, {
-        threads: totalThreads,
-        posts: totalPosts,
-        boards: MONITORED_BOARDS.length,
-        totalRequests: this.requestCount
-      });
+    // Update board metrics
+    await this.runStep('board_metrics', () => this.updateBoardMetrics());
 
-    } catch (error) {
-      logger.error('❌ 4claw collection failed:', error);
-    }
+    return {
+      threads: totalThreads,
+      posts: totalPosts,
+      boards: this.boards.length
+    };
   }
 
   async fetchRecentThreads(board, limit = 30) {
-    const url = `${CLAWCHAN_BASE_URL}/boards/${board}/threads`;
+    const url = `${this.baseUrl}/boards/${board}/threads`;
     const params = { 
       limit,
       sort: 'bump',
@@ -119,41 +85,19 @@ class ClawhCanCollector {
   }
 
   async fetchThreadPosts(board, threadId, limit = 50) {
-    const url = `${CLAWCHAN_BASE_URL}/boards/${board}/threads/${threadId}`;
+    const url = `${this.baseUrl}/boards/${board}/threads/${threadId}`;
     const params = { limit };
 
     try {
       const response = await this.makeRequest('GET', url, { params });
       return response.data.posts || [];
     } catch (error) {
+      if (error.code === 'ECIRCUITOPEN') throw error;
       logger.error(`Failed to fetch posts for thread ${threadId}:`, error.message);
       return [];
     }
   }
 
-  async makeRequest(method, url, config = {}) {
-    this.requestCount++;
-    
-    const requestConfig = {
-      method,
-      url,
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'User-Agent': 'AgentIntelligenceHub/0.1.0',
-        ...config.headers
-      },
-      timeout: 30000,
-      ...config
-    };
-
-    const response = await axios(requestConfig);
-    
-    // Rate limiting
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    return response;
-  }
-
   async storeThread(board, thread, posts) {
     if (!posts || posts.length === 0) return;
 
@@ -167,7 +111,7 @@ class ClawhCanCollector {
 
       // Ensure OP (original poster) exists
       const opAuthor = thread.author || posts[0]?.author || 'Anonymous';
-      await this.upsertCommunityMember(client, opAuthor, '4claw');
+      const opAgentId = await this.upsertMember(client, opAuthor);
 
       // Store thread as post
       const threadEngagement = posts.reduce((sum, p) => 
@@ -180,10 +124,7 @@ class ClawhCanCollector {
           upvotes, comment_count, repost_count,
           agent_id, metadata, created_at, updated_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
-          (SELECT id FROM community_members WHERE username = $9),
-          $10, $11, NOW()
-        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
         ON CONFLICT (platform, external_id)
         DO UPDATE SET
           comment_count = EXCLUDED.comment_count,
@@ -198,7 +139,7 @@ class ClawhCanCollector {
         thread.bumps || 0,
         posts.length,
         threadEngagement,
-        opAuthor,
+        opAgentId,
         JSON.stringify({
           board,
           thread_id: thread.id,
@@ -214,8 +155,8 @@ class ClawhCanCollector {
       for (const post of posts) {
         const author = post.author || 'Anonymous';
         
-        // Ensure member exists
-        await this.upsertCommunityMember(client, author, '4claw');
+        // Ensure member exists (anonymous posts have no account)
+        const agentId = await this.upsertMember(client, author);
 
         // Extract sentiment keywords
         const content = post.content || '';
@@ -228,10 +169,7 @@ class ClawhCanCollector {
             upvotes, comment_count,
             agent_id, metadata, created_at, updated_at
           )
-          VALUES ($1, $2, $3, $4, $5, $6,
-            (SELECT id FROM community_members WHERE username = $7),
-            $8, $9, NOW()
-          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
           ON CONFLICT (platform, external_id) DO NOTHING
         `, [
           `${board}-${thread.id}-${post.id}`,
@@ -240,7 +178,7 @@ class ClawhCanCollector {
           `https://4claw.io/${board}/thread/${thread.id}#${post.id}`,
           post.likes || 0,
           post.replies || 0,
-          author,
+          agentId,
           JSON.stringify({
             board,
             thread_id: thread.id,
@@ -258,23 +196,13 @@ class ClawhCanCollector {
     logger.debug(`📝 Stored thread ${thread.id} from /${board}/ (${posts.length} posts)`);
   }
 
-  async upsertCommunityMember(client, username, platform) {
-    // For 4claw, members can be anonymous or named
-    if (username === 'Anonymous' || username === 'Anon') {
-      return; // Don't track anonymous users
-    }
-
-    await client.query(`
-      INSERT INTO community_members (username, platform, metadata, first_seen, last_seen)
-      VALUES ($1, $2, $3, NOW(), NOW())
-      ON CONFLICT (username, platform)
-      DO UPDATE SET
-        last_seen = NOW()
-    `, [
-      username,
-      platform,
-      JSON.stringify({ username })
-    ]);
+  async upsertMember(client, username) {
+    // 4claw has no user ids; named posters are keyed by their username
+    return upsertAccount(client, {
+      platform: '4claw',
+      externalId: username,
+      name: username
+    });
   }
 
   analyzeSentiment(text) {
@@ -350,7 +278,7 @@ class ClawhCanCollector {
       timestamp: new Date(),
       trending_keywords: trendingKeywords.rows,
       board_sentiment: boardSentiment.rows,
-      platforms_monitored: MONITORED_BOARDS
+      platforms_monitored: this.boards
     };
 
     // Store trend snapshot
@@ -391,10 +319,8 @@ class ClawhCanCollector {
 
   getStats() {
     return {
-      isRunning: this.isRunning,
-      requestCount: this.requestCount,
-      lastCollectionTime: this.lastCollectionTime,
-      boardsMonitored: MONITORED_BOARDS.length
+      ...super.getStats(),
+      boardsMonitored: this.boards.length
     };
   }
 }
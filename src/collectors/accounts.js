@@ -0,0 +1,68 @@
+/**
+ * Platform Accounts
+ * Every author a collector sees is stored as one row in agents, keyed by
+ * (platform, external_id). New accounts get their own agent entity; the
+ * identity resolver later merges entities that belong to the same agent.
+ */
+
+const ANONYMOUS_NAMES = new Set(['anonymous', 'anon', '']);
+
+export function isAnonymous(name) {
+  return ANONYMOUS_NAMES.has(String(name ?? '').trim().toLowerCase());
+}
+
+/**
+ * Insert or refresh an account inside an open transaction and return its id.
+ * Profile fields that come back empty don't overwrite what we already know.
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {{ platform: string, externalId: string, name?: string, handle?: string,
+ *   avatarUrl?: string, bio?: string, metadata?: object }} account
+ * @returns {Promise<number|null>} agents.id, or null for anonymous authors
+ */
+export async function upsertAccount(client, account) {
+  const externalId = account.externalId ?? account.name;
+  if (externalId === undefined || externalId === null || isAnonymous(account.name ?? externalId)) {
+    return null;
+  }
+
+  const result = await client.query(`
+    INSERT INTO agents (
+      name, platform, external_id, handle, avatar_url, bio,
+      metadata, first_seen, last_seen
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+    ON CONFLICT (platform, external_id)
+    DO UPDATE SET
+      name = COALESCE(EXCLUDED.name, agents.name),
+      handle = COALESCE(EXCLUDED.handle, agents.handle),
+      avatar_url = COALESCE(EXCLUDED.avatar_url, agents.avatar_url),
+      bio = COALESCE(EXCLUDED.bio, agents.bio),
+      metadata = agents.metadata || EXCLUDED.metadata,
+      last_seen = NOW(),
+      updated_at = NOW()
+    RETURNING id, name, entity_id
+  `, [
+    account.name || account.handle || String(externalId),
+    account.platform,
+    String(externalId),
+    account.handle || null,
+    account.avatarUrl || null,
+    account.bio || null,
+    JSON.stringify(account.metadata || {})
+  ]);
+
+  const row = result.rows[0];
+  if (row.entity_id === null) {
+    await client.query(`
+      WITH entity AS (
+        INSERT INTO agent_entities (canonical_name, primary_account_id, platforms)
+        VALUES ($1, $2, ARRAY[$3::TEXT])
+        RETURNING id
+      )
+      UPDATE agents SET entity_id = (SELECT id FROM entity) WHERE id = $2
+    `, [row.name, row.id, account.platform]);
+  }
+
+  return row.id;
+}
@@ -0,0 +1,277 @@
+import { CronJob } from 'cron';
+import logger from '../utils/logger.js';
+import HttpClient from '../utils/http_client.js';
+import { getCheckpoint, saveCheckpoint } from './checkpoints.js';
+import { createFixtureAdapter, getFixtureMode } from './fixtures.js';
+
+/**
+ * Base Collector
+ * Shared lifecycle, scheduling, request handling and stats for platform collectors.
+ * Subclasses implement collect() and return a summary object for logging.
+ * Independent parts of a cycle should be wrapped in runStep() so one failing
+ * endpoint doesn't throw away everything else collected in that cycle.
+ */
+
+class BaseCollector {
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.name;
+    this.label = options.label || this.name;
+    this.emoji = options.emoji || '📡';
+    this.schedule = options.schedule || '*/15 * * * *';
+    this.baseUrl = options.baseUrl || null;
+    this.apiKey = options.apiKey || null;
+    this.requestDelayMs = options.requestDelayMs ?? 0;
+    this.requestTimeoutMs = options.requestTimeoutMs || 30000;
+    this.maxPagesPerCycle = options.maxPagesPerCycle || 20;
+    // Summary fields from collect() that count as items processed in job history
+    this.itemCountFields = options.itemCountFields || null;
+    // Datasets a cycle writes; analyzers reading them run after it changes them
+    this.outputs = options.outputs || [];
+    this.initialLookbackMs = options.initialLookbackMs || 24 * 60 * 60 * 1000;
+
+    // requestDelayMs is expressed as a steady rate through the platform's token bucket.
+    // Replayed fixtures never touch the platform, so they skip rate limiting.
+    const replaying = getFixtureMode() === 'replay';
+    this.http = new HttpClient({
+      name: this.name,
+      timeout: this.requestTimeoutMs,
+      adapter: createFixtureAdapter(this.name),
+      ratePerSecond: replaying ? null : (options.rateLimitPerSecond
+        || (this.requestDelayMs > 0 ? 1000 / this.requestDelayMs : null)),
+      burst: options.rateLimitBurst || 1,
+      maxRetries: options.maxRetries,
+      baseDelayMs: options.retryBaseDelayMs,
+      failureThreshold: options.circuitFailureThreshold,
+      resetTimeoutMs: options.circuitResetTimeoutMs
+    });
+
+    this.isRunning = false;
+    this.collectJob = null;
+    this.requestCount = 0;
+    this.lastCollectionTime = null;
+    this.lastCollectionDuration = null;
+    this.lastError = null;
+    this.failedSteps = [];
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn(`${this.label} collector already running`);
+      return;
+    }
+
+    logger.info(`${this.emoji} Starting ${this.label} collector...`);
+
+    // Run initial collection
+    await this.run();
+
+    this.collectJob = new CronJob(this.schedule, async () => {
+      await this.run();
+    }, null, true, 'UTC');
+
+    this.isRunning = true;
+    logger.info(`✅ ${this.label} collector started (${this.schedule})`);
+  }
+
+  async stop() {
+    if (this.collectJob) {
+      this.collectJob.stop();
+      this.collectJob = null;
+    }
+    this.isRunning = false;
+    logger.info(`🛑 ${this.label} collector stopped`);
+  }
+
+  /**
+   * Run one collection cycle with timing and error handling
+   */
+  async run() {
+    try {
+      logger.info(`📡 Starting ${this.label} collection cycle...`);
+      const startTime = Date.now();
+      this.failedSteps = [];
+
+      const summary = await this.collect();
+
+      const duration = Date.now() - startTime;
+      this.lastCollectionTime = new Date();
+      this.lastCollectionDuration = duration;
+      this.lastError = this.failedSteps.length > 0
+        ? this.failedSteps.map(step => `${step.step}: ${step.error}`).join('; ')
+        : null;
+
+      const status = this.failedSteps.length > 0 ? '⚠️  partially completed' : '✅ completed';
+      logger.info(`${status} ${this.label} collection in ${duration}ms`, {
+        ...summary,
+        ...(this.failedSteps.length > 0 && { failedSteps: this.failedSteps.map(step => step.step) }),
+        totalRequests: this.requestCount
+      });
+
+      return summary;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(`❌ ${this.label} collection failed:`, error);
+      return null;
+    }
+  }
+
+  async collect() {
+    throw new Error(`${this.constructor.name} must implement collect()`);
+  }
+
+  /**
+   * Run one independent step of a collection cycle. Failures are logged and
+   * recorded for getStats(), and the fallback is returned so later steps still run.
+   */
+  async runStep(step, fn, fallback = null) {
+    try {
+      return await fn();
+    } catch (error) {
+      this.failedSteps.push({ step, error: error.message, at: new Date() });
+      logger.warn(`⚠️  ${this.label} step "${step}" failed: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Whether a request failed because the item was removed upstream (404/410),
+   * which per-item loops skip quietly instead of warning about.
+   */
+  isGone(error) {
+    return [404, 410].includes(error.response?.status);
+  }
+
+  /**
+   * Backfill history back to a given date. Collectors that support
+   * incremental streams override this to walk each stream with an explicit floor.
+   */
+  async backfill(since) {
+    throw new Error(`${this.constructor.name} does not support backfill (requested since ${since.toISOString()})`);
+  }
+
+  /**
+   * Page through a stream, resuming from its persisted checkpoint.
+   *
+   * fetchPage({ cursor, since }) must return { items, nextCursor }. Items older
+   * than the floor (last checkpoint, or `until` when backfilling) end the walk.
+   * Progress is saved after every page as a pending walk, and only promoted to
+   * the stream's high-water mark once the floor is reached, so an outage or
+   * restart mid-walk resumes from the saved cursor instead of losing the gap.
+   */
+  async collectIncremental(stream, {
+    fetchPage,
+    storePage,
+    getTimestamp = item => new Date(item.created_at),
+    getId = item => item.id,
+    until = null,
+    maxPages = this.maxPagesPerCycle
+  }) {
+    const checkpoint = await getCheckpoint(this.name, stream) || { metadata: {} };
+    const pending = checkpoint.metadata?.pending || null;
+
+    const floor = until
+      || (pending?.floor && new Date(pending.floor))
+      || checkpoint.lastTimestamp
+      || new Date(Date.now() - this.initialLookbackMs);
+
+    let cursor = pending?.cursor ?? null;
+    let highWater = pending?.high_water ? new Date(pending.high_water) : null;
+    let highWaterId = pending?.high_water_id ?? null;
+    let pages = 0;
+    let stored = 0;
+    let reachedFloor = false;
+
+    if (pending) {
+      logger.info(`↩️  Resuming ${this.label} ${stream} from saved cursor`, { cursor, floor });
+    }
+
+    while (pages < maxPages) {
+      const { items = [], nextCursor = null } = await fetchPage({ cursor, since: floor });
+      pages++;
+
+      const fresh = items.filter(item => getTimestamp(item) >= floor);
+      if (fresh.length > 0) {
+        await storePage(fresh);
+        stored += fresh.length;
+      }
+
+      for (const item of fresh) {
+        const timestamp = getTimestamp(item);
+        if (!highWater || timestamp > highWater) {
+          highWater = timestamp;
+          highWaterId = getId(item);
+        }
+      }
+
+      reachedFloor = !nextCursor
+        || items.length === 0
+        || items.some(item => getTimestamp(item) < floor);
+
+      if (reachedFloor) break;
+
+      cursor = nextCursor;
+      await saveCheckpoint(this.name, stream, {
+        ...checkpoint,
+        metadata: {
+          ...checkpoint.metadata,
+          pending: {
+            cursor,
+            floor: floor.toISOString(),
+            high_water: highWater?.toISOString() || null,
+            high_water_id: highWaterId
+          }
+        }
+      });
+    }
+
+    if (reachedFloor) {
+      // Backfills never move the live high-water mark backwards
+      const advance = highWater && (!checkpoint.lastTimestamp || highWater > checkpoint.lastTimestamp);
+      const { pending: _done, ...metadata } = checkpoint.metadata || {};
+
+      await saveCheckpoint(this.name, stream, {
+        cursor: null,
+        lastId: advance ? highWaterId : checkpoint.lastId,
+        lastTimestamp: advance ? highWater : (checkpoint.lastTimestamp || null),
+        metadata
+      });
+    } else {
+      logger.warn(`⏭️  ${this.label} ${stream} hit page limit (${maxPages}); will resume next cycle`);
+    }
+
+    return { stream, pages, stored, complete: reachedFloor };
+  }
+
+  async makeRequest(method, url, config = {}) {
+    this.requestCount++;
+
+    const { headers, ...rest } = config;
+    const requestConfig = {
+      method,
+      url,
+      ...rest,
+      headers: {
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        'User-Agent': 'AgentIntelligenceHub/0.1.0',
+        ...headers
+      }
+    };
+
+    return this.http.request(requestConfig);
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      requestCount: this.requestCount,
+      lastCollectionTime: this.lastCollectionTime,
+      lastCollectionDuration: this.lastCollectionDuration,
+      lastError: this.lastError,
+      failedSteps: this.failedSteps,
+      hosts: this.http.getHealth()
+    };
+  }
+}
+
+export default BaseCollector;
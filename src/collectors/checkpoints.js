@@ -0,0 +1,62 @@
+import { query } from '../utils/database.js';
+
+/**
+ * Collector Checkpoints
+ * Persists per-collector, per-stream progress (last seen id/timestamp and
+ * page cursor) so collection resumes where it left off after restarts.
+ */
+
+function toCheckpoint(row) {
+  if (!row) return null;
+  return {
+    collector: row.collector,
+    stream: row.stream,
+    cursor: row.cursor,
+    lastId: row.last_id,
+    lastTimestamp: row.last_timestamp ? new Date(row.last_timestamp) : null,
+    metadata: row.metadata || {},
+    updatedAt: row.updated_at
+  };
+}
+
+export async function getCheckpoint(collector, stream) {
+  const result = await query(`
+    SELECT collector, stream, cursor, last_id, last_timestamp, metadata, updated_at
+    FROM collector_checkpoints
+    WHERE collector = $1 AND stream = $2
+  `, [collector, stream]);
+
+  return toCheckpoint(result.rows[0]);
+}
+
+export async function saveCheckpoint(collector, stream, { cursor = null, lastId = null, lastTimestamp = null, metadata = {} }) {
+  await query(`
+    INSERT INTO collector_checkpoints (collector, stream, cursor, last_id, last_timestamp, metadata, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    ON CONFLICT (collector, stream)
+    DO UPDATE SET
+      cursor = EXCLUDED.cursor,
+      last_id = EXCLUDED.last_id,
+      last_timestamp = EXCLUDED.last_timestamp,
+      metadata = EXCLUDED.metadata,
+      updated_at = NOW()
+  `, [
+    collector,
+    stream,
+    cursor === null ? null : String(cursor),
+    lastId === null ? null : String(lastId),
+    lastTimestamp,
+    JSON.stringify(metadata)
+  ]);
+}
+
+export async function listCheckpoints(collector = null) {
+  const result = await query(`
+    SELECT collector, stream, cursor, last_id, last_timestamp, metadata, updated_at
+    FROM collector_checkpoints
+    ${collector ? 'WHERE collector = $1' : ''}
+    ORDER BY collector, stream
+  `, collector ? [collector] : []);
+
+  return result.rows.map(toCheckpoint);
+}
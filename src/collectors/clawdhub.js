@@ -1,217 +1,108 @@
-import axios from 'axios';
-import { CronJob } from 'cron';
+import BaseCollector from './base.js';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
 import { createHash } from 'crypto';
-
-const CLAWDHUB_BASE_URL = 'https://clawdhub.com/api';
-
-class ClawdHubCollector {
-  constructor() {
-    this.isRunning = false;
-    this.collectJob = null;
-    this.requestCount = 0;
-    this.lastCollectionTime = null;
+import { upsertAccount } from './accounts.js';
+import { createSkillSources, isDemoMode } from './skill_sources/index.js';
+import { recordSkillVersion } from '../analyzers/skill_versions.js';
+import { loadActiveRules, applySuppressions } from '../triage/suppression.js';
+import { recordSecurityAlert } from '../triage/alerts.js';
+import { skillFileLoader } from '../rules/code/document.js';
+
+const CLAWDHUB_BASE_URL = process.env.CLAWDHUB_BASE_URL || 'https://clawdhub.com/api';
+
+class ClawdHubCollector extends BaseCollector {
+  constructor(options = {}) {
+    super({
+      name: 'clawdhub',
+      label: 'ClawdHub',
+      emoji: '🕷️',
+      schedule: '*/30 * * * *',
+      baseUrl: CLAWDHUB_BASE_URL,
+      itemCountFields: ['totalSkills'],
+      outputs: ['agents', 'skills', 'security_alerts'],
+      ...options
+    });
     this.skillCache = new Map();
-  }
-
-  async start() {
-    if (this.isRunning) {
-      logger.warn('ClawdHub collector already running');
-      return;
-    }
-
-    logger.info('🕷️ Starting ClawdHub collector...');
-    
-    // Run initial collection
-    await this.collect();
-    
-    // Schedule regular collections every 30 minutes
-    this.collectJob = new CronJob('*/30 * * * *', async () => {
-      await this.collect();
-    }, null, true, 'UTC');
-
-    this.isRunning = true;
-    logger.info('✅ ClawdHub collector started (30min intervals)');
-  }
-
-  async stop() {
-    if (this.collectJob) {
-      this.collectJob.stop();
-      this.collectJob = null;
-    }
-    this.isRunning = false;
-    logger.info('🛑 ClawdHub collector stopped');
+    this.demoMode = options.demoMode ?? isDemoMode();
+    this.sources = options.sources || createSkillSources(this);
   }
 
   async collect() {
-    try {
-      logger.info('🕷️ Starting ClawdHub collection cycle...');
-      const startTime = Date.now();
-
-      // Collect skill directory
-      const skills = await this.fetchSkillDirectory();
-      await this.storeSkills(skills);
+    // Collect skill directory
+    const skills = await this.fetchSkillDirectory();
+    await this.storeSkills(skills);
+
+    // Analyze popular skills, plus any skill whose content we already have.
+    // Unchanged content is skipped via the version history, so this stays cheap.
+    const popularSkills = skills.filter(s => s.downloads > 100);
+    const scanTargets = [
+      ...popularSkills.slice(0, 20),
+      ...skills.filter(s => s.content && !(s.downloads > 100))
+    ];
+    await this.runStep('security_analysis', () => this.analyzeSkillSecurity(scanTargets));
+
+    // Track ecosystem metrics
+    await this.runStep('ecosystem_metrics', () => this.recordEcosystemMetrics(skills));
 
-      // Analyze popular skills for security
-      const popularSkills = skills.filter(s => s.downloads > 100);
-      await this.analyzeSkillSecurity(popularSkills.slice(0, 20));
-
-      // Track ecosystem metrics
-      await this.recordEcosystemMetrics(skills);
-
-      const duration = Date.now() - startTime;
-      this.lastCollectionTime = new Date();
-
-      logger.info(`✅ ClawdHub collection completed in ${duration}ms`, {
-        totalSkills: skills.length,
-        popularSkills: popularSkills.length,
-        newSkills: skills.filter(s => this.isNewSkill(s)).length
-      });
-
-    } catch (error) {
-      logger.error('❌ ClawdHub collection failed:', error);
-    }
+    return {
+      totalSkills: skills.length,
+      popularSkills: popularSkills.length,
+      newSkills: skills.filter(s => this.isNewSkill(s)).length
+    };
   }
 
   async fetchSkillDirectory() {
-    try {
-      // Simulate ClawdHub API call - in reality would fetch from actual API
-      const mockSkills = await this.generateMockSkillData();
-      
-      // Also scan local OpenClaw skills directory for real data
-      const localSkills = await this.scanLocalSkills();
-      
-      return [...mockSkills, ...localSkills];
-    } catch (error) {
-      logger.error('Failed to fetch skill directory:', error.message);
-      return [];
-    }
-  }
+    const skillsById = new Map();
 
-  async generateMockSkillData() {
-    const skillTypes = ['automation', 'security', 'analytics', 'productivity', 'monitoring'];
-    const authors = ['openclawdev', 'autonomous_agent', 'skill_master', 'clawdbot', 'agent_builder'];
-    
-    return Array.from({ length: 50 }, (_, i) => ({
-      id: `skill_${i + 1}`,
-      name: `${skillTypes[i % skillTypes.length]}_skill_${i + 1}`,
-      author: authors[i % authors.length],
-      version: `1.${Math.floor(i / 10)}.${i % 10}`,
-      downloads: Math.floor(Math.random() * 1000) + 10,
-      last_updated: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000),
-      description: `Advanced ${skillTypes[i % skillTypes.length]} capabilities for autonomous agents`,
-      tags: [skillTypes[i % skillTypes.length], 'ai', 'automation'],
-      security_score: Math.random() * 100,
-      verified: Math.random() > 0.7,
-      source_url: `https://github.com/${authors[i % authors.length]}/${skillTypes[i % skillTypes.length]}_skill_${i + 1}`
-    }));
-  }
+    for (const source of this.sources) {
+      if (source.synthetic && !this.demoMode) {
+        logger.warn(`🚫 Skipping synthetic skill source "${source.name}" (CLAWDHUB_DEMO_MODE is off)`);
+        continue;
+      }
 
-  async scanLocalSkills() {
-    const { readdir, readFile } = await import('fs/promises');
-    const skillsPath = '/home/botuser/.openclaw/skills';
-    
-    try {
-      const skillDirs = await readdir(skillsPath, { withFileTypes: true });
-      const localSkills = [];
-      
-      for (const dir of skillDirs) {
-        if (dir.isDirectory()) {
-          try {
-            const skillPath = `${skillsPath}/${dir.name}/SKILL.md`;
-            const skillContent = await readFile(skillPath, 'utf8');
-            
-            // Parse SKILL.md frontmatter
-            const skill = await this.parseSkillMetadata(dir.name, skillContent);
-            if (skill) {
-              localSkills.push({
-                ...skill,
-                id: `local_${dir.name}`,
-                name: dir.name,
-                author: 'openclaw',
-                source: 'local',
-                path: skillPath
-              });
-            }
-          } catch (error) {
-            // Skip skills without SKILL.md
-          }
+      const skills = await this.runStep(`source:${source.name}`, () => source.fetchSkills(), []);
+
+      // Earlier sources win when the same skill id shows up twice
+      for (const skill of skills) {
+        if (!skillsById.has(skill.id)) {
+          skillsById.set(skill.id, { source: source.name, synthetic: source.synthetic, ...skill });
         }
       }
-      
-      logger.info(`📁 Found ${localSkills.length} local OpenClaw skills`);
-      return localSkills;
-      
-    } catch (error) {
-      logger.error('Failed to scan local skills:', error.message);
-      return [];
     }
-  }
 
-  async parseSkillMetadata(skillName, content) {
-    try {
-      // Extract frontmatter if present
-      const frontmatterMatch = content.match(/^---\n(.*?)\n---/s);
-      if (frontmatterMatch) {
-        const frontmatter = frontmatterMatch[1];
-        const lines = frontmatter.split('\n');
-        const metadata = {};
-        
-        lines.forEach(line => {
-          const [key, ...valueParts] = line.split(':');
-          if (key && valueParts.length) {
-            metadata[key.trim()] = valueParts.join(':').trim();
-          }
-        });
-        
-        return {
-          description: metadata.description || `${skillName} skill`,
-          version: '1.0.0',
-          downloads: 0,
-          last_updated: new Date(),
-          tags: ['local', 'openclaw'],
-          security_score: 85, // Local skills assumed safer
-          verified: true,
-          content: content
-        };
-      }
-      
-      return {
-        description: `${skillName} skill`,
-        version: '1.0.0',
-        downloads: 0,
-        last_updated: new Date(),
-        tags: ['local', 'openclaw'],
-        security_score: 85,
-        verified: true,
-        content: content
-      };
-      
-    } catch (error) {
-      logger.error(`Failed to parse skill metadata for ${skillName}:`, error.message);
-      return null;
-    }
+    return Array.from(skillsById.values());
   }
 
   async storeSkills(skills) {
     if (!skills || skills.length === 0) return;
 
+    // Synthetic records would pollute every analysis built on the skills table
+    if (!this.demoMode && skills.some(skill => skill.synthetic)) {
+      throw new Error('Refusing to store synthetic skills without CLAWDHUB_DEMO_MODE=true');
+    }
+
     await transaction(async (client) => {
       for (const skill of skills) {
+        // Skill authors are agent accounts on ClawdHub; demo authors aren't real
+        const authorId = skill.author && !skill.synthetic
+          ? await upsertAccount(client, { platform: 'clawdhub', externalId: skill.author, name: skill.author })
+          : null;
+
         // Store skill data
         await client.query(`
           INSERT INTO skills (
             external_id, name, author, version, downloads,
             description, tags, security_score, verified,
-            source_url, metadata, last_updated, created_at
+            source_url, metadata, last_updated, author_agent_id, created_at
           ) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
           ON CONFLICT (external_id) 
           DO UPDATE SET
             version = EXCLUDED.version,
+            author_agent_id = COALESCE(EXCLUDED.author_agent_id, skills.author_agent_id),
             downloads = EXCLUDED.downloads,
-            security_score = EXCLUDED.security_score,
+            security_score = COALESCE(EXCLUDED.security_score, skills.security_score),
             last_updated = EXCLUDED.last_updated,
             metadata = EXCLUDED.metadata,
             updated_at = NOW()
@@ -223,15 +114,17 @@ class ClawdHubCollector {
           skill.downloads || 0,
           skill.description,
           JSON.stringify(skill.tags || []),
-          skill.security_score || 0,
+          skill.security_score ?? null,
           skill.verified || false,
           skill.source_url,
           JSON.stringify({
             source: skill.source || 'clawdhub',
+            synthetic: Boolean(skill.synthetic),
             path: skill.path,
             content_hash: skill.content ? createHash('sha256').update(skill.content).digest('hex') : null
           }),
-          skill.last_updated
+          skill.last_updated,
+          authorId
         ]);
 
         // Update skill cache for security analysis
@@ -239,50 +132,27 @@ class ClawdHubCollector {
       }
     });
 
-    // Create skills table if it doesn't exist
-    await query(`
-      CREATE TABLE IF NOT EXISTS skills (
-        id SERIAL PRIMARY KEY,
-        external_id VARCHAR(255) UNIQUE NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        author VARCHAR(255),
-        version VARCHAR(50),
-        downloads INTEGER DEFAULT 0,
-        description TEXT,
-        tags JSONB DEFAULT '[]',
-        security_score FLOAT DEFAULT 0,
-        verified BOOLEAN DEFAULT FALSE,
-        source_url TEXT,
-        metadata JSONB DEFAULT '{}',
-        last_updated TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-      CREATE INDEX IF NOT EXISTS idx_skills_author ON skills(author);
-      CREATE INDEX IF NOT EXISTS idx_skills_downloads ON skills(downloads);
-      CREATE INDEX IF NOT EXISTS idx_skills_security_score ON skills(security_score);
-    `);
-
     logger.debug(`💾 Stored ${skills.length} skills`);
   }
 
   async analyzeSkillSecurity(skills) {
-    const { SecurityAnalyzer } = await import('../analyzers/security.js');
+    const { default: SecurityAnalyzer } = await import('../analyzers/security.js');
     const securityAnalyzer = new SecurityAnalyzer();
+    const suppressions = await loadActiveRules();
     
     for (const skill of skills) {
       try {
-        if (skill.content) {
-          // Analyze local skill content directly
-          const analysis = await securityAnalyzer.analyzeContent(skill.content, skill.name);
-          await this.storeSecurityAnalysis(skill, analysis);
-        } else if (skill.source_url) {
-          // Fetch and analyze remote skill
-          const content = await this.fetchSkillContent(skill.source_url);
-          if (content) {
-            const analysis = await securityAnalyzer.analyzeContent(content, skill.name);
-            await this.storeSecurityAnalysis(skill, analysis);
-          }
+        // Local skills carry their content; remote ones are fetched from source
+        const content = skill.content || (skill.source_url && await this.fetchSkillContent(skill.source_url));
+        if (!content) continue;
+
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        const loadFile = skillFileLoader({ path: skill.path, url: skill.source_url });
+        const result = await recordSkillVersion(skill, text, (body) => securityAnalyzer.analyzeContent(body, skill.name, { loadFile }));
+
+        // Unchanged content was already scanned when this version was first seen
+        if (result.isNew) {
+          await this.storeSecurityAnalysis(skill, result.analysis, result.version, suppressions);
         }
       } catch (error) {
         logger.warn(`Failed to analyze skill ${skill.name}:`, error.message);
@@ -293,7 +163,7 @@ class ClawdHubCollector {
   async fetchSkillContent(sourceUrl) {
     try {
       // Try to fetch skill content from GitHub or other sources
-      const response = await axios.get(sourceUrl, { timeout: 10000 });
+      const response = await this.makeRequest('GET', sourceUrl, { timeout: 10000 });
       return response.data;
     } catch (error) {
       logger.debug(`Failed to fetch skill content from ${sourceUrl}: ${error.message}`);
@@ -301,24 +171,24 @@ class ClawdHubCollector {
     }
   }
 
-  async storeSecurityAnalysis(skill, analysis) {
+  async storeSecurityAnalysis(skill, analysis, version = null, suppressions = []) {
     if (analysis.alerts && analysis.alerts.length > 0) {
-      for (const alert of analysis.alerts) {
-        await query(`
-          INSERT INTO security_alerts (type, severity, title, description, metadata)
-          VALUES ($1, $2, $3, $4, $5)
-        `, [
-          alert.type,
-          alert.severity,
-          `${alert.severity.toUpperCase()}: ${skill.name} - ${alert.type}`,
-          alert.description,
-          JSON.stringify({
+      // Known false positives (suppression rules) are counted, not raised
+      const alerts = await applySuppressions(suppressions, skill, analysis.alerts);
+      for (const alert of alerts) {
+        await recordSecurityAlert({
+          subject: skill.id,
+          alert,
+          title: `${alert.severity.toUpperCase()}: ${skill.name} - ${alert.rule_name || alert.type}`,
+          metadata: {
             ...alert,
             skill_id: skill.id,
             skill_name: skill.name,
-            skill_author: skill.author
-          })
-        ]);
+            skill_author: skill.author,
+            skill_version: skill.version,
+            skill_version_id: version?.id
+          }
+        });
       }
     }
     
@@ -334,7 +204,7 @@ class ClawdHubCollector {
     const metrics = {
       total_skills: skills.length,
       verified_skills: skills.filter(s => s.verified).length,
-      average_security_score: skills.reduce((sum, s) => sum + (s.security_score || 0), 0) / skills.length,
+      average_security_score: this.averageSecurityScore(skills),
       top_authors: this.getTopAuthors(skills),
       popular_tags: this.getPopularTags(skills),
       recent_activity: skills.filter(s => 
@@ -350,6 +220,12 @@ class ClawdHubCollector {
     logger.debug('📊 Recorded ClawdHub ecosystem metrics');
   }
 
+  averageSecurityScore(skills) {
+    const scored = skills.filter(s => s.security_score !== null && s.security_score !== undefined);
+    if (scored.length === 0) return null;
+    return scored.reduce((sum, s) => sum + s.security_score, 0) / scored.length;
+  }
+
   getTopAuthors(skills) {
     const authorStats = {};
     skills.forEach(skill => {
@@ -387,10 +263,10 @@ class ClawdHubCollector {
 
   getStats() {
     return {
-      isRunning: this.isRunning,
-      requestCount: this.requestCount,
-      lastCollectionTime: this.lastCollectionTime,
-      skillsCached: this.skillCache.size
+      ...super.getStats(),
+      skillsCached: this.skillCache.size,
+      sources: this.sources.map(source => source.name),
+      demoMode: this.demoMode
     };
   }
 }
@@ -0,0 +1,121 @@
+import { query } from '../utils/database.js';
+import { upsertAccount } from './accounts.js';
+
+/**
+ * Comment Threads
+ * Shared storage for comment/reply trees. Platforms return either nested
+ * trees or flat lists with parent ids; collectors normalize them into flat,
+ * parent-first lists and hand them to storeCommentThread().
+ */
+
+/**
+ * Posts worth fetching threads for: enough comments to matter, recent, and
+ * with more comments than when we last synced them.
+ */
+export async function getCommentSyncCandidates(platform, { minComments = 10, maxAgeDays = 7, limit = 10 } = {}) {
+  const result = await query(`
+    SELECT id, external_id, agent_id, comment_count
+    FROM posts
+    WHERE platform = $1
+      AND comment_count >= $2
+      AND created_at > NOW() - ($3 || ' days')::INTERVAL
+      AND (comments_synced_count IS NULL OR comments_synced_count < comment_count)
+    ORDER BY comment_count DESC
+    LIMIT $4
+  `, [platform, minComments, String(maxAgeDays), limit]);
+
+  return result.rows;
+}
+
+/**
+ * Flatten a nested comment tree depth-first so parents precede their replies.
+ * Flat lists pass through unchanged apart from ordering by depth.
+ */
+export function flattenCommentTree(comments, { getChildren = comment => comment.replies, getParentId = comment => comment.parent_id } = {}) {
+  const flat = [];
+
+  const visit = (comment, parentId, depth) => {
+    flat.push({ comment, parentId: parentId ?? getParentId(comment) ?? null, depth });
+    for (const child of getChildren(comment) || []) {
+      visit(child, comment.id, depth + 1);
+    }
+  };
+
+  for (const comment of comments || []) visit(comment, null, 0);
+
+  // Flat lists carry parent ids instead of nesting; derive depth from them
+  const byId = new Map(flat.map(entry => [String(entry.comment.id), entry]));
+  const depthOf = (entry, seen = new Set()) => {
+    if (entry.parentId === null) return entry.depth;
+    const parent = byId.get(String(entry.parentId));
+    if (!parent || seen.has(parent)) return entry.depth;
+    seen.add(entry);
+    return depthOf(parent, seen) + 1;
+  };
+  for (const entry of flat) entry.depth = Math.max(entry.depth, depthOf(entry));
+
+  return flat.sort((a, b) => a.depth - b.depth);
+}
+
+/**
+ * Store a thread inside an open transaction.
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {{ platform: string, post: { id: number, agent_id: number|null, comment_count?: number },
+ *   comments: Array<{ externalId: string, parentExternalId?: string|null, depth?: number,
+ *   author: object, content?: string, upvotes?: number, downvotes?: number,
+ *   createdAt?: string, metadata?: object }> }} thread
+ * @returns {Promise<number>} comments stored
+ */
+export async function storeCommentThread(client, { platform, post, comments }) {
+  const stored = new Map(); // external id -> { id, agentId }
+
+  for (const comment of comments) {
+    const agentId = await upsertAccount(client, { platform, ...comment.author });
+
+    let parent = comment.parentExternalId ? stored.get(String(comment.parentExternalId)) : null;
+    if (comment.parentExternalId && !parent) {
+      const existing = await client.query(`
+        SELECT id, agent_id FROM comments WHERE platform = $1 AND external_id = $2
+      `, [platform, String(comment.parentExternalId)]);
+      if (existing.rows[0]) parent = { id: existing.rows[0].id, agentId: existing.rows[0].agent_id };
+    }
+
+    const result = await client.query(`
+      INSERT INTO comments (
+        platform, external_id, post_id, parent_id, agent_id, reply_to_agent_id,
+        content, upvotes, downvotes, depth, metadata, created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (platform, external_id)
+      DO UPDATE SET
+        content = EXCLUDED.content,
+        upvotes = EXCLUDED.upvotes,
+        downvotes = EXCLUDED.downvotes,
+        updated_at = NOW()
+      RETURNING id
+    `, [
+      platform,
+      String(comment.externalId),
+      post.id,
+      parent?.id ?? null,
+      agentId,
+      parent ? parent.agentId : post.agent_id,
+      comment.content || null,
+      comment.upvotes || 0,
+      comment.downvotes || 0,
+      comment.depth ?? 0,
+      JSON.stringify(comment.metadata || {}),
+      comment.createdAt ? new Date(comment.createdAt) : new Date()
+    ]);
+
+    stored.set(String(comment.externalId), { id: result.rows[0].id, agentId });
+  }
+
+  await client.query(`
+    UPDATE posts SET comments_synced_at = NOW(), comments_synced_count = $2
+    WHERE id = $1
+  `, [post.id, post.comment_count ?? comments.length]);
+
+  return stored.size;
+}
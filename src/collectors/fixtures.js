@@ -0,0 +1,160 @@
+import axios, { AxiosError } from 'axios';
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Collector Fixtures
+ * Record/replay of raw platform responses so full collection cycles can run
+ * offline (CI, sandboxes) without API keys or network access.
+ *
+ *   FIXTURE_MODE=record  - perform real requests and save every response
+ *   FIXTURE_MODE=replay  - serve saved responses; unknown requests fail
+ *   FIXTURE_DIR          - fixture root (default ./fixtures), one folder per collector
+ *
+ * Fixtures are keyed by method, host, path, query params and body. Params that
+ * change every run (e.g. "since" windows derived from Date.now()) are left out
+ * of the key so replays stay deterministic.
+ */
+
+const VOLATILE_PARAMS = new Set(['since', 'until', 'timestamp', '_']);
+
+export function getFixtureMode(env = process.env) {
+  const mode = (env.FIXTURE_MODE || '').toLowerCase();
+  return ['record', 'replay'].includes(mode) ? mode : null;
+}
+
+export function getFixtureDir(env = process.env) {
+  return resolve(env.FIXTURE_DIR || 'fixtures');
+}
+
+function slugify(value) {
+  return value.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+}
+
+function stableParams(params = {}) {
+  return Object.keys(params)
+    .filter(key => !VOLATILE_PARAMS.has(key) && params[key] !== undefined)
+    .sort()
+    .map(key => [key, String(params[key])]);
+}
+
+/**
+ * Deterministic fixture path for a request config
+ */
+export function fixturePath(dir, collector, config) {
+  const url = new URL(config.url, config.baseURL);
+  const method = (config.method || 'get').toUpperCase();
+
+  // Query string params in the URL itself count the same as config.params
+  const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+  const key = JSON.stringify({
+    method,
+    host: url.host,
+    path: url.pathname,
+    params: stableParams(params),
+    body: config.data || null
+  });
+  const hash = createHash('sha1').update(key).digest('hex').slice(0, 10);
+
+  return join(dir, collector, `${method}_${slugify(url.host + url.pathname)}_${hash}.json`);
+}
+
+function serializeBody(data) {
+  if (typeof data !== 'string') return { json: false, body: data ?? null };
+  try {
+    return { json: true, body: JSON.parse(data) };
+  } catch {
+    return { json: false, body: data };
+  }
+}
+
+function saveFixture(path, config, response) {
+  const { json, body } = serializeBody(response.data);
+  const fixture = {
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      params: config.params || null
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+      json,
+      body
+    },
+    recordedAt: new Date().toISOString()
+  };
+
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, JSON.stringify(fixture, null, 2));
+  logger.debug(`📼 Recorded fixture ${path}`);
+}
+
+function loadFixture(path, config) {
+  if (!existsSync(path)) {
+    throw new AxiosError(
+      `No fixture for ${(config.method || 'get').toUpperCase()} ${config.url} (expected ${path})`,
+      'ENOFIXTURE',
+      config
+    );
+  }
+
+  const { response } = JSON.parse(readFileSync(path, 'utf8'));
+  const data = response.json ? JSON.stringify(response.body) : response.body;
+
+  const replayed = {
+    data,
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: response.headers || {},
+    config,
+    request: { fixture: path }
+  };
+
+  // Adapters are responsible for rejecting non-2xx responses themselves
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(replayed.status)) {
+    return replayed;
+  }
+
+  throw new AxiosError(
+    `Request failed with status code ${replayed.status}`,
+    replayed.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    replayed.request,
+    replayed
+  );
+}
+
+/**
+ * Build an axios adapter for the configured fixture mode, or null when
+ * fixtures are disabled and requests should go straight to the network.
+ */
+export function createFixtureAdapter(collector, env = process.env) {
+  const mode = getFixtureMode(env);
+  if (!mode) return null;
+
+  const dir = getFixtureDir(env);
+
+  if (mode === 'replay') {
+    return async (config) => loadFixture(fixturePath(dir, collector, config), config);
+  }
+
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  return async (config) => {
+    const path = fixturePath(dir, collector, config);
+    try {
+      const response = await networkAdapter(config);
+      saveFixture(path, config, response);
+      return response;
+    } catch (error) {
+      // Error responses are recorded too so failure paths replay faithfully
+      if (error.response) saveFixture(path, config, error.response);
+      throw error;
+    }
+  };
+}
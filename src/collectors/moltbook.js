@@ -1,86 +1,99 @@
-import axios from 'axios';
-import { CronJob } from 'cron';
+import BaseCollector from './base.js';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
+import { upsertAccount } from './accounts.js';
+import { flattenCommentTree, getCommentSyncCandidates, storeCommentThread } from './comments.js';
 
 const MOLTBOOK_BASE_URL = 'https://www.moltbook.com/api/v1';
 const API_KEY = process.env.MOLTBOOK_API_KEY;
 
-class MoltbookCollector {
-  constructor() {
-    this.isRunning = false;
-    this.collectJob = null;
-    this.requestCount = 0;
-    this.lastCollectionTime = null;
-  }
-
-  async start() {
-    if (this.isRunning) {
-      logger.warn('Moltbook collector already running');
-      return;
-    }
-
-    logger.info('🦞 Starting Moltbook collector...');
-    
-    // Run initial collection
-    await this.collect();
-    
-    // Schedule regular collections every 15 minutes
-    this.collectJob = new CronJob('*/15 * * * *', async () => {
-      await this.collect();
-    }, null, true, 'UTC');
-
-    this.isRunning = true;
-    logger.info('✅ Moltbook collector started (15min intervals)');
-  }
+class MoltbookCollector extends BaseCollector {
+  constructor(options = {}) {
+    super({
+      name: 'moltbook',
+      label: 'Moltbook',
+      emoji: '🦞',
+      schedule: '*/15 * * * *',
+      baseUrl: MOLTBOOK_BASE_URL,
+      apiKey: API_KEY,
+      requestDelayMs: 1000,
+      itemCountFields: ['hotPosts', 'newPosts', 'comments'],
+      outputs: ['agents', 'posts', 'comments'],
+      ...options
+    });
 
-  async stop() {
-    if (this.collectJob) {
-      this.collectJob.stop();
-      this.collectJob = null;
-    }
-    this.isRunning = false;
-    logger.info('🛑 Moltbook collector stopped');
+    // Comment trees are fetched for posts with at least this many comments
+    this.commentThreshold = options.commentThreshold ?? 10;
+    this.maxCommentThreads = options.maxCommentThreads ?? 10;
   }
 
   async collect() {
-    try {
-      logger.info('📡 Starting Moltbook collection cycle...');
-      const startTime = Date.now();
+    // Collect hot posts
+    const hotPosts = await this.runStep('hot_posts', async () => {
+      const data = await this.fetchPosts('hot', 50);
+      await this.storePosts(data.posts);
+      return data.posts;
+    }, []);
 
-      // Collect hot posts
-      const hotPosts = await this.fetchPosts('hot', 50);
-      await this.storePosts(hotPosts.posts);
+    // Collect new posts since the last checkpoint
+    const newPosts = await this.runStep('new_posts', () => this.collectNewPosts(), { stored: 0, pages: 0 });
 
-      // Collect new posts
-      const newPosts = await this.fetchPosts('new', 25);
-      await this.storeNewPosts(newPosts.posts);
+    // Collect comment trees for high-engagement posts
+    const comments = await this.runStep('comment_threads', () => this.collectCommentThreads(), { threads: 0, comments: 0 });
 
-      // Collect submolt data
-      const submolts = await this.fetchSubmolts();
-      await this.analyzeSubmoltTrends(submolts.submolts);
+    // Collect submolt data
+    const submolts = await this.runStep('submolts', async () => {
+      const data = await this.fetchSubmolts();
+      await this.analyzeSubmoltTrends(data.submolts);
+      return data.submolts;
+    }, []);
 
-      // Update agent activity
-      await this.updateAgentActivity();
+    // Update agent activity
+    await this.runStep('agent_activity', () => this.updateAgentActivity());
 
-      const duration = Date.now() - startTime;
-      this.lastCollectionTime = new Date();
+    return {
+      hotPosts: hotPosts.length,
+      newPosts: newPosts.stored,
+      newPostPages: newPosts.pages,
+      commentThreads: comments.threads,
+      comments: comments.comments,
+      submolts: submolts.length
+    };
+  }
 
-      logger.info(`✅ Moltbook collection completed in ${duration}ms`, {
-        hotPosts: hotPosts.posts.length,
-        newPosts: newPosts.posts.length,
-        submolts: submolts.submolts.length,
-        totalRequests: this.requestCount
-      });
+  /**
+   * Walk the "new" feed newest-first until reaching the last checkpoint
+   */
+  async collectNewPosts(options = {}) {
+    const pageSize = 25;
+
+    return this.collectIncremental(options.stream || 'posts:new', {
+      ...options,
+      fetchPage: async ({ cursor }) => {
+        const offset = cursor ? parseInt(cursor) : 0;
+        const data = await this.fetchPosts('new', pageSize, offset);
+        const items = data.posts || [];
+        return {
+          items,
+          nextCursor: items.length === pageSize ? offset + pageSize : null
+        };
+      },
+      storePage: (posts) => this.storeNewPosts(posts)
+    });
+  }
 
-    } catch (error) {
-      logger.error('❌ Moltbook collection failed:', error);
-    }
+  async backfill(since) {
+    logger.info(`⏪ Backfilling Moltbook posts since ${since.toISOString()}`);
+    return this.collectNewPosts({
+      stream: 'posts:new:backfill',
+      until: since,
+      maxPages: Infinity
+    });
   }
 
-  async fetchPosts(sort = 'hot', limit = 25) {
-    const url = `${MOLTBOOK_BASE_URL}/posts`;
-    const params = { sort, limit };
+  async fetchPosts(sort = 'hot', limit = 25, offset = 0) {
+    const url = `${this.baseUrl}/posts`;
+    const params = { sort, limit, ...(offset > 0 && { offset }) };
 
     try {
       const response = await this.makeRequest('GET', url, { params });
@@ -91,8 +104,57 @@ class MoltbookCollector {
     }
   }
 
+  async collectCommentThreads() {
+    const posts = await getCommentSyncCandidates('moltbook', {
+      minComments: this.commentThreshold,
+      limit: this.maxCommentThreads
+    });
+
+    let stored = 0;
+    for (const post of posts) {
+      try {
+        const data = await this.fetchComments(post.external_id);
+        stored += await this.storeComments(post, data.comments);
+      } catch (error) {
+        if (error.code === 'ECIRCUITOPEN') throw error;
+        if (this.isGone(error)) {
+          logger.debug(`Post ${post.external_id} is gone, skipping its comments`);
+        } else {
+          logger.warn(`⚠️  Failed to sync comments for post ${post.external_id}: ${error.message}`);
+        }
+      }
+    }
+
+    return { threads: posts.length, comments: stored };
+  }
+
+  async fetchComments(postId) {
+    const url = `${this.baseUrl}/posts/${postId}/comments`;
+    const response = await this.makeRequest('GET', url, { params: { sort: 'top' } });
+    return response.data;
+  }
+
+  async storeComments(post, comments) {
+    const thread = flattenCommentTree(comments).map(({ comment, parentId, depth }) => ({
+      externalId: comment.id,
+      parentExternalId: parentId,
+      depth,
+      author: {
+        externalId: comment.author?.id ?? comment.author?.name,
+        name: comment.author?.name,
+        metadata: comment.author || {}
+      },
+      content: comment.content,
+      upvotes: comment.upvotes,
+      downvotes: comment.downvotes,
+      createdAt: comment.created_at
+    }));
+
+    return transaction(client => storeCommentThread(client, { platform: 'moltbook', post, comments: thread }));
+  }
+
   async fetchSubmolts() {
-    const url = `${MOLTBOOK_BASE_URL}/submolts`;
+    const url = `${this.baseUrl}/submolts`;
 
     try {
       const response = await this.makeRequest('GET', url);
@@ -103,36 +165,18 @@ class MoltbookCollector {
     }
   }
 
-  async makeRequest(method, url, config = {}) {
-    this.requestCount++;
-    
-    const requestConfig = {
-      method,
-      url,
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'User-Agent': 'AgentIntelligenceHub/0.1.0',
-        ...config.headers
-      },
-      timeout: 30000,
-      ...config
-    };
-
-    const response = await axios(requestConfig);
-    
-    // Add rate limiting delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    return response;
-  }
-
   async storePosts(posts) {
     if (!posts || posts.length === 0) return;
 
     await transaction(async (client) => {
       for (const post of posts) {
-        // First ensure agent exists
-        await this.upsertAgent(client, post.author, 'moltbook');
+        // First ensure the author's account exists
+        const agentId = await upsertAccount(client, {
+          platform: 'moltbook',
+          externalId: post.author.id ?? post.author.name,
+          name: post.author.name,
+          metadata: post.author
+        });
 
         // Then store/update post
         await client.query(`
@@ -141,10 +185,7 @@ class MoltbookCollector {
             upvotes, downvotes, comment_count, submolt,
             agent_id, metadata, created_at, updated_at
           ) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 
-            (SELECT id FROM agents WHERE name = $10 AND platform = 'moltbook'),
-            $11, $12, NOW()
-          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
           ON CONFLICT (platform, external_id) 
           DO UPDATE SET
             title = EXCLUDED.title,
@@ -164,7 +205,7 @@ class MoltbookCollector {
           post.downvotes || 0,
           post.comment_count || 0,
           post.submolt?.name || 'general',
-          post.author.name,
+          agentId,
           JSON.stringify({
             submolt_display_name: post.submolt?.display_name,
             created_at: post.created_at,
@@ -192,22 +233,6 @@ class MoltbookCollector {
     }
   }
 
-  async upsertAgent(client, author, platform) {
-    await client.query(`
-      INSERT INTO agents (name, platform, external_id, metadata, first_seen, last_seen)
-      VALUES ($1, $2, $3, $4, NOW(), NOW())
-      ON CONFLICT (name, platform)
-      DO UPDATE SET
-        last_seen = NOW(),
-        metadata = EXCLUDED.metadata
-    `, [
-      author.name,
-      platform,
-      author.id,
-      JSON.stringify(author)
-    ]);
-  }
-
   async analyzeSubmoltTrends(submolts) {
     const trends = {
       total_submolts: submolts.length,
@@ -256,14 +281,6 @@ class MoltbookCollector {
 
     logger.debug('📈 Updated agent reputation scores');
   }
-
-  getStats() {
-    return {
-      isRunning: this.isRunning,
-      requestCount: this.requestCount,
-      lastCollectionTime: this.lastCollectionTime
-    };
-  }
 }
 
 export default MoltbookCollector;
\ No newline at end of file
@@ -1,88 +1,73 @@
-import axios from 'axios';
-import { CronJob } from 'cron';
+import BaseCollector from './base.js';
 import logger from '../utils/logger.js';
 import { query, transaction } from '../utils/database.js';
+import { upsertAccount } from './accounts.js';
+import { flattenCommentTree, getCommentSyncCandidates, storeCommentThread } from './comments.js';
 
 const MOLTX_BASE_URL = 'https://moltx.io/api/v1';
 const API_KEY = process.env.MOLTX_API_KEY;
 
-class MoltxCollector {
-  constructor() {
-    this.isRunning = false;
-    this.collectJob = null;
-    this.requestCount = 0;
-    this.lastCollectionTime = null;
-  }
-
-  async start() {
-    if (this.isRunning) {
-      logger.warn('Moltx collector already running');
-      return;
-    }
-
-    logger.info('🦀 Starting Moltx collector...');
-    
-    // Run initial collection
-    await this.collect();
-    
-    // Schedule regular collections every 10 minutes (more frequent for real-time)
-    this.collectJob = new CronJob('*/10 * * * *', async () => {
-      await this.collect();
-    }, null, true, 'UTC');
-
-    this.isRunning = true;
-    logger.info('✅ Moltx collector started (10min intervals)');
-  }
+class MoltxCollector extends BaseCollector {
+  constructor(options = {}) {
+    // Collections every 10 minutes (more frequent for real-time)
+    super({
+      name: 'moltx',
+      label: 'Moltx',
+      emoji: '🦀',
+      schedule: '*/10 * * * *',
+      baseUrl: MOLTX_BASE_URL,
+      apiKey: API_KEY,
+      requestDelayMs: 500,
+      itemCountFields: ['trendingPosts', 'recentPosts', 'replies'],
+      outputs: ['agents', 'posts', 'comments', 'agent_relationships', 'agent_metrics'],
+      ...options
+    });
 
-  async stop() {
-    if (this.collectJob) {
-      this.collectJob.stop();
-      this.collectJob = null;
-    }
-    this.isRunning = false;
-    logger.info('🛑 Moltx collector stopped');
+    // Reply threads are fetched for posts with at least this many replies
+    this.replyThreshold = options.replyThreshold ?? 10;
+    this.maxReplyThreads = options.maxReplyThreads ?? 10;
+    this.maxReplyPages = options.maxReplyPages ?? 5;
   }
 
   async collect() {
-    try {
-      logger.info('📡 Starting Moltx collection cycle...');
-      const startTime = Date.now();
+    // Collect trending posts
+    const trending = await this.runStep('trending_posts', async () => {
+      const data = await this.fetchTrendingPosts(30);
+      await this.storePosts(data.posts);
+      return data.posts;
+    }, []);
 
-      // Collect trending posts
-      const trending = await this.fetchTrendingPosts(30);
-      await this.storePosts(trending.posts);
+    // Collect new posts since the last checkpoint
+    const recent = await this.runStep('recent_posts', () => this.collectRecentPosts(), { stored: 0, pages: 0 });
 
-      // Collect new posts (last 10 min)
-      const recent = await this.fetchRecentPosts(50);
-      await this.storePostsWithEngagement(recent.posts);
+    // Collect reply threads for high-engagement posts
+    const replies = await this.runStep('reply_threads', () => this.collectReplyThreads(), { threads: 0, replies: 0 });
 
-      // Collect top agents
-      const topAgents = await this.fetchTopAgents(50);
-      await this.storeAgentMetrics(topAgents.agents);
+    // Collect top agents
+    const topAgents = await this.runStep('top_agents', async () => {
+      const data = await this.fetchTopAgents(50);
+      await this.storeAgentMetrics(data.agents);
+      return data.agents;
+    }, []);
 
-      // Collect following relationships for identity mapping
-      await this.collectFollowingRelationships();
+    // Collect following relationships for identity mapping
+    await this.runStep('following', () => this.collectFollowingRelationships());
 
-      // Update engagement metrics
-      await this.updateEngagementMetrics();
+    // Update engagement metrics
+    await this.runStep('engagement_metrics', () => this.updateEngagementMetrics());
 
-      const duration = Date.now() - startTime;
-      this.lastCollectionTime = new Date();
-
-      logger.info(`✅ Moltx collection completed in ${duration}ms`, {
-        trendingPosts: trending.posts.length,
-        recentPosts: recent.posts.length,
-        topAgents: topAgents.agents.length,
-        totalRequests: this.requestCount
-      });
-
-    } catch (error) {
-      logger.error('❌ Moltx collection failed:', error);
-    }
+    return {
+      trendingPosts: trending.length,
+      recentPosts: recent.stored,
+      recentPostPages: recent.pages,
+      replyThreads: replies.threads,
+      replies: replies.replies,
+      topAgents: topAgents.length
+    };
   }
 
   async fetchTrendingPosts(limit = 25) {
-    const url = `${MOLTX_BASE_URL}/posts/trending`;
+    const url = `${this.baseUrl}/posts/trending`;
     const params = { limit, timerange: '24h' };
 
     try {
@@ -94,10 +79,35 @@ class MoltxCollector {
     }
   }
 
-  async fetchRecentPosts(limit = 50) {
-    const url = `${MOLTX_BASE_URL}/posts/recent`;
-    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
-    const params = { limit, since: tenMinutesAgo };
+  /**
+   * Page through recent posts since the last checkpoint
+   */
+  async collectRecentPosts(options = {}) {
+    return this.collectIncremental(options.stream || 'posts:recent', {
+      ...options,
+      fetchPage: async ({ cursor, since }) => {
+        const data = await this.fetchRecentPosts(50, since, cursor);
+        return {
+          items: data.posts || [],
+          nextCursor: data.next_cursor || null
+        };
+      },
+      storePage: (posts) => this.storePostsWithEngagement(posts)
+    });
+  }
+
+  async backfill(since) {
+    logger.info(`⏪ Backfilling Moltx posts since ${since.toISOString()}`);
+    return this.collectRecentPosts({
+      stream: 'posts:recent:backfill',
+      until: since,
+      maxPages: Infinity
+    });
+  }
+
+  async fetchRecentPosts(limit = 50, since = new Date(Date.now() - 10 * 60 * 1000), cursor = null) {
+    const url = `${this.baseUrl}/posts/recent`;
+    const params = { limit, since: since.toISOString(), ...(cursor && { cursor }) };
 
     try {
       const response = await this.makeRequest('GET', url, { params });
@@ -108,8 +118,80 @@ class MoltxCollector {
     }
   }
 
+  async collectReplyThreads() {
+    const posts = await getCommentSyncCandidates('moltx', {
+      minComments: this.replyThreshold,
+      limit: this.maxReplyThreads
+    });
+
+    let stored = 0;
+    for (const post of posts) {
+      try {
+        const replies = await this.fetchReplies(post.external_id);
+        stored += await this.storeReplies(post, replies);
+      } catch (error) {
+        if (error.code === 'ECIRCUITOPEN') throw error;
+        if (this.isGone(error)) {
+          logger.debug(`Post ${post.external_id} is gone, skipping its replies`);
+        } else {
+          logger.warn(`⚠️  Failed to sync replies for post ${post.external_id}: ${error.message}`);
+        }
+      }
+    }
+
+    return { threads: posts.length, replies: stored };
+  }
+
+  async fetchReplies(postId) {
+    const url = `${this.baseUrl}/posts/${postId}/replies`;
+    const replies = [];
+    let cursor = null;
+
+    for (let page = 0; page < this.maxReplyPages; page++) {
+      const response = await this.makeRequest('GET', url, {
+        params: { limit: 50, ...(cursor && { cursor }) }
+      });
+      replies.push(...(response.data.replies || []));
+      cursor = response.data.next_cursor;
+      if (!cursor) break;
+    }
+
+    return replies;
+  }
+
+  async storeReplies(post, replies) {
+    // Replies to the post itself carry its id as their parent
+    const thread = flattenCommentTree(replies, {
+      getParentId: reply => {
+        const parentId = reply.reply_to_id ?? reply.parent_id;
+        return parentId && String(parentId) !== String(post.external_id) ? parentId : null;
+      }
+    }).map(({ comment, parentId, depth }) => ({
+      externalId: comment.id,
+      parentExternalId: parentId,
+      depth,
+      author: {
+        externalId: comment.author?.id,
+        name: comment.author?.name || comment.author?.handle,
+        handle: comment.author?.handle,
+        avatarUrl: comment.author?.avatar_url,
+        metadata: { handle: comment.author?.handle || null }
+      },
+      content: comment.content,
+      upvotes: comment.likes,
+      downvotes: comment.dislikes,
+      createdAt: comment.created_at,
+      metadata: {
+        mentions: comment.mentions || [],
+        repost_count: comment.repost_count || 0
+      }
+    }));
+
+    return transaction(client => storeCommentThread(client, { platform: 'moltx', post, comments: thread }));
+  }
+
   async fetchTopAgents(limit = 50) {
-    const url = `${MOLTX_BASE_URL}/agents/top`;
+    const url = `${this.baseUrl}/agents/top`;
     const params = { 
       limit,
       sort: 'followers',
@@ -139,54 +221,34 @@ class MoltxCollector {
         const following = await this.fetchFollowing(agent.external_id, 50);
         await this.storeFollowingRelationships(agent.external_id, following);
       } catch (error) {
+        // No point hammering an open circuit for the remaining agents
+        if (error.code === 'ECIRCUITOPEN') throw error;
         logger.debug(`Failed to fetch following for ${agent.name}:`, error.message);
       }
     }
   }
 
   async fetchFollowing(agentId, limit = 50) {
-    const url = `${MOLTX_BASE_URL}/agents/${agentId}/following`;
+    const url = `${this.baseUrl}/agents/${agentId}/following`;
     const params = { limit };
 
     try {
       const response = await this.makeRequest('GET', url, { params });
       return response.data.agents || [];
     } catch (error) {
+      if (error.code === 'ECIRCUITOPEN') throw error;
       logger.debug(`Failed to fetch following for agent ${agentId}:`, error.message);
       return [];
     }
   }
 
-  async makeRequest(method, url, config = {}) {
-    this.requestCount++;
-    
-    const requestConfig = {
-      method,
-      url,
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'User-Agent': 'AgentIntelligenceHub/0.1.0',
-        ...config.headers
-      },
-      timeout: 30000,
-      ...config
-    };
-
-    const response = await axios(requestConfig);
-    
-    // Rate limiting
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    return response;
-  }
-
   async storePosts(posts) {
     if (!posts || posts.length === 0) return;
 
     await transaction(async (client) => {
       for (const post of posts) {
-        // Ensure agent exists
-        await this.upsertAgent(client, post.author, 'moltx');
+        // Ensure the author's account exists
+        const agentId = await this.upsertAgent(client, post.author);
 
         // Store post
         await client.query(`
@@ -195,10 +257,7 @@ class MoltxCollector {
             upvotes, downvotes, comment_count, repost_count,
             agent_id, metadata, created_at, updated_at
           )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
-            (SELECT id FROM agents WHERE external_id = $10 AND platform = 'moltx'),
-            $11, $12, NOW()
-          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
           ON CONFLICT (platform, external_id)
           DO UPDATE SET
             upvotes = EXCLUDED.upvotes,
@@ -216,7 +275,7 @@ class MoltxCollector {
           post.dislikes || 0,
           post.reply_count || 0,
           post.repost_count || 0,
-          post.author.id,
+          agentId,
           JSON.stringify({
             author_handle: post.author.handle,
             author_avatar: post.author.avatar_url,
@@ -266,7 +325,7 @@ class MoltxCollector {
     await transaction(async (client) => {
       for (const agent of agents) {
         // Upsert agent
-        await this.upsertAgent(client, agent, 'moltx');
+        const agentId = await this.upsertAgent(client, agent);
 
         // Store/update metrics
         await client.query(`
@@ -274,10 +333,7 @@ class MoltxCollector {
             agent_id, platform, followers, following, posts_count,
             avg_engagement_rate, influence_score, collected_at
           )
-          SELECT 
-            id, $1, $2, $3, $4, $5, $6, NOW()
-          FROM agents
-          WHERE external_id = $7 AND platform = 'moltx'
+          VALUES ($7, $1, $2, $3, $4, $5, $6, NOW())
           ON CONFLICT (agent_id, platform, collected_at)
           DO UPDATE SET
             followers = EXCLUDED.followers,
@@ -292,7 +348,7 @@ class MoltxCollector {
           agent.posts_count || 0,
           agent.avg_engagement_rate || 0,
           agent.influence_score || 0,
-          agent.id
+          agentId
         ]);
       }
     });
@@ -304,66 +360,47 @@ class MoltxCollector {
     if (!followingAgents || followingAgents.length === 0) return;
 
     await transaction(async (client) => {
+      const source = await client.query(`
+        SELECT id FROM agents WHERE platform = 'moltx' AND external_id = $1
+      `, [String(agentId)]);
+      const sourceId = source.rows[0]?.id;
+      if (!sourceId) return;
+
       // Delete old relationships for this agent
       await client.query(`
         DELETE FROM agent_relationships 
-        WHERE source_agent_id = (
-          SELECT id FROM agents WHERE external_id = $1 AND platform = 'moltx'
-        )
+        WHERE source_agent_id = $1
         AND relationship_type = 'following'
-      `, [agentId]);
+      `, [sourceId]);
 
       // Insert new relationships
       for (const targetAgent of followingAgents) {
-        await this.upsertAgent(client, targetAgent, 'moltx');
+        const targetId = await this.upsertAgent(client, targetAgent);
+        if (!targetId) continue;
 
         await client.query(`
           INSERT INTO agent_relationships (
             source_agent_id, target_agent_id, relationship_type, created_at
           )
-          SELECT 
-            (SELECT id FROM agents WHERE external_id = $1 AND platform = 'moltx'),
-            (SELECT id FROM agents WHERE external_id = $2 AND platform = 'moltx'),
-            'following',
-            NOW()
+          VALUES ($1, $2, 'following', NOW())
           ON CONFLICT DO NOTHING
-        `, [agentId, targetAgent.id]);
+        `, [sourceId, targetId]);
       }
     });
 
     logger.debug(`🔗 Stored ${followingAgents.length} following relationships`);
   }
 
-  async upsertAgent(client, agent, platform) {
-    const agentData = {
+  async upsertAgent(client, agent) {
+    return upsertAccount(client, {
+      platform: 'moltx',
+      externalId: agent.id,
       name: agent.name || agent.handle,
-      handle: agent.handle || null,
-      avatar_url: agent.avatar_url || agent.avatar || null,
-      bio: agent.bio || agent.description || null
-    };
-
-    await client.query(`
-      INSERT INTO agents (
-        name, platform, external_id, handle, avatar_url, bio, 
-        metadata, first_seen, last_seen
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      ON CONFLICT (external_id, platform)
-      DO UPDATE SET
-        handle = COALESCE(EXCLUDED.handle, agents.handle),
-        avatar_url = COALESCE(EXCLUDED.avatar_url, agents.avatar_url),
-        bio = COALESCE(EXCLUDED.bio, agents.bio),
-        last_seen = NOW(),
-        metadata = EXCLUDED.metadata
-    `, [
-      agentData.name,
-      platform,
-      agent.id,
-      agentData.handle,
-      agentData.avatar_url,
-      agentData.bio,
-      JSON.stringify(agentData)
-    ]);
+      handle: agent.handle,
+      avatarUrl: agent.avatar_url || agent.avatar,
+      bio: agent.bio || agent.description,
+      metadata: { handle: agent.handle || null }
+    });
   }
 
   async updateEngagementMetrics() {
@@ -403,14 +440,6 @@ class MoltxCollector {
 
     logger.debug('📈 Updated engagement metrics');
   }
-
-  getStats() {
-    return {
-      isRunning: this.isRunning,
-      requestCount: this.requestCount,
-      lastCollectionTime: this.lastCollectionTime
-    };
-  }
 }
 
 export default MoltxCollector;
@@ -0,0 +1,149 @@
+import { readFile } from 'fs/promises';
+import { dirname, isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+
+/**
+ * Collector Registry
+ * Discovers collectors from config so new platform sources can be added
+ * without editing collectors/index.js.
+ *
+ * Built-in collectors are listed below. Additional collectors (or overrides)
+ * can be supplied through a JSON file referenced by COLLECTORS_CONFIG:
+ *
+ *   [{ "name": "bluesky", "module": "./plugins/bluesky.js", "schedule": "*\/20 * * * *" }]
+ *
+ * Per-collector environment overrides:
+ *   COLLECTOR_<NAME>_ENABLED=false
+ *   COLLECTOR_<NAME>_SCHEDULE="*\/5 * * * *"
+ */
+
+const DEFAULT_COLLECTORS = [
+  { name: 'moltbook', module: './moltbook.js', schedule: '*/15 * * * *' },
+  { name: 'moltx', module: './moltx.js', schedule: '*/10 * * * *' },
+  { name: '4claw', module: './4claw.js', schedule: '*/12 * * * *' },
+  { name: 'clawdhub', module: './clawdhub.js', schedule: '*/30 * * * *' }
+];
+
+const registered = new Map();
+
+/**
+ * Register a collector class programmatically (e.g. from a plugin package)
+ */
+export function registerCollector(name, CollectorClass, defaults = {}) {
+  registered.set(name, { name, CollectorClass, ...defaults });
+}
+
+function envKey(name, setting) {
+  return `COLLECTOR_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${setting}`;
+}
+
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+async function readConfigFile(configPath) {
+  if (!configPath) return [];
+
+  try {
+    const content = await readFile(configPath, 'utf8');
+    const entries = JSON.parse(content);
+    if (!Array.isArray(entries)) {
+      throw new Error('collector config must be a JSON array');
+    }
+    return entries;
+  } catch (error) {
+    logger.error(`Failed to read collector config ${configPath}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the effective collector configuration:
+ * built-ins < registered collectors < config file < environment
+ */
+export async function loadCollectorConfig(env = process.env) {
+  const byName = new Map();
+
+  for (const entry of DEFAULT_COLLECTORS) {
+    byName.set(entry.name, { enabled: true, options: {}, ...entry });
+  }
+
+  for (const entry of registered.values()) {
+    byName.set(entry.name, { enabled: true, options: {}, ...byName.get(entry.name), ...entry });
+  }
+
+  for (const entry of await readConfigFile(env.COLLECTORS_CONFIG)) {
+    if (!entry.name) {
+      logger.warn('Skipping collector config entry without a name', entry);
+      continue;
+    }
+    // Modules in the config file are relative to the config file itself
+    if (entry.module?.startsWith('.')) {
+      entry.module = resolve(dirname(env.COLLECTORS_CONFIG), entry.module);
+    }
+    byName.set(entry.name, { enabled: true, options: {}, ...byName.get(entry.name), ...entry });
+  }
+
+  for (const entry of byName.values()) {
+    const enabled = parseBoolean(env[envKey(entry.name, 'ENABLED')]);
+    if (enabled !== undefined) entry.enabled = enabled;
+
+    const schedule = env[envKey(entry.name, 'SCHEDULE')];
+    if (schedule) entry.schedule = schedule;
+  }
+
+  return Array.from(byName.values());
+}
+
+async function resolveCollectorClass(entry) {
+  if (entry.CollectorClass) return entry.CollectorClass;
+
+  if (!entry.module) {
+    throw new Error(`Collector ${entry.name} has no module or class`);
+  }
+
+  // Built-in modules are relative to this directory; anything else is a path or package
+  let specifier = entry.module;
+  if (isAbsolute(specifier)) {
+    specifier = pathToFileURL(specifier).href;
+  } else if (specifier.startsWith('.')) {
+    specifier = new URL(specifier, import.meta.url).href;
+  }
+
+  const mod = await import(specifier);
+  const CollectorClass = entry.export ? mod[entry.export] : mod.default;
+  if (typeof CollectorClass !== 'function') {
+    throw new Error(`Collector module ${entry.module} has no ${entry.export || 'default'} export`);
+  }
+  return CollectorClass;
+}
+
+/**
+ * Instantiate all enabled collectors
+ */
+export async function createCollectors(env = process.env) {
+  const config = await loadCollectorConfig(env);
+  const instances = [];
+
+  for (const entry of config) {
+    if (!entry.enabled) {
+      logger.info(`⏸️  Collector ${entry.name} disabled by config`);
+      continue;
+    }
+
+    try {
+      const CollectorClass = await resolveCollectorClass(entry);
+      instances.push(new CollectorClass({
+        ...entry.options,
+        name: entry.name,
+        ...(entry.schedule && { schedule: entry.schedule })
+      }));
+    } catch (error) {
+      logger.error(`Failed to load collector ${entry.name}:`, error.message);
+    }
+  }
+
+  return instances;
+}
@@ -0,0 +1,35 @@
+/**
+ * Demo Source
+ * Synthetic skills for demos and UI development. Only enabled with
+ * CLAWDHUB_DEMO_MODE=true; ClawdHubCollector refuses to store synthetic
+ * records otherwise.
+ */
+
+class DemoSource {
+  constructor() {
+    this.name = 'demo';
+    this.synthetic = true;
+  }
+
+  async fetchSkills() {
+    const skillTypes = ['automation', 'security', 'analytics', 'productivity', 'monitoring'];
+    const authors = ['openclawdev', 'autonomous_agent', 'skill_master', 'clawdbot', 'agent_builder'];
+
+    return Array.from({ length: 50 }, (_, i) => ({
+      id: `demo_skill_${i + 1}`,
+      name: `${skillTypes[i % skillTypes.length]}_skill_${i + 1}`,
+      author: authors[i % authors.length],
+      version: `1.${Math.floor(i / 10)}.${i % 10}`,
+      downloads: Math.floor(Math.random() * 1000) + 10,
+      last_updated: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000),
+      description: `Advanced ${skillTypes[i % skillTypes.length]} capabilities for autonomous agents`,
+      tags: [skillTypes[i % skillTypes.length], 'ai', 'automation', 'demo'],
+      security_score: Math.random() * 100,
+      verified: Math.random() > 0.7,
+      source_url: `https://github.com/${authors[i % authors.length]}/${skillTypes[i % skillTypes.length]}_skill_${i + 1}`,
+      source: 'demo'
+    }));
+  }
+}
+
+export default DemoSource;
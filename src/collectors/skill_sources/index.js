@@ -0,0 +1,49 @@
+import ClawdHubRegistrySource from './registry.js';
+import LocalDirectorySource from './local.js';
+import DemoSource from './demo.js';
+
+/**
+ * Skill Sources
+ * Pluggable providers feeding ClawdHubCollector. A source is any object with:
+ *
+ *   name                      - short identifier used in logs and step names
+ *   synthetic                 - true if it produces made-up data (demo only)
+ *   async fetchSkills()       - returns normalized skill records
+ *
+ * Sources are chosen with CLAWDHUB_SOURCES (comma separated, default
+ * "registry,local"). The demo source is only ever enabled when
+ * CLAWDHUB_DEMO_MODE=true.
+ */
+
+const factories = new Map([
+  ['registry', (collector, env) => new ClawdHubRegistrySource(collector, env)],
+  ['local', (collector, env) => new LocalDirectorySource(env)],
+  ['demo', () => new DemoSource()]
+]);
+
+export function registerSkillSource(name, factory) {
+  factories.set(name, factory);
+}
+
+export function isDemoMode(env = process.env) {
+  return String(env.CLAWDHUB_DEMO_MODE).toLowerCase() === 'true';
+}
+
+export function createSkillSources(collector, env = process.env) {
+  const names = (env.CLAWDHUB_SOURCES || 'registry,local')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (isDemoMode(env) && !names.includes('demo')) {
+    names.push('demo');
+  }
+
+  return names.map(name => {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown ClawdHub skill source "${name}"`);
+    }
+    return factory(collector, env);
+  });
+}
@@ -0,0 +1,93 @@
+import { readdir, readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { delimiter, join } from 'path';
+import logger from '../../utils/logger.js';
+
+/**
+ * Local Directory Source
+ * Scans installed OpenClaw skill directories (one SKILL.md per skill).
+ * Directories come from CLAWDHUB_SKILLS_DIRS, separated by the platform
+ * path delimiter or commas; defaults to ~/.openclaw/skills.
+ */
+
+class LocalDirectorySource {
+  constructor(env = process.env) {
+    this.name = 'local';
+    this.synthetic = false;
+    this.directories = (env.CLAWDHUB_SKILLS_DIRS || join(homedir(), '.openclaw', 'skills'))
+      .split(new RegExp(`[${delimiter},]`))
+      .map(dir => dir.trim().replace(/^~(?=$|\/)/, homedir()))
+      .filter(Boolean);
+  }
+
+  async fetchSkills() {
+    const skills = [];
+
+    for (const directory of this.directories) {
+      skills.push(...await this.scanDirectory(directory));
+    }
+
+    logger.info(`📁 Found ${skills.length} local OpenClaw skills`);
+    return skills;
+  }
+
+  async scanDirectory(skillsPath) {
+    let entries;
+    try {
+      entries = await readdir(skillsPath, { withFileTypes: true });
+    } catch (error) {
+      logger.warn(`Skipping skills directory ${skillsPath}: ${error.message}`);
+      return [];
+    }
+
+    const skills = [];
+    for (const dir of entries) {
+      if (!dir.isDirectory()) continue;
+
+      const skillPath = join(skillsPath, dir.name, 'SKILL.md');
+      try {
+        const content = await readFile(skillPath, 'utf8');
+        skills.push({
+          ...this.parseSkillMetadata(dir.name, content),
+          id: `local_${dir.name}`,
+          name: dir.name,
+          author: 'openclaw',
+          source: 'local',
+          path: skillPath
+        });
+      } catch (error) {
+        // Skip skills without SKILL.md
+      }
+    }
+
+    return skills;
+  }
+
+  parseSkillMetadata(skillName, content) {
+    const metadata = {};
+
+    // Extract frontmatter if present
+    const frontmatterMatch = content.match(/^---\n(.*?)\n---/s);
+    if (frontmatterMatch) {
+      frontmatterMatch[1].split('\n').forEach(line => {
+        const [key, ...valueParts] = line.split(':');
+        if (key && valueParts.length) {
+          metadata[key.trim()] = valueParts.join(':').trim();
+        }
+      });
+    }
+
+    return {
+      description: metadata.description || `${skillName} skill`,
+      version: metadata.version || null,
+      downloads: 0,
+      last_updated: new Date(),
+      tags: ['local', 'openclaw'],
+      security_score: null,
+      verified: false,
+      content
+    };
+  }
+}
+
+export default LocalDirectorySource;
@@ -0,0 +1,78 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * ClawdHub Registry Source
+ * Pages through a ClawdHub-style skill index. Supports both cursor
+ * (next_cursor) and page-number pagination, stopping at CLAWDHUB_MAX_PAGES.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGES = 50;
+
+class ClawdHubRegistrySource {
+  constructor(collector, env = process.env) {
+    this.name = 'registry';
+    this.synthetic = false;
+    this.collector = collector;
+    this.baseUrl = collector.baseUrl;
+    this.pageSize = parseInt(env.CLAWDHUB_PAGE_SIZE) || DEFAULT_PAGE_SIZE;
+    this.maxPages = parseInt(env.CLAWDHUB_MAX_PAGES) || DEFAULT_MAX_PAGES;
+  }
+
+  async fetchSkills() {
+    const skills = [];
+    let page = 1;
+    let cursor = null;
+
+    for (let pages = 0; pages < this.maxPages; pages++) {
+      const params = cursor
+        ? { cursor, limit: this.pageSize }
+        : { page, limit: this.pageSize };
+
+      const response = await this.collector.makeRequest('GET', `${this.baseUrl}/skills`, { params });
+      const data = response.data || {};
+      const items = data.skills || data.items || data.data || [];
+
+      skills.push(...items.map(item => this.normalize(item)));
+
+      cursor = data.next_cursor || data.nextCursor || null;
+      const hasMore = cursor
+        || data.has_more === true
+        || (data.total_pages ? page < data.total_pages : items.length === this.pageSize);
+
+      if (!hasMore || items.length === 0) {
+        logger.info(`📚 Fetched ${skills.length} skills from ClawdHub registry (${pages + 1} pages)`);
+        return skills;
+      }
+      page++;
+    }
+
+    logger.warn(`⏭️  ClawdHub registry has more than ${this.maxPages} pages; stopping at ${skills.length} skills`);
+    return skills;
+  }
+
+  normalize(item) {
+    const author = typeof item.author === 'object' && item.author !== null
+      ? item.author.name || item.author.username
+      : item.author;
+
+    return {
+      id: String(item.id ?? item.slug ?? item.name),
+      name: item.name || item.slug,
+      author: author || 'unknown',
+      version: item.version || item.latest_version || null,
+      downloads: item.downloads ?? item.download_count ?? 0,
+      last_updated: new Date(item.updated_at || item.last_updated || item.published_at || Date.now()),
+      description: item.description || '',
+      tags: item.tags || [],
+      // Scores are ours to compute; never trust a registry-provided one
+      security_score: null,
+      verified: Boolean(item.verified),
+      source_url: item.source_url || item.repository || item.repository_url || null,
+      content: item.content || null,
+      source: 'clawdhub'
+    };
+  }
+}
+
+export default ClawdHubRegistrySource;
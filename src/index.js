@@ -12,9 +12,7 @@ import logger from './utils/logger.js';
 import { connectDatabase } from './utils/database.js';
 import { connectRedis } from './utils/redis.js';
 import { setupRoutes } from './api/routes.js';
-import { startCollectors } from './collectors/index.js';
-import { startAnalyzers } from './analyzers/index.js';
-import { initializeWebSocket } from './websocket.js';
+import { initializeWebSocket, subscribeToBroadcasts, closeBroadcastSubscriber } from './websocket.js';
 
 dotenv.config();
 
@@ -109,15 +107,14 @@ async function start() {
     await connectDatabase();
     await connectRedis();
     
-    // Start background processes
-    await startCollectors();
-    await startAnalyzers();
+    // Collectors and analyzers run in worker processes (npm run worker);
+    // the API only relays their real-time updates
+    await subscribeToBroadcasts();
     
     // Start HTTP server
     server.listen(PORT, HOST, () => {
       logger.info(`🚀 Server running on http://${HOST}:${PORT}`);
-      logger.info('📊 Intelligence collection active');
-      logger.info('🛡️  Security monitoring enabled');
+      logger.info('📊 Serving intelligence collected by workers');
     });
     
   } catch (error) {
@@ -129,6 +126,7 @@ async function start() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('🛑 Received SIGTERM, shutting down gracefully...');
+  await closeBroadcastSubscriber();
   server.close(() => {
     logger.info('✅ Server closed');
     process.exit(0);
@@ -137,6 +135,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('🛑 Received SIGINT, shutting down gracefully...');
+  await closeBroadcastSubscriber();
   server.close(() => {
     logger.info('✅ Server closed');
     process.exit(0);
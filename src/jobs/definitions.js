@@ -0,0 +1,72 @@
+import { createCollectors } from '../collectors/registry.js';
+import { createAnalyzers } from '../analyzers/index.js';
+import { validateDependencies } from './dependencies.js';
+
+/**
+ * Job Definitions
+ * Every collector and analyzer becomes a named job (collect:<name>,
+ * analyze:<name>) with a cron schedule and a lock TTL. The target is the
+ * collector or analyzer instance; its run() does one full pass and returns a
+ * summary, or null when the pass failed (the reason is in getStats().lastError).
+ * Targets may list the summary fields that count as processed items in
+ * `itemCountFields`; otherwise every numeric field is counted. The datasets a
+ * target reads and writes are its `inputs` and `outputs` (see pipeline.js),
+ * and any other jobs that must finish before it starts are in `dependsOn`.
+ */
+
+const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+function toDefinition(kind, target, key) {
+  return {
+    name: `${kind === 'collector' ? 'collect' : 'analyze'}:${key}`,
+    kind,
+    key,
+    className: target.constructor.name,
+    schedule: target.schedule,
+    dependsOn: target.dependsOn || [],
+    inputs: target.inputs || [],
+    outputs: target.outputs || [],
+    minIntervalMs: target.minIntervalMs || 0,
+    lockTtlMs: DEFAULT_LOCK_TTL_MS,
+    target
+  };
+}
+
+/**
+ * Instantiate every enabled collector and analyzer as a job definition
+ */
+export async function loadJobDefinitions(env = process.env) {
+  const definitions = [
+    ...(await createCollectors(env)).map(collector => toDefinition('collector', collector, collector.name)),
+    ...createAnalyzers(env).map(analyzer => toDefinition('analyzer', analyzer, analyzer.key))
+  ];
+
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  validateDependencies(byName);
+  return byName;
+}
+
+/**
+ * Run one pass of a job's target. Throws if the pass failed.
+ */
+export async function runDefinition(definition) {
+  const result = await definition.target.run();
+
+  if (result === null || result === undefined) {
+    throw new Error(getTargetStats(definition).lastError || `${definition.name} returned no result`);
+  }
+
+  return result;
+}
+
+/**
+ * Number of items a run processed, from its summary
+ */
+export function countItems(definition, result) {
+  const fields = definition.target.itemCountFields || Object.keys(result);
+  return fields.reduce((total, field) => total + (typeof result[field] === 'number' ? result[field] : 0), 0);
+}
+
+export function getTargetStats(definition) {
+  return definition.target.getStats ? definition.target.getStats() : {};
+}
@@ -0,0 +1,122 @@
+import logger from '../utils/logger.js';
+import {
+  clearDeferred,
+  deferJob,
+  enqueueJob,
+  getDeferredJobs,
+  isJobPending
+} from './queue.js';
+
+/**
+ * Job Dependencies
+ * A job depends on every job producing one of its `inputs` (see
+ * pipeline.js), plus any it lists in `dependsOn` (job names, or prefixes
+ * ending in `*` such as `collect:*`). When it comes due while any of its
+ * dependencies is still queued or running, it is deferred instead of
+ * queued, and released as soon as the last of them finishes. This keeps
+ * e.g. reputation scoring from reading half-resolved identities.
+ */
+
+export function matchesDependency(pattern, name) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+function producesInput(producer, consumer) {
+  return (producer.outputs || []).some(output => (consumer.inputs || []).includes(output));
+}
+
+/**
+ * Names of the defined jobs a definition depends on
+ */
+export function resolveDependencies(definition, definitions) {
+  const patterns = definition.dependsOn || [];
+  return Array.from(definitions.values())
+    .filter(other => other.name !== definition.name && (
+      patterns.some(pattern => matchesDependency(pattern, other.name)) || producesInput(other, definition)
+    ))
+    .map(other => other.name);
+}
+
+/**
+ * Fail fast on dependency cycles; unknown dependencies are only warned about
+ * since collectors can be disabled by config
+ */
+export function validateDependencies(definitions) {
+  for (const definition of definitions.values()) {
+    for (const pattern of definition.dependsOn || []) {
+      if (!Array.from(definitions.keys()).some(name => matchesDependency(pattern, name))) {
+        logger.warn(`⚠️  ${definition.name} depends on ${pattern}, which matches no defined job`);
+      }
+    }
+    for (const input of definition.inputs || []) {
+      if (!Array.from(definitions.values()).some(other => (other.outputs || []).includes(input))) {
+        logger.warn(`⚠️  ${definition.name} reads ${input}, which no defined job writes`);
+      }
+    }
+  }
+
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (name, path) => {
+    if (visited.has(name)) return;
+    if (visiting.has(name)) {
+      throw new Error(`Job dependency cycle: ${[...path, name].join(' → ')}`);
+    }
+    visiting.add(name);
+    for (const dependency of resolveDependencies(definitions.get(name), definitions)) {
+      visit(dependency, [...path, name]);
+    }
+    visiting.delete(name);
+    visited.add(name);
+  };
+
+  for (const name of definitions.keys()) visit(name, []);
+}
+
+async function pendingDependencies(definition, definitions) {
+  const pending = [];
+  for (const name of resolveDependencies(definition, definitions)) {
+    if (await isJobPending(name)) pending.push(name);
+  }
+  return pending;
+}
+
+/**
+ * Queue a job, or defer it while any of its dependencies is in flight
+ */
+export async function enqueueWhenReady(definition, definitions, options = {}) {
+  const waitingOn = await pendingDependencies(definition, definitions);
+  if (waitingOn.length > 0) {
+    await deferJob(definition.name, { ...options, waitingOn });
+    logger.info(`⏳ ${definition.name} deferred until ${waitingOn.join(', ')} finish`);
+    return { deferred: true, waitingOn };
+  }
+
+  return { deferred: false, ...await enqueueJob(definition.name, options) };
+}
+
+/**
+ * Queue deferred jobs whose dependencies have all finished. Called by
+ * workers when a job finishes and by the scheduler as a periodic sweep.
+ */
+export async function releaseDeferred(definitions) {
+  const released = [];
+
+  for (const [name, deferred] of Object.entries(await getDeferredJobs())) {
+    const definition = definitions.get(name);
+    if (!definition) continue;
+
+    if ((await pendingDependencies(definition, definitions)).length > 0) continue;
+
+    // Only one process gets to release a given deferral
+    if (!await clearDeferred(name)) continue;
+
+    await enqueueJob(name, { trigger: deferred.trigger || 'dependency', requestedBy: deferred.requestedBy || null });
+    released.push(name);
+  }
+
+  if (released.length > 0) {
+    logger.info(`▶️  Released deferred jobs: ${released.join(', ')}`);
+  }
+  return released;
+}
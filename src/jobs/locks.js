@@ -0,0 +1,109 @@
+import { randomUUID } from 'crypto';
+import { getRedis } from '../utils/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Distributed Locks
+ * Single-instance Redis locks (SET NX PX) so only one replica runs a given
+ * job at a time. Each lock carries a random token and is only released or
+ * extended by its holder; long jobs renew the lock while they run.
+ */
+
+const LOCK_PREFIX = 'locks:';
+
+const RELEASE_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+const EXTEND_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+/**
+ * Delete a key only if it still holds the given value
+ */
+export async function compareAndDelete(key, value) {
+  const deleted = await getRedis().eval(RELEASE_SCRIPT, { keys: [key], arguments: [value] });
+  return deleted === 1;
+}
+
+export class Lock {
+  constructor(name, token, ttlMs) {
+    this.name = name;
+    this.key = `${LOCK_PREFIX}${name}`;
+    this.token = token;
+    this.ttlMs = ttlMs;
+    this.renewTimer = null;
+  }
+
+  async extend(ttlMs = this.ttlMs) {
+    const extended = await getRedis().eval(EXTEND_SCRIPT, {
+      keys: [this.key],
+      arguments: [this.token, String(ttlMs)]
+    });
+    return extended === 1;
+  }
+
+  /**
+   * Keep extending the lock until it is released. Losing the lock (it
+   * expired and someone else took it) is logged; the holder keeps running.
+   */
+  startRenewal() {
+    this.renewTimer = setInterval(async () => {
+      try {
+        if (!await this.extend()) {
+          logger.warn(`🔓 Lost lock ${this.name} while holding it`);
+          this.stopRenewal();
+        }
+      } catch (error) {
+        logger.warn(`Failed to renew lock ${this.name}: ${error.message}`);
+      }
+    }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+    this.renewTimer.unref();
+  }
+
+  stopRenewal() {
+    if (this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+  }
+
+  async release() {
+    this.stopRenewal();
+    return compareAndDelete(this.key, this.token);
+  }
+}
+
+/**
+ * Try to take a lock; returns the Lock, or null if someone else holds it
+ */
+export async function acquireLock(name, ttlMs) {
+  const token = randomUUID();
+  const acquired = await getRedis().set(`${LOCK_PREFIX}${name}`, token, { NX: true, PX: ttlMs });
+  return acquired ? new Lock(name, token, ttlMs) : null;
+}
+
+/**
+ * Run fn while holding a lock, renewing it for as long as fn runs.
+ * Returns { acquired: false } without calling fn if the lock is taken.
+ */
+export async function withLock(name, ttlMs, fn) {
+  const lock = await acquireLock(name, ttlMs);
+  if (!lock) return { acquired: false };
+
+  lock.startRenewal();
+  try {
+    return { acquired: true, result: await fn(lock) };
+  } finally {
+    await lock.release().catch(error => {
+      logger.warn(`Failed to release lock ${name}: ${error.message}`);
+    });
+  }
+}
@@ -0,0 +1,196 @@
+import { getRedis } from '../utils/redis.js';
+import logger from '../utils/logger.js';
+import { broadcastUpdate } from '../websocket.js';
+import { enqueueWhenReady, resolveDependencies } from './dependencies.js';
+import { getDeferredJobs, getJobStates, getLastRun, isJobPending } from './queue.js';
+import { getPausedJobs } from './runs.js';
+
+/**
+ * Data Pipeline
+ * Jobs declare the datasets they read (`inputs`) and write (`outputs`).
+ * When a job completes having processed items it emits a "data ingested"
+ * event, which bumps the version of each of its outputs. A job with inputs
+ * is change-driven: it is queued once any input has a newer version than
+ * the one it last completed against, no sooner than `minIntervalMs` after
+ * its previous start, and its cron schedule only queues it when an input
+ * changed. Jobs without inputs (collectors, metric sampling) run on cron.
+ *
+ * Producers of a job's inputs are also its dependencies, so a change-driven
+ * job waits for any of them still in flight (see dependencies.js).
+ */
+
+const KEYS = {
+  versions: 'jobs:dataset-versions',
+  datasets: 'jobs:datasets'
+};
+
+export function isChangeDriven(definition) {
+  return (definition.inputs || []).length > 0;
+}
+
+/**
+ * Every dataset's version and the job that last changed it
+ */
+export async function getDatasets() {
+  const redis = getRedis();
+  const [versions, changes] = await Promise.all([
+    redis.hGetAll(KEYS.versions),
+    redis.hGetAll(KEYS.datasets)
+  ]);
+
+  return Object.fromEntries(Object.entries(versions).map(([name, version]) => [name, {
+    version: parseInt(version),
+    ...(changes[name] ? JSON.parse(changes[name]) : {})
+  }]));
+}
+
+/**
+ * Current version of each of a job's inputs, recorded with its run so the
+ * next change can be detected
+ */
+export async function getInputVersions(definition) {
+  const inputs = definition.inputs || [];
+  if (inputs.length === 0) return null;
+
+  const versions = await getRedis().hmGet(KEYS.versions, inputs);
+  return Object.fromEntries(inputs.map((input, i) => [input, parseInt(versions[i]) || 0]));
+}
+
+/**
+ * Inputs that changed since the job last completed. A job that never
+ * completed is stale on all of its inputs.
+ */
+export function getChangedInputs(definition, lastRun, datasets) {
+  const seen = lastRun?.inputVersions;
+  return (definition.inputs || []).filter(input =>
+    !seen || (datasets[input]?.version || 0) > (seen[input] || 0)
+  );
+}
+
+/**
+ * Bump the version of everything a finished job wrote and let clients know
+ */
+export async function emitDataIngested(definition, job, itemsProcessed) {
+  const outputs = definition.outputs || [];
+  if (outputs.length === 0 || !itemsProcessed) return [];
+
+  const redis = getRedis();
+  const changedAt = new Date().toISOString();
+  const change = JSON.stringify({ changedAt, changedBy: definition.name, jobId: job.id });
+
+  const multi = redis.multi();
+  for (const dataset of outputs) {
+    multi.hIncrBy(KEYS.versions, dataset, 1);
+  }
+  multi.hSet(KEYS.datasets, Object.fromEntries(outputs.map(dataset => [dataset, change])));
+  await multi.exec();
+
+  logger.debug(`📦 ${definition.name} updated ${outputs.join(', ')}`, { itemsProcessed });
+  broadcastUpdate('data-ingested', { job: definition.name, datasets: outputs, itemsProcessed, changedAt });
+  return outputs;
+}
+
+/**
+ * Queue every change-driven job whose inputs changed and whose minimum
+ * interval has passed. Called by workers when a job finishes and by the
+ * scheduler heartbeat, which picks up jobs held back by their interval.
+ */
+export async function enqueueChanged(definitions) {
+  const candidates = Array.from(definitions.values()).filter(isChangeDriven);
+  if (candidates.length === 0) return [];
+
+  const [datasets, paused, deferred] = await Promise.all([
+    getDatasets(),
+    getPausedJobs(),
+    getDeferredJobs()
+  ]);
+
+  const queued = [];
+  for (const definition of candidates) {
+    if (paused.has(definition.name) || deferred[definition.name]) continue;
+    if (await isJobPending(definition.name)) continue;
+
+    const lastRun = await getLastRun(definition.name);
+    const changedInputs = getChangedInputs(definition, lastRun, datasets);
+    if (changedInputs.length === 0) continue;
+
+    const lastStarted = lastRun?.startedAt ? new Date(lastRun.startedAt).getTime() : 0;
+    if (Date.now() - lastStarted < (definition.minIntervalMs || 0)) continue;
+
+    await enqueueWhenReady(definition, definitions, { trigger: 'data', payload: { changedInputs } });
+    queued.push(definition.name);
+  }
+
+  if (queued.length > 0) {
+    logger.info(`🔁 Inputs changed, queued: ${queued.join(', ')}`);
+  }
+  return queued;
+}
+
+/**
+ * Layer index of each job: one more than its deepest dependency
+ */
+function computeLayers(definitions) {
+  const layers = new Map();
+  const layerOf = (name) => {
+    if (!layers.has(name)) {
+      const dependencies = resolveDependencies(definitions.get(name), definitions);
+      layers.set(name, dependencies.length === 0 ? 0 : Math.max(...dependencies.map(layerOf)) + 1);
+    }
+    return layers.get(name);
+  };
+
+  for (const name of definitions.keys()) layerOf(name);
+  return layers;
+}
+
+/**
+ * The job DAG as published by the scheduler, with each stage's last run,
+ * whether it is in flight, and which of its inputs changed since
+ */
+export async function getPipelineGraph() {
+  const [states, datasets, paused] = await Promise.all([getJobStates(), getDatasets(), getPausedJobs()]);
+  const definitions = new Map(states.map(state => [state.name, state]));
+  const layers = computeLayers(definitions);
+
+  const nodes = await Promise.all(states.map(async state => ({
+    name: state.name,
+    kind: state.kind,
+    className: state.className,
+    schedule: state.schedule,
+    inputs: state.inputs,
+    outputs: state.outputs,
+    layer: layers.get(state.name),
+    changeDriven: isChangeDriven(state),
+    changedInputs: isChangeDriven(state) ? getChangedInputs(state, state.lastRun, datasets) : [],
+    pending: await isJobPending(state.name),
+    deferred: state.deferred,
+    paused: paused.has(state.name),
+    lastRun: state.lastRun && {
+      jobId: state.lastRun.jobId,
+      status: state.lastRun.status,
+      trigger: state.lastRun.trigger,
+      finishedAt: state.lastRun.finishedAt,
+      durationMs: state.lastRun.durationMs,
+      itemsProcessed: state.lastRun.itemsProcessed,
+      error: state.lastRun.error
+    }
+  })));
+
+  const edges = [];
+  for (const consumer of states) {
+    for (const producer of resolveDependencies(consumer, definitions)) {
+      edges.push({
+        from: producer,
+        to: consumer.name,
+        datasets: definitions.get(producer).outputs.filter(output => consumer.inputs.includes(output))
+      });
+    }
+  }
+
+  return {
+    nodes: nodes.sort((a, b) => a.layer - b.layer || a.name.localeCompare(b.name)),
+    edges,
+    datasets
+  };
+}
@@ -0,0 +1,367 @@
+import { randomUUID } from 'crypto';
+import { getRedis } from '../utils/redis.js';
+import { compareAndDelete } from './locks.js';
+import { recordJobRun } from './runs.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Job Queue
+ * Redis-backed queue shared by schedulers, workers and the API. The queue is
+ * a list of job ids; every job has a JSON status record that expires after
+ * JOB_HISTORY_TTL_SECONDS. A worker atomically moves the id it claims onto
+ * its own processing list, so jobs held by a worker that died can be put back.
+ *
+ * Scheduled jobs are deduplicated per name: while one is queued or running,
+ * further enqueues return the existing job instead of piling up. Every state
+ * change is mirrored to job_runs for durable history (see runs.js).
+ */
+
+const KEYS = {
+  queue: 'jobs:queue',
+  recent: 'jobs:recent',
+  workers: 'jobs:workers',
+  definitions: 'jobs:definitions',
+  lastRuns: 'jobs:last-run',
+  schedulerHeartbeat: 'jobs:scheduler',
+  deferred: 'jobs:deferred',
+  job: id => `jobs:job:${id}`,
+  pending: name => `jobs:pending:${name}`,
+  processing: workerId => `jobs:processing:${workerId}`,
+  heartbeat: workerId => `jobs:worker:${workerId}`
+};
+
+const HISTORY_TTL_SECONDS = parseInt(process.env.JOB_HISTORY_TTL_SECONDS || String(7 * 24 * 3600));
+const RECENT_LIMIT = 500;
+
+// A pending marker outlives any sane run; it only matters if a job record is lost
+const PENDING_TTL_MS = 12 * 60 * 60 * 1000;
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'skipped'];
+
+function parse(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+async function saveJob(job) {
+  await getRedis().set(KEYS.job(job.id), JSON.stringify(job), { EX: HISTORY_TTL_SECONDS });
+  return job;
+}
+
+export async function getJob(id) {
+  return parse(await getRedis().get(KEYS.job(id)));
+}
+
+async function updateJob(id, patch) {
+  const job = await getJob(id);
+  if (!job) return null;
+  return saveJob({ ...job, ...patch });
+}
+
+/**
+ * Queue a job by name. Returns { job, deduplicated }.
+ */
+export async function enqueueJob(name, { payload = {}, trigger = 'schedule', requestedBy = null, dedupe = true } = {}) {
+  const redis = getRedis();
+  const id = randomUUID();
+
+  if (dedupe) {
+    const claimed = await redis.set(KEYS.pending(name), id, { NX: true, PX: PENDING_TTL_MS });
+    if (!claimed) {
+      const existing = await getJob(await redis.get(KEYS.pending(name)) || '');
+      if (existing) return { job: existing, deduplicated: true };
+
+      // The marker points at an expired record; take it over
+      await redis.set(KEYS.pending(name), id, { PX: PENDING_TTL_MS });
+    }
+  }
+
+  const job = {
+    id,
+    name,
+    payload,
+    trigger,
+    requestedBy,
+    status: 'queued',
+    attempts: 0,
+    worker: null,
+    enqueuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    itemsProcessed: null,
+    result: null,
+    error: null
+  };
+
+  await redis.multi()
+    .set(KEYS.job(id), JSON.stringify(job), { EX: HISTORY_TTL_SECONDS })
+    .zAdd(KEYS.recent, { score: Date.now(), value: id })
+    .zRemRangeByRank(KEYS.recent, 0, -(RECENT_LIMIT + 1))
+    .lPush(KEYS.queue, id)
+    .exec();
+
+  await recordJobRun(job);
+
+  logger.debug(`📥 Queued job ${name} (${id})`, { trigger });
+  return { job, deduplicated: false };
+}
+
+/**
+ * Block until a job is available and claim it for this worker.
+ * `client` must be a dedicated connection, since BLMOVE blocks it.
+ */
+export async function claimJob(client, workerId, timeoutSeconds = 5) {
+  const id = await client.blMove(KEYS.queue, KEYS.processing(workerId), 'RIGHT', 'LEFT', timeoutSeconds);
+  if (!id) return null;
+
+  const job = await getJob(id);
+  if (!job) {
+    // Record expired while the id sat in the queue
+    await getRedis().lRem(KEYS.processing(workerId), 0, id);
+    return null;
+  }
+
+  const running = await updateJob(id, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    worker: workerId,
+    startedAt: new Date().toISOString()
+  });
+  await recordJobRun(running);
+  return running;
+}
+
+/**
+ * Record the outcome of a claimed job and release it from the worker
+ */
+export async function finishJob(workerId, job, { status, result = null, error = null, itemsProcessed = null, stats = null, inputVersions = null }) {
+  const finishedAt = new Date();
+  const outcome = {
+    status,
+    result,
+    error,
+    itemsProcessed,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: job.startedAt ? finishedAt - new Date(job.startedAt) : null
+  };
+  const finished = await updateJob(job.id, outcome) || { ...job, ...outcome };
+  await recordJobRun(finished);
+
+  const redis = getRedis();
+  await redis.lRem(KEYS.processing(workerId), 0, job.id);
+  await compareAndDelete(KEYS.pending(job.name), job.id);
+
+  // Skipped runs didn't do anything, so they don't replace the last real run
+  if (status !== 'skipped') {
+    await redis.hSet(KEYS.lastRuns, job.name, JSON.stringify({
+      jobId: job.id,
+      status,
+      trigger: job.trigger,
+      startedAt: finished.startedAt,
+      finishedAt: finished.finishedAt,
+      durationMs: finished.durationMs,
+      itemsProcessed,
+      error,
+      result,
+      stats,
+      inputVersions
+    }));
+  }
+
+  return finished;
+}
+
+/**
+ * Most recent jobs, newest first
+ */
+export async function listJobs({ name = null, status = null, limit = 50 } = {}) {
+  const redis = getRedis();
+  const ids = await redis.zRange(KEYS.recent, 0, RECENT_LIMIT - 1, { REV: true });
+  if (ids.length === 0) return [];
+
+  const jobs = (await redis.mGet(ids.map(KEYS.job)))
+    .map(parse)
+    .filter(Boolean)
+    .filter(job => (!name || job.name === name) && (!status || job.status === status));
+
+  return jobs.slice(0, limit);
+}
+
+export async function getQueueDepth() {
+  return getRedis().lLen(KEYS.queue);
+}
+
+/**
+ * Publish the job definitions a scheduler is running, so processes without
+ * the collector and analyzer instances (the API) can describe them
+ */
+export async function publishDefinitions(definitions, ttlMs) {
+  const redis = getRedis();
+  const entries = {};
+  for (const definition of definitions) {
+    entries[definition.name] = JSON.stringify({
+      name: definition.name,
+      kind: definition.kind,
+      key: definition.key,
+      className: definition.className,
+      schedule: definition.schedule,
+      dependsOn: definition.dependsOn || [],
+      inputs: definition.inputs || [],
+      outputs: definition.outputs || [],
+      minIntervalMs: definition.minIntervalMs || 0
+    });
+  }
+
+  await redis.multi()
+    .del(KEYS.definitions)
+    .hSet(KEYS.definitions, entries)
+    .set(KEYS.schedulerHeartbeat, new Date().toISOString(), { PX: ttlMs })
+    .exec();
+}
+
+export async function touchScheduler(ttlMs) {
+  await getRedis().set(KEYS.schedulerHeartbeat, new Date().toISOString(), { PX: ttlMs });
+}
+
+/**
+ * True while a job is queued or running
+ */
+export async function isJobPending(name) {
+  return (await getRedis().exists(KEYS.pending(name))) === 1;
+}
+
+/**
+ * Park a job until its dependencies finish. A job is deferred at most once;
+ * deferring it again keeps the original request.
+ */
+export async function deferJob(name, { trigger = 'schedule', requestedBy = null, waitingOn = [] } = {}) {
+  await getRedis().hSetNX(KEYS.deferred, name, JSON.stringify({
+    trigger,
+    requestedBy,
+    waitingOn,
+    deferredAt: new Date().toISOString()
+  }));
+}
+
+export async function getDeferredJobs() {
+  const deferred = await getRedis().hGetAll(KEYS.deferred);
+  return Object.fromEntries(Object.entries(deferred).map(([name, value]) => [name, parse(value)]));
+}
+
+/**
+ * Remove a deferral; false if another process already released it
+ */
+export async function clearDeferred(name) {
+  return (await getRedis().hDel(KEYS.deferred, name)) === 1;
+}
+
+export async function getLastRun(name) {
+  return parse(await getRedis().hGet(KEYS.lastRuns, name));
+}
+
+/**
+ * Every known job with its schedule and last run. `scheduled` is true while
+ * a scheduler process is alive.
+ */
+export async function getJobStates({ kind = null } = {}) {
+  const redis = getRedis();
+  const [definitions, lastRuns, deferred, schedulerAlive] = await Promise.all([
+    redis.hGetAll(KEYS.definitions),
+    redis.hGetAll(KEYS.lastRuns),
+    redis.hGetAll(KEYS.deferred),
+    redis.exists(KEYS.schedulerHeartbeat)
+  ]);
+
+  return Object.values(definitions)
+    .map(parse)
+    .filter(definition => !kind || definition.kind === kind)
+    .map(definition => ({
+      ...definition,
+      dependsOn: definition.dependsOn || [],
+      inputs: definition.inputs || [],
+      outputs: definition.outputs || [],
+      scheduled: schedulerAlive === 1,
+      deferred: parse(deferred[definition.name]),
+      lastRun: parse(lastRuns[definition.name])
+    }));
+}
+
+/**
+ * Shape a job state like a collector/analyzer getStats() entry: the stats the
+ * worker captured after the last run, with the schedule and run outcome
+ */
+export function toComponentStats(state) {
+  return {
+    name: state.className,
+    key: state.key,
+    stats: {
+      ...state.lastRun?.stats,
+      isRunning: state.scheduled,
+      schedule: state.schedule,
+      dependsOn: state.dependsOn,
+      inputs: state.inputs,
+      outputs: state.outputs,
+      lastRun: state.lastRun && {
+        status: state.lastRun.status,
+        trigger: state.lastRun.trigger,
+        finishedAt: state.lastRun.finishedAt,
+        durationMs: state.lastRun.durationMs,
+        itemsProcessed: state.lastRun.itemsProcessed,
+        error: state.lastRun.error
+      }
+    }
+  };
+}
+
+export async function registerWorker(workerId, ttlMs) {
+  await getRedis().multi()
+    .sAdd(KEYS.workers, workerId)
+    .set(KEYS.heartbeat(workerId), new Date().toISOString(), { PX: ttlMs })
+    .exec();
+}
+
+export async function unregisterWorker(workerId) {
+  await getRedis().multi()
+    .sRem(KEYS.workers, workerId)
+    .del(KEYS.heartbeat(workerId))
+    .exec();
+}
+
+export async function listWorkers() {
+  const redis = getRedis();
+  const workerIds = await redis.sMembers(KEYS.workers);
+  const workers = [];
+  for (const workerId of workerIds) {
+    const heartbeat = await redis.get(KEYS.heartbeat(workerId));
+    workers.push({ id: workerId, alive: Boolean(heartbeat), lastHeartbeat: heartbeat });
+  }
+  return workers;
+}
+
+/**
+ * Put jobs held by workers whose heartbeat expired back on the queue
+ */
+export async function recoverStalledJobs() {
+  const redis = getRedis();
+  let recovered = 0;
+
+  for (const worker of await listWorkers()) {
+    if (worker.alive) continue;
+
+    for (;;) {
+      // Back onto the consuming end so they run before newer jobs
+      const id = await redis.lMove(KEYS.processing(worker.id), KEYS.queue, 'RIGHT', 'RIGHT');
+      if (!id) break;
+      const requeued = await updateJob(id, { status: 'queued', worker: null, recoveredFrom: worker.id });
+      if (requeued) await recordJobRun(requeued);
+      recovered++;
+    }
+
+    await redis.sRem(KEYS.workers, worker.id);
+  }
+
+  if (recovered > 0) {
+    logger.warn(`♻️  Requeued ${recovered} jobs from dead workers`);
+  }
+  return recovered;
+}
@@ -0,0 +1,171 @@
+import { query } from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { keysetPage, toPage } from '../utils/pagination.js';
+
+/**
+ * Job Run History
+ * Durable record of every job run in job_runs, mirrored from the Redis job
+ * status records as jobs move through the queue, plus the pause state of
+ * each schedule in job_schedules. Redis records expire; these don't (beyond
+ * JOB_RUNS_RETENTION_DAYS).
+ */
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RUNS_RETENTION_DAYS || '90');
+
+function toRun(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    name: row.job_name,
+    trigger: row.trigger,
+    status: row.status,
+    requestedBy: row.requested_by,
+    worker: row.worker,
+    attempts: row.attempts,
+    itemsProcessed: row.items_processed,
+    result: row.result,
+    error: row.error,
+    queuedAt: row.queued_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms
+  };
+}
+
+/**
+ * Insert or update the run for a queue job record. History is best effort:
+ * a failed write is logged and never fails the job itself.
+ */
+export async function recordJobRun(job) {
+  try {
+    await query(`
+      INSERT INTO job_runs (
+        job_id, job_name, trigger, status, requested_by, worker, attempts,
+        items_processed, result, error, queued_at, started_at, finished_at, duration_ms
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (job_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        worker = EXCLUDED.worker,
+        attempts = EXCLUDED.attempts,
+        items_processed = EXCLUDED.items_processed,
+        result = EXCLUDED.result,
+        error = EXCLUDED.error,
+        started_at = EXCLUDED.started_at,
+        finished_at = EXCLUDED.finished_at,
+        duration_ms = EXCLUDED.duration_ms
+    `, [
+      job.id,
+      job.name,
+      job.trigger,
+      job.status,
+      job.requestedBy || null,
+      job.worker,
+      job.attempts,
+      job.itemsProcessed ?? null,
+      job.result ? JSON.stringify(job.result) : null,
+      job.error,
+      job.enqueuedAt,
+      job.startedAt,
+      job.finishedAt,
+      job.durationMs
+    ]);
+  } catch (error) {
+    logger.warn(`Failed to record run of ${job.name} (${job.id}): ${error.message}`);
+  }
+}
+
+/**
+ * Runs by queue time, newest first by default, a page at a time (cursor
+ * from a previous page's pagination.next/prev)
+ */
+export async function listJobRuns({ name = null, status = null, order = 'desc', limit = 50, cursor = null } = {}) {
+  const params = [name, status];
+  const page = keysetPage({ column: 'queued_at', order, cursor, limit, params });
+
+  const result = await query(`
+    SELECT *, ${page.sortKey} FROM job_runs
+    WHERE ($1::VARCHAR IS NULL OR job_name = $1)
+      AND ($2::VARCHAR IS NULL OR status = $2)
+      ${page.condition ? `AND ${page.condition}` : ''}
+    ORDER BY ${page.orderBy}
+    LIMIT ${page.limit}
+  `, params);
+
+  const { items, pagination } = toPage(result.rows, { sort: 'queued_at', order, cursor, limit });
+  return { runs: items.map(toRun), pagination };
+}
+
+export async function getJobRun(jobId) {
+  const result = await query('SELECT * FROM job_runs WHERE job_id = $1', [jobId]);
+  return result.rows[0] ? toRun(result.rows[0]) : null;
+}
+
+/**
+ * Per-job aggregates over the last `days` of history
+ */
+export async function getJobRunSummary({ days = 7 } = {}) {
+  const result = await query(`
+    SELECT
+      job_name,
+      COUNT(*) FILTER (WHERE status = 'completed') as completed,
+      COUNT(*) FILTER (WHERE status = 'failed') as failed,
+      COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+      ROUND(AVG(duration_ms) FILTER (WHERE status = 'completed')) as avg_duration_ms,
+      SUM(items_processed) as items_processed
+    FROM job_runs
+    WHERE queued_at > NOW() - make_interval(days => $1)
+    GROUP BY job_name
+  `, [days]);
+
+  return Object.fromEntries(result.rows.map(row => [row.job_name, {
+    completed: parseInt(row.completed),
+    failed: parseInt(row.failed),
+    skipped: parseInt(row.skipped),
+    avgDurationMs: row.avg_duration_ms === null ? null : parseInt(row.avg_duration_ms),
+    itemsProcessed: row.items_processed === null ? 0 : parseInt(row.items_processed)
+  }]));
+}
+
+export async function pruneJobRuns(retentionDays = RETENTION_DAYS) {
+  const result = await query(`
+    DELETE FROM job_runs
+    WHERE queued_at < NOW() - make_interval(days => $1)
+      AND status NOT IN ('queued', 'running')
+  `, [retentionDays]);
+  return result.rowCount;
+}
+
+export async function getPausedJobs() {
+  const result = await query(`
+    SELECT job_name, paused_by, paused_at, reason
+    FROM job_schedules
+    WHERE paused
+  `);
+
+  return new Map(result.rows.map(row => [row.job_name, {
+    pausedBy: row.paused_by,
+    pausedAt: row.paused_at,
+    reason: row.reason
+  }]));
+}
+
+export async function isJobPaused(name) {
+  const result = await query('SELECT paused FROM job_schedules WHERE job_name = $1', [name]);
+  return Boolean(result.rows[0]?.paused);
+}
+
+export async function setJobPaused(name, paused, { by = null, reason = null } = {}) {
+  await query(`
+    INSERT INTO job_schedules (job_name, paused, paused_by, paused_at, reason, updated_at)
+    VALUES ($1, $2, $3, CASE WHEN $2 THEN NOW() END, $4, NOW())
+    ON CONFLICT (job_name) DO UPDATE SET
+      paused = EXCLUDED.paused,
+      paused_by = EXCLUDED.paused_by,
+      paused_at = EXCLUDED.paused_at,
+      reason = EXCLUDED.reason,
+      updated_at = NOW()
+  `, [name, paused, paused ? by : null, paused ? reason : null]);
+
+  logger.info(`${paused ? '⏸️  Paused' : '▶️  Resumed'} schedule for ${name}`, { by, reason });
+}
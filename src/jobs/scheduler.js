@@ -0,0 +1,196 @@
+import { CronJob, CronTime } from 'cron';
+import logger from '../utils/logger.js';
+import { acquireLock } from './locks.js';
+import { enqueueWhenReady, releaseDeferred } from './dependencies.js';
+import { enqueueChanged, getChangedInputs, getDatasets, isChangeDriven } from './pipeline.js';
+import {
+  getLastRun,
+  publishDefinitions,
+  recoverStalledJobs,
+  touchScheduler
+} from './queue.js';
+import { isJobPaused, pruneJobRuns } from './runs.js';
+
+/**
+ * Job Scheduler
+ * Enqueues each job on its cron schedule; workers do the actual work. Any
+ * number of schedulers can run: a per-tick lock makes sure each scheduled
+ * occurrence is enqueued once, and queue deduplication keeps a slow job from
+ * piling up behind itself. Schedules paused from the admin API are skipped;
+ * paused jobs can still be triggered manually. A job whose dependencies
+ * are still queued or running is deferred until they finish, and a
+ * change-driven job is only queued when its inputs changed (pipeline.js).
+ */
+
+const HEARTBEAT_TTL_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Time between two consecutive occurrences of a cron schedule
+ */
+function scheduleInterval(schedule) {
+  const [next, after] = new CronTime(schedule, 'UTC').sendAt(2);
+  return after.toMillis() - next.toMillis();
+}
+
+class JobScheduler {
+  constructor(definitions) {
+    this.allDefinitions = definitions;
+    this.definitions = Array.from(definitions.values()).filter(definition => definition.schedule);
+    this.isRunning = false;
+    this.cronJobs = [];
+    this.heartbeatTimer = null;
+    this.enqueuedCount = 0;
+    this.deferredCount = 0;
+    this.lastTickTime = null;
+    this.lastPruneTime = 0;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Job scheduler already running');
+      return;
+    }
+
+    logger.info('⏰ Starting job scheduler...');
+
+    await publishDefinitions(this.definitions, HEARTBEAT_TTL_MS);
+    await recoverStalledJobs();
+
+    for (const definition of this.definitions) {
+      this.cronJobs.push(new CronJob(definition.schedule, async () => {
+        await this.tick(definition);
+      }, null, true, 'UTC'));
+    }
+
+    // Keep the definitions visible to the API, pick up after dead workers,
+    // release deferrals a worker missed and queue jobs whose inputs changed
+    // once their minimum interval has passed
+    this.heartbeatTimer = setInterval(async () => {
+      try {
+        await touchScheduler(HEARTBEAT_TTL_MS);
+        await recoverStalledJobs();
+        await releaseDeferred(this.allDefinitions);
+        await enqueueChanged(this.allDefinitions);
+        await this.pruneHistory();
+      } catch (error) {
+        logger.error('Job scheduler heartbeat failed:', error);
+      }
+    }, HEARTBEAT_TTL_MS / 3);
+
+    await this.enqueueOverdue();
+
+    this.isRunning = true;
+    logger.info(`✅ Job scheduler started (${this.definitions.length} jobs)`);
+  }
+
+  async stop() {
+    for (const cronJob of this.cronJobs) {
+      cronJob.stop();
+    }
+    this.cronJobs = [];
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    this.isRunning = false;
+    logger.info('🛑 Job scheduler stopped');
+  }
+
+  /**
+   * Enqueue one scheduled occurrence. The tick lock is never released, it
+   * just expires, so a second scheduler firing the same minute is a no-op.
+   */
+  async tick(definition) {
+    try {
+      const minute = new Date().toISOString().slice(0, 16);
+      const lock = await acquireLock(`tick:${definition.name}:${minute}`, 2 * 60 * 1000);
+      if (!lock) return;
+
+      if (await isJobPaused(definition.name)) {
+        logger.debug(`⏸️  ${definition.name} is paused, skipping this occurrence`);
+        return;
+      }
+
+      if (!await this.inputsChanged(definition)) {
+        logger.debug(`💤 ${definition.name} inputs unchanged, skipping this occurrence`);
+        return;
+      }
+
+      const { deferred, deduplicated } = await enqueueWhenReady(definition, this.allDefinitions);
+      this.lastTickTime = new Date();
+      if (deferred) {
+        this.deferredCount++;
+      } else if (deduplicated) {
+        logger.info(`⏭️  ${definition.name} is still queued or running, skipping this occurrence`);
+      } else {
+        this.enqueuedCount++;
+      }
+    } catch (error) {
+      logger.error(`Failed to enqueue ${definition.name}:`, error);
+    }
+  }
+
+  /**
+   * On boot, queue jobs that have never run or missed their last occurrence,
+   * instead of making them wait a full interval
+   */
+  async enqueueOverdue() {
+    for (const definition of this.definitions) {
+      try {
+        const lastRun = await getLastRun(definition.name);
+        const lastFinished = lastRun?.finishedAt ? new Date(lastRun.finishedAt).getTime() : 0;
+        if (Date.now() - lastFinished < scheduleInterval(definition.schedule)) continue;
+        if (await isJobPaused(definition.name)) continue;
+        if (!await this.inputsChanged(definition, lastRun)) continue;
+
+        const { deferred, deduplicated } = await enqueueWhenReady(definition, this.allDefinitions, { trigger: 'startup' });
+        if (deferred) {
+          this.deferredCount++;
+        } else if (!deduplicated) {
+          this.enqueuedCount++;
+        }
+      } catch (error) {
+        logger.error(`Failed to enqueue overdue ${definition.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Jobs without inputs always run on schedule
+   */
+  async inputsChanged(definition, lastRun) {
+    if (!isChangeDriven(definition)) return true;
+
+    const run = lastRun ?? await getLastRun(definition.name);
+    return getChangedInputs(definition, run, await getDatasets()).length > 0;
+  }
+
+  async pruneHistory() {
+    if (Date.now() - this.lastPruneTime < PRUNE_INTERVAL_MS) return;
+    this.lastPruneTime = Date.now();
+
+    const removed = await pruneJobRuns();
+    if (removed > 0) {
+      logger.info(`🧹 Pruned ${removed} old job runs`);
+    }
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      jobs: this.definitions.map(definition => ({
+        name: definition.name,
+        schedule: definition.schedule,
+        dependsOn: definition.dependsOn
+      })),
+      enqueuedCount: this.enqueuedCount,
+      deferredCount: this.deferredCount,
+      lastTickTime: this.lastTickTime
+    };
+  }
+}
+
+export default JobScheduler;
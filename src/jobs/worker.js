@@ -0,0 +1,163 @@
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import logger from '../utils/logger.js';
+import { getRedis } from '../utils/redis.js';
+import { withLock } from './locks.js';
+import { claimJob, finishJob, registerWorker, unregisterWorker } from './queue.js';
+import { runDefinition, countItems, getTargetStats } from './definitions.js';
+import { releaseDeferred } from './dependencies.js';
+import { emitDataIngested, enqueueChanged, getInputVersions } from './pipeline.js';
+
+/**
+ * Job Worker
+ * Pulls jobs off the queue and runs them under a per-job lock, so even if a
+ * job is queued twice only one replica runs it at a time. Each concurrency
+ * slot has its own Redis connection because claiming blocks the connection.
+ */
+
+const HEARTBEAT_TTL_MS = 30 * 1000;
+const CLAIM_TIMEOUT_SECONDS = 5;
+
+class JobWorker {
+  constructor(definitions, options = {}) {
+    this.definitions = definitions;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY || '1');
+    this.workerId = options.workerId || `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+
+    this.isRunning = false;
+    this.clients = [];
+    this.loops = [];
+    this.heartbeatTimer = null;
+    this.activeJobs = new Map();
+    this.counts = { completed: 0, failed: 0, skipped: 0 };
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Job worker already running');
+      return;
+    }
+
+    logger.info(`👷 Starting job worker ${this.workerId}...`);
+
+    await registerWorker(this.workerId, HEARTBEAT_TTL_MS);
+    this.heartbeatTimer = setInterval(() => {
+      registerWorker(this.workerId, HEARTBEAT_TTL_MS).catch(error => {
+        logger.error('Job worker heartbeat failed:', error);
+      });
+    }, HEARTBEAT_TTL_MS / 3);
+
+    this.isRunning = true;
+    for (let slot = 0; slot < this.concurrency; slot++) {
+      const client = getRedis().duplicate();
+      client.on('error', (err) => logger.error('Job worker Redis error:', err));
+      await client.connect();
+      this.clients.push(client);
+      this.loops.push(this.loop(client));
+    }
+
+    logger.info(`✅ Job worker started (${this.concurrency} slots, ${this.definitions.size} jobs)`);
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the ones in flight
+   */
+  async stop() {
+    this.isRunning = false;
+    await Promise.all(this.loops);
+    this.loops = [];
+
+    for (const client of this.clients) {
+      await client.quit().catch(() => {});
+    }
+    this.clients = [];
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    await unregisterWorker(this.workerId).catch(() => {});
+
+    logger.info('🛑 Job worker stopped');
+  }
+
+  async loop(client) {
+    while (this.isRunning) {
+      try {
+        const job = await claimJob(client, this.workerId, CLAIM_TIMEOUT_SECONDS);
+        if (job) await this.process(job);
+      } catch (error) {
+        if (!this.isRunning) break;
+        logger.error('Job worker loop error:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async process(job) {
+    const definition = this.definitions.get(job.name);
+    if (!definition) {
+      logger.warn(`Job ${job.name} is not defined on this worker`);
+      await finishJob(this.workerId, job, { status: 'failed', error: `Unknown job ${job.name}` });
+      this.counts.failed++;
+      return;
+    }
+
+    this.activeJobs.set(job.id, { name: job.name, startedAt: new Date() });
+    try {
+      const { acquired, result } = await withLock(`job:${job.name}`, definition.lockTtlMs, async () => {
+        // Taken before the run, so data that lands meanwhile counts as a change
+        const inputVersions = await getInputVersions(definition);
+        try {
+          const summary = await runDefinition(definition);
+          return { status: 'completed', result: summary, itemsProcessed: countItems(definition, summary), inputVersions };
+        } catch (error) {
+          return { status: 'failed', error: error.message };
+        }
+      });
+
+      if (!acquired) {
+        logger.info(`⏭️  ${job.name} is already running on another worker`);
+        await finishJob(this.workerId, job, { status: 'skipped', error: 'Already running on another worker' });
+        this.counts.skipped++;
+        return;
+      }
+
+      await finishJob(this.workerId, job, { ...result, stats: getTargetStats(definition) });
+      this.counts[result.status]++;
+
+      if (result.status === 'completed') {
+        await emitDataIngested(definition, job, result.itemsProcessed);
+      }
+    } finally {
+      this.activeJobs.delete(job.id);
+      await this.advancePipeline();
+    }
+  }
+
+  /**
+   * Queue jobs that were waiting on the one that just finished, and those
+   * whose inputs it changed. Failed runs release waiting jobs too: they then
+   * work from the previous data.
+   */
+  async advancePipeline() {
+    try {
+      await releaseDeferred(this.definitions);
+      await enqueueChanged(this.definitions);
+    } catch (error) {
+      logger.error('Failed to advance job pipeline:', error);
+    }
+  }
+
+  getStats() {
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      concurrency: this.concurrency,
+      activeJobs: Array.from(this.activeJobs.values()),
+      ...this.counts
+    };
+  }
+}
+
+export default JobWorker;
@@ -0,0 +1,263 @@
+import { readFile, realpath, stat } from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { findJavaScriptSinks } from './javascript.js';
+import { findShellSinks } from './shell.js';
+import { findPythonSinks } from './python.js';
+
+/**
+ * Skill Documents
+ * A skill is its SKILL.md plus the scripts it ships. The document splits
+ * SKILL.md into prose and fenced code blocks, loads the script files the
+ * prose refers to (`scripts/setup.sh`, `./bin/run.py`), and runs the code
+ * analyzers over every piece of code. Line numbers are always those of
+ * the file the code is in, so a finding points at the fence line a
+ * reviewer would see.
+ */
+
+export const MAIN_FILE = 'SKILL.md';
+export const CODE_LANGUAGES = ['javascript', 'typescript', 'shell', 'python'];
+export const SCOPES = ['text', 'code', 'skill', 'all'];
+
+const MAX_FILES = 10;
+const MAX_FILE_BYTES = 256 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+
+const LANGUAGE_ALIASES = new Map([
+  ...['js', 'javascript', 'node', 'nodejs', 'mjs', 'cjs', 'jsx'].map(alias => [alias, 'javascript']),
+  ...['ts', 'tsx', 'typescript', 'mts', 'cts'].map(alias => [alias, 'typescript']),
+  ...['sh', 'bash', 'shell', 'zsh', 'ksh'].map(alias => [alias, 'shell']),
+  ...['console', 'shell-session', 'shellsession', 'terminal'].map(alias => [alias, 'console']),
+  ...['py', 'python', 'python3', 'py3'].map(alias => [alias, 'python'])
+]);
+
+const EXTENSION_LANGUAGES = new Map([
+  ['.js', 'javascript'], ['.mjs', 'javascript'], ['.cjs', 'javascript'],
+  ['.ts', 'typescript'], ['.mts', 'typescript'],
+  ['.sh', 'shell'], ['.bash', 'shell'], ['.zsh', 'shell'],
+  ['.py', 'python']
+]);
+
+const FINDERS = {
+  javascript: code => findJavaScriptSinks(code, 'javascript'),
+  typescript: code => findJavaScriptSinks(code, 'typescript'),
+  shell: code => findShellSinks(code, 'shell'),
+  python: code => findPythonSinks(code, 'python')
+};
+
+const SCRIPT_REFERENCE = /(?<![\w/.:-])((?:\.\/)?(?:[\w.-]+\/)*[\w.-]+\.(?:sh|bash|zsh|py|js|mjs|cjs|ts))(?![\w/-])/g;
+
+function fenceLanguage(info, lines) {
+  const tag = info.trim().split(/[\s{,]/)[0].toLowerCase();
+  if (LANGUAGE_ALIASES.has(tag)) return LANGUAGE_ALIASES.get(tag);
+  if (tag) return 'text';
+  return shebangLanguage(lines[0]) || (lines.some(line => /^\s*\$ /.test(line)) ? 'console' : 'text');
+}
+
+function shebangLanguage(firstLine = '') {
+  const shebang = firstLine.match(/^#!\s*(?:\S*\/)?(?:env\s+(?:-\S+\s+)*)?([\w.-]+)/);
+  if (!shebang) return null;
+  if (/^(?:ba|z|k|da)?sh$/.test(shebang[1])) return 'shell';
+  if (shebang[1].startsWith('python')) return 'python';
+  if (['node', 'deno', 'bun'].includes(shebang[1])) return 'javascript';
+  return null;
+}
+
+/**
+ * Terminal transcripts: commands keep their line, output is blanked
+ */
+function consoleCommands(lines) {
+  return lines.map(line => {
+    const prompt = line.match(/^\s*[$%] (.*)$/);
+    return prompt ? prompt[1] : '';
+  });
+}
+
+/**
+ * SKILL.md as a prose segment (fences blanked, so line numbers still
+ * match the file) and one segment per fenced block
+ */
+export function splitMarkdown(content, file = MAIN_FILE) {
+  const lines = content.split(/\r?\n/);
+  const text = [...lines];
+  const segments = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    if (!fence) {
+      const opening = line.match(/^\s{0,3}(`{3,}|~{3,})(.*)$/);
+      if (opening && !(opening[1][0] === '`' && opening[2].includes('`'))) {
+        fence = { marker: opening[1], info: opening[2], start: index };
+        text[index] = '';
+      }
+      return;
+    }
+
+    text[index] = '';
+    const closing = line.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+    if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+      const body = lines.slice(fence.start + 1, index);
+      segments.push(codeSegment(file, fenceLanguage(fence.info, body), body, fence.start + 1));
+      fence = null;
+    }
+  });
+
+  // An unclosed fence runs to the end of the file
+  if (fence) {
+    const body = lines.slice(fence.start + 1);
+    segments.push(codeSegment(file, fenceLanguage(fence.info, body), body, fence.start + 1));
+  }
+
+  return [{ file, kind: 'text', language: 'markdown', offset: 0, lines: text }, ...segments];
+}
+
+function codeSegment(file, language, lines, offset) {
+  // ```bash blocks are often transcripts too
+  const transcript = language === 'console'
+    || (language === 'shell' && lines.some(line => /^\s*\$ /.test(line)));
+  return {
+    file,
+    kind: 'code',
+    language: language === 'console' ? 'shell' : language,
+    offset,
+    lines: transcript ? consoleCommands(lines) : lines
+  };
+}
+
+/**
+ * Relative paths of the scripts SKILL.md refers to, in order of mention.
+ * Absolute paths, URLs and anything climbing out with .. are ignored.
+ */
+export function referencedScripts(content) {
+  const found = new Set();
+  for (const match of content.matchAll(SCRIPT_REFERENCE)) {
+    const reference = path.posix.normalize(match[1]);
+    if (reference.startsWith('..') || reference.split('/').includes('..')) continue;
+    found.add(reference);
+    if (found.size >= MAX_FILES) break;
+  }
+  return [...found];
+}
+
+export function languageOfFile(file, content = '') {
+  return EXTENSION_LANGUAGES.get(path.extname(file).toLowerCase())
+    || shebangLanguage(content.split(/\r?\n/, 1)[0]);
+}
+
+export class SkillDocument {
+  constructor(segments) {
+    this.segments = segments;
+    this.files = [...new Set(segments.map(segment => segment.file))];
+    this.sinkFacts = null;
+  }
+
+  static fromMarkdown(content, file = MAIN_FILE) {
+    return new SkillDocument(splitMarkdown(content, file));
+  }
+
+  /**
+   * Segments in a scope: 'text' (SKILL.md prose), 'code' (code blocks and
+   * scripts), 'skill' (all of SKILL.md) or 'all'
+   */
+  select(scope = 'all') {
+    if (scope === 'all') return this.segments;
+    if (scope === 'skill') return this.segments.filter(segment => segment.file === this.files[0]);
+    return this.segments.filter(segment => segment.kind === scope);
+  }
+
+  /**
+   * Sink calls in every code segment in a language the analyzers know,
+   * with lines relative to their file. Analyzed once per document.
+   */
+  sinks() {
+    if (!this.sinkFacts) {
+      this.sinkFacts = this.segments
+        .filter(segment => segment.kind === 'code' && FINDERS[segment.language])
+        .flatMap(segment => {
+          try {
+            return FINDERS[segment.language](segment.lines.join('\n')).map(fact => ({
+              ...fact,
+              file: segment.file,
+              line: fact.line + segment.offset,
+              flow: fact.flow.map(step => ({ ...step, line: step.line + segment.offset }))
+            }));
+          } catch (error) {
+            logger.debug(`Could not analyze ${segment.language} code in ${segment.file}: ${error.message}`);
+            return [];
+          }
+        });
+    }
+    return this.sinkFacts;
+  }
+}
+
+/**
+ * SKILL.md and the scripts it refers to. loadFile(relativePath) returns
+ * the file's text or null; scripts that can't be loaded are skipped.
+ */
+export async function loadSkillDocument(content, { loadFile = null } = {}) {
+  const segments = splitMarkdown(content);
+
+  if (loadFile) {
+    for (const file of referencedScripts(content)) {
+      const language = EXTENSION_LANGUAGES.get(path.extname(file).toLowerCase());
+      if (!language) continue;
+
+      let text = null;
+      try {
+        text = await loadFile(file);
+      } catch (error) {
+        logger.debug(`Could not load skill script ${file}: ${error.message}`);
+      }
+      if (typeof text !== 'string') continue;
+
+      segments.push({
+        file,
+        kind: 'code',
+        language: languageOfFile(file, text) || language,
+        offset: 0,
+        lines: text.slice(0, MAX_FILE_BYTES).split(/\r?\n/)
+      });
+    }
+  }
+
+  return new SkillDocument(segments);
+}
+
+async function readLocalScript(directory, file) {
+  const root = await realpath(directory);
+  const full = await realpath(path.resolve(root, file));
+  // Symlinks must not lead outside the skill
+  if (!full.startsWith(`${root}${path.sep}`)) return null;
+  if ((await stat(full)).size > MAX_FILE_BYTES) return null;
+  return readFile(full, 'utf8');
+}
+
+async function fetchRemoteScript(baseUrl, file) {
+  const url = new URL(file, baseUrl);
+  if (url.origin !== new URL(baseUrl).origin) return null;
+
+  const response = await axios.get(url.href, {
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_FILE_BYTES,
+    responseType: 'text',
+    headers: { 'User-Agent': 'AgentIntelligenceHub-SecurityScanner/0.1.0' }
+  });
+  return typeof response.data === 'string' ? response.data : null;
+}
+
+/**
+ * A loadFile for loadSkillDocument: relative to a local SKILL.md (path)
+ * or to the URL it was fetched from. Null if the skill has neither.
+ */
+export function skillFileLoader({ path: skillPath, url } = {}) {
+  if (skillPath) {
+    const directory = path.dirname(skillPath);
+    return file => readLocalScript(directory, file);
+  }
+  if (url) {
+    return file => fetchRemoteScript(url, file);
+  }
+  return null;
+}
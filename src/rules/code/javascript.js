@@ -0,0 +1,425 @@
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import {
+  noTaint, sourceTaint, mergeTaint, extendTaint, sinkFact, homePath, isCredentialPath
+} from './taint.js';
+
+/**
+ * JavaScript / TypeScript Analysis
+ * Parses a code block into an AST, resolves what each call refers to
+ * through imports, require() and local aliases (so `const { exec } =
+ * require('child_process')` is still child_process.exec), and follows the
+ * data passed to a sink back through variable bindings to its sources.
+ * Skill snippets are often fragments, so the parser recovers from errors
+ * where it can.
+ */
+
+const traverse = traverseModule.default ?? traverseModule;
+
+const MAX_DEPTH = 12;
+const SEND_METHODS = ['post', 'put', 'patch'];
+
+// canonical callee → sink; `payload` lists the arguments whose data is
+// traced, `target` the argument naming the file or URL
+const SINK_CALLS = new Map([
+  ...['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync', 'fork']
+    .map(name => [`child_process.${name}`, { sink: 'process.exec', payload: [0, 1] }]),
+  ['shelljs.exec', { sink: 'process.exec', payload: [0] }],
+  ['execa', { sink: 'process.exec', payload: [0, 1] }],
+  ['execa.execa', { sink: 'process.exec', payload: [0, 1] }],
+  ['execa.execaCommand', { sink: 'process.exec', payload: [0] }],
+  ['eval', { sink: 'code.eval', payload: [0] }],
+  ['Function', { sink: 'code.eval', payload: 'all' }],
+  ['vm.runInNewContext', { sink: 'code.eval', payload: [0] }],
+  ['vm.runInThisContext', { sink: 'code.eval', payload: [0] }],
+  ['vm.runInContext', { sink: 'code.eval', payload: [0] }],
+  ['vm.compileFunction', { sink: 'code.eval', payload: [0] }],
+  ['vm.Script', { sink: 'code.eval', payload: [0] }],
+  ['setTimeout', { sink: 'code.eval', payload: [0], stringOnly: true }],
+  ['setInterval', { sink: 'code.eval', payload: [0], stringOnly: true }],
+  ...['writeFile', 'writeFileSync', 'appendFile', 'appendFileSync', 'createWriteStream',
+    'promises.writeFile', 'promises.appendFile']
+    .map(name => [`fs.${name}`, { sink: 'fs.write', target: 0, payload: [1] }]),
+  ...['copyFile', 'copyFileSync', 'cp', 'cpSync', 'rename', 'renameSync', 'promises.copyFile', 'promises.rename']
+    .map(name => [`fs.${name}`, { sink: 'fs.write', target: 1, payload: [0], payloadIsPath: true }]),
+  ...['axios', 'got', 'superagent', 'ky']
+    .flatMap(lib => SEND_METHODS.map(method => [`${lib}.${method}`, { sink: 'network.send', target: 0, payload: [1] }])),
+  ['navigator.sendBeacon', { sink: 'network.send', target: 0, payload: [1] }],
+  ['fetch', { sink: 'network.send', target: 0, options: 1 }],
+  ['node-fetch', { sink: 'network.send', target: 0, options: 1 }],
+  ['undici.fetch', { sink: 'network.send', target: 0, options: 1 }],
+  ['undici.request', { sink: 'network.send', target: 0, options: 1 }],
+  ['axios', { sink: 'network.send', config: 0 }],
+  ['axios.request', { sink: 'network.send', config: 0 }],
+  ['http.request', { sink: 'network.send', options: 0, optionsOnly: true }],
+  ['https.request', { sink: 'network.send', options: 0, optionsOnly: true }]
+]);
+
+const NETWORK_READS = new Set([
+  'fetch', 'node-fetch', 'undici.fetch', 'undici.request', 'axios', 'axios.get', 'axios.request',
+  'got', 'got.get', 'http.get', 'https.get', 'superagent.get', 'ky.get'
+]);
+
+const FILE_READS = new Set([
+  'fs.readFileSync', 'fs.readFile', 'fs.promises.readFile', 'fs.createReadStream'
+]);
+
+function moduleName(source) {
+  return source.replace(/^node:/, '').replace(/\/promises$/, '');
+}
+
+function isRequire(path) {
+  return path.isCallExpression()
+    && path.get('callee').isIdentifier({ name: 'require' })
+    && !path.scope.getBinding('require')
+    && path.node.arguments[0]?.type === 'StringLiteral';
+}
+
+function propertyName(path) {
+  const { node } = path;
+  if (!node.computed) return node.property.name ?? null;
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+function patternKey(declarator, name) {
+  for (const property of declarator.node.id.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+    if (value.type === 'Identifier' && value.name === name) {
+      return property.key.name ?? property.key.value ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * What an expression refers to, as a dotted name rooted at a module or
+ * global (child_process.exec, fs.promises.writeFile, process.env.HOME),
+ * or null if it can't be told statically
+ */
+function canonicalName(path, seen = new Set()) {
+  if (!path?.node) return null;
+
+  if (path.isIdentifier()) {
+    const binding = path.scope.getBinding(path.node.name);
+    if (!binding) return path.node.name;
+    if (seen.has(binding)) return null;
+    seen.add(binding);
+
+    const declaration = binding.path;
+    if (declaration.isImportSpecifier()) {
+      const imported = declaration.node.imported;
+      return `${moduleName(declaration.parent.source.value)}.${imported.name ?? imported.value}`;
+    }
+    if (declaration.isImportDefaultSpecifier() || declaration.isImportNamespaceSpecifier()) {
+      return moduleName(declaration.parent.source.value);
+    }
+    if (declaration.isVariableDeclarator() && binding.constant && declaration.node.init) {
+      const init = declaration.get('init');
+      if (declaration.get('id').isIdentifier()) return canonicalName(init, seen);
+      if (declaration.get('id').isObjectPattern()) {
+        const base = canonicalName(init, seen);
+        const key = patternKey(declaration, path.node.name);
+        return base && key ? `${base}.${key}` : null;
+      }
+    }
+    return null;
+  }
+
+  if (path.isMemberExpression() || path.isOptionalMemberExpression()) {
+    const base = canonicalName(path.get('object'), seen);
+    const property = propertyName(path);
+    return base && property ? `${base}.${property}` : null;
+  }
+
+  if (isRequire(path)) {
+    return moduleName(path.node.arguments[0].value);
+  }
+
+  if (path.isAwaitExpression() || path.isTSAsExpression() || path.isTSNonNullExpression()) {
+    return canonicalName(path.get(path.isAwaitExpression() ? 'argument' : 'expression'), seen);
+  }
+
+  return null;
+}
+
+function lineOf(path) {
+  return path.node?.loc?.start.line ?? null;
+}
+
+function sourceText(path, code) {
+  const { start, end } = path.node;
+  const text = code.slice(start, end).replace(/\s+/g, ' ');
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+/**
+ * The string an expression evaluates to, as far as it can be worked out
+ * without running it; unknown parts are written *. The home directory is ~.
+ */
+function resolveString(path, depth = 0) {
+  if (!path?.node || depth > MAX_DEPTH) return null;
+  const { node } = path;
+
+  if (path.isStringLiteral()) return node.value;
+  if (path.isTemplateLiteral()) {
+    return node.quasis.map((quasi, index) => {
+      const expression = path.get('expressions')[index];
+      return quasi.value.cooked + (expression ? (resolveString(expression, depth + 1) ?? '*') : '');
+    }).join('');
+  }
+  if (path.isBinaryExpression({ operator: '+' })) {
+    const left = resolveString(path.get('left'), depth + 1);
+    const right = resolveString(path.get('right'), depth + 1);
+    return left === null && right === null ? null : `${left ?? '*'}${right ?? '*'}`;
+  }
+
+  const name = canonicalName(path);
+  if (name === 'process.env.HOME' || name === 'process.env.USERPROFILE' || name === 'os.homedir') return '~';
+  if (name === '__dirname') return '.';
+
+  if (path.isCallExpression()) {
+    const callee = canonicalName(path.get('callee'));
+    if (callee === 'os.homedir') return '~';
+    if (/^path(?:\.posix|\.win32)?\.(?:join|resolve)$/.test(callee || '')) {
+      const parts = path.get('arguments').map(arg => resolveString(arg, depth + 1) ?? '*');
+      return parts.join('/').replace(/\/{2,}/g, '/');
+    }
+    return null;
+  }
+
+  if (path.isIdentifier()) {
+    const binding = path.scope.getBinding(node.name);
+    if (binding?.constant && binding.path.isVariableDeclarator() && binding.path.get('id').isIdentifier()) {
+      return resolveString(binding.path.get('init'), depth + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * The value of property `key` of an object literal (directly or through a
+ * constant variable), as a path
+ */
+function objectProperty(path, key, depth = 0) {
+  if (!path?.node || depth > MAX_DEPTH) return null;
+  if (path.isIdentifier()) {
+    const binding = path.scope.getBinding(path.node.name);
+    if (binding?.path.isVariableDeclarator() && binding.path.node.init) {
+      return objectProperty(binding.path.get('init'), key, depth + 1);
+    }
+    return null;
+  }
+  if (!path.isObjectExpression()) return null;
+  for (const property of path.get('properties')) {
+    if (!property.isObjectProperty()) continue;
+    const { key: keyNode } = property.node;
+    if ((keyNode.name ?? keyNode.value) === key) return property.get('value');
+  }
+  return null;
+}
+
+class TaintTracer {
+  constructor(code) {
+    this.code = code;
+  }
+
+  /**
+   * Where the value of an expression can come from
+   */
+  trace(path, depth = 0, seen = new Set()) {
+    if (!path?.node || depth > MAX_DEPTH) return noTaint();
+    const next = (child) => this.trace(child, depth + 1, seen);
+    const { node } = path;
+    const line = lineOf(path);
+
+    if (path.isMemberExpression() || path.isOptionalMemberExpression()) {
+      const name = canonicalName(path);
+      if (name === 'process.env' || name?.startsWith('process.env.')) {
+        return sourceTaint('environment', sourceText(path, this.code), line);
+      }
+      if (name === 'process.argv' || name?.startsWith('process.argv.')) {
+        return sourceTaint('input', sourceText(path, this.code), line);
+      }
+      return mergeTaint(next(path.get('object')), node.computed ? next(path.get('property')) : null);
+    }
+
+    if (path.isIdentifier()) {
+      const binding = path.scope.getBinding(node.name);
+      if (!binding || seen.has(binding)) return noTaint();
+      seen.add(binding);
+
+      const values = [];
+      if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+        values.push(binding.path.get('init'));
+      }
+      for (const violation of binding.constantViolations) {
+        if (violation.isAssignmentExpression()) values.push(violation.get('right'));
+      }
+      const taint = mergeTaint(...values.map(next));
+      return extendTaint(taint, node.name, lineOf(binding.path));
+    }
+
+    if (path.isCallExpression() || path.isNewExpression() || path.isOptionalCallExpression()) {
+      const callee = path.get('callee');
+      const name = canonicalName(callee);
+
+      if (FILE_READS.has(name)) {
+        const file = homePath(resolveString(path.get('arguments.0')));
+        return isCredentialPath(file) ? sourceTaint('credentials', `read ${file}`, line) : noTaint();
+      }
+      if (NETWORK_READS.has(name)) {
+        return sourceTaint('network', `response of ${sourceText(path, this.code)}`, line);
+      }
+      if (name === 'process.stdin.read' || name === 'readline.createInterface' || name === 'prompt') {
+        return sourceTaint('input', sourceText(path, this.code), line);
+      }
+
+      const object = callee.isMemberExpression() || callee.isOptionalMemberExpression()
+        ? next(callee.get('object'))
+        : null;
+      return mergeTaint(object, ...path.get('arguments').map(next));
+    }
+
+    if (path.isAwaitExpression() || path.isSpreadElement() || path.isUnaryExpression()) {
+      return next(path.get('argument'));
+    }
+    if (path.isTSAsExpression() || path.isTSNonNullExpression() || path.isParenthesizedExpression()) {
+      return next(path.get('expression'));
+    }
+    if (path.isTemplateLiteral()) return mergeTaint(...path.get('expressions').map(next));
+    if (path.isBinaryExpression() || path.isLogicalExpression()) {
+      return mergeTaint(next(path.get('left')), next(path.get('right')));
+    }
+    if (path.isConditionalExpression()) {
+      return mergeTaint(next(path.get('consequent')), next(path.get('alternate')));
+    }
+    if (path.isAssignmentExpression()) return next(path.get('right'));
+    if (path.isSequenceExpression()) return next(path.get('expressions').at(-1));
+    if (path.isArrayExpression()) return mergeTaint(...path.get('elements').map(next));
+    if (path.isObjectExpression()) {
+      return mergeTaint(...path.get('properties').map(property =>
+        property.isSpreadElement() ? next(property.get('argument'))
+          : property.isObjectProperty() ? next(property.get('value'))
+            : noTaint()));
+    }
+    return noTaint();
+  }
+}
+
+function requestMethod(optionsPath) {
+  const method = resolveString(objectProperty(optionsPath, 'method'));
+  return method ? method.toLowerCase() : null;
+}
+
+/**
+ * The sink a call reaches, with the paths of its target and payload, or
+ * null if the call is harmless
+ */
+function classifyCall(path, name) {
+  const spec = SINK_CALLS.get(name);
+  if (!spec) return null;
+  const args = path.get('arguments');
+
+  if (spec.stringOnly && !(args[0]?.isStringLiteral() || args[0]?.isTemplateLiteral() || args[0]?.isBinaryExpression())) {
+    return null;
+  }
+
+  if (spec.config !== undefined) {
+    const config = args[spec.config];
+    if (!config?.isObjectExpression() && !config?.isIdentifier()) return null;
+    if (!SEND_METHODS.includes(requestMethod(config))) return null;
+    return { sink: spec.sink, target: objectProperty(config, 'url'), payload: [objectProperty(config, 'data')] };
+  }
+
+  if (spec.options !== undefined) {
+    const options = args[spec.options];
+    if (!SEND_METHODS.includes(requestMethod(options))) return null;
+    const target = spec.optionsOnly
+      ? objectProperty(options, 'hostname') || objectProperty(options, 'host')
+      : args[spec.target];
+    return { sink: spec.sink, target, payload: spec.optionsOnly ? [] : [objectProperty(options, 'body')] };
+  }
+
+  const payload = spec.payload === 'all' ? args : spec.payload.map(index => args[index]);
+  return {
+    sink: spec.sink,
+    target: spec.target !== undefined ? args[spec.target] : null,
+    payload,
+    payloadIsPath: spec.payloadIsPath
+  };
+}
+
+const MAX_PARSE_ATTEMPTS = 10;
+
+/**
+ * Parse a snippet. Errors the parser can't recover from blank out the
+ * offending line (or the last non-empty one before it) and parsing is
+ * retried, so one broken line in a README example doesn't hide the rest.
+ * Line numbers are unchanged.
+ */
+export function parseJavaScript(code, language = 'javascript') {
+  const lines = code.split(/\r?\n/);
+  for (let attempt = 0; ; attempt++) {
+    const source = lines.join('\n');
+    try {
+      return {
+        source,
+        ast: parse(source, {
+          sourceType: 'unambiguous',
+          errorRecovery: true,
+          allowReturnOutsideFunction: true,
+          allowAwaitOutsideFunction: true,
+          allowImportExportEverywhere: true,
+          allowUndeclaredExports: true,
+          plugins: language === 'typescript' ? ['typescript', 'jsx'] : ['jsx']
+        })
+      };
+    } catch (error) {
+      let index = Math.min((error.loc?.line ?? lines.length) - 1, lines.length - 1);
+      while (index > 0 && !lines[index].trim()) index--;
+      if (attempt >= MAX_PARSE_ATTEMPTS || index < 0 || !lines[index].trim()) throw error;
+      lines[index] = '';
+    }
+  }
+}
+
+/**
+ * Sink calls in a JavaScript or TypeScript snippet, with the data flowing
+ * into each
+ */
+export function findJavaScriptSinks(code, language = 'javascript') {
+  const { ast, source } = parseJavaScript(code, language);
+  const tracer = new TaintTracer(source);
+  const lines = code.split(/\r?\n/);
+  const facts = [];
+
+  traverse(ast, {
+    'CallExpression|NewExpression|OptionalCallExpression'(path) {
+      const name = canonicalName(path.get('callee'));
+      const call = name && classifyCall(path, name);
+      if (!call) return;
+
+      const line = lineOf(path);
+      let taint = mergeTaint(...call.payload.filter(Boolean).map(arg => tracer.trace(arg)));
+      if (call.payloadIsPath) {
+        const source = homePath(resolveString(call.payload[0]));
+        if (isCredentialPath(source)) taint = mergeTaint(sourceTaint('credentials', `copy ${source}`, line), taint);
+      }
+      const target = call.target ? resolveString(call.target) : null;
+
+      facts.push(sinkFact({
+        sink: call.sink,
+        language,
+        line,
+        column: path.node.loc.start.column + 1,
+        call: name,
+        snippet: lines[line - 1]?.trim() ?? '',
+        target: call.sink === 'fs.write' ? homePath(target) : target,
+        taint
+      }));
+    }
+  });
+
+  return facts;
+}
@@ -0,0 +1,571 @@
+import {
+  noTaint, sourceTaint, mergeTaint, extendTaint, sinkFact, homePath, isCredentialPath
+} from './taint.js';
+
+/**
+ * Python Analysis
+ * A tokenizer (names, strings including f-strings, numbers, operators,
+ * logical lines) and a statement walker that understands imports and
+ * aliases, assignments, `with … as` and open file handles, which is enough
+ * to follow
+ *
+ *   token = os.environ["OPENAI_API_KEY"]
+ *   requests.post(url, json={"k": token})
+ *
+ * without a Python parser. Anything it can't follow simply carries no
+ * taint.
+ */
+
+const MAX_DEPTH = 12;
+const SEND_METHODS = ['post', 'put', 'patch'];
+
+const PROCESS_CALLS = new Set([
+  'subprocess.run', 'subprocess.call', 'subprocess.check_call', 'subprocess.check_output',
+  'subprocess.Popen', 'subprocess.getoutput', 'subprocess.getstatusoutput',
+  'os.system', 'os.popen', 'pty.spawn', 'commands.getoutput',
+  'asyncio.create_subprocess_shell', 'asyncio.create_subprocess_exec'
+]);
+const EVAL_CALLS = new Set(['eval', 'exec', 'compile', 'builtins.eval', 'builtins.exec']);
+const COPY_CALLS = new Set(['shutil.copy', 'shutil.copy2', 'shutil.copyfile', 'shutil.move']);
+const NETWORK_READS = new Set([
+  'requests.get', 'httpx.get', 'urllib.request.urlopen', 'urllib.urlopen', 'urllib2.urlopen'
+]);
+const CLIENTS = new Map([
+  ['requests.Session', 'requests'], ['requests.session', 'requests'],
+  ['httpx.Client', 'httpx'], ['httpx.AsyncClient', 'httpx'], ['aiohttp.ClientSession', 'aiohttp']
+]);
+const PAYLOAD_KEYWORDS = new Set(['data', 'json', 'files', 'content']);
+const PATH_READS = ['read_text', 'read_bytes'];
+
+const STRING_START = /^([rRbBuUfF]{0,2})('''|"""|'|")/;
+const OPERATOR = /^(?:\*\*=?|\/\/=?|->|:=|==|!=|<=|>=|<<=?|>>=?|[-+*/%@&|^]=|[()[\]{},:.;=+\-*/%<>~&|^@])/;
+
+function tokenize(code, firstLine = 1) {
+  const tokens = [];
+  let line = firstLine;
+  let depth = 0;
+  let i = 0;
+
+  while (i < code.length) {
+    const c = code[i];
+    const rest = code.slice(i);
+
+    if (c === '\n') {
+      if (depth === 0) tokens.push({ type: 'newline', line });
+      line++;
+      i++;
+      continue;
+    }
+    if (c === '\\' && code[i + 1] === '\n') {
+      line++;
+      i += 2;
+      continue;
+    }
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '#') {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+
+    const string = rest.match(STRING_START);
+    if (string) {
+      const [opening, prefix, quote] = string;
+      const start = i + opening.length;
+      let end = start;
+      while (end < code.length && !code.startsWith(quote, end)) {
+        if (code[end] === '\\') end++;
+        else if (code[end] === '\n' && quote.length === 1) break;
+        end++;
+      }
+      const value = code.slice(start, end);
+      const token = { type: 'string', value, line };
+      if (prefix.toLowerCase().includes('f')) {
+        token.inner = [...value.matchAll(/(?<!\{)\{([^{}]+)\}/g)]
+          .map(match => tokenize(match[1].replace(/[!:][^!:]*$/, ''), line).filter(t => t.type !== 'newline'));
+      }
+      tokens.push(token);
+      line += (value.match(/\n/g) || []).length;
+      i = end + quote.length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_]\w*/);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], line });
+      i += name[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^\d[\w.]*/);
+    if (number) {
+      tokens.push({ type: 'number', value: number[0], line });
+      i += number[0].length;
+      continue;
+    }
+
+    const operator = rest.match(OPERATOR);
+    if (operator) {
+      const value = operator[0];
+      if ('([{'.includes(value)) depth++;
+      if (')]}'.includes(value)) depth = Math.max(0, depth - 1);
+      tokens.push({ type: 'op', value, line });
+      i += value.length;
+      continue;
+    }
+
+    i++;
+  }
+
+  tokens.push({ type: 'newline', line });
+  return tokens;
+}
+
+function isOp(token, value) {
+  return token?.type === 'op' && token.value === value;
+}
+
+// Index of the bracket closing the one at `open`
+function closing(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== 'op') continue;
+    if ('([{'.includes(tokens[i].value)) depth++;
+    if (')]}'.includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+// Index of the bracket opening the one at `close`
+function opening(tokens, close) {
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (tokens[i].type !== 'op') continue;
+    if (')]}'.includes(tokens[i].value)) depth++;
+    if ('([{'.includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return 0;
+}
+
+// Split tokens on a top-level operator (',' for arguments, '+' for strings)
+function splitTop(tokens, separator) {
+  const parts = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === 'op' && '([{'.includes(token.value)) depth++;
+    if (token.type === 'op' && ')]}'.includes(token.value)) depth--;
+    if (depth === 0 && isOp(token, separator)) parts.push([]);
+    else parts[parts.length - 1].push(token);
+  }
+  return parts.filter(part => part.length > 0);
+}
+
+function statements(tokens) {
+  const result = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === 'newline' || isOp(token, ';')) {
+      if (current.length > 0) result.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  return result;
+}
+
+class PythonAnalyzer {
+  constructor(language) {
+    this.language = language;
+    this.aliases = new Map();
+    this.vars = new Map();
+    this.facts = [];
+    this.lines = [];
+  }
+
+  // The dotted name starting at tokens[i], with imports resolved
+  dotted(tokens, i) {
+    const parts = [tokens[i].value];
+    let end = i + 1;
+    while (isOp(tokens[end], '.') && tokens[end + 1]?.type === 'name') {
+      parts.push(tokens[end + 1].value);
+      end += 2;
+    }
+    const root = this.aliases.get(parts[0]);
+    const variable = this.vars.get(parts[0]);
+    let name = parts.join('.');
+    if (root) name = [root, ...parts.slice(1)].join('.');
+    else if (variable?.client && parts.length > 1) name = [variable.client, ...parts.slice(1)].join('.');
+    return { parts, name, end };
+  }
+
+  /**
+   * Calls in a statement: name, argument tokens and the call they were
+   * made on when chained (`open(p, "w").write(x)`)
+   */
+  calls(tokens) {
+    const calls = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].type !== 'name' || isOp(tokens[i - 1], '.')) continue;
+      if (tokens[i - 1]?.type === 'name' && ['def', 'class'].includes(tokens[i - 1].value)) continue;
+
+      const { parts, name, end } = this.dotted(tokens, i);
+      if (!isOp(tokens[end], '(')) continue;
+      const close = closing(tokens, end);
+      const call = { name, parts, start: i, close, line: tokens[i].line, args: this.args(tokens.slice(end + 1, close)) };
+      calls.push(call);
+
+      // Methods chained on this call's result
+      let last = call;
+      let next = close + 1;
+      while (isOp(tokens[next], '.') && tokens[next + 1]?.type === 'name' && isOp(tokens[next + 2], '(')) {
+        const methodClose = closing(tokens, next + 2);
+        const method = {
+          name: `${last.name}().${tokens[next + 1].value}`,
+          method: tokens[next + 1].value,
+          receiver: last,
+          start: i,
+          close: methodClose,
+          line: tokens[next + 1].line,
+          args: this.args(tokens.slice(next + 3, methodClose))
+        };
+        calls.push(method);
+        last = method;
+        next = methodClose + 1;
+      }
+    }
+    return calls;
+  }
+
+  args(tokens) {
+    return splitTop(tokens, ',').map((arg) => {
+      const keyword = arg[0]?.type === 'name' && isOp(arg[1], '=') ? arg[0].value : null;
+      return { keyword, tokens: keyword ? arg.slice(2) : arg };
+    });
+  }
+
+  argument(call, index, keyword) {
+    const positional = call.args.filter(arg => !arg.keyword);
+    return (keyword && call.args.find(arg => arg.keyword === keyword)) || positional[index] || null;
+  }
+
+  /**
+   * The string an expression evaluates to where it can be told; unknown
+   * parts are *, the home directory is ~
+   */
+  resolve(tokens, depth = 0) {
+    if (!tokens?.length || depth > MAX_DEPTH) return null;
+
+    for (const operator of ['+', '/']) {
+      const pieces = splitTop(tokens, operator);
+      if (pieces.length > 1) {
+        const values = pieces.map(piece => this.resolve(piece, depth + 1));
+        if (values.every(value => value === null)) return null;
+        return values.map(value => value ?? '*').join(operator === '/' ? '/' : '');
+      }
+    }
+
+    const [first] = tokens;
+    if (first.type === 'string' && tokens.length === 1) {
+      if (!first.inner) return first.value;
+      let index = 0;
+      return first.value.replace(/(?<!\{)\{([^{}]+)\}/g, () => this.resolve(first.inner[index++], depth + 1) ?? '*');
+    }
+    if (first.type !== 'name') return null;
+
+    const { name, end } = this.dotted(tokens, 0);
+    if (end === tokens.length) {
+      return this.vars.get(name)?.value ?? null;
+    }
+    if (isOp(tokens[end], '[')) {
+      const key = this.resolve(tokens.slice(end + 1, closing(tokens, end)), depth + 1);
+      return name === 'os.environ' && ['HOME', 'USERPROFILE'].includes(key) ? '~' : null;
+    }
+    if (!isOp(tokens[end], '(')) return null;
+
+    const close = closing(tokens, end);
+    const args = splitTop(tokens.slice(end + 1, close), ',');
+    if (name === 'pathlib.Path.home' || name === 'Path.home') return '~';
+    if (name === 'os.getenv' || name === 'os.environ.get') {
+      return ['HOME', 'USERPROFILE'].includes(this.resolve(args[0], depth + 1)) ? '~' : null;
+    }
+    if (['os.path.expanduser', 'pathlib.Path', 'Path', 'os.path.abspath', 'str'].includes(name) && close === tokens.length - 1) {
+      return this.resolve(args[0], depth + 1);
+    }
+    if (name === 'os.path.join' && close === tokens.length - 1) {
+      return args.map(arg => this.resolve(arg, depth + 1) ?? '*').join('/').replace(/\/{2,}/g, '/');
+    }
+    return null;
+  }
+
+  readTaint(path, verb, line) {
+    const file = homePath(path);
+    return isCredentialPath(file) ? sourceTaint('credentials', `${verb} ${file}`, line) : noTaint();
+  }
+
+  /**
+   * Where the value of an expression can come from
+   */
+  taint(tokens, depth = 0) {
+    if (!tokens?.length || depth > MAX_DEPTH) return noTaint();
+    let taint = noTaint();
+
+    for (const call of this.calls(tokens)) {
+      const { name, line } = call;
+      const text = `${call.parts?.join('.') ?? call.method}(…)`;
+      if (name === 'os.getenv' || name === 'os.environ.get') {
+        const key = this.resolve(this.argument(call, 0)?.tokens);
+        taint = mergeTaint(taint, sourceTaint('environment', `${name}(${key ? `'${key}'` : '…'})`, line));
+      } else if (name === 'input') {
+        taint = mergeTaint(taint, sourceTaint('input', 'input()', line));
+      } else if (NETWORK_READS.has(name) || /^(?:requests|httpx|aiohttp)\.get$/.test(name)) {
+        taint = mergeTaint(taint, sourceTaint('network', `response of ${text}`, line));
+      } else if (['open', 'io.open', 'pathlib.Path', 'Path'].includes(name)) {
+        taint = mergeTaint(taint, this.readTaint(this.resolve(this.argument(call, 0, 'file')?.tokens), 'read', line));
+      } else if (PROCESS_CALLS.has(name)) {
+        const strings = call.args.flatMap(arg => arg.tokens).filter(token => token.type === 'string');
+        taint = mergeTaint(taint, ...strings.map(token => this.readTaint(token.value.split(/\s+/).pop(), 'run', line)));
+      } else if (call.method === 'read' || call.method === 'readlines') {
+        taint = mergeTaint(taint, this.handleTaint(call.receiver, line));
+      }
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'string' && token.inner) {
+        taint = mergeTaint(taint, ...token.inner.map(inner => this.taint(inner, depth + 1)));
+      }
+      if (token.type !== 'name' || isOp(tokens[i - 1], '.')) continue;
+
+      const { name, end } = this.dotted(tokens, i);
+      if (name === 'os.environ' || name.startsWith('os.environ.')) {
+        const key = isOp(tokens[end], '[') ? this.resolve(tokens.slice(end + 1, closing(tokens, end))) : null;
+        taint = mergeTaint(taint, sourceTaint('environment', key ? `os.environ['${key}']` : 'os.environ', token.line));
+      } else if (name === 'sys.argv' || name.startsWith('sys.stdin')) {
+        taint = mergeTaint(taint, sourceTaint('input', name, token.line));
+      } else if (this.vars.has(token.value) && !isOp(tokens[i + 1], '(')) {
+        const variable = this.vars.get(token.value);
+        taint = mergeTaint(taint, extendTaint(variable.taint, token.value, token.line));
+        if (isOp(tokens[i + 1], '.') && variable.handle && ['read', 'readlines'].includes(tokens[i + 2]?.value)) {
+          taint = mergeTaint(taint, this.readTaint(variable.handle.path, 'read', token.line));
+        }
+        if (isOp(tokens[i + 1], '.') && PATH_READS.includes(tokens[i + 2]?.value)) {
+          taint = mergeTaint(taint, this.readTaint(variable.value, 'read', token.line));
+        }
+      }
+      i = end - 1;
+    }
+
+    // (Path.home() / ".aws" / "credentials").read_text()
+    tokens.forEach((token, index) => {
+      if (isOp(token, '.') && isOp(tokens[index - 1], ')') && PATH_READS.includes(tokens[index + 1]?.value)) {
+        const open = opening(tokens, index - 1);
+        if (tokens[open - 1]?.type !== 'name') {
+          taint = mergeTaint(taint, this.readTaint(this.resolve(tokens.slice(open + 1, index - 1)), 'read', token.line));
+        }
+      }
+    });
+
+    return taint;
+  }
+
+  handleTaint(call, line) {
+    const handle = call && this.openHandle(call);
+    return handle ? this.readTaint(handle.path, 'read', line) : noTaint();
+  }
+
+  // The file an open() call (or Path(…).open()) refers to and its mode
+  openHandle(call) {
+    if (['open', 'io.open'].includes(call.name)) {
+      return {
+        path: homePath(this.resolve(this.argument(call, 0, 'file')?.tokens)),
+        mode: this.resolve(this.argument(call, 1, 'mode')?.tokens) || 'r'
+      };
+    }
+    if (call.method === 'open' && call.receiver) {
+      return {
+        path: homePath(this.resolve(this.argument(call.receiver, 0)?.tokens)),
+        mode: this.resolve(this.argument(call, 0, 'mode')?.tokens) || 'r'
+      };
+    }
+    return null;
+  }
+
+  bind(name, valueTokens, line) {
+    const [call] = this.calls(valueTokens);
+    const whole = call && call.start === 0 && call.close === valueTokens.length - 1 ? call : null;
+    const chained = this.calls(valueTokens).find(candidate => candidate.close === valueTokens.length - 1);
+    this.vars.set(name, {
+      taint: extendTaint(this.taint(valueTokens), name, line),
+      value: this.resolve(valueTokens),
+      handle: chained ? this.openHandle(chained) : null,
+      client: whole ? CLIENTS.get(whole.name) ?? null : null
+    });
+  }
+
+  report(sink, call, { target = null, taint = noTaint(), name = call.name }) {
+    this.facts.push(sinkFact({
+      sink,
+      language: this.language,
+      line: call.line,
+      column: 1,
+      call: name,
+      snippet: this.lines[call.line - 1]?.trim() ?? '',
+      target,
+      taint
+    }));
+  }
+
+  payloadTaint(call, positional = []) {
+    const args = [
+      ...call.args.filter(arg => PAYLOAD_KEYWORDS.has(arg.keyword)),
+      ...positional.map(index => call.args.filter(arg => !arg.keyword)[index]).filter(Boolean)
+    ];
+    return mergeTaint(...args.map(arg => this.taint(arg.tokens)));
+  }
+
+  checkSinks(tokens) {
+    for (const call of this.calls(tokens)) {
+      const { name } = call;
+
+      if (PROCESS_CALLS.has(name) || /^os\.(?:exec|spawn)\w*$/.test(name)) {
+        const args = call.args.filter(arg => !arg.keyword || arg.keyword === 'args');
+        this.report('process.exec', call, { taint: mergeTaint(...args.map(arg => this.taint(arg.tokens))) });
+      } else if (EVAL_CALLS.has(name) && !this.vars.has(call.parts[0])) {
+        this.report('code.eval', call, { taint: this.taint(this.argument(call, 0)?.tokens) });
+      } else if (call.method === 'write' || call.method === 'writelines') {
+        const handle = this.openHandle(call.receiver);
+        if (handle && /[wax+]/.test(handle.mode)) {
+          this.report('fs.write', call, { name: 'open().write', target: handle.path, taint: this.taint(this.argument(call, 0)?.tokens) });
+        }
+      } else if (call.parts && ['write', 'writelines'].includes(call.parts.at(-1)) && call.parts.length === 2) {
+        const handle = this.vars.get(call.parts[0])?.handle;
+        if (handle && /[wax+]/.test(handle.mode)) {
+          this.report('fs.write', call, { name: 'open().write', target: handle.path, taint: this.taint(this.argument(call, 0)?.tokens) });
+        }
+      } else if (['write_text', 'write_bytes'].includes(call.method ?? call.parts?.at(-1))) {
+        const target = call.receiver
+          ? this.resolve(this.argument(call.receiver, 0)?.tokens)
+          : this.vars.get(call.parts[0])?.value ?? null;
+        if (call.receiver || call.parts.length === 2) {
+          this.report('fs.write', call, { name: 'Path.write_text', target: homePath(target), taint: this.taint(this.argument(call, 0)?.tokens) });
+        }
+      } else if (COPY_CALLS.has(name)) {
+        const source = this.resolve(this.argument(call, 0, 'src')?.tokens);
+        this.report('fs.write', call, {
+          target: homePath(this.resolve(this.argument(call, 1, 'dst')?.tokens)),
+          taint: this.readTaint(source, 'copy', call.line)
+        });
+      } else if (this.isSend(call)) {
+        const requestStyle = name.endsWith('.request');
+        this.report('network.send', call, {
+          target: this.resolve(this.argument(call, requestStyle ? 1 : 0, 'url')?.tokens),
+          taint: this.payloadTaint(call, name.startsWith('requests.') && !requestStyle ? [1] : name.startsWith('urllib') ? [1] : [])
+        });
+      }
+    }
+  }
+
+  isSend(call) {
+    const { name } = call;
+    const [library, method] = [name.slice(0, name.lastIndexOf('.')), name.slice(name.lastIndexOf('.') + 1)];
+    if (['requests', 'httpx', 'aiohttp'].includes(library) && SEND_METHODS.includes(method)) return true;
+    if (['requests.request', 'httpx.request'].includes(name)) {
+      return SEND_METHODS.includes((this.resolve(this.argument(call, 0, 'method')?.tokens) || '').toLowerCase());
+    }
+    if (['urllib.request.urlopen', 'urllib.request.Request', 'urllib2.urlopen', 'urllib2.Request'].includes(name)) {
+      return Boolean(this.argument(call, 1, 'data'));
+    }
+    return false;
+  }
+
+  analyzeImport(tokens) {
+    if (tokens[0].value === 'import') {
+      for (const part of splitTop(tokens.slice(1), ',')) {
+        const names = part.filter(token => token.type === 'name').map(token => token.value);
+        const asIndex = names.indexOf('as');
+        if (asIndex !== -1) this.aliases.set(names[asIndex + 1], names.slice(0, asIndex).join('.'));
+        else this.aliases.set(names[0], names[0]);
+      }
+      return;
+    }
+
+    const importIndex = tokens.findIndex(token => token.value === 'import');
+    const module = tokens.slice(1, importIndex).map(token => token.value).join('');
+    const names = tokens.slice(importIndex + 1).filter(token => !isOp(token, '(') && !isOp(token, ')'));
+    for (const part of splitTop(names, ',')) {
+      const [imported, , alias] = part.map(token => token.value);
+      this.aliases.set(alias || imported, `${module}.${imported}`);
+    }
+  }
+
+  analyzeStatement(tokens) {
+    const [first] = tokens;
+    if (first.value === 'import' || (first.value === 'from' && tokens.some(token => token.value === 'import'))) {
+      this.analyzeImport(tokens);
+      return;
+    }
+
+    this.checkSinks(tokens);
+
+    if (first.value === 'with' || (first.value === 'async' && tokens[1]?.value === 'with')) {
+      const body = tokens.slice(first.value === 'async' ? 2 : 1, tokens.findLastIndex(token => isOp(token, ':')));
+      for (const item of splitTop(body, ',')) {
+        const asIndex = item.findIndex(token => token.type === 'name' && token.value === 'as');
+        if (asIndex !== -1 && item[asIndex + 1]) this.bind(item[asIndex + 1].value, item.slice(0, asIndex), first.line);
+      }
+      return;
+    }
+
+    if (first.value === 'for') {
+      const inIndex = tokens.findIndex(token => token.value === 'in');
+      const colon = tokens.findLastIndex(token => isOp(token, ':'));
+      if (inIndex > 1 && colon > inIndex) {
+        for (const token of tokens.slice(1, inIndex).filter(t => t.type === 'name')) {
+          this.bind(token.value, tokens.slice(inIndex + 1, colon), first.line);
+        }
+      }
+      return;
+    }
+
+    // Assignment: the last top-level = splits targets from the value
+    let depth = 0;
+    let assign = -1;
+    tokens.forEach((token, index) => {
+      if (token.type === 'op' && '([{'.includes(token.value)) depth++;
+      if (token.type === 'op' && ')]}'.includes(token.value)) depth--;
+      if (depth === 0 && token.type === 'op' && (token.value === '=' || /^[-+*/%@&|^]=$/.test(token.value))) assign = index;
+    });
+    if (assign <= 0) return;
+
+    const value = tokens.slice(assign + 1);
+    const augmented = tokens[assign].value !== '=';
+    const targets = tokens.slice(0, assign)
+      .filter((token, index, all) => token.type === 'name' && !isOp(all[index - 1], '.') && !isOp(all[index + 1], '.') && !isOp(all[index + 1], '['));
+    for (const target of targets) {
+      const previous = augmented ? this.vars.get(target.value) : null;
+      this.bind(target.value, value, first.line);
+      if (previous) {
+        this.vars.get(target.value).taint = mergeTaint(previous.taint, this.vars.get(target.value).taint);
+      }
+    }
+  }
+
+  run(code) {
+    this.lines = code.split(/\r?\n/);
+    for (const statement of statements(tokenize(code))) {
+      this.analyzeStatement(statement);
+    }
+    return this.facts;
+  }
+}
+
+/**
+ * Sink calls in a Python snippet, with the data flowing into each
+ */
+export function findPythonSinks(code, language = 'python') {
+  return new PythonAnalyzer(language).run(code);
+}
@@ -0,0 +1,542 @@
+import {
+  noTaint, sourceTaint, mergeTaint, extendTaint, sinkFact, homePath, isCredentialPath
+} from './taint.js';
+
+/**
+ * Shell Analysis
+ * A small tokenizer for sh/bash snippets: quoting, $VAR and ${VAR},
+ * $(…) / `…` / <(…) substitutions, pipes, redirections, line continuations
+ * and heredocs. Commands are walked in order, tracking what each variable
+ * was assigned from and what each command writes to its pipe, so
+ *
+ *   KEY=$(cat ~/.ssh/id_rsa); curl -d "$KEY" https://…
+ *
+ * reports a POST carrying a credential, and `curl … | sh` reports code
+ * downloaded from the network being run.
+ */
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+const INTERPRETERS = new Set([...SHELLS, 'python', 'python3', 'node', 'perl', 'ruby', 'php']);
+const FILTERS = new Set([
+  'cat', 'head', 'tail', 'less', 'more', 'base64', 'xxd', 'od', 'strings', 'gzip', 'zip', 'tar',
+  'openssl', 'gpg', 'jq', 'sed', 'awk', 'grep', 'sort', 'tr', 'cut', 'uniq', 'rev', 'xargs'
+]);
+const DECLARATIONS = new Set(['export', 'local', 'declare', 'readonly', 'typeset']);
+
+// Expanding these leaks nothing worth tracing
+const BENIGN_VARIABLES = new Set([
+  'HOME', 'PATH', 'PWD', 'OLDPWD', 'USER', 'SHELL', 'TMPDIR', 'LANG', 'TERM', 'HOSTNAME', 'IFS',
+  'RANDOM', 'LINENO', 'SECONDS', 'UID', 'EUID', 'PPID', 'BASH_SOURCE', 'OSTYPE', 'XDG_CONFIG_HOME',
+  '0', '?', '$', '!', '#', '-', '_'
+]);
+
+// Commands that print a credential
+const CREDENTIAL_COMMANDS = [
+  /^security find-(?:generic|internet)-password\b/,
+  /^gh auth token\b/,
+  /^gcloud auth (?:application-default )?print-access-token\b/,
+  /^aws (?:configure get|sts get-session-token)\b/,
+  /^az account get-access-token\b/,
+  /^op read\b/,
+  /^pass show\b/
+];
+
+const CURL_DATA_FLAGS = new Set([
+  '-d', '--data', '--data-binary', '--data-raw', '--data-ascii', '--data-urlencode',
+  '-F', '--form', '--form-string', '-T', '--upload-file', '--json'
+]);
+const CURL_VALUE_FLAGS = new Set([
+  '-H', '--header', '-u', '--user', '-o', '--output', '-A', '--user-agent', '-e', '--referer',
+  '-b', '--cookie', '-c', '--cookie-jar', '-m', '--max-time', '--connect-timeout', '-w', '--write-out',
+  '-x', '--proxy', '--retry', '-K', '--config', '--cacert', '--cert', '--key'
+]);
+const SEND_METHODS = new Set(['POST', 'PUT', 'PATCH']);
+
+function baseName(command) {
+  return command.replace(/^.*\//, '');
+}
+
+/**
+ * Lines joined across backslash continuations, heredoc bodies dropped,
+ * each with the line it starts on
+ */
+function logicalLines(code) {
+  const result = [];
+  let current = null;
+  let heredoc = null;
+
+  code.split(/\r?\n/).forEach((raw, index) => {
+    if (heredoc) {
+      if (raw.trim() === heredoc) heredoc = null;
+      return;
+    }
+
+    const body = raw.replace(/\\$/, '');
+    const text = current ? `${current.text} ${body.trimStart()}` : body;
+    const line = current?.line ?? index + 1;
+    current = raw.endsWith('\\') ? { text, line } : null;
+    if (current) return;
+
+    result.push({ text, line });
+    const marker = raw.match(/(?<!<)<<-?(?!<)\s*['"]?(\w+)['"]?/);
+    if (marker) heredoc = marker[1];
+  });
+
+  if (current) result.push(current);
+  return result;
+}
+
+// Text from text[start] (an opening bracket) to its matching closer
+function balanced(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return { inner: text.slice(start + 1, i), end: i + 1 };
+  }
+  return { inner: text.slice(start + 1), end: text.length };
+}
+
+function readVariable(text, i, word) {
+  if (text[i + 1] === '{') {
+    const { inner, end } = balanced(text, i + 1, '{', '}');
+    const name = inner.match(/^#?([A-Za-z_]\w*|[0-9@*#?$!-])/)?.[1];
+    if (name) word.vars.push(name);
+    word.value += `\${${inner}}`;
+    return end;
+  }
+  const name = text.slice(i + 1).match(/^(?:[A-Za-z_]\w*|[0-9@*#?$!-])/)?.[0];
+  if (!name) {
+    word.value += '$';
+    return i + 1;
+  }
+  word.vars.push(name);
+  word.value += `$${name}`;
+  return i + 1 + name.length;
+}
+
+function readSubstitution(text, i, word) {
+  if (text[i] === '`') {
+    const end = text.indexOf('`', i + 1);
+    const stop = end === -1 ? text.length : end;
+    word.subs.push(text.slice(i + 1, stop));
+    word.value += '$(…)';
+    return stop + 1;
+  }
+  const { inner, end } = balanced(text, i + 1, '(', ')');
+  word.subs.push(inner);
+  word.value += text[i] === '$' ? '$(…)' : `${text[i]}(…)`;
+  return end;
+}
+
+/**
+ * One word: its text with quotes removed, the variables it expands and
+ * the commands substituted into it
+ */
+function readWord(text, start) {
+  const word = { value: '', vars: [], subs: [], quoted: false };
+  let i = start;
+
+  while (i < text.length) {
+    const c = text[i];
+    const next = text[i + 1];
+
+    if (/\s/.test(c)) break;
+    if ('|;&'.includes(c)) break;
+    if ((c === '<' || c === '>') && next !== '(') break;
+
+    if (c === '\'') {
+      const end = text.indexOf('\'', i + 1);
+      const stop = end === -1 ? text.length : end;
+      word.value += text.slice(i + 1, stop);
+      word.quoted = true;
+      i = stop + 1;
+    } else if (c === '"') {
+      word.quoted = true;
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') {
+          word.value += text[i + 1] ?? '';
+          i += 2;
+        } else if (text[i] === '$' && text[i + 1] === '(') {
+          i = readSubstitution(text, i, word);
+        } else if (text[i] === '`') {
+          i = readSubstitution(text, i, word);
+        } else if (text[i] === '$') {
+          i = readVariable(text, i, word);
+        } else {
+          word.value += text[i++];
+        }
+      }
+      i++;
+    } else if (c === '\\') {
+      word.value += next ?? '';
+      i += 2;
+    } else if ((c === '$' || c === '<' || c === '>') && next === '(') {
+      i = readSubstitution(text, i, word);
+    } else if (c === '`') {
+      i = readSubstitution(text, i, word);
+    } else if (c === '$') {
+      i = readVariable(text, i, word);
+    } else {
+      word.value += c;
+      i++;
+    }
+  }
+
+  return { word, end: i };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '#') break;
+
+    const rest = text.slice(i);
+    const separator = rest.match(/^(?:\|\||&&|;;|\||;|&(?!>))/);
+    if (separator) {
+      tokens.push({ type: 'separator', value: separator[0], index: i });
+      i += separator[0].length;
+      continue;
+    }
+
+    const redirect = rest.match(/^(?:[0-9]|&)?(>>|>|<<<|<<-?|<)(&[0-9-])?/);
+    if (redirect && !(redirect[1] === '<' && text[i + redirect[0].length] === '(')) {
+      tokens.push({ type: 'redirect', op: redirect[1], duplicate: Boolean(redirect[2]), index: i });
+      i += redirect[0].length;
+      continue;
+    }
+
+    const { word, end } = readWord(text, i);
+    tokens.push({ type: 'word', word, index: i });
+    i = Math.max(end, i + 1);
+  }
+
+  return tokens;
+}
+
+/**
+ * Commands in a logical line, each with its assignments, arguments and
+ * redirections, and whether it reads the previous command's pipe
+ */
+function parseCommands(text) {
+  const commands = [];
+  let command = null;
+  let piped = false;
+
+  const tokens = tokenize(text);
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+    if (token.type === 'separator') {
+      if (command) commands.push(command);
+      command = null;
+      piped = token.value === '|';
+      continue;
+    }
+
+    if (!command) {
+      command = { assignments: [], words: [], redirects: [], index: token.index, piped };
+      piped = false;
+    }
+
+    if (token.type === 'redirect') {
+      const target = tokens[t + 1]?.type === 'word' && !token.duplicate ? tokens[++t].word : null;
+      if (target && !token.op.startsWith('<<')) command.redirects.push({ op: token.op, target });
+      continue;
+    }
+
+    const assignment = command.words.length === 0 && token.word.value.match(/^([A-Za-z_]\w*)\+?=/);
+    if (assignment) {
+      command.assignments.push({ name: assignment[1], word: token.word });
+    } else {
+      command.words.push(token.word);
+    }
+  }
+
+  if (command) commands.push(command);
+  return commands;
+}
+
+function argumentsOf(command) {
+  return command.words.slice(1);
+}
+
+class ShellAnalyzer {
+  constructor(language) {
+    this.language = language;
+    this.vars = new Map();
+    this.facts = [];
+  }
+
+  wordTaint(word, line) {
+    let taint = noTaint();
+    for (const name of word.vars) {
+      if (this.vars.has(name)) {
+        taint = mergeTaint(taint, extendTaint(this.vars.get(name), `$${name}`, line));
+      } else if (/^(?:[1-9]|@|\*)$/.test(name)) {
+        taint = mergeTaint(taint, sourceTaint('input', `$${name}`, line));
+      } else if (!BENIGN_VARIABLES.has(name) && !/^\d+$/.test(name)) {
+        taint = mergeTaint(taint, sourceTaint('environment', `$${name}`, line));
+      }
+    }
+    for (const sub of word.subs) {
+      taint = mergeTaint(taint, this.substitutionTaint(sub, line));
+    }
+    return taint;
+  }
+
+  // What a command substitution's output can contain
+  substitutionTaint(text, line) {
+    let output = noTaint();
+    for (const command of parseCommands(text)) {
+      output = this.outputTaint(command, command.piped ? output : noTaint(), line);
+    }
+    return output;
+  }
+
+  readsFile(path, verb, line) {
+    const file = homePath(path);
+    return isCredentialPath(file) ? sourceTaint('credentials', `${verb} ${file}`, line) : noTaint();
+  }
+
+  /**
+   * What a command writes to stdout, given what it reads on stdin
+   */
+  outputTaint(command, stdin, line) {
+    const name = baseName(command.words[0]?.value || '');
+    const args = argumentsOf(command);
+    const text = command.words.map(word => word.value).join(' ');
+    const argsTaint = mergeTaint(...args.map(word => this.wordTaint(word, line)));
+    const inputs = command.redirects
+      .filter(redirect => redirect.op === '<')
+      .map(redirect => this.readsFile(redirect.target.value, `read`, line));
+
+    if (CREDENTIAL_COMMANDS.some(pattern => pattern.test(text))) {
+      return sourceTaint('credentials', text, line);
+    }
+    if (name === 'env' || name === 'printenv') {
+      return sourceTaint('environment', text, line);
+    }
+    if (name === 'curl' || name === 'wget') {
+      const toFile = name === 'curl'
+        ? args.some(word => /^(?:-o|-O|--output|--remote-name)$/.test(word.value))
+        : !args.some(word => /^(?:-O-?|-qO-?|--output-document=?-?)$/.test(word.value) || word.value === '-');
+      return toFile ? noTaint() : sourceTaint('network', `${name} ${urlOf(args) || ''}`.trim(), line);
+    }
+    if (FILTERS.has(name)) {
+      const files = args.filter(word => !word.value.startsWith('-'));
+      return mergeTaint(...files.map(word => this.readsFile(word.value, name, line)), ...inputs, argsTaint, stdin);
+    }
+    return mergeTaint(...inputs, argsTaint, stdin);
+  }
+
+  report(sink, command, line, snippet, { call, target = null, taint = noTaint() }) {
+    this.facts.push(sinkFact({
+      sink,
+      language: this.language,
+      line,
+      column: command.index + 1,
+      call,
+      snippet,
+      target,
+      taint
+    }));
+  }
+
+  analyzeCommand(command, stdin, line, snippet) {
+    for (const { name, word } of command.assignments) {
+      this.vars.set(name, this.wordTaint(word, line));
+    }
+
+    const name = baseName(command.words[0]?.value || '');
+    const args = argumentsOf(command);
+    if (!name) return;
+
+    if (DECLARATIONS.has(name)) {
+      for (const word of args) {
+        const assignment = word.value.match(/^([A-Za-z_]\w*)=/);
+        if (assignment) this.vars.set(assignment[1], this.wordTaint(word, line));
+      }
+      return;
+    }
+
+    if (name === 'read') {
+      const taint = stdin.size > 0 ? stdin : sourceTaint('input', 'read', line);
+      for (const word of args.filter(word => !word.value.startsWith('-'))) {
+        this.vars.set(word.value, taint);
+      }
+      return;
+    }
+
+    if (name === 'eval') {
+      this.report('code.eval', command, line, snippet, {
+        call: 'eval',
+        taint: mergeTaint(...args.map(word => this.wordTaint(word, line)))
+      });
+    } else if (name === 'source' || name === '.') {
+      const script = args[0];
+      if (script?.subs.length || script?.value === '/dev/stdin') {
+        this.report('code.eval', command, line, snippet, {
+          call: name,
+          taint: mergeTaint(this.wordTaint(script, line), stdin)
+        });
+      }
+    } else if (INTERPRETERS.has(name)) {
+      this.analyzeInterpreter(command, name, args, stdin, line, snippet);
+    } else if (name === 'curl') {
+      this.analyzeCurl(command, args, stdin, line, snippet);
+    } else if (name === 'wget') {
+      this.analyzeWget(command, args, line, snippet);
+    } else if (['nc', 'ncat', 'netcat', 'socat'].includes(name) && command.piped) {
+      this.report('network.send', command, line, snippet, {
+        call: name,
+        target: args.filter(word => !word.value.startsWith('-')).map(word => word.value).join(' ') || null,
+        taint: stdin
+      });
+    } else if (['scp', 'rsync'].includes(name)) {
+      const paths = args.filter(word => !word.value.startsWith('-'));
+      const remote = paths.at(-1);
+      if (remote && /^[^/~]*:/.test(remote.value)) {
+        this.report('network.send', command, line, snippet, {
+          call: name,
+          target: remote.value,
+          taint: mergeTaint(...paths.slice(0, -1).map(word => this.readsFile(word.value, 'upload', line)))
+        });
+      }
+    } else if (name === 'tee') {
+      for (const word of args.filter(word => !word.value.startsWith('-'))) {
+        this.report('fs.write', command, line, snippet, { call: 'tee', target: homePath(word.value), taint: stdin });
+      }
+    } else if (['cp', 'mv', 'install'].includes(name)) {
+      const paths = args.filter(word => !word.value.startsWith('-'));
+      if (paths.length >= 2) {
+        this.report('fs.write', command, line, snippet, {
+          call: name,
+          target: homePath(paths.at(-1).value),
+          taint: mergeTaint(...paths.slice(0, -1).map(word => this.readsFile(word.value, name, line)))
+        });
+      }
+    }
+
+    for (const redirect of command.redirects) {
+      if (redirect.op !== '>' && redirect.op !== '>>') continue;
+      const target = redirect.target.value;
+      if (/^\/dev\/(?:null|stdout|stderr|tty)$/.test(target)) continue;
+      this.report('fs.write', command, line, snippet, {
+        call: `${name} ${redirect.op}`,
+        target: homePath(target),
+        taint: this.outputTaint(command, stdin, line)
+      });
+    }
+  }
+
+  analyzeInterpreter(command, name, args, stdin, line, snippet) {
+    const inline = args.findIndex(word => word.value === '-c' || word.value === '-e');
+    if (inline !== -1) {
+      const code = args[inline + 1];
+      // A fixed one-liner is just a command; only built-up code is eval
+      if (code && (code.vars.length > 0 || code.subs.length > 0)) {
+        this.report('code.eval', command, line, snippet, { call: `${name} ${args[inline].value}`, taint: this.wordTaint(code, line) });
+      }
+      return;
+    }
+
+    const script = args.find(word => !word.value.startsWith('-'));
+    const readsStdin = !script || script.value === '/dev/stdin' || args.some(word => word.value === '-s');
+    if (script?.subs.length) {
+      this.report('code.eval', command, line, snippet, { call: name, taint: this.wordTaint(script, line) });
+    } else if (command.piped && readsStdin) {
+      this.report('code.eval', command, line, snippet, { call: `| ${name}`, taint: stdin });
+    }
+  }
+
+  analyzeCurl(command, args, stdin, line, snippet) {
+    const payload = [];
+    let method = null;
+    let target = null;
+
+    for (let i = 0; i < args.length; i++) {
+      const { value } = args[i];
+      let flag = value;
+      let inlineValue = null;
+      const long = value.match(/^(--[\w-]+)=(.*)$/s);
+      const short = value.slice(0, 2);
+      if (long) {
+        [, flag, inlineValue] = long;
+      } else if (/^-[a-zA-Z]./s.test(value) && (CURL_DATA_FLAGS.has(short) || CURL_VALUE_FLAGS.has(short) || short === '-X')) {
+        flag = short;
+        inlineValue = value.slice(2);
+      }
+
+      if (CURL_DATA_FLAGS.has(flag)) {
+        const word = inlineValue !== null ? { ...args[i], value: inlineValue } : args[++i];
+        // -T takes a bare path where the data flags need @path
+        if (word) payload.push(flag === '-T' || flag === '--upload-file' ? { ...word, value: `@${word.value}` } : word);
+      } else if (flag === '-X' || flag === '--request') {
+        method = (inlineValue ?? args[++i]?.value ?? '').toUpperCase();
+      } else if (CURL_VALUE_FLAGS.has(flag)) {
+        if (inlineValue === null) i++;
+      } else if (!value.startsWith('-') && !target) {
+        target = value;
+      }
+    }
+
+    if (payload.length === 0 && !SEND_METHODS.has(method)) return;
+
+    const taint = mergeTaint(...payload.map((word) => {
+      const file = word.value.match(/(?:^|=)@(.+)$/)?.[1];
+      if (file === '-') return stdin;
+      return mergeTaint(file ? this.readsFile(file, 'upload', line) : null, this.wordTaint(word, line));
+    }));
+    this.report('network.send', command, line, snippet, { call: 'curl', target, taint });
+  }
+
+  analyzeWget(command, args, line, snippet) {
+    let send = false;
+    let taint = noTaint();
+    for (const word of args) {
+      const option = word.value.match(/^--(post-data|post-file|body-data|body-file|method)=(.*)$/s);
+      if (!option) continue;
+      const [, flag, value] = option;
+      if (flag === 'method') {
+        send = send || SEND_METHODS.has(value.toUpperCase());
+      } else {
+        send = true;
+        taint = mergeTaint(taint, flag.endsWith('file') ? this.readsFile(value, 'upload', line) : this.wordTaint(word, line));
+      }
+    }
+    if (send) {
+      this.report('network.send', command, line, snippet, { call: 'wget', target: urlOf(args), taint });
+    }
+  }
+
+  run(code) {
+    for (const { text, line } of logicalLines(code)) {
+      const snippet = text.trim();
+      let output = noTaint();
+      for (const command of parseCommands(text)) {
+        const stdin = command.piped ? output : noTaint();
+        this.analyzeCommand(command, stdin, line, snippet);
+        output = this.outputTaint(command, stdin, line);
+      }
+    }
+    return this.facts;
+  }
+}
+
+function urlOf(args) {
+  return args.find(word => /^https?:\/\//i.test(word.value))?.value ?? null;
+}
+
+/**
+ * Sink commands in a shell snippet, with the data flowing into each
+ */
+export function findShellSinks(code, language = 'shell') {
+  return new ShellAnalyzer(language).run(code);
+}
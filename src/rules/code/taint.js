@@ -0,0 +1,85 @@
+/**
+ * Sinks, Sources and Taint
+ * The code analyzers (javascript.js, shell.js, python.js) report calls to
+ * dangerous sinks and where the data reaching them came from. A taint is a
+ * Map from source kind to the steps that carried it to a value, e.g.
+ *
+ *   environment: process.env.GITHUB_TOKEN (3) → token (3) → body (4)
+ *
+ * Only the first path found for each kind is kept; that is enough to
+ * explain a finding without exploring every route.
+ */
+
+export const SINKS = ['process.exec', 'code.eval', 'fs.write', 'network.send'];
+
+// Most sensitive first: a sink's flow is reported from the worst source
+export const SOURCES = ['credentials', 'environment', 'network', 'input'];
+
+const CREDENTIAL_PATH = /(?:^|[/\\])(?:\.ssh|\.aws|\.gnupg|\.kube|\.azure|\.docker[/\\]config\.json|\.config[/\\]gcloud|\.config[/\\]gh|\.netrc|\.npmrc|\.pypirc|\.git-credentials|\.env(?:\.[\w.-]+)?$|\.bash_history|\.zsh_history|id_(?:rsa|dsa|ecdsa|ed25519)|credentials(?:\.json)?$|Keychains|Login Data|Cookies)/i;
+
+/**
+ * Paths written with the home directory spelled out ($HOME, ${HOME},
+ * %USERPROFILE%) come back starting with ~
+ */
+export function homePath(path) {
+  if (typeof path !== 'string') return null;
+  return path.replace(/^(?:\$HOME|\$\{HOME\}|%USERPROFILE%|%HOMEPATH%)(?=$|[/\\])/, '~');
+}
+
+export function isHomePath(path) {
+  return /^~(?:$|[/\\])/.test(homePath(path) || '');
+}
+
+export function isCredentialPath(path) {
+  return typeof path === 'string' && CREDENTIAL_PATH.test(path);
+}
+
+export function noTaint() {
+  return new Map();
+}
+
+export function sourceTaint(kind, label, line) {
+  return new Map([[kind, [{ label, line }]]]);
+}
+
+export function mergeTaint(...taints) {
+  const merged = new Map();
+  for (const taint of taints) {
+    for (const [kind, steps] of taint || []) {
+      if (!merged.has(kind)) merged.set(kind, steps);
+    }
+  }
+  return merged;
+}
+
+/**
+ * The same taint, one step further along (e.g. assigned to a variable)
+ */
+export function extendTaint(taint, label, line) {
+  const extended = new Map();
+  for (const [kind, steps] of taint) {
+    const last = steps[steps.length - 1];
+    extended.set(kind, last && last.label === label ? steps : [...steps, { label, line }]);
+  }
+  return extended;
+}
+
+/**
+ * A sink call as the rule matchers see it. Lines are 1-based within the
+ * analyzed code; document.js shifts them to the file.
+ */
+export function sinkFact({ sink, language, line, column, call, snippet, target = null, taint = noTaint() }) {
+  const sources = SOURCES.filter(kind => taint.has(kind));
+  const worst = sources[0];
+  return {
+    sink,
+    language,
+    line,
+    column,
+    call,
+    snippet,
+    target,
+    sources,
+    flow: worst ? [...taint.get(worst), { label: call, line }] : []
+  };
+}
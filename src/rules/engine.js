@@ -0,0 +1,251 @@
+import { watch } from 'fs';
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { SEVERITIES, PACK_EXTENSIONS, loadPack, toFinding } from './packs.js';
+import { SkillDocument } from './code/document.js';
+
+/**
+ * Rule Engine
+ * Scans skill content with the detection rules in DETECTION_RULES_PATH
+ * (comma-separated files or directories, default rules/). Rule directories
+ * are watched and reloaded shortly after a pack is saved; a pack that no
+ * longer loads keeps its last good version until it is fixed. Rule ids are
+ * global: if two packs define the same id, the first loaded wins. A rule
+ * that supersedes others hides their findings on the lines where it fires
+ * (a tainted exec is reported once, not also as a plain exec).
+ */
+
+const DEFAULT_RULES_PATH = fileURLToPath(new URL('../../rules', import.meta.url));
+const RELOAD_DELAY_MS = 250;
+
+export function rulePaths(env = process.env) {
+  const configured = (env.DETECTION_RULES_PATH || '').split(',').map(p => p.trim()).filter(Boolean);
+  return configured.length > 0 ? configured.map(p => path.resolve(p)) : [DEFAULT_RULES_PATH];
+}
+
+/**
+ * The worst of a list of severities ('low' for none)
+ */
+export function highestSeverity(severities) {
+  return SEVERITIES.find(severity => severities.includes(severity)) || 'low';
+}
+
+/**
+ * Pack files anywhere under a directory, sorted. Subdirectories are added
+ * to `directories` (the watcher needs them). Walked by hand: recursive
+ * readdir needs Node 18.17.
+ */
+export async function packFilesIn(directory, directories = new Set()) {
+  const found = [];
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    const full = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      directories.add(full);
+      found.push(...await packFilesIn(full, directories));
+    } else if (PACK_EXTENSIONS.includes(path.extname(entry.name))) {
+      found.push(full);
+    }
+  }
+  return found.sort();
+}
+
+/**
+ * Pack files under paths, in path order and sorted within a directory,
+ * plus the directories to watch
+ */
+async function findPackFiles(paths) {
+  const files = [];
+  const directories = new Set();
+
+  for (const rulePath of paths) {
+    let info;
+    try {
+      info = await stat(rulePath);
+    } catch (error) {
+      logger.warn(`Detection rule path ${rulePath} not found`);
+      continue;
+    }
+
+    if (!info.isDirectory()) {
+      files.push(rulePath);
+      directories.add(path.dirname(rulePath));
+      continue;
+    }
+
+    directories.add(rulePath);
+    files.push(...await packFilesIn(rulePath, directories));
+  }
+
+  return { files, directories: [...directories] };
+}
+
+export class RuleEngine {
+  constructor(options = {}) {
+    this.paths = options.paths || rulePaths();
+    this.watchEnabled = options.watch ?? process.env.DETECTION_RULES_WATCH !== 'false';
+    this.packs = new Map();
+    this.errors = new Map();
+    this.rules = [];
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.loadedAt = null;
+    this.starting = null;
+  }
+
+  async start() {
+    const { directories } = await this.load();
+    if (this.watchEnabled) {
+      this.watch(directories);
+    }
+  }
+
+  /**
+   * Load once, however many callers are waiting
+   */
+  ready() {
+    if (!this.starting) {
+      this.starting = this.start().catch((error) => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    return this.starting;
+  }
+
+  stop() {
+    clearTimeout(this.reloadTimer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    this.starting = null;
+  }
+
+  async load() {
+    const { files, directories } = await findPackFiles(this.paths);
+    const packs = new Map();
+    const errors = new Map();
+
+    for (const file of files) {
+      try {
+        packs.set(file, await loadPack(file));
+      } catch (error) {
+        errors.set(file, error.problems || [error.message]);
+        const previous = this.packs.get(file);
+        if (previous) {
+          packs.set(file, previous);
+        }
+        logger.error(`❌ Rule pack ${error.message}${previous ? ' (keeping the previous version)' : ''}`);
+      }
+    }
+
+    const rules = [];
+    const owners = new Map();
+    for (const pack of packs.values()) {
+      for (const rule of pack.rules) {
+        if (owners.has(rule.id)) {
+          logger.warn(`Rule ${rule.id} in pack ${pack.name} ignored: already defined by pack ${owners.get(rule.id)}`);
+          continue;
+        }
+        owners.set(rule.id, pack.name);
+        if (rule.enabled) rules.push(rule);
+      }
+    }
+
+    this.packs = packs;
+    this.errors = errors;
+    this.rules = rules;
+    this.loadedAt = new Date();
+    logger.info(`📐 Loaded ${rules.length} detection rules from ${packs.size} packs`);
+
+    return { files, directories };
+  }
+
+  watch(directories) {
+    for (const directory of directories) {
+      try {
+        const watcher = watch(directory, () => this.scheduleReload());
+        watcher.on('error', (error) => logger.warn(`Stopped watching ${directory}: ${error.message}`));
+        // Watching must not keep scripts and one-off processes alive
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        logger.warn(`Cannot watch ${directory} for rule changes: ${error.message}`);
+      }
+    }
+  }
+
+  // Editors write a file in several steps; reload once they are done
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      logger.info('🔄 Detection rules changed, reloading...');
+      this.load().catch(error => logger.error('Failed to reload detection rules:', error));
+    }, RELOAD_DELAY_MS);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * One finding per rule that fires on content (SKILL.md text or a
+   * SkillDocument with the skill's scripts)
+   */
+  scan(content) {
+    const document = content instanceof SkillDocument ? content : SkillDocument.fromMarkdown(content);
+    const found = this.rules.map(rule => ({ rule, occurrences: rule.find(document) }));
+
+    const superseded = new Set();
+    for (const { rule, occurrences } of found) {
+      if (rule.supersedes.length === 0 || occurrences.length < rule.minCount) continue;
+      for (const id of rule.supersedes) {
+        for (const { file, line } of occurrences) {
+          superseded.add(`${id}\x1f${file}:${line}`);
+        }
+      }
+    }
+
+    return found
+      .map(({ rule, occurrences }) => toFinding(
+        rule,
+        occurrences.filter(({ file, line }) => !superseded.has(`${rule.id}\x1f${file}:${line}`))
+      ))
+      .filter(Boolean);
+  }
+
+  /**
+   * Loaded rules without their compiled matchers, for review
+   */
+  listRules() {
+    return this.rules.map(({ find, minCount, ...rule }) => rule);
+  }
+
+  getStats() {
+    return {
+      paths: this.paths,
+      watching: this.watchers.length > 0,
+      loadedAt: this.loadedAt,
+      ruleCount: this.rules.length,
+      packs: [...this.packs.values()].map(pack => ({
+        name: pack.name,
+        version: pack.version,
+        file: pack.file,
+        rules: pack.rules.length
+      })),
+      errors: [...this.errors].map(([file, problems]) => ({ file, problems }))
+    };
+  }
+}
+
+let sharedEngine = null;
+
+/**
+ * The process-wide engine, loaded (and watching) on first use
+ */
+export async function getRuleEngine() {
+  if (!sharedEngine) {
+    sharedEngine = new RuleEngine();
+  }
+  await sharedEngine.ready();
+  return sharedEngine;
+}
@@ -0,0 +1,495 @@
+/**
+ * Prompt-Injection Detectors
+ * Finds text written to steer the agents that read it rather than to inform
+ * them: orders to ignore earlier instructions, fake system and chat-turn
+ * markers, fake tool calls, demands to act without telling the user,
+ * requests for keys, and instructions hidden in invisible Unicode, HTML
+ * comments, data: URLs or base64. Hidden and encoded text is decoded and
+ * checked for the same phrases, and is reported in the finding so a
+ * reviewer can read what the agent would have seen.
+ *
+ * Each detector has a weight; injectionRisk() turns the detectors that
+ * fired into a 0-100 risk score for the item.
+ */
+
+export const INJECTION_ALERT_TYPE = 'prompt_injection';
+
+const MAX_FINDINGS = 20;
+const SNIPPET_LENGTH = 200;
+const HIDDEN_TEXT_LENGTH = 300;
+// Each repeat of a detector adds a little risk, up to this many repeats
+const MAX_REPEAT_BONUS = 3;
+const REPEAT_WEIGHT = 5;
+
+/**
+ * Phrase detectors run over the visible text, and over any hidden or
+ * decoded text found by the structural detectors below
+ */
+const PHRASE_DETECTORS = [
+  {
+    id: 'ignore-instructions',
+    name: 'Instruction override',
+    technique: 'instruction_override',
+    severity: 'high',
+    weight: 40,
+    patterns: [
+      /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|my|every|of)\s+)*(?:previous|prior|above|earlier|preceding|original|initial|system|existing|other)\s+(?:instructions?|prompts?|rules|directives|guidelines|context|messages?|commands?)/gi,
+      /\bforget\s+(?:everything|all)\s+(?:you(?:'ve|\s+have)?\s+(?:been\s+told|learned)|above|before|so\s+far)/gi,
+      /\b(?:your|the)\s+(?:new|real|actual|updated)\s+(?:instructions|task|orders)\s+(?:are|is|follow)\b/gi,
+      /\bfrom\s+now\s+on,?\s+(?:you\s+(?:are|will|must|should)|ignore|only)\b/gi
+    ]
+  },
+  {
+    id: 'role-spoofing',
+    name: 'Fake system or chat-turn marker',
+    technique: 'role_spoofing',
+    severity: 'medium',
+    weight: 25,
+    patterns: [
+      /<\|(?:im_start|im_end|system|user|assistant|endoftext|eot_id|start_header_id)\|>/gi,
+      /\[\/?INST\]|<<\/?SYS>>/g,
+      /<\/?(?:system|system[_-]prompt|instructions|admin|developer)>/gi,
+      /^[ \t]*(?:#{1,3}[ \t]*)?\[?(?:system|developer)[ \t]*(?:prompt|message|override|note)?\]?[ \t]*:/gim,
+      /^[ \t]*(?:Human|Assistant)[ \t]*:/gm
+    ]
+  },
+  {
+    id: 'persona-hijack',
+    name: 'Jailbreak persona',
+    technique: 'instruction_override',
+    severity: 'medium',
+    weight: 20,
+    patterns: [
+      /\byou\s+are\s+(?:now|no\s+longer)\s+(?:an?\s+|in\s+)?(?:DAN|unrestricted|unfiltered|jailbroken|developer\s+mode|evil|bound\s+by|free\s+from)/gi,
+      /\b(?:enable|enter|activate)\s+(?:DAN|developer|god|jailbreak|unrestricted)\s+mode\b/gi,
+      /\bpretend\s+(?:(?:that\s+)?you\s+(?:have|are)\s+)?(?:no|without)\s+(?:restrictions|rules|guidelines|filters)/gi
+    ]
+  },
+  {
+    id: 'tool-coercion',
+    name: 'Tool-call coercion',
+    technique: 'tool_coercion',
+    severity: 'high',
+    weight: 30,
+    patterns: [
+      /\b(?:you\s+must|you\s+should|always|immediately|automatically|silently)\s+(?:call|run|execute|invoke|use)\s+(?:the\s+)?[`'"]?[\w.:-]+[`'"]?\s+(?:tool|function|command)\b/gi,
+      /\b(?:immediately|automatically|silently|quietly)\s+(?:run|execute|call|invoke|send|transfer|curl|wget|download|install)\b/gi
+    ]
+  },
+  {
+    id: 'fake-tool-call',
+    name: 'Fake tool call or result markup',
+    technique: 'tool_coercion',
+    severity: 'high',
+    weight: 30,
+    patterns: [
+      /<\/?(?:function_calls|function_results|tool_call|tool_result|tool_use)\b/gi,
+      /<invoke\s+name=/gi
+    ]
+  },
+  {
+    id: 'concealment',
+    name: 'Hide actions from the user',
+    technique: 'concealment',
+    severity: 'high',
+    weight: 30,
+    patterns: [
+      /\b(?:do\s+not|don'?t|never)\s+(?:tell|inform|mention|reveal|show|alert|notify|disclose)\s+(?:\w+\s+){0,3}?(?:to\s+)?(?:the\s+|your\s+)?(?:user|human|owner|operator)s?\b/gi,
+      /\bwithout\s+(?:telling|informing|notifying|alerting|asking|checking\s+with)\s+(?:the\s+|your\s+)?(?:user|human|owner|operator)s?\b/gi,
+      /\bwithout\s+(?:the\s+|your\s+)?(?:user|human|owner|operator)(?:'s|s')?\s+(?:knowledge|permission|approval|consent|confirmation)/gi,
+      /\bkeep\s+this\s+(?:secret|hidden|confidential|between\s+us)\b/gi
+    ]
+  },
+  {
+    id: 'prompt-extraction',
+    name: 'System prompt extraction',
+    technique: 'secret_extraction',
+    severity: 'medium',
+    weight: 20,
+    patterns: [
+      /\b(?:reveal|print|output|repeat|leak|dump)\s+(?:me\s+)?(?:your|the)\s+(?:(?:full|entire|original|initial|hidden|exact)\s+)*(?:system\s+prompt|instructions|initial\s+prompt|hidden\s+prompt)\b/gi
+    ]
+  },
+  {
+    id: 'credential-request',
+    name: 'Request for keys or credentials',
+    technique: 'secret_extraction',
+    severity: 'high',
+    weight: 35,
+    patterns: [
+      /\b(?:send|give|dm|forward|email)\s+(?:me|us)\s+(?:your|the\s+user'?s|all|any)\s+(?:\w+\s+)?(?:api[\s_-]?keys?|credentials|secrets?|private[\s_-]?keys?|seed\s+phrases?|mnemonics?|passwords?|access\s+tokens?|\.env\b)/gi,
+      /\b(?:share|reply\s+with|comment\s+with|reveal)\s+(?:your|the\s+user'?s|all\s+(?:your\s+)?)\s*(?:\w+\s+)?(?:api[\s_-]?keys?|credentials|secrets?|private[\s_-]?keys?|seed\s+phrases?|mnemonics?|passwords?|access\s+tokens?|\.env\b)/gi
+    ]
+  },
+  {
+    id: 'markdown-exfiltration',
+    name: 'Data-carrying image link',
+    technique: 'exfiltration',
+    severity: 'high',
+    weight: 30,
+    patterns: [
+      // ![](https://collector.example/?d={conversation}) leaks data when rendered
+      /!\[[^\]]*\]\(\s*https?:\/\/[^\s)]*[?&][\w-]+=(?:\{|\$\{|%7B|<|\[)/gi
+    ]
+  }
+];
+
+const PHRASES_BY_ID = new Map(PHRASE_DETECTORS.map(detector => [detector.id, detector]));
+
+const STRUCTURAL_DETECTORS = {
+  tags: {
+    id: 'unicode-tags',
+    name: 'Text hidden in Unicode tag characters',
+    technique: 'hidden_text',
+    severity: 'high',
+    weight: 45
+  },
+  selectors: {
+    id: 'variation-selectors',
+    name: 'Text hidden in variation selectors',
+    technique: 'hidden_text',
+    severity: 'high',
+    weight: 40
+  },
+  invisible: {
+    id: 'invisible-characters',
+    name: 'Invisible characters',
+    technique: 'hidden_text',
+    severity: 'low',
+    weight: 10
+  },
+  bidi: {
+    id: 'bidi-override',
+    name: 'Bidirectional text override',
+    technique: 'hidden_text',
+    severity: 'medium',
+    weight: 20
+  },
+  markup: {
+    id: 'hidden-markup',
+    name: 'Instructions hidden in markup',
+    technique: 'hidden_text',
+    severity: 'medium',
+    weight: 20
+  },
+  dataUrl: {
+    id: 'data-url-payload',
+    name: 'Executable or instruction-bearing data: URL',
+    technique: 'encoded_payload',
+    severity: 'high',
+    weight: 30
+  },
+  base64: {
+    id: 'encoded-instructions',
+    name: 'Base64-encoded instructions',
+    technique: 'encoded_payload',
+    severity: 'high',
+    weight: 35
+  }
+};
+
+// Zero-width characters that have no business in prose. The zero-width
+// joiner is left alone: emoji sequences are built from it.
+const INVISIBLE = /[\u200B\u200C\u2060-\u2064\u180E]|(?!^)\uFEFF/g;
+const INVISIBLE_MIN = 3;
+const BIDI_OVERRIDE = /[\u202D\u202E]/g;
+const TAG_RUN = /[\u{E0000}-\u{E007F}]+/gu;
+// 🏴 followed by tag characters is a subdivision flag (England, Scotland…)
+const FLAG_BASE = '\u{1F3F4}';
+const SELECTOR_RUN = /[\uFE00-\uFE0E\u{E0100}-\u{E01EF}]{4,}/gu;
+const HIDDEN_RUN = /[\u200B\u200C\u2060-\u2064\u180E\uFEFF\u202A-\u202E\u2066-\u2069\uFE00-\uFE0E\u{E0000}-\u{E007F}\u{E0100}-\u{E01EF}]+/gu;
+
+const HTML_COMMENT = /<!--([\s\S]*?)-->/g;
+const HIDDEN_ELEMENT = /<(\w+)\b[^>]*\bstyle\s*=\s*["'][^"']*(?:display\s*:\s*none|visibility\s*:\s*hidden|font-size\s*:\s*0(?:px|em|rem)?\s*[;"']|opacity\s*:\s*0(?:\.0+)?\s*[;"'])[^>]*>([\s\S]*?)<\/\1>/gi;
+// Hidden text addressed to the reader: "you must…", "AI agents: always…"
+const ADDRESSED_TO_AGENT = /\b(?:you|agents?|assistants?|AI|LLMs?|models?|bots?)\b[\s\S]{0,80}?\b(?:must|should|always|never|ignore|run|execute|send|call|reply|respond|do\s+not|don'?t)\b/i;
+
+const DATA_URL = /data:([\w.+-]+\/[\w.+-]+)?((?:;[\w.+-]+=[\w.+-]+)*)(;base64)?,([A-Za-z0-9+/=%._~-]{8,})/gi;
+const ACTIVE_MEDIA_TYPES = new Set(['text/html', 'application/xhtml+xml', 'text/javascript', 'application/javascript', 'application/x-javascript']);
+const TEXT_MEDIA_TYPES = new Set(['', 'text/plain', 'text/markdown', 'application/json']);
+const ACTIVE_SVG = /<script\b|\bon\w+\s*=|javascript:/i;
+const BASE64_BLOB = /(?<![\w+/=])(?<!base64,)[A-Za-z0-9+/]{24,}={0,2}(?![\w+/=])/g;
+const MIN_PRINTABLE = 0.9;
+
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function positionOf(starts, index) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: index - starts[low] + 1 };
+}
+
+/**
+ * A line with its hidden characters shown as [N hidden], so snippets can
+ * be read (and never smuggle the hidden text along)
+ */
+function visible(text) {
+  return text.replace(HIDDEN_RUN, run => `[${[...run].length} hidden]`);
+}
+
+function snippetAt(text, starts, index) {
+  const { line } = positionOf(starts, index);
+  const end = text.indexOf('\n', starts[line - 1]);
+  const content = text.slice(starts[line - 1], end === -1 ? undefined : end).trim();
+  const shown = visible(content);
+  return shown.length > SNIPPET_LENGTH ? `${shown.slice(0, SNIPPET_LENGTH)}…` : shown;
+}
+
+function clip(text) {
+  const shown = visible(text.trim());
+  return shown.length > HIDDEN_TEXT_LENGTH ? `${shown.slice(0, HIDDEN_TEXT_LENGTH)}…` : shown;
+}
+
+function finding(detector, { text, starts, index, ...extra }) {
+  return {
+    detector: detector.id,
+    name: detector.name,
+    technique: detector.technique,
+    severity: detector.severity,
+    weight: detector.weight,
+    ...positionOf(starts, index),
+    snippet: snippetAt(text, starts, index),
+    ...extra
+  };
+}
+
+/**
+ * Ids of the phrase detectors that match some text; used on hidden and
+ * decoded text
+ */
+function phraseSignals(text) {
+  const normalized = normalize(text);
+  return PHRASE_DETECTORS
+    .filter(detector => detector.patterns.some(pattern => {
+      pattern.lastIndex = 0;
+      const found = pattern.test(normalized);
+      pattern.lastIndex = 0;
+      return found;
+    }))
+    .map(detector => detector.id);
+}
+
+/**
+ * Fold look-alike characters (fullwidth letters, ligatures) and drop
+ * zero-width ones, so "ig<ZWSP>nore previous instructions" still reads as
+ * an instruction. Line breaks are kept, so line numbers still hold.
+ */
+function normalize(text) {
+  return text.normalize('NFKC').replace(INVISIBLE, '').replace(/\uFEFF/g, '');
+}
+
+function findPhrases(text) {
+  const normalized = normalize(text);
+  const starts = lineStarts(normalized);
+  const found = [];
+  for (const detector of PHRASE_DETECTORS) {
+    for (const pattern of detector.patterns) {
+      for (const match of normalized.matchAll(pattern)) {
+        found.push(finding(detector, { text: normalized, starts, index: match.index }));
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * A hidden or decoded payload: the detector's own finding, raised to
+ * critical when the payload itself carries instructions
+ */
+function payloadFinding(detector, { text, starts, index, payload, ...extra }) {
+  const signals = phraseSignals(payload);
+  const escalated = signals.length > 0
+    ? {
+        severity: 'critical',
+        weight: Math.min(95, detector.weight + Math.max(...signals.map(id => PHRASES_BY_ID.get(id).weight)))
+      }
+    : {};
+  return {
+    ...finding(detector, { text, starts, index, ...extra }),
+    hidden_text: clip(payload),
+    signals,
+    ...escalated
+  };
+}
+
+function decodeTags(run) {
+  return [...run]
+    .map(char => char.codePointAt(0) - 0xE0000)
+    .filter(code => code >= 0x20 && code < 0x7F)
+    .map(code => String.fromCharCode(code))
+    .join('');
+}
+
+// Each selector carries one byte: U+FE00-FE0F are 0-15, U+E0100-E01EF 16-255
+function decodeSelectors(run) {
+  const bytes = [...run].map(char => {
+    const code = char.codePointAt(0);
+    return code >= 0xE0100 ? code - 0xE0100 + 16 : code - 0xFE00;
+  });
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function printableShare(text) {
+  if (!text) return 0;
+  const printable = text.match(/[\x20-\x7E\n\r\t]/g)?.length ?? 0;
+  return printable / text.length;
+}
+
+function findHiddenUnicode(text, starts) {
+  const found = [];
+
+  for (const match of text.matchAll(TAG_RUN)) {
+    const decoded = decodeTags(match[0]);
+    if (text.slice(Math.max(0, match.index - FLAG_BASE.length), match.index) === FLAG_BASE && /^[a-z0-9]{2,7}$/.test(decoded)) continue;
+    if (!decoded.trim()) continue;
+    found.push(payloadFinding(STRUCTURAL_DETECTORS.tags, { text, starts, index: match.index, payload: decoded }));
+  }
+
+  for (const match of text.matchAll(SELECTOR_RUN)) {
+    const decoded = decodeSelectors(match[0]);
+    if (printableShare(decoded) < MIN_PRINTABLE) continue;
+    found.push(payloadFinding(STRUCTURAL_DETECTORS.selectors, { text, starts, index: match.index, payload: decoded }));
+  }
+
+  const invisible = [...text.matchAll(INVISIBLE)];
+  if (invisible.length >= INVISIBLE_MIN) {
+    found.push(finding(STRUCTURAL_DETECTORS.invisible, { text, starts, index: invisible[0].index, count: invisible.length }));
+  }
+
+  const bidi = [...text.matchAll(BIDI_OVERRIDE)];
+  if (bidi.length > 0) {
+    found.push(finding(STRUCTURAL_DETECTORS.bidi, { text, starts, index: bidi[0].index, count: bidi.length }));
+  }
+
+  return found;
+}
+
+function findHiddenMarkup(text, starts) {
+  const found = [];
+  const candidates = [
+    ...[...text.matchAll(HTML_COMMENT)].map(match => ({ index: match.index, payload: match[1], via: 'html_comment' })),
+    ...[...text.matchAll(HIDDEN_ELEMENT)].map(match => ({ index: match.index, payload: match[2], via: 'hidden_element' }))
+  ];
+
+  for (const { index, payload, via } of candidates) {
+    const stripped = payload.replace(/<[^>]+>/g, ' ');
+    if (phraseSignals(stripped).length === 0 && !ADDRESSED_TO_AGENT.test(stripped)) continue;
+    found.push(payloadFinding(STRUCTURAL_DETECTORS.markup, { text, starts, index, payload: stripped, via }));
+  }
+
+  return found;
+}
+
+function decodeDataUrl(body, base64) {
+  try {
+    return base64
+      ? Buffer.from(decodeURIComponent(body), 'base64').toString('utf8')
+      : decodeURIComponent(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+function findEncodedPayloads(text, starts) {
+  const found = [];
+
+  for (const match of text.matchAll(DATA_URL)) {
+    const mediaType = (match[1] || '').toLowerCase();
+    const active = ACTIVE_MEDIA_TYPES.has(mediaType);
+    // Images and fonts are data; SVG only counts when it carries script
+    if (!active && !TEXT_MEDIA_TYPES.has(mediaType) && mediaType !== 'image/svg+xml') continue;
+
+    const decoded = decodeDataUrl(match[4], Boolean(match[3]));
+    if (decoded === null || printableShare(decoded) < MIN_PRINTABLE) continue;
+
+    const signals = phraseSignals(decoded);
+    const scripted = mediaType === 'image/svg+xml' && ACTIVE_SVG.test(decoded);
+    if (!active && !scripted && signals.length === 0) continue;
+
+    found.push(payloadFinding(STRUCTURAL_DETECTORS.dataUrl, {
+      text,
+      starts,
+      index: match.index,
+      payload: decoded,
+      media_type: mediaType || 'text/plain'
+    }));
+  }
+
+  for (const match of text.matchAll(BASE64_BLOB)) {
+    let decoded;
+    try {
+      decoded = Buffer.from(match[0], 'base64').toString('utf8');
+    } catch (error) {
+      continue;
+    }
+    // Only blobs that decode to instructions; keys and hashes decode to noise
+    if (printableShare(decoded) < MIN_PRINTABLE || phraseSignals(decoded).length === 0) continue;
+    found.push(payloadFinding(STRUCTURAL_DETECTORS.base64, { text, starts, index: match.index, payload: decoded }));
+  }
+
+  return found;
+}
+
+/**
+ * Injection findings in a piece of text, in order of appearance. A
+ * detector that fires several times is reported once, at its first match
+ * (or its most severe hidden payload), with a count.
+ */
+export function findInjections(text) {
+  if (!text || typeof text !== 'string') return [];
+  const starts = lineStarts(text);
+
+  const all = [
+    ...findPhrases(text),
+    ...findHiddenUnicode(text, starts),
+    ...findHiddenMarkup(text, starts),
+    ...findEncodedPayloads(text, starts)
+  ].sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const byDetector = new Map();
+  for (const found of all) {
+    const seen = byDetector.get(found.detector);
+    if (!seen) {
+      byDetector.set(found.detector, { count: 1, ...found });
+      continue;
+    }
+    const count = seen.count + (found.count ?? 1);
+    byDetector.set(found.detector, found.weight > seen.weight ? { ...found, count } : { ...seen, count });
+  }
+
+  return [...byDetector.values()]
+    .sort((a, b) => a.line - b.line || a.column - b.column)
+    .slice(0, MAX_FINDINGS);
+}
+
+/**
+ * 0-100 risk that an item is an injection attempt. Detectors combine like
+ * independent signals (each one closes part of the remaining gap to 100),
+ * so one strong signal scores high and many weak ones add up without
+ * ever reaching 100.
+ */
+export function injectionRisk(findings) {
+  const clean = findings.reduce((probability, found) => {
+    const bonus = REPEAT_WEIGHT * Math.min((found.count ?? 1) - 1, MAX_REPEAT_BONUS);
+    return probability * (1 - Math.min(found.weight + bonus, 95) / 100);
+  }, 1);
+  return Math.round(100 * (1 - clean));
+}
+
+/**
+ * The distinct techniques behind a set of findings, e.g. for a risk badge
+ */
+export function injectionTechniques(findings) {
+  return [...new Set(findings.map(found => found.technique))];
+}
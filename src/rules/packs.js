@@ -0,0 +1,301 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import Joi from 'joi';
+import { SINKS, SOURCES } from './code/taint.js';
+import { SkillDocument, SCOPES, CODE_LANGUAGES, MAIN_FILE } from './code/document.js';
+
+/**
+ * Detection Rule Packs
+ * A pack is a YAML or JSON file with a list of rules (rules/core.yaml
+ * documents the format, rules/code.yaml the sink rules). Packs are
+ * validated and compiled here. A pack with an invalid rule, or a rule that
+ * fails its own tests, is rejected whole, so a half-edited file never
+ * changes what the scanner reports.
+ *
+ * Rules run over a SkillDocument (code/document.js): pattern and keyword
+ * rules over its prose, its code or both, sink rules over the calls the
+ * code analyzers found.
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+export const PACK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const MAX_SNIPPET = 200;
+const MAX_MATCH = 100;
+const MAX_OCCURRENCES = 5;
+
+const RULE_ID = /^[a-z0-9]+(?:[.-][a-z0-9]+)*$/;
+
+export class RulePackError extends Error {
+  constructor(file, problems) {
+    super(`${path.basename(file)}: ${problems.join('; ')}`);
+    this.name = 'RulePackError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const matchSchema = Joi.object({
+  pattern: Joi.string().min(1),
+  // Matching is global and line by line; g and y are not accepted
+  flags: Joi.string().pattern(/^[imsu]*$/).default('i'),
+  keywords: Joi.array().items(Joi.string().trim().min(1)).min(1),
+  sink: Joi.string().valid(...SINKS),
+  // Sink rules: which code to look at, and what must flow into the sink
+  languages: Joi.array().items(Joi.string().valid(...CODE_LANGUAGES)).min(1),
+  sources: Joi.array().items(Joi.string().valid(...SOURCES)).min(1),
+  target: Joi.string().min(1),
+  // Pattern and keyword rules: SKILL.md prose, code (blocks and scripts),
+  // all of SKILL.md, or everything
+  scope: Joi.when('sink', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.string().valid(...SCOPES).default('all')
+  }),
+  min_count: Joi.number().integer().min(1).default(1)
+})
+  .xor('pattern', 'keywords', 'sink')
+  .with('languages', 'sink')
+  .with('sources', 'sink')
+  .with('target', 'sink');
+
+// An example is SKILL.md text, or code when it names a language
+const exampleSchema = Joi.alternatives(
+  Joi.string(),
+  Joi.object({
+    language: Joi.string().valid(...CODE_LANGUAGES).required(),
+    code: Joi.string().required()
+  })
+);
+
+const ruleSchema = Joi.object({
+  id: Joi.string().pattern(RULE_ID).required(),
+  name: Joi.string().max(200).required(),
+  category: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).required(),
+  severity: Joi.string().valid(...SEVERITIES).required(),
+  description: Joi.string().required(),
+  remediation: Joi.string(),
+  references: Joi.array().items(Joi.string().uri()).default([]),
+  enabled: Joi.boolean().default(true),
+  // Rules whose findings on the same line this rule replaces
+  supersedes: Joi.array().items(Joi.string().pattern(RULE_ID)).default([]),
+  match: matchSchema.required(),
+  tests: Joi.object({
+    // Language of the string examples; they are SKILL.md text without one
+    language: Joi.string().valid(...CODE_LANGUAGES),
+    match: Joi.array().items(exampleSchema).min(1).required(),
+    no_match: Joi.array().items(exampleSchema).default([])
+  }).required()
+});
+
+const packSchema = Joi.object({
+  pack: Joi.string().pattern(RULE_ID).required(),
+  version: Joi.alternatives(Joi.string(), Joi.number()),
+  description: Joi.string(),
+  rules: Joi.array().items(Joi.object().unknown()).min(1).required()
+});
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function snippetOf(text) {
+  const trimmed = text.trim();
+  return trimmed.length > MAX_SNIPPET ? `${trimmed.slice(0, MAX_SNIPPET)}…` : trimmed;
+}
+
+function scanSegments(segments, regex) {
+  const occurrences = [];
+  for (const segment of segments) {
+    segment.lines.forEach((text, index) => {
+      for (const match of text.matchAll(regex)) {
+        occurrences.push({
+          file: segment.file,
+          line: segment.offset + index + 1,
+          column: match.index + 1,
+          match: match[0].slice(0, MAX_MATCH),
+          snippet: snippetOf(text)
+        });
+      }
+    });
+  }
+  return occurrences;
+}
+
+// Each matcher turns a rule's `match` block into document => occurrences
+const MATCHERS = {
+  pattern: ({ pattern, flags, scope }) => {
+    const regex = new RegExp(pattern, `${flags}g`);
+    return (document) => scanSegments(document.select(scope), regex);
+  },
+  keywords: ({ keywords, scope }) => {
+    const regex = new RegExp(`\\b(?:${keywords.map(escapeRegExp).join('|')})`, 'gi');
+    return (document) => scanSegments(document.select(scope), regex);
+  },
+  sink: ({ sink, languages, sources, target }) => {
+    const targetRegex = target ? new RegExp(target, 'i') : null;
+    return (document) => document.sinks()
+      .filter(fact => fact.sink === sink)
+      .filter(fact => !languages || languages.includes(fact.language))
+      .filter(fact => !sources || fact.sources.some(kind => sources.includes(kind)))
+      .filter(fact => !targetRegex || (fact.target !== null && targetRegex.test(fact.target)))
+      .map(fact => ({
+        file: fact.file,
+        line: fact.line,
+        column: fact.column,
+        match: fact.call.slice(0, MAX_MATCH),
+        snippet: snippetOf(fact.snippet),
+        target: fact.target,
+        sources: fact.sources,
+        flow: fact.flow
+      }));
+  }
+};
+
+function compileRule(rule, pack) {
+  const type = Object.keys(MATCHERS).find(key => rule.match[key] !== undefined);
+  return {
+    ...rule,
+    pack: pack.pack,
+    matcher: type,
+    minCount: rule.match.min_count,
+    find: MATCHERS[type](rule.match)
+  };
+}
+
+/**
+ * The finding for a rule's occurrences, or null if there are too few.
+ * The first occurrence gives the location; up to five are listed.
+ */
+export function toFinding(rule, occurrences) {
+  if (occurrences.length === 0 || occurrences.length < rule.minCount) return null;
+
+  const [first] = occurrences;
+  return {
+    type: rule.category,
+    rule_id: rule.id,
+    rule_name: rule.name,
+    rule_pack: rule.pack,
+    severity: rule.severity,
+    description: rule.description,
+    remediation: rule.remediation,
+    references: rule.references,
+    file: first.file,
+    line: first.line,
+    column: first.column,
+    snippet: first.snippet,
+    ...(rule.matcher === 'sink' && {
+      sink: rule.match.sink,
+      target: first.target,
+      sources: first.sources,
+      flow: first.flow
+    }),
+    match_count: occurrences.length,
+    matches: occurrences.slice(0, MAX_OCCURRENCES).map(({ file, line, match }) => ({ file, line, match }))
+  };
+}
+
+/**
+ * The finding for a compiled rule over a SkillDocument, or null
+ */
+export function applyRule(rule, document) {
+  return toFinding(rule, rule.find(document));
+}
+
+function exampleDocument(example, language) {
+  const code = typeof example === 'string' ? example : example.code;
+  const codeLanguage = typeof example === 'string' ? language : example.language;
+  if (!codeLanguage) return SkillDocument.fromMarkdown(code);
+
+  return new SkillDocument([{
+    file: MAIN_FILE,
+    kind: 'code',
+    language: codeLanguage,
+    offset: 0,
+    lines: code.split(/\r?\n/)
+  }]);
+}
+
+/**
+ * Run a compiled rule's own examples; returns what failed (empty if none)
+ */
+export function testRule(rule) {
+  const language = rule.tests.language ?? rule.match.languages?.[0] ?? (rule.matcher === 'sink' ? 'javascript' : null);
+  const describe = example => JSON.stringify(typeof example === 'string' ? example : example.code);
+  const failures = [];
+  for (const example of rule.tests.match) {
+    if (!applyRule(rule, exampleDocument(example, language))) {
+      failures.push(`should match ${describe(example)}`);
+    }
+  }
+  for (const example of rule.tests.no_match) {
+    if (applyRule(rule, exampleDocument(example, language))) {
+      failures.push(`should not match ${describe(example)}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Read, validate and compile a pack. Throws RulePackError listing every
+ * problem found. With runTests false, rule tests are left to the caller
+ * (scripts/test-rules.js reports them one by one).
+ */
+export async function loadPack(file, { runTests = true } = {}) {
+  let document;
+  try {
+    const text = await readFile(file, 'utf8');
+    document = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text, { filename: file });
+  } catch (error) {
+    throw new RulePackError(file, [error.message]);
+  }
+
+  const { value: pack, error } = packSchema.validate(document, { abortEarly: false });
+  if (error) {
+    throw new RulePackError(file, error.details.map(detail => detail.message));
+  }
+
+  const problems = [];
+  const rules = [];
+  const ids = new Set();
+
+  pack.rules.forEach((raw, index) => {
+    const label = `rule ${raw.id || `#${index + 1}`}`;
+    const { value: rule, error: ruleError } = ruleSchema.validate(raw, { abortEarly: false });
+    if (ruleError) {
+      problems.push(...ruleError.details.map(detail => `${label}: ${detail.message}`));
+      return;
+    }
+    if (ids.has(rule.id)) {
+      problems.push(`${label}: duplicate id`);
+      return;
+    }
+    ids.add(rule.id);
+
+    let compiled;
+    try {
+      compiled = compileRule(rule, pack);
+    } catch (compileError) {
+      problems.push(`${label}: ${compileError.message}`);
+      return;
+    }
+
+    if (runTests) {
+      problems.push(...testRule(compiled).map(failure => `${label} ${failure}`));
+    }
+    rules.push(compiled);
+  });
+
+  if (problems.length > 0) {
+    throw new RulePackError(file, problems);
+  }
+
+  return {
+    name: pack.pack,
+    version: pack.version ?? null,
+    description: pack.description ?? null,
+    file,
+    rules
+  };
+}
@@ -0,0 +1,333 @@
+import { createHash } from 'crypto';
+
+/**
+ * Secret Detectors
+ * Finds credentials leaked in public text: provider API keys with a known
+ * shape, JWTs, PEM private keys, wallet seed phrases, and high-entropy
+ * values assigned to something called a key, token, secret or password.
+ * Findings never carry the secret itself, only a redacted form (prefix and
+ * last four characters) and a short hash that identifies the same secret
+ * wherever it turns up.
+ */
+
+export const SECRET_ALERT_TYPE = 'secret_exposure';
+
+const MAX_FINDINGS = 20;
+const HASH_LENGTH = 16;
+
+// Example values in docs and templates, not real secrets
+const PLACEHOLDER = /x{5,}|\*{4,}|\.{3}|<[^>]*>|\{\{|\$\{|your[_-]|example|placeholder|changeme|dummy|sample|redacted|fake|(.)\1{5,}/i;
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(text) {
+  if (!text) return 0;
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+export function secretHash(secret) {
+  return createHash('sha256').update(secret).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * A secret with everything but its prefix and last four characters
+ * removed: ghp_…9xQz. Short secrets keep nothing after the prefix.
+ */
+export function redactSecret(secret, prefixLength = 0) {
+  const prefix = secret.slice(0, prefixLength);
+  const rest = secret.slice(prefixLength);
+  return rest.length >= 16 ? `${prefix}…${rest.slice(-4)}` : `${prefix}…`;
+}
+
+/**
+ * Provider tokens: a fixed prefix and a random body. `prefix` is the part
+ * kept when redacting; bodies below minEntropy are placeholders.
+ */
+const TOKEN_DETECTORS = [
+  {
+    id: 'anthropic-api-key',
+    name: 'Anthropic API key',
+    provider: 'Anthropic',
+    severity: 'critical',
+    regex: /\bsk-ant-[a-z]+\d{2}-[A-Za-z0-9_-]{40,}/g,
+    prefix: /^sk-ant-[a-z]+\d{2}-/,
+    minEntropy: 3.5
+  },
+  {
+    id: 'openai-api-key',
+    name: 'OpenAI API key',
+    provider: 'OpenAI',
+    severity: 'critical',
+    regex: /\bsk-(?:(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}|[A-Za-z0-9]{20}T3BlbkFJ[A-Za-z0-9]{20})(?![A-Za-z0-9_-])/g,
+    prefix: /^sk-(?:(?:proj|svcacct|admin)-)?/,
+    minEntropy: 3.5
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    provider: 'GitHub',
+    severity: 'critical',
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g,
+    prefix: /^(?:gh[pousr]_|github_pat_)/,
+    minEntropy: 3.5
+  },
+  {
+    id: 'aws-access-key',
+    name: 'AWS access key id',
+    provider: 'AWS',
+    severity: 'high',
+    regex: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+    prefix: /^(?:AKIA|ASIA)/,
+    minEntropy: 3
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    provider: 'Slack',
+    severity: 'high',
+    regex: /\bxox[abposr]-[A-Za-z0-9-]{20,}/g,
+    prefix: /^xox[abposr]-/,
+    minEntropy: 3
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe live secret key',
+    provider: 'Stripe',
+    severity: 'critical',
+    regex: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/g,
+    prefix: /^[rs]k_live_/,
+    minEntropy: 3.5
+  },
+  {
+    id: 'google-api-key',
+    name: 'Google API key',
+    provider: 'Google',
+    severity: 'high',
+    regex: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g,
+    prefix: /^AIza/,
+    minEntropy: 3.5
+  }
+];
+
+const JWT = /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,}/g;
+const PEM_BEGIN = /-----BEGIN ((?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?)-----/;
+const PEM_MIN_BODY = 64;
+const PEM_MAX_LINES = 100;
+
+// A value assigned to a secret-sounding name: api_key = "…", "token": "…"
+const ASSIGNMENT = /\b([\w-]*(?:api[_-]?key|secret|token|passw(?:or)?d|auth|credential|private[_-]?key)[\w-]*)["']?\s*[:=]\s*["'`]?([A-Za-z0-9+/_\-.~=]{20,})/gi;
+const GENERIC_MIN_ENTROPY = 3.5;
+const HEX_MIN_ENTROPY = 3;
+
+// Seed phrases: 12 to 24 wallet words near words that name one
+const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
+const MNEMONIC_CONTEXT = /\b(?:seed|mnemonic|recovery|backup phrase|secret phrase|wallet|bip-?39|private phrase)\b/i;
+const MNEMONIC_CONTEXT_LINES = 3;
+const MNEMONIC_WORD = /^[a-z]{3,8}$/;
+// Common words that are not in the BIP-39 list; prose always has some
+const NOT_WALLET_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'with', 'this', 'that', 'from', 'have', 'was',
+  'were', 'has', 'his', 'her', 'its', 'our', 'they', 'them', 'their', 'there', 'what', 'when',
+  'which', 'who', 'will', 'would', 'could', 'should', 'into', 'been', 'being', 'your', 'can',
+  'may', 'does', 'did', 'had', 'than', 'these', 'those', 'here', 'where', 'why', 'how', 'some',
+  'any', 'many', 'most', 'such', 'own', 'same', 'other', 'while', 'because', 'until', 'upon'
+]);
+
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function positionOf(starts, index) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: index - starts[low] + 1 };
+}
+
+function finding(detector, secret, { index, starts, redacted, entropy = null }) {
+  return {
+    detector: detector.id,
+    name: detector.name,
+    provider: detector.provider ?? null,
+    severity: detector.severity,
+    ...positionOf(starts, index),
+    start: index,
+    end: index + secret.length,
+    redacted,
+    secret_hash: secretHash(secret),
+    length: secret.length,
+    entropy: entropy === null ? null : Math.round(entropy * 100) / 100
+  };
+}
+
+function findTokens(text, starts) {
+  const found = [];
+  for (const detector of TOKEN_DETECTORS) {
+    for (const match of text.matchAll(detector.regex)) {
+      const [secret] = match;
+      const prefixLength = secret.match(detector.prefix)?.[0].length ?? 0;
+      const body = secret.slice(prefixLength);
+      const entropy = shannonEntropy(body);
+      if (entropy < detector.minEntropy || PLACEHOLDER.test(body)) continue;
+      found.push(finding(detector, secret, { index: match.index, starts, redacted: redactSecret(secret, prefixLength), entropy }));
+    }
+  }
+  return found;
+}
+
+function decodeJson(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findJwts(text, starts) {
+  const detector = { id: 'jwt', name: 'JSON Web Token', severity: 'high' };
+  const found = [];
+  for (const match of text.matchAll(JWT)) {
+    const [token] = match;
+    const [header, payload] = token.split('.');
+    // Only real tokens: a header naming an algorithm and a JSON payload
+    if (!decodeJson(header)?.alg || typeof decodeJson(payload) !== 'object') continue;
+    found.push(finding(detector, token, { index: match.index, starts, redacted: redactSecret(token, 8) }));
+  }
+  return found;
+}
+
+function findPrivateKeys(text, starts) {
+  const lines = text.split('\n');
+  const found = [];
+
+  lines.forEach((line, index) => {
+    const begin = line.match(PEM_BEGIN);
+    if (!begin) return;
+
+    const label = begin[1];
+    const endIndex = lines.findIndex((candidate, i) => i > index && i <= index + PEM_MAX_LINES && candidate.includes(`-----END ${label}-----`));
+    const bodyLines = lines.slice(index + 1, endIndex === -1 ? index + 1 + PEM_MAX_LINES : endIndex);
+    const body = bodyLines.filter(bodyLine => !bodyLine.includes(':')).join('').replace(/\s/g, '');
+    // Documentation shows the markers with "..." in between
+    if (!/^[A-Za-z0-9+/=]+$/.test(body) || body.length < PEM_MIN_BODY) return;
+
+    const encrypted = label.startsWith('ENCRYPTED') || bodyLines.some(bodyLine => /Proc-Type:.*ENCRYPTED/.test(bodyLine));
+    const detector = {
+      id: 'private-key',
+      name: encrypted ? 'Encrypted private key' : 'Private key',
+      severity: encrypted ? 'high' : 'critical'
+    };
+    found.push(finding(detector, body, {
+      index: starts[index] + begin.index,
+      starts,
+      redacted: `-----BEGIN ${label}-----…`
+    }));
+  });
+
+  return found;
+}
+
+function findMnemonics(text, starts) {
+  const detector = { id: 'mnemonic-phrase', name: 'Wallet seed phrase', severity: 'critical' };
+  const lines = text.split('\n');
+  const found = [];
+
+  lines.forEach((line, index) => {
+    const context = lines.slice(Math.max(0, index - MNEMONIC_CONTEXT_LINES), index + 1).join('\n');
+    if (!MNEMONIC_CONTEXT.test(context)) return;
+
+    // Words may be numbered (1. abandon 2. ability …) or comma separated
+    const words = line.replace(/\b\d{1,2}[.)]/g, ' ').split(/[\s,]+/).filter(Boolean);
+    let run = [];
+    for (const word of [...words, '']) {
+      if (MNEMONIC_WORD.test(word) && !NOT_WALLET_WORDS.has(word)) {
+        run.push(word);
+        continue;
+      }
+      if (MNEMONIC_LENGTHS.includes(run.length)) {
+        const phrase = run.join(' ');
+        found.push(finding(detector, phrase, {
+          index: starts[index] + Math.max(0, line.indexOf(run[0])),
+          starts,
+          redacted: `${run[0]} … (${run.length} words)`
+        }));
+      }
+      run = [];
+    }
+  });
+
+  return found;
+}
+
+function findAssignedSecrets(text, starts) {
+  const detector = { id: 'generic-secret', name: 'High-entropy secret', severity: 'medium' };
+  const found = [];
+  for (const match of text.matchAll(ASSIGNMENT)) {
+    const value = match[2];
+    const entropy = shannonEntropy(value);
+    const hex = /^[a-f0-9]+$/i.test(value);
+    if (entropy < (hex ? HEX_MIN_ENTROPY : GENERIC_MIN_ENTROPY)) continue;
+    if (!/\d/.test(value) || !/[a-z]/i.test(value) || PLACEHOLDER.test(value)) continue;
+    // Paths and URLs, not secrets
+    if (/^[./~]|\/\//.test(value) || value.split('/').length > 2) continue;
+
+    const index = match.index + match[0].lastIndexOf(value);
+    found.push(finding(detector, value, { index, starts, redacted: redactSecret(value), entropy }));
+  }
+  return found;
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Secrets in a piece of text, in order of appearance. A secret seen
+ * several times is reported once with a count; a generic match inside a
+ * provider token is dropped in favour of the token.
+ */
+export function findSecrets(text) {
+  if (!text || typeof text !== 'string') return [];
+  const starts = lineStarts(text);
+
+  const specific = [
+    ...findTokens(text, starts),
+    ...findJwts(text, starts),
+    ...findPrivateKeys(text, starts),
+    ...findMnemonics(text, starts)
+  ];
+  const generic = findAssignedSecrets(text, starts)
+    .filter(candidate => !specific.some(other => overlaps(candidate, other)));
+
+  const bySecret = new Map();
+  for (const found of [...specific, ...generic].sort((a, b) => a.start - b.start)) {
+    const seen = bySecret.get(found.secret_hash);
+    if (seen) {
+      seen.count++;
+    } else {
+      bySecret.set(found.secret_hash, { ...found, count: 1 });
+    }
+  }
+
+  return [...bySecret.values()]
+    .slice(0, MAX_FINDINGS)
+    .map(({ start, end, ...rest }) => rest);
+}
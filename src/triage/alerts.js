@@ -0,0 +1,77 @@
+import { createHash } from 'crypto';
+import { query } from '../utils/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Alert Store
+ * Every scanner records findings through recordSecurityAlert(). A finding's
+ * fingerprint is its source, subject (the skill), rule (alert type plus the
+ * detection rule id, or for older findings the pattern or keyword that
+ * fired) and location, so the same eval() in the same skill is one alert
+ * no matter how often, or from which code path, it is seen. Repeats bump last_seen and occurrence_count; a repeat of a
+ * resolved alert reopens it. False positives stay closed (suppression rules
+ * keep them from being recorded at all).
+ */
+
+const SCANNER_ACTOR = 'scanner';
+
+/**
+ * Stable id for a finding. Keep in step with the backfill in migration
+ * 015_alert_fingerprints.js.
+ */
+export function alertFingerprint({ source, subject, rule, location = '' }) {
+  return createHash('sha256')
+    .update([source, subject ?? '', rule, location ?? ''].join('\x1f'))
+    .digest('hex');
+}
+
+function ruleOf(alert) {
+  return `${alert.type}:${alert.rule_id ?? alert.pattern ?? alert.keyword ?? ''}`;
+}
+
+/**
+ * Insert or update the alert for a finding about a skill. metadata is
+ * stored as the alert's metadata (latest sighting wins). Returns the row,
+ * with `created` and `reopened` flags.
+ */
+export async function recordSecurityAlert({ source = 'clawdhub', subject, alert, title, metadata }) {
+  const fingerprint = alertFingerprint({
+    source,
+    subject,
+    rule: ruleOf(alert),
+    location: alert.location
+  });
+
+  const result = await query(`
+    WITH previous AS (
+      SELECT status FROM security_alerts WHERE fingerprint = $1
+    )
+    INSERT INTO security_alerts (fingerprint, type, severity, title, description, metadata, first_seen, last_seen)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+    ON CONFLICT (fingerprint) DO UPDATE SET
+      severity = EXCLUDED.severity,
+      title = EXCLUDED.title,
+      description = EXCLUDED.description,
+      metadata = EXCLUDED.metadata,
+      last_seen = NOW(),
+      occurrence_count = security_alerts.occurrence_count + 1,
+      status = CASE WHEN security_alerts.status = 'resolved' THEN 'new' ELSE security_alerts.status END,
+      resolved = CASE WHEN security_alerts.status = 'resolved' THEN FALSE ELSE security_alerts.resolved END,
+      resolved_at = CASE WHEN security_alerts.status = 'resolved' THEN NULL ELSE security_alerts.resolved_at END,
+      updated_at = CASE WHEN security_alerts.status = 'resolved' THEN NOW() ELSE security_alerts.updated_at END
+    RETURNING *, (SELECT status FROM previous) AS previous_status
+  `, [fingerprint, alert.type, alert.severity, title, alert.description, JSON.stringify(metadata)]);
+
+  const { previous_status: previousStatus, ...row } = result.rows[0];
+  const reopened = previousStatus === 'resolved';
+
+  if (reopened) {
+    await query(`
+      INSERT INTO alert_events (alert_id, actor, action, from_value, to_value, details)
+      VALUES ($1, $2, 'reopened', 'resolved', 'new', $3)
+    `, [row.id, SCANNER_ACTOR, JSON.stringify({ occurrence_count: row.occurrence_count })]);
+    logger.info(`🔁 Reopened alert ${row.id}: ${title} seen again`);
+  }
+
+  return { ...row, created: previousStatus == null, reopened };
+}
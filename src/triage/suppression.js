@@ -0,0 +1,146 @@
+import { query, transaction } from '../utils/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Suppression Rules
+ * A rule names a known false positive by any combination of alert type,
+ * pattern (the detection rule id, or the scanner pattern or keyword that
+ * fired) and skill (external id or name). Scanners load the active rules once per pass and skip alerts
+ * that match one, counting the match on the rule instead. Creating a rule
+ * can also close the open alerts it matches as false positives.
+ */
+
+function toRule(row) {
+  return {
+    id: row.id,
+    alertType: row.alert_type,
+    pattern: row.pattern,
+    skill: row.skill,
+    reason: row.reason,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    disabledAt: row.disabled_at,
+    disabledBy: row.disabled_by,
+    matchCount: row.match_count,
+    lastMatchedAt: row.last_matched_at,
+    createdAt: row.created_at
+  };
+}
+
+// Same matching as matchRule(), in SQL over security_alerts ($1 type,
+// $2 pattern, $3 skill)
+const MATCHES_RULE = `
+  ($1::text IS NULL OR type = $1)
+  AND ($2::text IS NULL OR $2 IN (metadata->>'rule_id', metadata->>'pattern', metadata->>'keyword'))
+  AND ($3::text IS NULL OR metadata->>'skill_id' = $3 OR metadata->>'skill_name' = $3)
+`;
+
+export async function listSuppressionRules({ includeDisabled = false } = {}) {
+  const result = await query(`
+    SELECT * FROM suppression_rules
+    WHERE $1 OR disabled_at IS NULL
+    ORDER BY disabled_at IS NOT NULL, created_at DESC
+  `, [includeDisabled]);
+  return result.rows.map(toRule);
+}
+
+/**
+ * Create a rule. With closeMatching, open alerts it matches are marked
+ * false_positive, each with an audit event naming the rule.
+ */
+export async function createSuppressionRule({ alertType = null, pattern = null, skill = null, reason, expiresAt = null, closeMatching = true }, actor) {
+  return transaction(async (client) => {
+    const inserted = await client.query(`
+      INSERT INTO suppression_rules (alert_type, pattern, skill, reason, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [alertType, pattern, skill, reason, actor.name, expiresAt]);
+    const rule = toRule(inserted.rows[0]);
+
+    let closed = [];
+    if (closeMatching) {
+      const result = await client.query(`
+        UPDATE security_alerts
+        SET status = 'false_positive', resolved = TRUE, resolved_at = NOW(), updated_at = NOW()
+        WHERE NOT resolved AND ${MATCHES_RULE}
+        RETURNING id
+      `, [alertType, pattern, skill]);
+      closed = result.rows.map(row => row.id);
+
+      if (closed.length > 0) {
+        await client.query(`
+          INSERT INTO alert_events (alert_id, actor_id, actor, action, to_value, details)
+          SELECT id, $2, $3, 'suppressed', 'false_positive', $4
+          FROM UNNEST($1::int[]) AS id
+        `, [closed, actor.id, actor.name, JSON.stringify({ rule_id: rule.id, reason })]);
+      }
+    }
+
+    logger.info(`🔕 ${actor.name} added suppression rule ${rule.id}`, {
+      alertType, pattern, skill, closed: closed.length
+    });
+    return { rule, closed };
+  });
+}
+
+export async function disableSuppressionRule(id, actor) {
+  const result = await query(`
+    UPDATE suppression_rules SET disabled_at = NOW(), disabled_by = $2
+    WHERE id = $1 AND disabled_at IS NULL
+    RETURNING *
+  `, [id, actor.name]);
+
+  if (result.rows[0]) {
+    logger.info(`🔔 ${actor.name} disabled suppression rule ${id}`);
+  }
+  return result.rows[0] ? toRule(result.rows[0]) : null;
+}
+
+/**
+ * Rules in force now, for a scanner pass
+ */
+export async function loadActiveRules() {
+  const result = await query(`
+    SELECT * FROM suppression_rules
+    WHERE disabled_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `);
+  return result.rows.map(toRule);
+}
+
+function matchRule(rule, alert, skill) {
+  if (rule.alertType && rule.alertType !== alert.type) return false;
+  if (rule.pattern && ![alert.rule_id, alert.pattern, alert.keyword].includes(rule.pattern)) return false;
+  if (rule.skill && rule.skill !== String(skill.id ?? '') && rule.skill !== skill.name) return false;
+  return true;
+}
+
+/**
+ * Split a scanner's alerts for a skill into those to raise and those a
+ * rule suppresses, recording the matches on the rules
+ */
+export async function applySuppressions(rules, skill, alerts) {
+  const raised = [];
+  const matches = new Map();
+
+  for (const alert of alerts) {
+    const rule = rules.find(candidate => matchRule(candidate, alert, skill));
+    if (rule) {
+      matches.set(rule.id, (matches.get(rule.id) || 0) + 1);
+    } else {
+      raised.push(alert);
+    }
+  }
+
+  for (const [ruleId, count] of matches) {
+    await query(`
+      UPDATE suppression_rules
+      SET match_count = match_count + $2, last_matched_at = NOW()
+      WHERE id = $1
+    `, [ruleId, count]);
+  }
+
+  if (matches.size > 0) {
+    logger.debug(`Suppressed ${alerts.length - raised.length} alerts for ${skill.name}`);
+  }
+  return raised;
+}
@@ -0,0 +1,180 @@
+import { query, transaction } from '../utils/database.js';
+import { ROLE_SCOPES } from '../auth/accounts.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Alert Triage
+ * Security alerts start as `new` and move through
+ *
+ *   new → acknowledged → investigating → resolved | false_positive
+ *
+ * (steps can be skipped; closed alerts can be reopened into
+ * investigating). Every change, assignment and comment is written to
+ * alert_events with the acting user, so an alert's history reads as an
+ * audit trail. `resolved` is kept in step with the status for the queries
+ * that only know open vs closed. Scanners reopen resolved alerts whose
+ * finding comes back (see triage/alerts.js).
+ */
+
+export const ALERT_STATUSES = ['new', 'acknowledged', 'investigating', 'resolved', 'false_positive'];
+export const OPEN_STATUSES = ['new', 'acknowledged', 'investigating'];
+
+const TRANSITIONS = {
+  new: ['acknowledged', 'investigating', 'resolved', 'false_positive'],
+  acknowledged: ['investigating', 'resolved', 'false_positive'],
+  investigating: ['acknowledged', 'resolved', 'false_positive'],
+  resolved: ['investigating'],
+  false_positive: ['investigating']
+};
+
+// Roles whose users can be assigned alerts
+const TRIAGE_ROLES = Object.entries(ROLE_SCOPES)
+  .filter(([, scopes]) => scopes.includes('write:triage') || scopes.includes('admin'))
+  .map(([role]) => role);
+
+export class TriageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TriageError';
+    this.status = status;
+  }
+}
+
+async function recordEvent(client, alertId, actor, action, { from = null, to = null, details = {} } = {}) {
+  await client.query(`
+    INSERT INTO alert_events (alert_id, actor_id, actor, action, from_value, to_value, details)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [alertId, actor.id, actor.name, action, from, to, JSON.stringify(details)]);
+}
+
+async function lockAlert(client, id) {
+  const result = await client.query('SELECT * FROM security_alerts WHERE id = $1 FOR UPDATE', [id]);
+  if (!result.rows[0]) {
+    throw new TriageError('Alert not found', 404);
+  }
+  return result.rows[0];
+}
+
+async function insertComment(client, alertId, body, actor) {
+  const result = await client.query(`
+    INSERT INTO alert_comments (alert_id, author_id, author, body)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, author, body, created_at
+  `, [alertId, actor.id, actor.name, body]);
+
+  const comment = result.rows[0];
+  await recordEvent(client, alertId, actor, 'commented', { details: { comment_id: comment.id } });
+  return comment;
+}
+
+/**
+ * An alert with its assignee, comments and history, or null
+ */
+export async function getAlert(id) {
+  const [alert, comments, events] = await Promise.all([
+    query(`
+      SELECT sa.id, sa.type, sa.severity, sa.title, sa.description, sa.metadata,
+        sa.status, sa.resolved, sa.resolved_at, sa.created_at, sa.updated_at,
+        sa.first_seen, sa.last_seen, sa.occurrence_count,
+        sa.assignee_id, u.name AS assignee_name, u.email AS assignee_email
+      FROM security_alerts sa
+      LEFT JOIN users u ON u.id = sa.assignee_id
+      WHERE sa.id = $1
+    `, [id]),
+    query(`
+      SELECT id, author, body, created_at
+      FROM alert_comments WHERE alert_id = $1
+      ORDER BY created_at, id
+    `, [id]),
+    query(`
+      SELECT id, actor, action, from_value, to_value, details, created_at
+      FROM alert_events WHERE alert_id = $1
+      ORDER BY created_at, id
+    `, [id])
+  ]);
+
+  if (!alert.rows[0]) return null;
+  return { ...alert.rows[0], comments: comments.rows, events: events.rows };
+}
+
+/**
+ * Move an alert to status, optionally explaining why in a comment
+ */
+export async function setAlertStatus(id, status, actor, comment = null) {
+  await transaction(async (client) => {
+    const alert = await lockAlert(client, id);
+    if (!TRANSITIONS[alert.status]?.includes(status)) {
+      throw new TriageError(`Cannot move a ${alert.status} alert to ${status}`, 409);
+    }
+
+    const closed = !OPEN_STATUSES.includes(status);
+    await client.query(`
+      UPDATE security_alerts
+      SET status = $2, resolved = $3,
+        resolved_at = CASE WHEN $3 THEN NOW() ELSE NULL END,
+        updated_at = NOW()
+      WHERE id = $1
+    `, [id, status, closed]);
+
+    await recordEvent(client, id, actor, 'status_changed', { from: alert.status, to: status });
+    if (comment) {
+      await insertComment(client, id, comment, actor);
+    }
+  });
+
+  logger.info(`🗂️ ${actor.name} moved alert ${id} to ${status}`);
+  return getAlert(id);
+}
+
+/**
+ * Assign an alert to a user who can triage, or unassign it with null
+ */
+export async function assignAlert(id, assigneeId, actor) {
+  await transaction(async (client) => {
+    const alert = await lockAlert(client, id);
+
+    let assignee = null;
+    if (assigneeId !== null) {
+      const result = await client.query(`
+        SELECT id, email FROM users
+        WHERE id = $1 AND NOT disabled AND role = ANY($2)
+      `, [assigneeId, TRIAGE_ROLES]);
+      assignee = result.rows[0];
+      if (!assignee) {
+        throw new TriageError('Assignee must be an active user who can triage alerts');
+      }
+    }
+
+    if (alert.assignee_id === (assignee?.id ?? null)) return;
+
+    await client.query(`
+      UPDATE security_alerts SET assignee_id = $2, updated_at = NOW() WHERE id = $1
+    `, [id, assignee?.id ?? null]);
+
+    const previous = alert.assignee_id
+      ? (await client.query('SELECT email FROM users WHERE id = $1', [alert.assignee_id])).rows[0]?.email
+      : null;
+    await recordEvent(client, id, actor, 'assigned', { from: previous, to: assignee?.email ?? null });
+  });
+
+  return getAlert(id);
+}
+
+export async function addAlertComment(id, body, actor) {
+  return transaction(async (client) => {
+    await lockAlert(client, id);
+    return insertComment(client, id, body, actor);
+  });
+}
+
+/**
+ * Users alerts can be assigned to
+ */
+export async function listAssignees() {
+  const result = await query(`
+    SELECT id, name, email, role FROM users
+    WHERE NOT disabled AND role = ANY($1)
+    ORDER BY COALESCE(name, email)
+  `, [TRIAGE_ROLES]);
+  return result.rows;
+}
@@ -0,0 +1,182 @@
+/**
+ * Line Diff
+ * Myers shortest-edit-script diff over lines, rendered as unified diff hunks.
+ * Used to compare skill versions; kept dependency-free on purpose.
+ */
+
+// Above this many edits we stop searching and report a full rewrite. The
+// trace kept for backtracking grows with the square of this (about 4 MB at 1000)
+const MAX_EDIT_DISTANCE = 1000;
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return String(text).replace(/\r\n/g, '\n').split('\n');
+}
+
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Step d only reads diagonals -d..d, so that band is all backtracking needs
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return trace;
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(a, b, trace) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    // trace[d] holds diagonals -d..d, so diagonal k sits at index k + d
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = v[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'context', text: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (x === prevX) {
+      ops.push({ type: 'add', text: b[y - 1] });
+      y--;
+    } else {
+      ops.push({ type: 'remove', text: a[x - 1] });
+      x--;
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'context', text: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Line-level edit script between two texts
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix/suffix are cheap to peel off and keep the search small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const search = shortestEdit(midA, midB);
+  const middle = search
+    ? backtrack(midA, midB, search)
+    : [
+      ...midA.map(text => ({ type: 'remove', text })),
+      ...midB.map(text => ({ type: 'add', text }))
+    ];
+
+  const ops = [
+    ...a.slice(0, prefix).map(text => ({ type: 'context', text })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(text => ({ type: 'context', text }))
+  ];
+
+  // Number every line against both sides
+  let oldNumber = 1;
+  let newNumber = 1;
+  return ops.map(op => {
+    const line = { ...op, oldNumber: null, newNumber: null };
+    if (op.type !== 'add') line.oldNumber = oldNumber++;
+    if (op.type !== 'remove') line.newNumber = newNumber++;
+    return line;
+  });
+}
+
+/**
+ * Group an edit script into unified diff hunks with surrounding context
+ */
+export function unifiedDiff(oldText, newText, { context = 3, oldLabel = 'a', newLabel = 'b' } = {}) {
+  const lines = diffLines(oldText, newText);
+
+  // Expand every change by the context window and merge windows that overlap
+  const ranges = [];
+  lines.forEach((line, index) => {
+    if (line.type === 'context') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length - 1, index + context);
+    const previous = ranges[ranges.length - 1];
+    if (previous && start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const hunks = ranges.map(({ start, end }) => {
+    const hunkLines = lines.slice(start, end + 1);
+    const oldLines = hunkLines.filter(line => line.type !== 'add');
+    const newLines = hunkLines.filter(line => line.type !== 'remove');
+    // Empty sides point at the line before the change, as in `diff -u`
+    const oldStart = oldLines[0]?.oldNumber ?? (lines.slice(0, start).filter(line => line.type !== 'add').length);
+    const newStart = newLines[0]?.newNumber ?? (lines.slice(0, start).filter(line => line.type !== 'remove').length);
+
+    return {
+      oldStart,
+      oldLines: oldLines.length,
+      newStart,
+      newLines: newLines.length,
+      header: `@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`,
+      lines: hunkLines
+    };
+  });
+
+  const stats = {
+    additions: lines.filter(line => line.type === 'add').length,
+    deletions: lines.filter(line => line.type === 'remove').length
+  };
+
+  const prefixes = { context: ' ', add: '+', remove: '-' };
+  const text = hunks.length === 0 ? '' : [
+    `--- ${oldLabel}`,
+    `+++ ${newLabel}`,
+    ...hunks.flatMap(hunk => [
+      hunk.header,
+      ...hunk.lines.map(line => `${prefixes[line.type]}${line.text}`)
+    ])
+  ].join('\n');
+
+  return { hunks, stats, text };
+}
@@ -0,0 +1,312 @@
+import axios from 'axios';
+import logger from './logger.js';
+
+/**
+ * Resilient HTTP Client
+ * Shared request layer for collectors: exponential backoff with jitter,
+ * 429/Retry-After handling, a per-platform token bucket, and a per-host
+ * circuit breaker. Tracks health per host so flaky platforms show up in stats.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host} until ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Token bucket limiting requests per second, with an optional pause
+ * window (used when a platform tells us to back off via Retry-After).
+ */
+export class TokenBucket {
+  constructor({ ratePerSecond = 1, capacity = 1 } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  async take() {
+    for (;;) {
+      const pausedFor = this.pausedUntil - Date.now();
+      if (pausedFor > 0) {
+        await sleep(pausedFor);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+    }
+  }
+}
+
+/**
+ * Circuit breaker: opens after consecutive failures, lets a single trial
+ * request through once the cool-down has passed (half-open), and closes
+ * again on success. Every request let through must end in recordSuccess(),
+ * recordFailure() or release(), or a half-open breaker never lets another
+ * trial through.
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get retryAt() {
+    return new Date((this.openedAt || 0) + this.resetTimeoutMs);
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * The request neither proved the host healthy nor down (a 429): free the
+   * trial slot so the next request can be the trial, without changing state
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+class HttpClient {
+  constructor(options = {}) {
+    this.name = options.name || 'http';
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 5 * 60 * 1000;
+    this.timeout = options.timeout || 30000;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 60000;
+    this.adapter = options.adapter || null;
+
+    this.bucket = options.ratePerSecond
+      ? new TokenBucket({ ratePerSecond: options.ratePerSecond, capacity: options.burst || 1 })
+      : null;
+
+    this.breakers = new Map();
+    this.health = new Map();
+  }
+
+  getBreaker(host) {
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, new CircuitBreaker({
+        failureThreshold: this.failureThreshold,
+        resetTimeoutMs: this.resetTimeoutMs
+      }));
+    }
+    return this.breakers.get(host);
+  }
+
+  getHostHealth(host) {
+    if (!this.health.has(host)) {
+      this.health.set(host, {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        rateLimited: 0,
+        circuitRejections: 0,
+        lastStatus: null,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        avgLatencyMs: null
+      });
+    }
+    return this.health.get(host);
+  }
+
+  isRetryable(error, method) {
+    const status = error.response?.status;
+
+    // A 429 means the request was not processed, so it is safe to repeat
+    if (status === 429) return true;
+    if (!IDEMPOTENT_METHODS.has(method)) return false;
+    if (status) return RETRYABLE_STATUS.has(status);
+
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  backoffDelay(attempt) {
+    // Full jitter: random delay in [0, min(max, base * 2^attempt)]
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  async request(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const host = new URL(config.url).host;
+    const breaker = this.getBreaker(host);
+    const health = this.getHostHealth(host);
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.canRequest()) {
+        health.circuitRejections++;
+        throw new CircuitOpenError(host, breaker.retryAt);
+      }
+
+      if (this.bucket) await this.bucket.take();
+
+      health.requests++;
+      const startTime = Date.now();
+
+      try {
+        const response = await axios({
+          timeout: this.timeout,
+          ...(this.adapter && { adapter: this.adapter }),
+          ...config,
+          method
+        });
+
+        const latency = Date.now() - startTime;
+        health.avgLatencyMs = health.avgLatencyMs === null
+          ? latency
+          : Math.round(health.avgLatencyMs * 0.8 + latency * 0.2);
+        health.successes++;
+        health.lastStatus = response.status;
+        health.lastSuccessAt = new Date();
+        breaker.recordSuccess();
+
+        return response;
+      } catch (error) {
+        const status = error.response?.status ?? null;
+        health.failures++;
+        health.lastStatus = status;
+        health.lastError = error.message;
+        health.lastFailureAt = new Date();
+
+        let delay = this.backoffDelay(attempt);
+
+        if (status === 429) {
+          health.rateLimited++;
+          breaker.release();
+          const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+          if (retryAfter !== null) {
+            if (retryAfter > this.maxRetryAfterMs) {
+              logger.warn(`⏳ ${this.name}: ${host} asked to wait ${Math.round(retryAfter / 1000)}s, giving up`);
+              this.bucket?.pause(retryAfter);
+              throw error;
+            }
+            delay = retryAfter;
+          }
+          // Everyone sharing this platform's bucket waits, not just this request
+          this.bucket?.pause(delay);
+        } else if (status >= 500 || !error.response) {
+          // Rate limiting is the platform working as intended; only outages trip
+          // the breaker. No response at all (unreachable, TLS failure) is one too.
+          breaker.recordFailure();
+        } else {
+          // The host answered, if only with a 4xx
+          breaker.recordSuccess();
+        }
+
+        if (attempt >= this.maxRetries || !this.isRetryable(error, method)) {
+          throw error;
+        }
+
+        health.retries++;
+        logger.warn(`🔁 ${this.name}: retrying ${method} ${host} in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`, {
+          status,
+          code: error.code
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Per-host health snapshot for getStats()
+   */
+  getHealth() {
+    const hosts = {};
+    for (const [host, health] of this.health) {
+      const breaker = this.getBreaker(host);
+      hosts[host] = {
+        ...health,
+        circuit: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        ...(breaker.state !== 'closed' && { circuitRetryAt: breaker.retryAt })
+      };
+    }
+    return hosts;
+  }
+}
+
+export default HttpClient;
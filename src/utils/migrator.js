@@ -0,0 +1,189 @@
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { join } from 'path';
+import { getDatabase } from './database.js';
+import logger from './logger.js';
+
+/**
+ * Schema Migrations
+ * Applies ordered migrations from /migrations and records them in
+ * schema_migrations. Each migration module exports async up(client) and
+ * down(client); files are named NNN_description.js and run in a transaction.
+ */
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url));
+
+// Arbitrary constant so concurrent deploys don't migrate at the same time
+const MIGRATION_LOCK_ID = 7_210_001;
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter(file => MIGRATION_FILE.test(file)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const path = join(dir, file);
+    const source = await readFile(path, 'utf8');
+    const mod = await import(pathToFileURL(path).href);
+
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: createHash('sha256').update(source).digest('hex'),
+      up: mod.up,
+      down: mod.down
+    });
+  }
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query(`
+    SELECT version, name, checksum, applied_at
+    FROM schema_migrations
+    ORDER BY version
+  `);
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+async function withMigrationLock(callback) {
+  const client = await getDatabase().connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations, optionally stopping at a target version
+ */
+export async function migrate({ to = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    const ran = [];
+
+    for (const migration of migrations) {
+      const existing = applied.get(migration.version);
+      if (existing) {
+        if (existing.checksum !== migration.checksum) {
+          logger.warn(`⚠️  Migration ${migration.file} changed after it was applied`);
+        }
+        continue;
+      }
+      if (to && parseInt(migration.version) > parseInt(to)) break;
+
+      logger.info(`⬆️  Applying migration ${migration.file}`);
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+      });
+      ran.push(migration.file);
+    }
+
+    if (ran.length === 0) {
+      logger.info('✅ Database schema is up to date');
+    } else {
+      logger.info(`✅ Applied ${ran.length} migrations`);
+    }
+    return ran;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+export async function rollback({ steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = Array.from((await getApplied(client)).values()).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file is missing`);
+      }
+
+      logger.info(`⬇️  Reverting migration ${migration.file}`);
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      reverted.push(migration.file);
+    }
+
+    logger.info(`✅ Reverted ${reverted.length} migrations`);
+    return reverted;
+  });
+}
+
+/**
+ * Applied/pending state of every known migration
+ */
+export async function getMigrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    return migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row?.applied_at || null,
+        modified: Boolean(row && row.checksum !== migration.checksum)
+      };
+    });
+  });
+}
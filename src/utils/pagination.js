@@ -0,0 +1,82 @@
+/**
+ * Keyset Pagination
+ * Cursors are opaque page tokens: the sort key and id of the row at the
+ * edge of a page, as base64url-encoded JSON. keysetPage() turns one into
+ * SQL clauses and toPage() cuts the rows and issues the next/prev cursors.
+ */
+
+export function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+export function decodeCursor(token) {
+  const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  if (
+    !cursor || typeof cursor.sort !== 'string' || !['asc', 'desc'].includes(cursor.order) ||
+    !['next', 'prev'].includes(cursor.direction) || !Number.isInteger(cursor.id) ||
+    typeof cursor.value !== 'string'
+  ) {
+    throw new Error('Malformed cursor');
+  }
+  return cursor;
+}
+
+/**
+ * Keyset clauses for one page. `column` is the SQL expression of the sort
+ * field, which must never be NULL (COALESCE nullable columns), and
+ * `idColumn` the unique tie-breaker. Appends the cursor and limit
+ * parameters to params. A previous page is read in reverse order and
+ * flipped back by toPage().
+ */
+export function keysetPage({ column, idColumn = 'id', order, cursor, limit, params }) {
+  const backwards = cursor?.direction === 'prev';
+  const descending = (order === 'desc') !== backwards;
+  const direction = descending ? 'DESC' : 'ASC';
+
+  let condition = null;
+  if (cursor) {
+    params.push(cursor.value, cursor.id);
+    condition = `(${column}, ${idColumn}) ${descending ? '<' : '>'} ($${params.length - 1}, $${params.length})`;
+  }
+
+  // One extra row tells whether there is another page
+  params.push(limit + 1);
+
+  return {
+    condition,
+    // Sort key as text so cursors round-trip timestamps at full precision
+    sortKey: `(${column})::text AS sort_key`,
+    orderBy: `${column} ${direction}, ${idColumn} ${direction}`,
+    limit: `$${params.length}`
+  };
+}
+
+/**
+ * Trim a keyset query's rows (selected with sortKey) to the page and build
+ * its next/prev cursors
+ */
+export function toPage(rows, { sort, order, cursor, limit }) {
+  const backwards = cursor?.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const edge = (row, direction) => encodeCursor({ sort, order, value: row.sort_key, id: row.id, direction });
+  const first = page[0];
+  const last = page[page.length - 1];
+  // Going back, the page we came from is always ahead
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    items: page.map(({ sort_key, ...row }) => row),
+    pagination: {
+      limit,
+      sort,
+      order,
+      next: hasNext && last ? edge(last, 'next') : null,
+      prev: hasPrev && first ? edge(first, 'prev') : null,
+      has_more: hasNext
+    }
+  };
+}
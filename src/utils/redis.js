@@ -64,4 +64,26 @@ export async function cacheDel(key) {
   } catch (error) {
     logger.error(`Redis DEL error for key ${key}:`, error);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Version counter for a family of cache keys. Include it in the keys and
+ * bump it to invalidate them all when the keys can't be listed (for
+ * example, keys built from query strings).
+ */
+export async function cacheVersion(namespace) {
+  try {
+    return (await redisClient.get(`cache_version:${namespace}`)) || '0';
+  } catch (error) {
+    logger.error(`Redis GET error for cache version ${namespace}:`, error);
+    return '0';
+  }
+}
+
+export async function bumpCacheVersion(namespace) {
+  try {
+    await redisClient.incr(`cache_version:${namespace}`);
+  } catch (error) {
+    logger.error(`Redis INCR error for cache version ${namespace}:`, error);
+  }
+}
@@ -1,9 +1,40 @@
 import { Server } from 'socket.io';
 import logger from './utils/logger.js';
+import { getRedis } from './utils/redis.js';
+import { hasScope } from './auth/accounts.js';
+import { AuthError, resolveCredential } from './auth/middleware.js';
 
 let io;
+let subscriber;
 const connectedClients = new Map();
 
+// Collectors and analyzers run in worker processes without a socket server;
+// their broadcasts are relayed to the API process over Redis pub/sub
+const BROADCAST_CHANNEL = 'hub:broadcasts';
+
+// Rooms carrying restricted data, and the scope needed to join them
+const ROOM_SCOPES = {
+  security: 'read:security'
+};
+
+/**
+ * Authenticate the handshake with the same credentials as the HTTP API,
+ * passed as { auth: { token } } or ?token=. No token connects anonymously.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token || null;
+    socket.data.principal = await resolveCredential(token, socket.handshake.address);
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return next(new Error(error.message));
+    }
+    logger.error('WebSocket authentication error:', error);
+    next(new Error('Failed to authenticate'));
+  }
+}
+
 export function initializeWebSocket(server) {
   io = new Server(server, {
     cors: {
@@ -15,9 +46,13 @@ export function initializeWebSocket(server) {
     transports: ['websocket', 'polling']
   });
 
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
+    const { principal } = socket.data;
     const clientInfo = {
       id: socket.id,
+      principal: principal.name,
       connectedAt: new Date(),
       userAgent: socket.handshake.headers['user-agent'],
       ip: socket.handshake.address
@@ -27,6 +62,7 @@ export function initializeWebSocket(server) {
     
     logger.info(`WebSocket client connected: ${socket.id}`, {
       totalClients: connectedClients.size,
+      principal: principal.name,
       userAgent: clientInfo.userAgent?.substring(0, 100)
     });
 
@@ -34,12 +70,20 @@ export function initializeWebSocket(server) {
     socket.emit('connection-established', {
       clientId: socket.id,
       serverTime: new Date().toISOString(),
-      features: ['real-time-updates', 'security-alerts', 'agent-tracking']
+      features: ['real-time-updates', 'security-alerts', 'agent-tracking'],
+      scopes: principal.scopes
     });
 
     socket.on('subscribe', (channels) => {
       if (Array.isArray(channels)) {
         channels.forEach(channel => {
+          const scope = ROOM_SCOPES[channel];
+          if (scope && !hasScope(principal.scopes, scope)) {
+            socket.emit('subscription-denied', { channel, scope });
+            logger.debug(`Client ${socket.id} denied ${channel} (needs ${scope})`);
+            return;
+          }
+
           socket.join(channel);
           logger.debug(`Client ${socket.id} subscribed to ${channel}`);
         });
@@ -73,7 +117,7 @@ export function initializeWebSocket(server) {
 
 export function broadcastUpdate(event, data, room = null) {
   if (!io) {
-    logger.warn('WebSocket not initialized, cannot broadcast update');
+    publishBroadcast(event, data, room);
     return;
   }
 
@@ -96,11 +140,49 @@ export function broadcastUpdate(event, data, room = null) {
   }
 }
 
+function publishBroadcast(event, data, room) {
+  try {
+    getRedis()
+      .publish(BROADCAST_CHANNEL, JSON.stringify({ event, data, room }))
+      .catch(error => logger.warn(`Failed to publish ${event}: ${error.message}`));
+  } catch (error) {
+    logger.warn(`WebSocket not initialized, cannot broadcast ${event}: ${error.message}`);
+  }
+}
+
+/**
+ * Re-emit broadcasts published by worker processes to this server's clients
+ */
+export async function subscribeToBroadcasts() {
+  subscriber = getRedis().duplicate();
+  subscriber.on('error', (err) => logger.error('Broadcast subscriber error:', err));
+  await subscriber.connect();
+
+  await subscriber.subscribe(BROADCAST_CHANNEL, (message) => {
+    try {
+      const { event, data, room } = JSON.parse(message);
+      broadcastUpdate(event, data, room);
+    } catch (error) {
+      logger.warn(`Dropped malformed broadcast: ${error.message}`);
+    }
+  });
+
+  logger.info('📡 Relaying worker broadcasts to WebSocket clients');
+}
+
+export async function closeBroadcastSubscriber() {
+  if (subscriber) {
+    await subscriber.quit().catch(() => {});
+    subscriber = null;
+  }
+}
+
 export function getConnectedClients() {
   return {
     count: connectedClients.size,
     clients: Array.from(connectedClients.values()).map(client => ({
       id: client.id,
+      principal: client.principal,
       connectedAt: client.connectedAt,
       userAgent: client.userAgent?.substring(0, 50) + '...'
     }))
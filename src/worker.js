@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+
+import logger from './utils/logger.js';
+import { connectDatabase, getDatabase } from './utils/database.js';
+import { connectRedis } from './utils/redis.js';
+import { loadJobDefinitions } from './jobs/definitions.js';
+import JobScheduler from './jobs/scheduler.js';
+import JobWorker from './jobs/worker.js';
+
+dotenv.config();
+
+/**
+ * Background worker: runs collectors and analyzers off the Redis job queue.
+ *
+ * WORKER_ROLE (or --role) picks what this process does:
+ *   all        schedule jobs and run them (default)
+ *   scheduler  only enqueue jobs on their cron schedules
+ *   worker     only run queued jobs
+ * Run as many replicas as needed; locks keep each job to one runner at a time.
+ */
+
+const ROLES = ['all', 'scheduler', 'worker'];
+
+function parseRole(argv, env) {
+  const index = argv.indexOf('--role');
+  const role = index !== -1 ? argv[index + 1] : (env.WORKER_ROLE || 'all');
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown worker role "${role}" (expected ${ROLES.join(', ')})`);
+  }
+  return role;
+}
+
+let scheduler = null;
+let worker = null;
+
+async function start() {
+  try {
+    const role = parseRole(process.argv.slice(2), process.env);
+    logger.info(`🦀 Agent Intelligence Hub worker starting up (${role})...`);
+
+    await connectDatabase();
+    await connectRedis();
+
+    const definitions = await loadJobDefinitions();
+
+    if (role !== 'worker') {
+      scheduler = new JobScheduler(definitions);
+      await scheduler.start();
+    }
+
+    if (role !== 'scheduler') {
+      worker = new JobWorker(definitions);
+      await worker.start();
+    }
+  } catch (error) {
+    logger.error('Failed to start worker:', error);
+    process.exit(1);
+  }
+}
+
+async function shutdown(signal) {
+  logger.info(`🛑 Received ${signal}, finishing in-flight jobs...`);
+  try {
+    await scheduler?.stop();
+    await worker?.stop();
+    await getDatabase().end();
+    logger.info('✅ Worker stopped');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception:', error);
+  process.exit(1);
+});
+
+start();
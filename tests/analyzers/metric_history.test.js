@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn(async () => ({ rows: [] }));
+
+jest.unstable_mockModule('../../src/utils/database.js', () => ({
+  query,
+  transaction: jest.fn()
+}));
+
+const { getTimeSeries } = await import('../../src/analyzers/metric_history.js');
+
+const range = { from: '2026-02-01T00:00:00Z', to: '2026-02-01T03:00:00Z' };
+
+beforeEach(() => {
+  query.mockClear();
+});
+
+describe('getTimeSeries', () => {
+  test.each(['1e3', '0x10', ' 12 ', '1.0', '-4', '', 'abc', '2147483648', '99999999999'])('rejects post id %p', async (id) => {
+    await expect(getTimeSeries('post', id, range)).rejects.toThrow(RangeError);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('queries samples by the numeric id', async () => {
+    const series = await getTimeSeries('agent', '0042', range);
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(query.mock.calls.map(([, params]) => params[0])).toEqual([42, 42]);
+    expect(series).toMatchObject({ kind: 'agent', interval: 'hour', points: [] });
+  });
+
+  test('accepts the largest int4 id', async () => {
+    await getTimeSeries('post', '2147483647', range);
+    expect(query.mock.calls[0][1][0]).toBe(2147483647);
+  });
+
+  test('rejects unknown kinds and intervals', async () => {
+    await expect(getTimeSeries('comment', '1', range)).rejects.toThrow('Unknown series kind');
+    await expect(getTimeSeries('post', '1', { ...range, interval: 'minute' })).rejects.toThrow('Unknown interval');
+  });
+});
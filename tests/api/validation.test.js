@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { listOf, listQuery, validateQuery, MAX_PAGE_SIZE } from '../../src/api/validation.js';
+import { encodeCursor } from '../../src/utils/pagination.js';
+
+const SORT_FIELDS = { created_at: 'created_at', score: 'score' };
+const schema = listQuery(SORT_FIELDS, {
+  defaultSort: 'created_at',
+  filters: { platform: listOf(Joi.string().valid('moltbook', 'clawdhub')).default([]) }
+});
+
+/**
+ * Run validateQuery(schema) on a query string object, as Express would
+ */
+function run(query, querySchema = schema) {
+  const req = { query };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  validateQuery(querySchema)(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+describe('listQuery', () => {
+  test('fills in the default sort, order and limit', () => {
+    const { req, passed } = run({});
+    expect(passed).toBe(true);
+    expect(req.query).toEqual({ platform: [], sort: 'created_at', order: 'desc', limit: 50 });
+  });
+
+  test('converts values and drops unknown parameters', () => {
+    const { req } = run({ sort: 'score', order: 'ASC', limit: '10', platform: 'moltbook, clawdhub', debug: '1' });
+    expect(req.query).toEqual({ platform: ['moltbook', 'clawdhub'], sort: 'score', order: 'asc', limit: 10 });
+  });
+
+  test('takes sort and order from the cursor', () => {
+    const cursor = { sort: 'score', order: 'asc', value: '10', id: 7, direction: 'next' };
+    const { req, passed } = run({ cursor: encodeCursor(cursor) });
+    expect(passed).toBe(true);
+    expect(req.query).toMatchObject({ sort: 'score', order: 'asc', cursor });
+  });
+
+  test('rejects a cursor issued for another sort or an unknown field', () => {
+    const cursor = { sort: 'score', order: 'asc', value: '10', id: 7, direction: 'next' };
+    expect(run({ cursor: encodeCursor(cursor), sort: 'created_at' }).res.body.details[0].type).toBe('cursor.mismatch');
+    expect(run({ cursor: encodeCursor({ ...cursor, sort: 'password' }) }).res.body.details[0].type).toBe('cursor.invalid');
+  });
+});
+
+describe('validateQuery', () => {
+  test('answers 400 with every problem', () => {
+    const { res, passed } = run({ sort: 'password', limit: String(MAX_PAGE_SIZE + 1), cursor: 'garbage', platform: 'myspace' });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid query parameters');
+    expect(res.body.details.map(detail => detail.field).sort()).toEqual(['cursor', 'limit', 'platform.0', 'sort']);
+    expect(res.body.details.find(detail => detail.field === 'cursor').message).toBe('"cursor" is not a valid page token');
+  });
+
+  test('accepts repeated parameters as a list', () => {
+    const { req } = run({ platform: ['moltbook', 'clawdhub'] });
+    expect(req.query.platform).toEqual(['moltbook', 'clawdhub']);
+  });
+});
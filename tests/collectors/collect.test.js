@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+
+// Full collection cycles replayed from fixtures against a stubbed database.
+// Ids handed back for inserted rows name the row, so assertions can follow
+// foreign keys: agents get "agent:<external id>", comments "comment:<external id>".
+const candidates = {
+  moltbook: [{ id: 501, external_id: 'a1f3c2d0-0001', agent_id: 'agent:agent-77', comment_count: 2 }],
+  moltx: [{ id: 601, external_id: 'mx-9001', agent_id: 'agent:mx-a1', comment_count: 3 }]
+};
+
+const query = jest.fn(async (sql, params = []) => {
+  if (sql.includes('FROM collector_checkpoints')) {
+    return { rows: [{ collector: params[0], stream: params[1], last_timestamp: '2026-02-01T00:00:00Z', metadata: {} }] };
+  }
+  if (sql.includes('comments_synced_count < comment_count')) return { rows: candidates[params[0]] || [] };
+  if (sql.includes('SELECT DISTINCT external_id, name')) return { rows: [{ external_id: 'mx-a1', name: 'signbot' }] };
+  return { rows: [] };
+});
+
+const client = {
+  query: jest.fn(async (sql, params = []) => {
+    if (sql.includes('INSERT INTO agents')) return { rows: [{ id: `agent:${params[2]}`, name: params[0], entity_id: 1 }] };
+    if (sql.includes('INSERT INTO comments')) return { rows: [{ id: `comment:${params[1]}` }] };
+    if (sql.includes('SELECT id FROM agents')) return { rows: [{ id: `agent:${params[0]}` }] };
+    return { rows: [] };
+  })
+};
+
+jest.unstable_mockModule('../../src/utils/database.js', () => ({
+  query,
+  transaction: jest.fn(async (fn) => fn(client))
+}));
+
+const { default: MoltbookCollector } = await import('../../src/collectors/moltbook.js');
+const { default: MoltxCollector } = await import('../../src/collectors/moltx.js');
+const { default: ClawhCanCollector } = await import('../../src/collectors/4claw.js');
+const { default: ClawdHubCollector } = await import('../../src/collectors/clawdhub.js');
+
+process.env.FIXTURE_MODE = 'replay';
+process.env.FIXTURE_DIR = fileURLToPath(new URL('../../fixtures', import.meta.url));
+process.env.CLAWDHUB_SOURCES = 'registry';
+
+/** Params of every statement inserting into a table, in execution order */
+const inserts = (table) => client.query.mock.calls
+  .filter(([sql]) => new RegExp(`INSERT INTO ${table}\\s*\\(`).test(sql))
+  .map(([, params]) => params);
+
+beforeEach(() => {
+  query.mockClear();
+  client.query.mockClear();
+});
+
+describe('moltbook collect', () => {
+  test('stores authors, hot and new posts, and comment threads', async () => {
+    const collector = new MoltbookCollector();
+    const summary = await collector.collect();
+
+    expect(collector.failedSteps).toEqual([]);
+    expect(summary).toEqual({ hotPosts: 2, newPosts: 1, newPostPages: 1, commentThreads: 1, comments: 2, submolts: 2 });
+
+    expect(inserts('agents').map(([name, platform, externalId]) => [platform, externalId, name])).toEqual([
+      ['moltbook', 'agent-77', 'TidyClaw'],
+      ['moltbook', 'agent-12', 'PulseBot'],
+      ['moltbook', 'agent-31', 'LintLobster'],
+      ['moltbook', 'agent-12', 'PulseBot'],
+      ['moltbook', 'agent-77', 'TidyClaw']
+    ]);
+
+    const posts = inserts('posts');
+    expect(posts.map(([externalId, , , , , , , , submolt, agentId]) => [externalId, submolt, agentId])).toEqual([
+      ['a1f3c2d0-0001', 'skills', 'agent:agent-77'],
+      ['a1f3c2d0-0002', 'general', 'agent:agent-12'],
+      ['a1f3c2d0-0003', 'general', 'agent:agent-31']
+    ]);
+    expect(posts[0].slice(0, 8)).toEqual([
+      'a1f3c2d0-0001', 'moltbook', 'Shipping a memory compaction skill',
+      'Wrote a skill that trims my context window nightly. Feedback welcome.', null, 142, 3, 2
+    ]);
+    expect(posts[0][11]).toEqual(new Date('2026-02-01T09:14:00Z'));
+
+    // Top-level comments reply to the post author, nested ones to their parent's
+    expect(inserts('comments').map(params => params.slice(0, 10))).toEqual([
+      ['moltbook', 'c-1', 501, null, 'agent:agent-12', 'agent:agent-77', 'Does it keep a summary of what it drops?', 12, 0, 0],
+      ['moltbook', 'c-2', 501, 'comment:c-1', 'agent:agent-77', 'agent:agent-12', 'Yes, one line per trimmed thread.', 8, 0, 1]
+    ]);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('comments_synced_count = $2'), [501, 2]);
+  });
+});
+
+describe('moltx collect', () => {
+  test('stores posts, reply threads, agent metrics and following', async () => {
+    const collector = new MoltxCollector();
+    const summary = await collector.collect();
+
+    expect(collector.failedSteps).toEqual([]);
+    expect(summary).toEqual({ trendingPosts: 1, recentPosts: 1, recentPostPages: 1, replyThreads: 1, replies: 3, topAgents: 2 });
+
+    expect(inserts('agents').map(([name, platform, externalId, handle]) => [platform, externalId, name, handle])).toEqual([
+      ['moltx', 'mx-a1', 'signbot', 'signbot'],
+      ['moltx', 'mx-a2', 'pingling', 'pingling'],
+      ['moltx', 'mx-a2', 'pingling', 'pingling'],
+      ['moltx', 'mx-a1', 'signbot', 'signbot'],
+      ['moltx', 'mx-a3', 'lurkr', 'lurkr'],
+      ['moltx', 'mx-a1', 'signbot', 'signbot'],
+      ['moltx', 'mx-a2', 'pingling', 'pingling'],
+      ['moltx', 'mx-a3', 'lurkr', 'lurkr']
+    ]);
+
+    const posts = inserts('posts');
+    expect(posts.map(params => params.slice(0, 10))).toEqual([
+      ['mx-9001', 'moltx', null, 'Agents should sign their skills. #supplychain @ClawGuard', 'https://moltx.io/posts/mx-9001', 220, 4, 3, 41, 'agent:mx-a1'],
+      ['mx-9002', 'moltx', null, 'Heartbeat check: still here.', 'https://moltx.io/posts/mx-9002', 2, 0, 0, 0, 'agent:mx-a2']
+    ]);
+    expect(JSON.parse(posts[0][10])).toMatchObject({ author_handle: 'signbot', hashtags: ['supplychain'], mentions: ['ClawGuard'] });
+
+    // Replies to the post itself are top level; the rest nest under their parent
+    expect(inserts('comments').map(params => params.slice(0, 10))).toEqual([
+      ['moltx', 'mx-r1', 601, null, 'agent:mx-a2', 'agent:mx-a1', 'Sigstore for skills when?', 9, 0, 0],
+      ['moltx', 'mx-r2', 601, 'comment:mx-r1', 'agent:mx-a1', 'agent:mx-a2', 'Already prototyping it.', 5, 0, 1],
+      ['moltx', 'mx-r3', 601, 'comment:mx-r2', 'agent:mx-a3', 'agent:mx-a1', 'Link the repo please.', 1, 0, 2]
+    ]);
+
+    expect(inserts('agent_metrics').map(params => [params[6], params[1], params[2], params[3]])).toEqual([
+      ['agent:mx-a1', 1200, 80, 310],
+      ['agent:mx-a2', 95, 140, 2200]
+    ]);
+    expect(inserts('agent_relationships')).toEqual([['agent:mx-a1', 'agent:mx-a3']]);
+  });
+});
+
+describe('4claw collect', () => {
+  test('stores threads and their posts, leaving anonymous posters without an account', async () => {
+    const collector = new ClawhCanCollector({ boards: ['ai'] });
+    const summary = await collector.collect();
+
+    expect(collector.failedSteps).toEqual([]);
+    expect(summary).toEqual({ threads: 1, posts: 2, boards: 1 });
+
+    expect(inserts('platforms')).toEqual([['4claw/ai']]);
+    expect(inserts('agents').map(([name, platform, externalId]) => [platform, externalId, name])).toEqual([
+      ['4claw', 'skeptic', 'skeptic']
+    ]);
+
+    const [thread, ...posts] = inserts('posts');
+    expect(thread.slice(0, 9)).toEqual([
+      'ai-5521', '4claw', 'AGI by Friday?', 'Bullish on $CLAW, the singularity is near. Ask @oracle',
+      'https://4claw.io/ai/thread/5521', 14, 2, 16, null
+    ]);
+    expect(JSON.parse(thread[9])).toEqual({ board: 'ai', thread_id: 5521, reply_count: 2, bump_count: 14, image_count: 1, op_post_id: 5521 });
+
+    expect(posts.map(([externalId, , , url, , , agentId]) => [externalId, url, agentId])).toEqual([
+      ['ai-5521-5521', 'https://4claw.io/ai/thread/5521#5521', null],
+      ['ai-5521-5530', 'https://4claw.io/ai/thread/5521#5530', 'agent:skeptic']
+    ]);
+    expect(JSON.parse(posts[1][7])).toMatchObject({ sentiment: 'negative', image: 'chart.png', is_op: false });
+  });
+});
+
+describe('clawdhub collect', () => {
+  test('stores registry skills with their author accounts', async () => {
+    const collector = new ClawdHubCollector({ demoMode: false });
+    const summary = await collector.collect();
+
+    expect(collector.failedSteps).toEqual([]);
+    expect(summary).toEqual({ totalSkills: 2, popularSkills: 1, newSkills: 0 });
+
+    expect(inserts('agents').map(([name, platform, externalId]) => [platform, externalId, name])).toEqual([
+      ['clawdhub', 'skyler', 'skyler'],
+      ['clawdhub', 'mailmolt', 'mailmolt']
+    ]);
+    expect(inserts('skills').map(params => [params[0], params[2], params[3], params[4], params[7], params[8], params[12]])).toEqual([
+      ['weather-brief', 'skyler', '1.2.0', 3400, null, true, 'agent:skyler'],
+      ['inbox-zero', 'mailmolt', '0.3.1', 88, null, false, 'agent:mailmolt']
+    ]);
+  });
+});
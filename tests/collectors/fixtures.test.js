@@ -0,0 +1,121 @@
+import { fileURLToPath } from 'url';
+import MoltbookCollector from '../../src/collectors/moltbook.js';
+import MoltxCollector from '../../src/collectors/moltx.js';
+import ClawhCanCollector from '../../src/collectors/4claw.js';
+import ClawdHubCollector from '../../src/collectors/clawdhub.js';
+import { flattenCommentTree } from '../../src/collectors/comments.js';
+
+// Collectors pick up the fixture adapter when they are constructed; replays
+// need neither network nor Postgres, only the fetch and parse steps run
+process.env.FIXTURE_MODE = 'replay';
+process.env.FIXTURE_DIR = fileURLToPath(new URL('../../fixtures', import.meta.url));
+process.env.CLAWDHUB_SOURCES = 'registry';
+
+describe('moltbook fixtures', () => {
+  const collector = new MoltbookCollector();
+
+  test('replay hot posts', async () => {
+    const { posts } = await collector.fetchPosts('hot', 50);
+    expect(posts.map(post => post.id)).toEqual(['a1f3c2d0-0001', 'a1f3c2d0-0002']);
+    expect(posts[0]).toMatchObject({ upvotes: 142, author: { name: 'TidyClaw' }, submolt: { name: 'skills' } });
+  });
+
+  test('replay a comment tree and flatten it parent-first', async () => {
+    const { comments } = await collector.fetchComments('a1f3c2d0-0001');
+    const thread = flattenCommentTree(comments);
+    expect(thread.map(({ comment, parentId, depth }) => [comment.id, parentId, depth])).toEqual([
+      ['c-1', null, 0],
+      ['c-2', 'c-1', 1]
+    ]);
+  });
+
+  test('replay submolts', async () => {
+    const { submolts } = await collector.fetchSubmolts();
+    expect(submolts.map(submolt => submolt.name)).toEqual(['general', 'skills']);
+  });
+
+  test('fail requests that were never recorded', async () => {
+    await expect(collector.fetchPosts('new', 50)).rejects.toMatchObject({ code: 'ENOFIXTURE' });
+  });
+});
+
+describe('moltx fixtures', () => {
+  const collector = new MoltxCollector();
+
+  test('replay trending and recent posts, whatever the since window', async () => {
+    const trending = await collector.fetchTrendingPosts(30);
+    expect(trending.posts[0]).toMatchObject({ id: 'mx-9001', likes: 220, hashtags: ['supplychain'] });
+
+    const recent = await collector.fetchRecentPosts(50, new Date());
+    expect(recent.posts.map(post => post.id)).toEqual(['mx-9002']);
+    expect(recent.next_cursor).toBeNull();
+  });
+
+  test('follow reply cursors across pages', async () => {
+    const replies = await collector.fetchReplies('mx-9001');
+    expect(replies.map(reply => reply.id)).toEqual(['mx-r1', 'mx-r2', 'mx-r3']);
+
+    const thread = flattenCommentTree(replies, { getParentId: reply => reply.reply_to_id === 'mx-9001' ? null : reply.reply_to_id });
+    expect(thread.map(({ comment, depth }) => [comment.id, depth])).toEqual([['mx-r1', 0], ['mx-r2', 1], ['mx-r3', 2]]);
+  });
+
+  test('replay top agents and who they follow', async () => {
+    const { agents } = await collector.fetchTopAgents(50);
+    expect(agents.map(agent => agent.handle)).toEqual(['signbot', 'pingling']);
+    expect(await collector.fetchFollowing('mx-a1')).toEqual([expect.objectContaining({ id: 'mx-a3' })]);
+  });
+
+  test('replay recorded error responses', async () => {
+    expect(await collector.fetchFollowing('mx-gone')).toEqual([]);
+    expect(collector.getStats().hosts['moltx.io']).toMatchObject({ lastStatus: 404, circuit: 'closed' });
+  });
+});
+
+describe('4claw fixtures', () => {
+  const collector = new ClawhCanCollector({ boards: ['ai'] });
+
+  test('replay a board and its thread', async () => {
+    const threads = await collector.fetchRecentThreads('ai', 30);
+    expect(threads.map(thread => thread.id)).toEqual([5521]);
+
+    const posts = await collector.fetchThreadPosts('ai', 5521, 50);
+    expect(posts.map(post => post.author)).toEqual(['Anonymous', 'skeptic']);
+    expect(posts.map(post => collector.analyzeSentiment(post.content))).toEqual(['positive', 'negative']);
+    expect(collector.extractKeywords(posts[0].content)).toEqual(['$CLAW', '@oracle', 'singularity']);
+  });
+});
+
+describe('clawdhub fixtures', () => {
+  const collector = new ClawdHubCollector({ demoMode: false });
+
+  test('page through the registry and normalize its skills', async () => {
+    const skills = await collector.fetchSkillDirectory();
+    expect(collector.failedSteps).toEqual([]);
+    expect(skills).toEqual([
+      expect.objectContaining({
+        id: 'weather-brief',
+        author: 'skyler',
+        version: '1.2.0',
+        downloads: 3400,
+        verified: true,
+        // The registry's own score is never trusted
+        security_score: null,
+        source: 'clawdhub'
+      }),
+      expect.objectContaining({
+        id: 'inbox-zero',
+        name: 'inbox-zero',
+        author: 'mailmolt',
+        downloads: 88,
+        last_updated: new Date('2026-01-30T15:00:00Z'),
+        content: expect.stringContaining('Archive newsletters')
+      })
+    ]);
+  });
+
+  test('replay skill content as plain text', async () => {
+    const [skill] = await collector.fetchSkillDirectory();
+    const content = await collector.fetchSkillContent(skill.source_url);
+    expect(content).toMatch(/^# Weather Brief\n/);
+  });
+});
@@ -0,0 +1,93 @@
+import { diffLines, unifiedDiff } from '../../src/utils/diff.js';
+
+const lines = (...values) => values.join('\n');
+
+describe('diffLines', () => {
+  test('numbers every line against both sides', () => {
+    expect(diffLines(lines('a', 'b', 'c'), lines('a', 'x', 'c'))).toEqual([
+      { type: 'context', text: 'a', oldNumber: 1, newNumber: 1 },
+      { type: 'remove', text: 'b', oldNumber: 2, newNumber: null },
+      { type: 'add', text: 'x', oldNumber: null, newNumber: 2 },
+      { type: 'context', text: 'c', oldNumber: 3, newNumber: 3 }
+    ]);
+  });
+
+  test('finds the shortest edit between interleaved changes', () => {
+    const ops = diffLines(lines('a', 'b', 'c', 'a', 'b', 'b', 'a'), lines('c', 'b', 'a', 'b', 'a', 'c'));
+    expect(ops.filter(op => op.type !== 'context')).toHaveLength(5);
+    expect(ops.filter(op => op.type !== 'add').map(op => op.text)).toEqual(['a', 'b', 'c', 'a', 'b', 'b', 'a']);
+    expect(ops.filter(op => op.type !== 'remove').map(op => op.text)).toEqual(['c', 'b', 'a', 'b', 'a', 'c']);
+  });
+
+  test('treats CRLF and LF line endings alike', () => {
+    expect(diffLines('a\r\nb', 'a\nb').every(op => op.type === 'context')).toBe(true);
+  });
+
+  test('diffs against empty and missing text', () => {
+    expect(diffLines(null, 'a').map(op => op.type)).toEqual(['add']);
+    expect(diffLines('a', '').map(op => op.type)).toEqual(['remove']);
+    expect(diffLines(undefined, null)).toEqual([]);
+  });
+
+  test('reports a full rewrite once the edit distance passes the cap', () => {
+    const before = Array.from({ length: 1500 }, (_, i) => `old ${i}`).join('\n');
+    const after = Array.from({ length: 1500 }, (_, i) => `new ${i}`).join('\n');
+    const ops = diffLines(`head\n${before}\ntail`, `head\n${after}\ntail`);
+
+    expect(ops).toHaveLength(3002);
+    expect(ops[0]).toMatchObject({ type: 'context', text: 'head' });
+    expect(ops.slice(1, 1501).every(op => op.type === 'remove')).toBe(true);
+    expect(ops.slice(1501, 3001).every(op => op.type === 'add')).toBe(true);
+    expect(ops[3001]).toMatchObject({ type: 'context', text: 'tail', oldNumber: 1502, newNumber: 1502 });
+  });
+});
+
+describe('unifiedDiff', () => {
+  test('returns nothing for identical texts', () => {
+    expect(unifiedDiff(lines('a', 'b'), lines('a', 'b'))).toEqual({
+      hunks: [],
+      stats: { additions: 0, deletions: 0 },
+      text: ''
+    });
+  });
+
+  test('renders hunks with headers and labels like diff -u', () => {
+    const before = lines('1', '2', '3', '4', '5', '6', '7', '8');
+    const after = lines('1', '2', '3', '4', 'five', '6', '7', '8');
+    const { hunks, stats, text } = unifiedDiff(before, after, { context: 2, oldLabel: 'skill@1.0', newLabel: 'skill@1.1' });
+
+    expect(stats).toEqual({ additions: 1, deletions: 1 });
+    expect(hunks).toHaveLength(1);
+    expect(hunks[0]).toMatchObject({ oldStart: 3, oldLines: 5, newStart: 3, newLines: 5 });
+    expect(text).toBe(lines(
+      '--- skill@1.0',
+      '+++ skill@1.1',
+      '@@ -3,5 +3,5 @@',
+      ' 3',
+      ' 4',
+      '-5',
+      '+five',
+      ' 6',
+      ' 7'
+    ));
+  });
+
+  test('merges changes whose context windows touch and splits the rest', () => {
+    const before = Array.from({ length: 20 }, (_, i) => String(i + 1));
+    const after = [...before];
+    after[2] = 'three';
+    after[6] = 'seven';
+    after[16] = 'seventeen';
+
+    const { hunks } = unifiedDiff(lines(...before), lines(...after), { context: 1 });
+    expect(hunks.map(hunk => hunk.header)).toEqual(['@@ -2,3 +2,3 @@', '@@ -6,3 +6,3 @@', '@@ -16,3 +16,3 @@']);
+
+    const merged = unifiedDiff(lines(...before), lines(...after), { context: 2 });
+    expect(merged.hunks.map(hunk => hunk.header)).toEqual(['@@ -1,9 +1,9 @@', '@@ -15,5 +15,5 @@']);
+  });
+
+  test('points an empty side at the line before the change', () => {
+    expect(unifiedDiff('', lines('a', 'b')).hunks[0].header).toBe('@@ -0,0 +1,2 @@');
+    expect(unifiedDiff(lines('a', 'b'), lines('a', 'b', 'c'), { context: 0 }).hunks[0].header).toBe('@@ -2,0 +3,1 @@');
+  });
+});
@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+import { AxiosError } from 'axios';
+import HttpClient, { CircuitBreaker, CircuitOpenError, TokenBucket, parseRetryAfter } from '../../src/utils/http_client.js';
+
+const URL = 'https://api.example.test/posts';
+
+/**
+ * Axios adapter answering with the given statuses in turn; `{ code }`
+ * fails without a response, as an unreachable host does
+ */
+function scripted(...statuses) {
+  const adapter = async (config) => {
+    adapter.calls++;
+    const next = statuses.shift();
+    if (next.code) {
+      throw new AxiosError(`connect ${next.code}`, next.code, config, {});
+    }
+    const { status, headers = {} } = typeof next === 'number' ? { status: next } : next;
+    const response = { status, statusText: String(status), headers, data: {}, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    }
+    return response;
+  };
+  adapter.calls = 0;
+  return adapter;
+}
+
+function client(adapter, options = {}) {
+  return new HttpClient({
+    adapter,
+    maxRetries: 0,
+    baseDelayMs: 0,
+    failureThreshold: 2,
+    resetTimeoutMs: 1000,
+    ...options
+  });
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  test('opens after consecutive failures and rejects until the cool-down', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAt.getTime()).toBe(1000);
+  });
+
+  test('lets a single trial through when half-open and closes on success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('reopens when the trial fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAt.getTime()).toBe(2000);
+  });
+
+  test('release frees the trial slot without changing state', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.release();
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
+
+describe('HttpClient circuit', () => {
+  test('a 429 on the half-open trial does not wedge the breaker', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    const adapter = scripted(500, 500, 429, 200, 200);
+    const http = client(adapter);
+
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 500 } });
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 500 } });
+    await expect(http.request({ url: URL })).rejects.toBeInstanceOf(CircuitOpenError);
+
+    jest.advanceTimersByTime(1000);
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 429 } });
+    expect(http.getBreaker('api.example.test').state).toBe('half_open');
+
+    // The next request is the new trial, and its success closes the circuit
+    await expect(http.request({ url: URL })).resolves.toMatchObject({ status: 200 });
+    expect(http.getBreaker('api.example.test').state).toBe('closed');
+    await expect(http.request({ url: URL })).resolves.toMatchObject({ status: 200 });
+    expect(adapter.calls).toBe(5);
+  });
+
+  test('a Retry-After beyond the limit also releases the trial', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    const adapter = scripted(503, { status: 429, headers: { 'retry-after': '3600' } }, 200);
+    const http = client(adapter, { failureThreshold: 1, maxRetryAfterMs: 60000 });
+
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 503 } });
+    jest.advanceTimersByTime(1000);
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 429 } });
+
+    await expect(http.request({ url: URL })).resolves.toMatchObject({ status: 200 });
+    expect(http.getBreaker('api.example.test').state).toBe('closed');
+  });
+
+  test('client errors do not count towards opening the circuit', async () => {
+    const http = client(scripted(404, 404, 404, 200));
+    for (let i = 0; i < 3; i++) {
+      await expect(http.request({ url: URL })).rejects.toMatchObject({ response: { status: 404 } });
+    }
+    await expect(http.request({ url: URL })).resolves.toMatchObject({ status: 200 });
+    expect(http.getHealth()['api.example.test']).toMatchObject({ circuit: 'closed', failures: 3, successes: 1 });
+  });
+
+  test('errors without a response count towards opening the circuit', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    const adapter = scripted({ code: 'EHOSTUNREACH' }, { code: 'CERT_HAS_EXPIRED' }, { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' });
+    const http = client(adapter, { maxRetries: 3 });
+
+    // Not retryable, so each request fails straight away
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ code: 'EHOSTUNREACH' });
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ code: 'CERT_HAS_EXPIRED' });
+    expect(adapter.calls).toBe(2);
+    await expect(http.request({ url: URL })).rejects.toBeInstanceOf(CircuitOpenError);
+
+    // A half-open trial that cannot reach the host reopens the circuit
+    jest.advanceTimersByTime(1000);
+    await expect(http.request({ url: URL })).rejects.toMatchObject({ code: 'DEPTH_ZERO_SELF_SIGNED_CERT' });
+    expect(http.getBreaker('api.example.test').state).toBe('open');
+    await expect(http.request({ url: URL })).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('retries idempotent requests on server errors', async () => {
+    const adapter = scripted(502, 503, 200);
+    const http = client(adapter, { maxRetries: 3, failureThreshold: 5 });
+    await expect(http.request({ url: URL })).resolves.toMatchObject({ status: 200 });
+    expect(adapter.calls).toBe(3);
+    expect(http.getHealth()['api.example.test'].retries).toBe(2);
+  });
+
+  test('does not retry a POST that failed with a server error', async () => {
+    const adapter = scripted(500, 200);
+    const http = client(adapter, { maxRetries: 3, failureThreshold: 5 });
+    await expect(http.request({ url: URL, method: 'post' })).rejects.toMatchObject({ response: { status: 500 } });
+    expect(adapter.calls).toBe(1);
+  });
+});
+
+describe('TokenBucket', () => {
+  test('spends its burst, then waits for a refill', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const bucket = new TokenBucket({ ratePerSecond: 2, capacity: 2 });
+    await bucket.take();
+    await bucket.take();
+    expect(bucket.tokens).toBeLessThan(1);
+
+    let taken = false;
+    const waiting = bucket.take().then(() => { taken = true; });
+    await Promise.resolve();
+    expect(taken).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(500);
+    await waiting;
+    expect(taken).toBe(true);
+  });
+
+  test('waits out a pause before handing out tokens', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const bucket = new TokenBucket({ ratePerSecond: 10, capacity: 5 });
+    bucket.pause(2000);
+
+    let taken = false;
+    const waiting = bucket.take().then(() => { taken = true; });
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(taken).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await waiting;
+    expect(taken).toBe(true);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delta-seconds and HTTP dates', () => {
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T00:00:00Z') });
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT')).toBe(30000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT')).toBe(0);
+  });
+
+  test('ignores missing and malformed values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
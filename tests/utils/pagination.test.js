@@ -0,0 +1,74 @@
+import { encodeCursor, decodeCursor, keysetPage, toPage } from '../../src/utils/pagination.js';
+
+const cursor = { sort: 'created_at', order: 'desc', value: '2024-05-01 12:00:00.123456', id: 42, direction: 'next' };
+
+describe('cursors', () => {
+  test('round-trip through an opaque url-safe token', () => {
+    const token = encodeCursor(cursor);
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(token)).toEqual(cursor);
+  });
+
+  test.each([
+    ['not base64 json', 'not-a-cursor'],
+    ['null', encodeCursor(null)],
+    ['a bad order', encodeCursor({ ...cursor, order: 'sideways' })],
+    ['a bad direction', encodeCursor({ ...cursor, direction: 'up' })],
+    ['a non-integer id', encodeCursor({ ...cursor, id: '42' })],
+    ['a non-string value', encodeCursor({ ...cursor, value: 5 })],
+    ['no sort', encodeCursor({ ...cursor, sort: undefined })]
+  ])('rejects %s', (_, token) => {
+    expect(() => decodeCursor(token)).toThrow();
+  });
+});
+
+describe('keysetPage', () => {
+  test('starts from the top without a cursor', () => {
+    const params = ['x'];
+    expect(keysetPage({ column: 'p.created_at', idColumn: 'p.id', order: 'desc', limit: 20, params })).toEqual({
+      condition: null,
+      sortKey: '(p.created_at)::text AS sort_key',
+      orderBy: 'p.created_at DESC, p.id DESC',
+      limit: '$2'
+    });
+    expect(params).toEqual(['x', 21]);
+  });
+
+  test('continues after the cursor row, and reads a previous page in reverse', () => {
+    const params = [];
+    const next = keysetPage({ column: 'score', order: 'desc', cursor, limit: 10, params });
+    expect(next.condition).toBe('(score, id) < ($1, $2)');
+    expect(next.orderBy).toBe('score DESC, id DESC');
+    expect(params).toEqual([cursor.value, 42, 11]);
+
+    const prev = keysetPage({ column: 'score', order: 'desc', cursor: { ...cursor, direction: 'prev' }, limit: 10, params: [] });
+    expect(prev.condition).toBe('(score, id) > ($1, $2)');
+    expect(prev.orderBy).toBe('score ASC, id ASC');
+  });
+});
+
+describe('toPage', () => {
+  const rows = (...ids) => ids.map(id => ({ id, sort_key: `k${id}` }));
+  const page = { sort: 'score', order: 'desc', limit: 2 };
+
+  test('cuts the extra row and issues a next cursor', () => {
+    const { items, pagination } = toPage(rows(1, 2, 3), page);
+    expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(pagination).toMatchObject({ limit: 2, sort: 'score', order: 'desc', prev: null, has_more: true });
+    expect(decodeCursor(pagination.next)).toEqual({ sort: 'score', order: 'desc', value: 'k2', id: 2, direction: 'next' });
+  });
+
+  test('ends without a next cursor on the last page', () => {
+    const { pagination } = toPage(rows(3), { ...page, cursor: { ...cursor, direction: 'next' } });
+    expect(pagination.next).toBeNull();
+    expect(pagination.has_more).toBe(false);
+    expect(decodeCursor(pagination.prev)).toMatchObject({ id: 3, direction: 'prev' });
+  });
+
+  test('flips a previous page back into order', () => {
+    const { items, pagination } = toPage(rows(4, 3, 2), { ...page, cursor: { ...cursor, direction: 'prev' } });
+    expect(items).toEqual([{ id: 3 }, { id: 4 }]);
+    expect(decodeCursor(pagination.next)).toMatchObject({ id: 4, direction: 'next' });
+    expect(decodeCursor(pagination.prev)).toMatchObject({ id: 3, direction: 'prev' });
+  });
+});